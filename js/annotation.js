@@ -6,20 +6,36 @@
  * - Automatic linking to enclosed measurement areas
  * - Rich metadata collection (type, severity, description, requirements)
  * - Interactive editing and deletion of annotations
- * - Visual representation with color coding by type
+ * - Visual representation with color coding by taxonomy type
  * - Modal UI for annotation details
+ * - Discrepancy manager with search, filters, sorting and bulk actions
+ * - Repair tracking: status workflow with history, assignee, due date and closing remarks
+ * - Discrepancy photos with EXIF capture time, kept with the session
  * - Real-time label positioning
  * - Data protection and validation
  */
 
 import * as THREE from 'three';
 import { Utils } from './utils.js';
+import { HistoryManager } from './history.js';
+import { TaxonomyManager } from './taxonomy.js';
+import { PhotoGallery } from './photos.js';
+
+// Repair workflow, in display order. next: statuses a discrepancy can move to
+export const DISCREPANCY_STATUSES = [
+  { id: 'open', label: 'Open', icon: '🔴', closed: false, next: ['under_repair', 'deferred'] },
+  { id: 'under_repair', label: 'Under Repair', icon: '🔧', closed: false, next: ['repaired', 'deferred', 'open'] },
+  { id: 'repaired', label: 'Repaired', icon: '🟢', closed: false, next: ['verified_closed', 'under_repair'] },
+  { id: 'verified_closed', label: 'Verified Closed', icon: '✅', closed: true, next: ['open'] },
+  { id: 'deferred', label: 'Deferred', icon: '⏸️', closed: false, next: ['open', 'under_repair'] }
+];
 
 export class AnnotationSystem {
-  constructor(scene, camera, renderer) {
+  constructor(scene, camera, renderer, taxonomy = null) {
     this.scene = scene;
     this.camera = camera;
     this.renderer = renderer;
+    this.taxonomy = taxonomy || new TaxonomyManager(); // Types, colours and severities
     
     // State
     this.active = false;
@@ -27,22 +43,23 @@ export class AnnotationSystem {
     this.annotationIdCounter = 1;
     this.pendingAnnotationPoint = null;
     this.editingAnnotationId = null;
+    this.photoGallery = new PhotoGallery('annotation-photo-gallery'); // Photos of the open form
     
     // Interaction
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     
-    // Visual settings
-    this.ANNOTATION_COLORS = {
-      'corrosion': 0xff4444,      // Red
-      'crack': 0x8B4513,          // Brown
-      'pitting': 0xff8800,        // Orange
-      'structure': 0x4444ff,      // Blue
-      'housekeeping': 0x8844ff    // Purple
-    };
+    // Undo/redo (shared HistoryManager, set by main)
+    this.history = null;
     
+    // Visual settings (type colours come from the taxonomy)
     this.DOT_RADIUS = 0.025;
     
+    // Discrepancy manager
+    this.managerFilters = { search: '', type: '', severity: '', status: '', ndt: '', abs: '', linked: '' };
+    this.managerSort = { key: 'id', direction: 1 };
+    this.selectedAnnotationIds = new Set();
+    
     // Performance optimization
     this.labelUpdateTimer = null;
     this.LABEL_UPDATE_INTERVAL = 200; // 5fps as backup, main updates happen in render loop
@@ -56,6 +73,9 @@ export class AnnotationSystem {
     
     this.setupEventListeners();
     this.setupModalHandlers();
+    this.createDiscrepancyManagerModal();
+    this.populateTaxonomyOptions();
+    this.taxonomy.onChange(() => this.applyTaxonomy());
     this.startLabelUpdates();
     
     console.log('✅ Annotation system initialized');
@@ -84,6 +104,7 @@ export class AnnotationSystem {
     const cancelBtn = document.getElementById('cancel-annotation');
     const deleteBtn = document.getElementById('delete-annotation');
     const removeLinkBtn = document.getElementById('remove-measurement-link');
+    const flyToBtn = document.getElementById('annotation-fly-to');
     const closeBtn = modal?.querySelector('.close');
     
     if (saveBtn) {
@@ -110,12 +131,32 @@ export class AnnotationSystem {
       });
     }
     
+    if (flyToBtn) {
+      const flyToView = () => {
+        const annotationId = this.editingAnnotationId;
+        this.cancelAnnotation();
+        this.focusOnAnnotation(annotationId);
+      };
+      flyToBtn.addEventListener('click', flyToView);
+      document.getElementById('annotation-thumbnail')?.addEventListener('click', flyToView);
+    }
+    
     if (closeBtn) {
       closeBtn.addEventListener('click', () => {
         this.cancelAnnotation();
       });
     }
     
+    document.getElementById('annotation-status')?.addEventListener('change', () => {
+      this.updateClosingRemarksField();
+    });
+    
+    document.getElementById('annotation-photos')?.addEventListener('change', async (e) => {
+      const files = [...e.target.files];
+      e.target.value = '';
+      if (files.length > 0) await this.photoGallery.addFiles(files);
+    });
+    
     console.log('📋 Modal handlers setup complete');
   }
 
@@ -166,21 +207,8 @@ export class AnnotationSystem {
     this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     
-    // Cast ray
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    
-    // Find intersections with loaded models
-    const objects = this.scene.children.filter(child => 
-      child.userData.modelId && child.visible
-    );
-    
-    const intersects = this.raycaster.intersectObjects(objects, true);
-    
-    if (intersects.length > 0) {
-      return intersects[0].point.clone();
-    }
-    
-    return null;
+    // Cast ray against loaded models (meshes and point clouds)
+    return Utils.intersectModels(this.raycaster, this.mouse, this.camera, this.scene, this.renderer);
   }
 
   /**
@@ -222,6 +250,9 @@ export class AnnotationSystem {
     
     if (!modal) return;
     
+    // Drop options added for values outside the taxonomy
+    this.populateTaxonomyOptions();
+    
     if (annotation) {
       // Editing existing annotation
       modalTitle.textContent = 'Edit Discrepancy';
@@ -260,19 +291,38 @@ export class AnnotationSystem {
       'annotation-severity': annotation.severity,
       'annotation-description': annotation.description,
       'ndt-required': annotation.ndtRequired,
-      'abs-required': annotation.absRequired
+      'abs-required': annotation.absRequired,
+      'annotation-assignee': annotation.assignee,
+      'annotation-due-date': annotation.dueDate,
+      'annotation-closing-remarks': annotation.closingRemarks
     };
     
+    this.populateStatusOptions(annotation.status);
+    
     Object.entries(fields).forEach(([fieldId, value]) => {
       const field = document.getElementById(fieldId);
       if (field) {
         if (field.type === 'checkbox') {
           field.checked = Boolean(value);
+        } else if (field.tagName === 'SELECT') {
+          this.setSelectValue(field, value);
         } else {
           field.value = value || '';
         }
       }
     });
+    
+    // Show the recorded view, if any
+    const snapshot = document.getElementById('annotation-snapshot');
+    const thumbnail = document.getElementById('annotation-thumbnail');
+    if (snapshot && thumbnail) {
+      snapshot.style.display = annotation.cameraPose ? 'block' : 'none';
+      thumbnail.src = annotation.thumbnail || '';
+      thumbnail.style.display = annotation.thumbnail ? 'block' : 'none';
+    }
+    
+    this.photoGallery.setPhotos(annotation.photos);
+    this.updateStatusHistory(annotation);
   }
 
   /**
@@ -280,7 +330,8 @@ export class AnnotationSystem {
    */
   clearModalFields() {
     const fieldIds = [
-      'annotation-title', 'annotation-type', 'annotation-severity', 'annotation-description'
+      'annotation-title', 'annotation-type', 'annotation-severity', 'annotation-description',
+      'annotation-assignee', 'annotation-due-date', 'annotation-closing-remarks'
     ];
     
     fieldIds.forEach(fieldId => {
@@ -297,6 +348,15 @@ export class AnnotationSystem {
         field.checked = false;
       }
     });
+    
+    const snapshot = document.getElementById('annotation-snapshot');
+    if (snapshot) {
+      snapshot.style.display = 'none';
+    }
+    
+    this.photoGallery.setPhotos([]);
+    this.populateStatusOptions(null);
+    this.updateStatusHistory(null);
   }
 
   /**
@@ -351,7 +411,7 @@ export class AnnotationSystem {
       }
       
       linkDetails.innerHTML = `
-        <strong>Measurement ${measurement.id}</strong><br>
+        <strong>Measurement ${Utils.escapeHtml(measurement.id)}</strong><br>
         ${relationshipText}<br>
         ${measurement.isClosed ? `Area: ${Utils.formatArea(measurement.area, false)}<br>` : ''}
         Perimeter: ${Utils.formatDistance(measurement.totalDistance, false)}
@@ -452,12 +512,19 @@ export class AnnotationSystem {
       return;
     }
     
+    const before = this.captureState();
+    
     if (this.editingAnnotationId) {
       // Update existing annotation
       this.updateAnnotation(this.editingAnnotationId, annotationData);
+      this.history?.record(`Edit ${this.editingAnnotationId}`, this, before);
     } else {
       // Create new annotation
+      const annotationCount = this.annotations.length;
       this.createAnnotation(annotationData);
+      if (this.annotations.length > annotationCount) {
+        this.history?.record(`Add ${annotationData.id}`, this, before);
+      }
     }
     
     this.closeModal();
@@ -467,14 +534,23 @@ export class AnnotationSystem {
    * Collect data from modal fields
    */
   collectModalData() {
+    const status = document.getElementById('annotation-status')?.value || 'open';
+    
     return {
       id: document.getElementById('annotation-id')?.value || '',
       title: document.getElementById('annotation-title')?.value || '',
-      type: document.getElementById('annotation-type')?.value || 'corrosion',
-      severity: document.getElementById('annotation-severity')?.value || 'Low',
+      type: document.getElementById('annotation-type')?.value || this.taxonomy.getTypes()[0].id,
+      severity: document.getElementById('annotation-severity')?.value || this.taxonomy.getSeverities()[0].id,
       description: document.getElementById('annotation-description')?.value || '',
       ndtRequired: document.getElementById('ndt-required')?.checked || false,
-      absRequired: document.getElementById('abs-required')?.checked || false
+      absRequired: document.getElementById('abs-required')?.checked || false,
+      status,
+      assignee: document.getElementById('annotation-assignee')?.value.trim() || '',
+      dueDate: document.getElementById('annotation-due-date')?.value || null,
+      // Reopened discrepancies drop their closing remarks (kept in the status history)
+      closingRemarks: this.getStatus(status).closed ?
+        document.getElementById('annotation-closing-remarks')?.value.trim() || '' : '',
+      photos: this.photoGallery.getPhotos()
     };
   }
 
@@ -497,6 +573,11 @@ export class AnnotationSystem {
       return false;
     }
     
+    if (this.getStatus(data.status).closed && !data.closingRemarks) {
+      alert('Closing remarks are required to close a discrepancy');
+      return false;
+    }
+    
     return true;
   }
 
@@ -520,8 +601,17 @@ export class AnnotationSystem {
       position: this.pendingAnnotationPoint.clone(),
       linkedMeasurement: this.currentMeasurementLink || null,
       createdAt: new Date(),
-      color: this.ANNOTATION_COLORS[data.type] || this.ANNOTATION_COLORS['corrosion']
+      color: this.taxonomy.getTypeColorHex(data.type),
+      cameraPose: null,
+      thumbnail: null,
+      status: data.status,
+      statusHistory: [],
+      assignee: data.assignee,
+      dueDate: data.dueDate,
+      closingRemarks: data.closingRemarks,
+      photos: data.photos || []
     };
+    this.recordStatusChange(annotation, null, data.status, annotation.createdAt);
 
     // Log measurement link if exists
     if (annotation.linkedMeasurement) {
@@ -533,6 +623,11 @@ export class AnnotationSystem {
     // Create visual elements
     this.createAnnotationVisuals(annotation);
     
+    // Record the view the discrepancy was found from
+    const snapshot = this.captureView();
+    annotation.cameraPose = snapshot.cameraPose;
+    annotation.thumbnail = snapshot.thumbnail;
+    
     // Add to array
     this.annotations.push(annotation);
     this.annotationIdCounter++;
@@ -541,9 +636,35 @@ export class AnnotationSystem {
     this.pendingAnnotationPoint = null;
     this.currentMeasurementLink = null;
     
+    this.updateDiscrepancyManager();
     console.log(`📍 Created annotation: ${annotation.id}`);
   }
 
+  /**
+   * Capture the current camera pose and a thumbnail of the view
+   */
+  captureView() {
+    const target = window.inspector3D?.controls?.controls?.target || null;
+    return Utils.captureViewSnapshot(this.renderer, this.scene, this.camera, target);
+  }
+
+  /**
+   * Fly the camera back to the view an annotation was recorded from
+   */
+  focusOnAnnotation(annotationId) {
+    const annotation = this.annotations.find(a => a.id === annotationId);
+    const controls = window.inspector3D?.controls;
+    if (!annotation || !controls) return;
+    
+    if (annotation.cameraPose) {
+      controls.flyToPose(annotation.cameraPose);
+    } else {
+      controls.animateTo(this.camera.position.clone(), annotation.position.clone());
+    }
+    
+    console.log(`🎯 Focused on annotation: ${annotation.id}`);
+  }
+
   /**
    * Update existing annotation
    */
@@ -554,6 +675,11 @@ export class AnnotationSystem {
       return;
     }
     
+    const now = new Date();
+    if (data.status && data.status !== annotation.status) {
+      this.recordStatusChange(annotation, annotation.status, data.status, now, data.closingRemarks);
+    }
+    
     // Update data
     Object.assign(annotation, {
       title: data.title,
@@ -562,12 +688,18 @@ export class AnnotationSystem {
       description: data.description,
       ndtRequired: data.ndtRequired,
       absRequired: data.absRequired,
-      color: this.ANNOTATION_COLORS[data.type] || this.ANNOTATION_COLORS['corrosion'],
-      updatedAt: new Date()
+      color: this.taxonomy.getTypeColorHex(data.type),
+      status: data.status || annotation.status,
+      assignee: data.assignee,
+      dueDate: data.dueDate,
+      closingRemarks: data.closingRemarks,
+      photos: data.photos || annotation.photos,
+      updatedAt: now
     });
     
     // Update visuals
     this.updateAnnotationVisuals(annotation);
+    this.updateDiscrepancyManager();
     
     console.log(`📝 Updated annotation: ${annotation.id}`);
   }
@@ -581,7 +713,7 @@ export class AnnotationSystem {
     const dotMaterial = new THREE.MeshBasicMaterial({ 
       color: annotation.color,
       transparent: true,
-      opacity: 0.9
+      opacity: this.getStatus(annotation.status).closed ? 0.35 : 0.9
     });
     
     const dot = new THREE.Mesh(dotGeometry, dotMaterial);
@@ -604,10 +736,9 @@ export class AnnotationSystem {
   createAnnotationLabel(annotation) {
     const labelDiv = document.createElement('div');
     labelDiv.className = 'annotation-label';
-    labelDiv.innerHTML = annotation.id;
-    labelDiv.style.backgroundColor = this.getTypeColor(annotation.type);
-    labelDiv.style.borderColor = this.getTypeBorderColor(annotation.type);
     labelDiv.style.cursor = 'pointer';
+    annotation.labelDiv = labelDiv;
+    this.styleAnnotationLabel(annotation);
     
     // Add click handler
     labelDiv.addEventListener('click', (e) => {
@@ -616,51 +747,170 @@ export class AnnotationSystem {
     });
     
     document.body.appendChild(labelDiv);
-    annotation.labelDiv = labelDiv;
   }
 
   /**
-   * Get background color for annotation type
+   * Set label text and colours from the annotation's taxonomy type
    */
-  getTypeColor(type) {
-    const colors = {
-      'corrosion': '#ffebee',
-      'crack': '#efebe9',
-      'pitting': '#fff3e0',
-      'structure': '#e3f2fd',
-      'housekeeping': '#f3e5f5'
-    };
-    return colors[type] || colors['corrosion'];
-  }
-
-  /**
-   * Get border color for annotation type
-   */
-  getTypeBorderColor(type) {
-    const colors = {
-      'corrosion': '#f44336',
-      'crack': '#8d6e63',
-      'structure': '#2196f3',
-      'pitting': '#ff9800',
-      'housekeeping': '#9c27b0'
-    };
-    return colors[type] || colors['corrosion'];
+  styleAnnotationLabel(annotation) {
+    const type = this.taxonomy.getType(annotation.type);
+    const labelDiv = annotation.labelDiv;
+    
+    const status = this.getStatus(annotation.status);
+    
+    labelDiv.textContent = type.icon ? `${type.icon} ${annotation.id}` : annotation.id;
+    if (status.id !== 'open') {
+      labelDiv.textContent += ` ${status.icon}`;
+    }
+    labelDiv.style.backgroundColor = type.background;
+    labelDiv.style.borderColor = type.color;
+    labelDiv.title = `${status.label}${annotation.assignee ? ` · ${annotation.assignee}` : ''}`;
+    
+    // Status classes drive the label appearance (see styles.css)
+    DISCREPANCY_STATUSES.forEach(entry => labelDiv.classList.remove(`status-${entry.id}`));
+    labelDiv.classList.add(`status-${status.id}`);
+    labelDiv.classList.toggle('overdue', this.isOverdue(annotation));
   }
 
   /**
    * Update annotation visuals
    */
   updateAnnotationVisuals(annotation) {
-    // Update dot color
+    // Update dot color (closed discrepancies fade out)
     if (annotation.dot) {
       annotation.dot.material.color.setHex(annotation.color);
+      annotation.dot.material.opacity = this.getStatus(annotation.status).closed ? 0.35 : 0.9;
     }
     
     // Update label
     if (annotation.labelDiv) {
-      annotation.labelDiv.style.backgroundColor = this.getTypeColor(annotation.type);
-      annotation.labelDiv.style.borderColor = this.getTypeBorderColor(annotation.type);
+      this.styleAnnotationLabel(annotation);
+    }
+  }
+
+  /**
+   * Fill the type and severity selects of the annotation modal from the taxonomy
+   */
+  populateTaxonomyOptions() {
+    const typeSelect = document.getElementById('annotation-type');
+    const severitySelect = document.getElementById('annotation-severity');
+    
+    if (typeSelect) {
+      typeSelect.innerHTML = this.taxonomy.getTypes().map(type =>
+        `<option value="${Utils.escapeHtml(type.id)}">${Utils.escapeHtml(`${type.icon} ${type.label}`.trim())}</option>`
+      ).join('');
+    }
+    
+    if (severitySelect) {
+      severitySelect.innerHTML = this.taxonomy.getSeverities().map(severity =>
+        `<option value="${Utils.escapeHtml(severity.id)}">${Utils.escapeHtml(severity.label)}</option>`
+      ).join('');
+    }
+  }
+
+  /**
+   * Refresh modal options and annotation colours after a taxonomy change
+   */
+  applyTaxonomy() {
+    this.populateTaxonomyOptions();
+    this.populateManagerOptions();
+    
+    this.annotations.forEach(annotation => {
+      annotation.color = this.taxonomy.getTypeColorHex(annotation.type);
+      this.updateAnnotationVisuals(annotation);
+    });
+    
+    this.updateDiscrepancyManager();
+  }
+
+  /**
+   * Select a value, adding it as an option if the taxonomy does not list it
+   */
+  setSelectValue(select, value) {
+    if (value && !Array.from(select.options).some(option => option.value === value)) {
+      select.add(new Option(value, value));
     }
+    select.value = value || '';
+  }
+
+  /**
+   * Get a workflow status by ID (unknown statuses count as open)
+   */
+  getStatus(statusId) {
+    return DISCREPANCY_STATUSES.find(status => status.id === statusId) || DISCREPANCY_STATUSES[0];
+  }
+
+  /**
+   * Whether an annotation is past its due date and not yet closed
+   */
+  isOverdue(annotation) {
+    if (!annotation.dueDate || this.getStatus(annotation.status).closed) return false;
+    
+    return annotation.dueDate < Utils.toDateInputValue();
+  }
+
+  /**
+   * Append a status transition to an annotation's history
+   */
+  recordStatusChange(annotation, from, to, at = new Date(), remarks = '') {
+    annotation.statusHistory.push({ from, to, at, remarks: this.getStatus(to).closed ? remarks : '' });
+    console.log(`🔁 ${annotation.id}: ${from || 'new'} → ${to}`);
+  }
+
+  /**
+   * Fill the status select with the current status and the statuses it can move to
+   * (new annotations can start in any status)
+   */
+  populateStatusOptions(currentStatus) {
+    const select = document.getElementById('annotation-status');
+    if (!select) return;
+    
+    const current = currentStatus ? this.getStatus(currentStatus) : null;
+    const allowed = current ?
+      [current, ...current.next.map(id => this.getStatus(id))] :
+      DISCREPANCY_STATUSES;
+    
+    select.innerHTML = allowed.map(status =>
+      `<option value="${status.id}">${status.icon} ${status.label}</option>`
+    ).join('');
+    select.value = current ? current.id : DISCREPANCY_STATUSES[0].id;
+    
+    this.updateClosingRemarksField();
+  }
+
+  /**
+   * Show closing remarks only when the selected status closes the discrepancy
+   */
+  updateClosingRemarksField() {
+    const select = document.getElementById('annotation-status');
+    const group = document.getElementById('closing-remarks-group');
+    if (!select || !group) return;
+    
+    group.style.display = this.getStatus(select.value).closed ? 'block' : 'none';
+  }
+
+  /**
+   * Show an annotation's status history in the modal
+   */
+  updateStatusHistory(annotation) {
+    const container = document.getElementById('annotation-status-history');
+    const list = document.getElementById('status-history-list');
+    if (!container || !list) return;
+    
+    const history = annotation?.statusHistory || [];
+    container.style.display = history.length > 0 ? 'block' : 'none';
+    
+    list.innerHTML = [...history].reverse().map(entry => {
+      const to = this.getStatus(entry.to);
+      const from = entry.from ? `${this.getStatus(entry.from).label} → ` : '';
+      return `
+        <li>
+          <span class="status-history-date">${entry.at.toLocaleString()}</span>
+          <span>${from}<strong>${to.icon} ${to.label}</strong></span>
+          ${entry.remarks ? `<small>${Utils.escapeHtml(entry.remarks)}</small>` : ''}
+        </li>
+      `;
+    }).join('');
   }
 
   /**
@@ -682,7 +932,9 @@ export class AnnotationSystem {
     
     const annotation = this.annotations.find(a => a.id === this.editingAnnotationId);
     if (annotation) {
+      const before = this.captureState();
       this.removeAnnotation(annotation);
+      this.history?.record(`Delete ${annotation.id}`, this, before);
     }
     
     this.closeModal();
@@ -709,6 +961,7 @@ export class AnnotationSystem {
       this.annotations.splice(index, 1);
     }
     
+    this.updateDiscrepancyManager();
     console.log(`🗑️ Removed annotation: ${annotation.id}`);
   }
 
@@ -774,6 +1027,467 @@ export class AnnotationSystem {
     console.log(`📍 Annotation units updated to: ${newUnits}`);
   }
 
+  /**
+   * Create the discrepancy manager modal
+   */
+  createDiscrepancyManagerModal() {
+    const yesNoFilter = (filter, any, yes, no) => `
+      <select data-filter="${filter}">
+        <option value="">${any}</option>
+        <option value="yes">${yes}</option>
+        <option value="no">${no}</option>
+      </select>
+    `;
+    
+    const managerHTML = `
+      <div id="discrepancy-manager-modal" class="modal">
+        <div class="modal-content">
+          <span class="close">&times;</span>
+          <h2>📋 Discrepancy Manager</h2>
+          
+          <div class="discrepancy-filters">
+            <input type="search" id="discrepancy-search" placeholder="Search title, description and assignee">
+            <select id="discrepancy-filter-type" data-filter="type"></select>
+            <select id="discrepancy-filter-severity" data-filter="severity"></select>
+            <select data-filter="status">
+              <option value="">Status: any</option>
+              <option value="unclosed">Not closed</option>
+              <option value="overdue">Overdue</option>
+              ${DISCREPANCY_STATUSES.map(status => `<option value="${status.id}">${status.icon} ${status.label}</option>`).join('')}
+            </select>
+            ${yesNoFilter('ndt', 'NDT: any', 'NDT required', 'No NDT')}
+            ${yesNoFilter('abs', 'ABS: any', 'ABS required', 'No ABS')}
+            ${yesNoFilter('linked', 'Measurement: any', 'Linked', 'Not linked')}
+          </div>
+          
+          <div class="discrepancy-bulk-actions">
+            <span id="discrepancy-selection-count">0 selected</span>
+            <select id="discrepancy-bulk-severity"></select>
+            <button id="apply-bulk-severity" class="btn-small">Apply</button>
+            <button id="delete-selected-discrepancies" class="btn-small btn-danger">🗑️ Delete Selected</button>
+          </div>
+          
+          <div class="discrepancy-table-container">
+            <table class="discrepancy-table">
+              <thead>
+                <tr>
+                  <th><input type="checkbox" id="discrepancy-select-all" title="Select all shown"></th>
+                  <th data-sort="id">ID</th>
+                  <th data-sort="title">Title</th>
+                  <th data-sort="type">Type</th>
+                  <th data-sort="severity">Severity</th>
+                  <th data-sort="status">Status</th>
+                  <th data-sort="dueDate">Due</th>
+                  <th data-sort="ndtRequired">NDT</th>
+                  <th data-sort="absRequired">ABS</th>
+                  <th data-sort="linked">Measurement</th>
+                  <th data-sort="createdAt">Created</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody id="discrepancy-list">
+                <!-- Discrepancies will be populated here -->
+              </tbody>
+            </table>
+          </div>
+          
+          <div id="discrepancy-list-info" class="discrepancy-list-info"></div>
+          
+          <div class="modal-actions">
+            <button id="close-discrepancy-manager">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.insertAdjacentHTML('beforeend', managerHTML);
+    
+    const modal = document.getElementById('discrepancy-manager-modal');
+    modal.querySelector('.close').onclick = () => this.hideDiscrepancyManager();
+    document.getElementById('close-discrepancy-manager').onclick = () => this.hideDiscrepancyManager();
+    
+    document.getElementById('discrepancy-search').oninput = (e) => {
+      this.managerFilters.search = e.target.value;
+      this.updateDiscrepancyManager();
+    };
+    
+    modal.querySelectorAll('[data-filter]').forEach(select => {
+      select.onchange = () => {
+        this.managerFilters[select.dataset.filter] = select.value;
+        this.updateDiscrepancyManager();
+      };
+    });
+    
+    modal.querySelectorAll('th[data-sort]').forEach(header => {
+      header.onclick = () => this.setManagerSort(header.dataset.sort);
+    });
+    
+    document.getElementById('discrepancy-select-all').onchange = (e) => {
+      this.selectAllShownAnnotations(e.target.checked);
+    };
+    
+    // Row controls, delegated so annotation IDs never end up in handler code
+    const listContainer = document.getElementById('discrepancy-list');
+    listContainer.addEventListener('change', (e) => {
+      const row = e.target.closest('tr[data-annotation-id]');
+      if (row && e.target.matches('input[type="checkbox"]')) {
+        this.toggleAnnotationSelection(row.dataset.annotationId, e.target.checked);
+      }
+    });
+    listContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      const row = button?.closest('tr[data-annotation-id]');
+      if (!row) return;
+      
+      const actions = {
+        focus: id => this.focusFromManager(id),
+        edit: id => this.editFromManager(id),
+        delete: id => this.deleteAnnotationById(id)
+      };
+      actions[button.dataset.action]?.(row.dataset.annotationId);
+    });
+    
+    document.getElementById('apply-bulk-severity').onclick = () => {
+      this.setSelectedSeverity(document.getElementById('discrepancy-bulk-severity').value);
+    };
+    document.getElementById('delete-selected-discrepancies').onclick = () => this.deleteSelectedAnnotations();
+    
+    // Close on outside click
+    modal.onclick = (e) => {
+      if (e.target === modal) {
+        this.hideDiscrepancyManager();
+      }
+    };
+  }
+
+  /**
+   * Show the discrepancy manager
+   */
+  showDiscrepancyManager() {
+    this.populateManagerOptions();
+    this.updateDiscrepancyManager();
+    document.getElementById('discrepancy-manager-modal').style.display = 'block';
+  }
+
+  /**
+   * Hide the discrepancy manager
+   */
+  hideDiscrepancyManager() {
+    document.getElementById('discrepancy-manager-modal').style.display = 'none';
+  }
+
+  /**
+   * Taxonomy entries as select options, plus any values in use outside the taxonomy
+   */
+  getTaxonomyOptions(entries, key) {
+    const options = entries.map(entry => ({
+      value: entry.id,
+      label: entry.icon ? `${entry.icon} ${entry.label}` : entry.label
+    }));
+    
+    this.annotations.forEach(annotation => {
+      if (annotation[key] && !options.some(option => option.value === annotation[key])) {
+        options.push({ value: annotation[key], label: annotation[key] });
+      }
+    });
+    
+    return options;
+  }
+
+  /**
+   * Fill the type and severity selects of the discrepancy manager
+   */
+  populateManagerOptions() {
+    const fill = (selectId, placeholder, options, value) => {
+      const select = document.getElementById(selectId);
+      select.innerHTML = `<option value="">${placeholder}</option>` + options.map(option =>
+        `<option value="${Utils.escapeHtml(option.value)}">${Utils.escapeHtml(option.label)}</option>`
+      ).join('');
+      select.value = value;
+    };
+    
+    const types = this.getTaxonomyOptions(this.taxonomy.getTypes(), 'type');
+    const severities = this.getTaxonomyOptions(this.taxonomy.getSeverities(), 'severity');
+    
+    fill('discrepancy-filter-type', 'Type: any', types, this.managerFilters.type);
+    fill('discrepancy-filter-severity', 'Severity: any', severities, this.managerFilters.severity);
+    fill('discrepancy-bulk-severity', 'Set severity…', severities, '');
+  }
+
+  /**
+   * Check an annotation against the discrepancy manager filters
+   */
+  matchesManagerFilters(annotation) {
+    const filters = this.managerFilters;
+    const matchesFlag = (filter, value) => !filter || (filter === 'yes') === Boolean(value);
+    
+    const search = filters.search.trim().toLowerCase();
+    if (search && !`${annotation.title} ${annotation.description} ${annotation.assignee}`.toLowerCase().includes(search)) {
+      return false;
+    }
+    
+    return (!filters.type || annotation.type === filters.type) &&
+      (!filters.severity || annotation.severity === filters.severity) &&
+      this.matchesStatusFilter(annotation, filters.status) &&
+      matchesFlag(filters.ndt, annotation.ndtRequired) &&
+      matchesFlag(filters.abs, annotation.absRequired) &&
+      matchesFlag(filters.linked, annotation.linkedMeasurement);
+  }
+
+  /**
+   * Check an annotation against the status filter (a status ID, 'unclosed' or 'overdue')
+   */
+  matchesStatusFilter(annotation, filter) {
+    switch (filter) {
+      case '':
+        return true;
+      case 'unclosed':
+        return !this.getStatus(annotation.status).closed;
+      case 'overdue':
+        return this.isOverdue(annotation);
+      default:
+        return annotation.status === filter;
+    }
+  }
+
+  /**
+   * Value an annotation is sorted by in the discrepancy manager
+   */
+  getSortValue(annotation, key) {
+    switch (key) {
+      case 'severity':
+        return this.taxonomy.getSeverityRank(annotation.severity);
+      case 'status':
+        return DISCREPANCY_STATUSES.indexOf(this.getStatus(annotation.status));
+      case 'dueDate':
+        // Undated discrepancies sort last
+        return annotation.dueDate || '9999-12-31';
+      case 'linked':
+        return this.getLinkedMeasurementId(annotation);
+      case 'createdAt':
+        return annotation.createdAt.getTime();
+      case 'ndtRequired':
+      case 'absRequired':
+        return annotation[key] ? 1 : 0;
+      default:
+        return String(annotation[key] || '').toLowerCase();
+    }
+  }
+
+  /**
+   * ID of the measurement an annotation is linked to ('' if none)
+   */
+  getLinkedMeasurementId(annotation) {
+    const link = annotation.linkedMeasurement;
+    return link ? String(link.measurementId || (link.measurement || link).id || '') : '';
+  }
+
+  /**
+   * Sort the discrepancy manager by a column (again to reverse)
+   */
+  setManagerSort(key) {
+    if (this.managerSort.key === key) {
+      this.managerSort.direction *= -1;
+    } else {
+      this.managerSort = { key, direction: 1 };
+    }
+    
+    this.updateDiscrepancyManager();
+  }
+
+  /**
+   * Annotations shown in the discrepancy manager, filtered and sorted
+   */
+  getManagerAnnotations() {
+    const { key, direction } = this.managerSort;
+    
+    return this.annotations
+      .filter(annotation => this.matchesManagerFilters(annotation))
+      .sort((a, b) => {
+        const valueA = this.getSortValue(a, key);
+        const valueB = this.getSortValue(b, key);
+        const order = typeof valueA === 'number' ?
+          valueA - valueB :
+          valueA.localeCompare(valueB, undefined, { numeric: true });
+        return order * direction;
+      });
+  }
+
+  /**
+   * Refresh the discrepancy manager list
+   */
+  updateDiscrepancyManager() {
+    const listContainer = document.getElementById('discrepancy-list');
+    if (!listContainer) return;
+    
+    // Drop selections of annotations that no longer exist
+    const ids = new Set(this.annotations.map(annotation => annotation.id));
+    this.selectedAnnotationIds.forEach(id => {
+      if (!ids.has(id)) this.selectedAnnotationIds.delete(id);
+    });
+    
+    const shown = this.getManagerAnnotations();
+    const yesNo = value => value ? '✔' : '';
+    
+    document.querySelectorAll('#discrepancy-manager-modal th[data-sort]').forEach(header => {
+      const sorted = header.dataset.sort === this.managerSort.key;
+      header.classList.toggle('sorted', sorted);
+      header.dataset.direction = sorted ? (this.managerSort.direction > 0 ? 'asc' : 'desc') : '';
+    });
+    
+    if (shown.length === 0) {
+      listContainer.innerHTML = `
+        <tr>
+          <td colspan="12" class="empty-state">
+            <p>${this.annotations.length === 0 ? 'No discrepancies recorded' : 'No discrepancies match the filters'}</p>
+            ${this.annotations.length === 0 ? '<small>Use Discrepancy Annotate mode to add discrepancies</small>' : ''}
+          </td>
+        </tr>
+      `;
+    } else {
+      listContainer.innerHTML = shown.map(annotation => {
+        const id = Utils.escapeHtml(annotation.id);
+        const selected = this.selectedAnnotationIds.has(annotation.id);
+        const type = this.taxonomy.getType(annotation.type);
+        const severity = this.taxonomy.getSeverity(annotation.severity);
+        const status = this.getStatus(annotation.status);
+        
+        return `
+          <tr data-annotation-id="${id}" class="${selected ? 'selected' : ''}">
+            <td><input type="checkbox" ${selected ? 'checked' : ''}></td>
+            <td><strong>${id}</strong></td>
+            <td class="discrepancy-title" title="${Utils.escapeHtml(annotation.description)}">${Utils.escapeHtml(annotation.title)}</td>
+            <td>${Utils.escapeHtml(`${type.icon} ${type.label}`.trim())}</td>
+            <td><span class="severity-badge" style="background: ${severity?.color || '#6c757d'}">${Utils.escapeHtml(severity?.label || annotation.severity)}</span></td>
+            <td title="${Utils.escapeHtml(annotation.assignee || 'Unassigned')}">${status.icon} ${status.label}</td>
+            <td class="${this.isOverdue(annotation) ? 'discrepancy-overdue' : ''}">${Utils.escapeHtml(annotation.dueDate || '')}</td>
+            <td>${yesNo(annotation.ndtRequired)}</td>
+            <td>${yesNo(annotation.absRequired)}</td>
+            <td>${Utils.escapeHtml(this.getLinkedMeasurementId(annotation))}</td>
+            <td>${annotation.createdAt.toLocaleDateString()}</td>
+            <td class="discrepancy-actions">
+              <button class="btn-small" data-action="focus" title="Fly to view">🎯</button>
+              <button class="btn-small" data-action="edit" title="Edit">✏️</button>
+              <button class="btn-small btn-danger" data-action="delete" title="Delete">🗑️</button>
+            </td>
+          </tr>
+        `;
+      }).join('');
+    }
+    
+    const selectedShown = shown.filter(annotation => this.selectedAnnotationIds.has(annotation.id)).length;
+    const selectAll = document.getElementById('discrepancy-select-all');
+    selectAll.checked = shown.length > 0 && selectedShown === shown.length;
+    selectAll.indeterminate = selectedShown > 0 && selectedShown < shown.length;
+    
+    document.getElementById('discrepancy-selection-count').textContent = `${this.selectedAnnotationIds.size} selected`;
+    document.getElementById('discrepancy-list-info').textContent =
+      `Showing ${shown.length} of ${this.annotations.length} discrepancies`;
+  }
+
+  /**
+   * Select or deselect one annotation in the discrepancy manager
+   */
+  toggleAnnotationSelection(annotationId, selected) {
+    if (selected) {
+      this.selectedAnnotationIds.add(annotationId);
+    } else {
+      this.selectedAnnotationIds.delete(annotationId);
+    }
+    
+    this.updateDiscrepancyManager();
+  }
+
+  /**
+   * Select or deselect all annotations shown in the discrepancy manager
+   */
+  selectAllShownAnnotations(selected) {
+    this.getManagerAnnotations().forEach(annotation => {
+      if (selected) {
+        this.selectedAnnotationIds.add(annotation.id);
+      } else {
+        this.selectedAnnotationIds.delete(annotation.id);
+      }
+    });
+    
+    this.updateDiscrepancyManager();
+  }
+
+  /**
+   * Close the manager and fly to an annotation's recorded view
+   */
+  focusFromManager(annotationId) {
+    this.hideDiscrepancyManager();
+    this.focusOnAnnotation(annotationId);
+  }
+
+  /**
+   * Close the manager and open an annotation for editing
+   */
+  editFromManager(annotationId) {
+    const annotation = this.annotations.find(a => a.id === annotationId);
+    if (!annotation) return;
+    
+    this.hideDiscrepancyManager();
+    this.editAnnotation(annotation);
+  }
+
+  /**
+   * Delete a single annotation by ID (with confirmation)
+   */
+  deleteAnnotationById(annotationId) {
+    const annotation = this.annotations.find(a => a.id === annotationId);
+    if (!annotation) return;
+    
+    if (!confirm(`Delete discrepancy ${annotation.id}?`)) return;
+    
+    const before = this.captureState();
+    this.removeAnnotation(annotation);
+    this.history?.record(`Delete ${annotation.id}`, this, before);
+  }
+
+  /**
+   * Delete all selected annotations (with confirmation)
+   */
+  deleteSelectedAnnotations() {
+    const selected = this.annotations.filter(annotation => this.selectedAnnotationIds.has(annotation.id));
+    if (selected.length === 0) {
+      alert('No discrepancies selected');
+      return;
+    }
+    
+    if (!confirm(`Delete ${selected.length} selected discrepancies?`)) return;
+    
+    const before = this.captureState();
+    selected.forEach(annotation => this.removeAnnotation(annotation));
+    this.selectedAnnotationIds.clear();
+    this.history?.record(`Delete ${selected.length} discrepancies`, this, before);
+    
+    this.updateDiscrepancyManager();
+  }
+
+  /**
+   * Change the severity of all selected annotations
+   */
+  setSelectedSeverity(severity) {
+    const selected = this.annotations.filter(annotation => this.selectedAnnotationIds.has(annotation.id));
+    if (!severity || selected.length === 0) {
+      alert(selected.length === 0 ? 'No discrepancies selected' : 'Choose a severity first');
+      return;
+    }
+    
+    const before = this.captureState();
+    selected.forEach(annotation => {
+      annotation.severity = severity;
+      annotation.updatedAt = new Date();
+      this.updateAnnotationVisuals(annotation);
+    });
+    this.history?.record(`Set severity of ${selected.length} discrepancies`, this, before);
+    
+    this.updateDiscrepancyManager();
+    console.log(`📝 Set severity of ${selected.length} annotations to ${severity}`);
+  }
+
   /**
    * Get annotation data for export
    */
@@ -799,11 +1513,178 @@ export class AnnotationSystem {
         perimeter: (annotation.linkedMeasurement.measurement || annotation.linkedMeasurement).totalDistance
       } : null,
       color: `#${annotation.color.toString(16).padStart(6, '0')}`,
+      cameraPose: Utils.serializeCameraPose(annotation.cameraPose),
+      thumbnail: annotation.thumbnail || null,
+      status: annotation.status,
+      statusHistory: annotation.statusHistory.map(entry => ({
+        ...entry,
+        at: entry.at.toISOString()
+      })),
+      assignee: annotation.assignee || null,
+      dueDate: annotation.dueDate || null,
+      closingRemarks: annotation.closingRemarks || null,
+      photos: PhotoGallery.serialize(annotation.photos),
       createdAt: annotation.createdAt.toISOString(),
       updatedAt: annotation.updatedAt ? annotation.updatedAt.toISOString() : null
     }));
   }
 
+  /**
+   * Rebuild annotations from exported data (see getExportData)
+   * Linked measurements are resolved by ID against the given measurement list
+   */
+  importData(annotations = [], measurements = []) {
+    this.clearAllAnnotations();
+    
+    annotations.forEach(data => {
+      const link = data.linkedMeasurement;
+      const linkedMeasurement = link ? measurements.find(m => m.id === link.measurementId) : null;
+      
+      if (link && !linkedMeasurement) {
+        console.warn(`⚠️ Linked measurement ${link.measurementId} not found for annotation ${data.id}`);
+      }
+      
+      const annotation = {
+        id: data.id,
+        title: data.title || '',
+        type: data.type || this.taxonomy.getTypes()[0].id,
+        severity: this.taxonomy.normalizeSeverity(data.severity || this.taxonomy.getSeverities()[0].id),
+        description: data.description || '',
+        ndtRequired: Boolean(data.ndtRequired),
+        absRequired: Boolean(data.absRequired),
+        position: new THREE.Vector3(data.position.x, data.position.y, data.position.z),
+        linkedMeasurement: linkedMeasurement ? {
+          measurement: linkedMeasurement,
+          relationship: link.relationship || 'inside',
+          distance: link.distance || 0
+        } : null,
+        createdAt: Utils.parseDate(data.createdAt) || new Date(),
+        // Taxonomy colours win; keep the exported colour for types it does not know
+        color: data.color && !this.taxonomy.hasType(data.type) ?
+          parseInt(data.color.replace('#', ''), 16) :
+          this.taxonomy.getTypeColorHex(data.type),
+        cameraPose: Utils.parseCameraPose(data.cameraPose),
+        thumbnail: Utils.parseThumbnail(data.thumbnail),
+        status: this.getStatus(data.status).id,
+        // Entries without a valid date or status are dropped, they could not be exported again
+        statusHistory: (Array.isArray(data.statusHistory) ? data.statusHistory : [])
+          .filter(entry => entry && !isNaN(new Date(entry.at)) && DISCREPANCY_STATUSES.some(status => status.id === entry.to))
+          .map(entry => ({
+            from: entry.from || null,
+            to: entry.to,
+            at: new Date(entry.at),
+            remarks: String(entry.remarks || '')
+          })),
+        assignee: data.assignee || '',
+        // Due dates are date input values (YYYY-MM-DD)
+        dueDate: /^\d{4}-\d{2}-\d{2}$/.test(data.dueDate || '') ? data.dueDate : null,
+        closingRemarks: data.closingRemarks || '',
+        photos: PhotoGallery.parse(data.photos)
+      };
+      
+      // Reports from before repair tracking start with their current status
+      if (annotation.statusHistory.length === 0) {
+        annotation.statusHistory.push({ from: null, to: annotation.status, at: annotation.createdAt, remarks: '' });
+      }
+      
+      // Invalid dates are dropped, they would break every later export
+      const updatedAt = Utils.parseDate(data.updatedAt);
+      if (updatedAt) {
+        annotation.updatedAt = updatedAt;
+      }
+      
+      this.createAnnotationVisuals(annotation);
+      this.annotations.push(annotation);
+    });
+    
+    // Continue numbering after the highest imported ID
+    const maxId = Math.max(0, ...this.annotations.map(a => parseInt(a.id.replace(/\D/g, '')) || 0));
+    this.annotationIdCounter = maxId + 1;
+    
+    this.updateDiscrepancyManager();
+    console.log(`📥 Imported ${this.annotations.length} annotations`);
+  }
+
+  /**
+   * Remove all annotations without confirmation
+   */
+  clearAllAnnotations() {
+    [...this.annotations].forEach(annotation => {
+      this.removeAnnotation(annotation);
+    });
+    
+    this.annotations = [];
+  }
+
+  /**
+   * Snapshot all annotations for undo/redo
+   * Measurement links are stored by ID, since measurement objects may be rebuilt
+   */
+  captureState() {
+    return {
+      annotations: this.annotations.map(annotation => {
+        const data = HistoryManager.cloneItem(annotation, ['dot', 'labelDiv', 'linkedMeasurement']);
+        const link = annotation.linkedMeasurement;
+        
+        data.linkedMeasurement = link ? {
+          measurementId: (link.measurement || link).id,
+          relationship: link.relationship || 'inside',
+          distance: link.distance || 0
+        } : null;
+        
+        return data;
+      }),
+      annotationIdCounter: this.annotationIdCounter
+    };
+  }
+
+  /**
+   * Rebuild annotations from an undo/redo snapshot
+   */
+  restoreState(state) {
+    this.clearAllAnnotations();
+    
+    state.annotations.forEach(data => {
+      const annotation = HistoryManager.cloneItem(data);
+      annotation.linkedMeasurement = null;
+      
+      if (data.linkedMeasurement) {
+        annotation.linkedMeasurement = { ...data.linkedMeasurement };
+      }
+      
+      this.createAnnotationVisuals(annotation);
+      this.annotations.push(annotation);
+    });
+    
+    this.annotationIdCounter = state.annotationIdCounter;
+    this.relinkMeasurements(window.inspector3D?.measurement?.measurements || []);
+    this.updateDiscrepancyManager();
+  }
+
+  /**
+   * Point measurement links at the current measurement objects (by ID)
+   */
+  relinkMeasurements(measurements) {
+    this.annotations.forEach(annotation => {
+      const link = annotation.linkedMeasurement;
+      if (!link) return;
+      
+      const measurementId = link.measurementId || (link.measurement || link).id;
+      const measurement = measurements.find(m => m.id === measurementId);
+      
+      if (measurement) {
+        annotation.linkedMeasurement = {
+          measurement,
+          relationship: link.relationship || 'inside',
+          distance: link.distance || 0
+        };
+      } else if (!link.measurement) {
+        console.warn(`⚠️ Linked measurement ${measurementId} not found for annotation ${annotation.id}`);
+        annotation.linkedMeasurement = null;
+      }
+    });
+  }
+
   /**
    * Handle resize event
    */
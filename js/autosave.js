@@ -0,0 +1,434 @@
+/**
+ * AUTOSAVE.JS - Session Autosave and Crash Recovery
+ *
+ * Responsible for:
+ * - Saving session snapshots to IndexedDB after every change
+ * - Keying snapshots by the loaded model's file name and geometry hash
+ * - Pruning old snapshots per model
+ * - Storing photos once, outside the snapshots that reference them
+ * - Offering to restore the last unsaved session on startup
+ * - Snapshot picker modal
+ */
+
+import { Utils } from './utils.js';
+
+export class AutosaveManager {
+  constructor(exportManager, importManager) {
+    this.exportManager = exportManager;
+    this.importManager = importManager;
+
+    // State
+    this.db = null;
+    this.modelKey = null;
+    this.modelFile = null;
+    this.suspended = false;
+    this.savePending = false; // Changes not yet in a snapshot
+    this.hasSnapshots = false;
+    this.storedPhotoIds = new Set(); // Photos of the current model already in the photo store
+
+    // Settings
+    this.DB_NAME = 'inspector3d-autosave';
+    this.DB_VERSION = 2;
+    this.STORE_NAME = 'snapshots';
+    this.PHOTO_STORE_NAME = 'photos'; // Photo data by model key and photo ID
+    this.MAX_SNAPSHOTS_PER_MODEL = 20;
+    this.SAVE_DELAY = 1000; // ms after the last change
+
+    const saveLater = Utils.debounce(() => {
+      if (this.savePending) this.saveSnapshot();
+    }, this.SAVE_DELAY);
+    this.scheduleSave = () => {
+      this.savePending = true;
+      saveLater();
+    };
+  }
+
+  /**
+   * Initialize the autosave system
+   */
+  async init() {
+    console.log('💾 Initializing autosave...');
+
+    this.createRecoveryModal();
+
+    if (!window.indexedDB) {
+      console.warn('⚠️ IndexedDB not available, autosave disabled');
+      return;
+    }
+
+    try {
+      this.db = await this.openDatabase();
+      console.log('✅ Autosave initialized');
+    } catch (error) {
+      console.warn('⚠️ Could not open autosave database, autosave disabled:', error);
+    }
+  }
+
+  /**
+   * Open (and create on first use) the snapshot database
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+          const store = db.createObjectStore(this.STORE_NAME, {
+            keyPath: 'id',
+            autoIncrement: true
+          });
+          store.createIndex('modelKey', 'modelKey', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.PHOTO_STORE_NAME)) {
+          const photoStore = db.createObjectStore(this.PHOTO_STORE_NAME, { keyPath: ['modelKey', 'id'] });
+          photoStore.createIndex('modelKey', 'modelKey', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a request against the snapshot store (or another store)
+   */
+  runRequest(mode, createRequest, storeName = this.STORE_NAME) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, mode);
+      const request = createRequest(transaction.objectStore(storeName));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Set the model that snapshots are saved for
+   */
+  async setModel(fileName, hash) {
+    this.modelFile = fileName;
+    this.modelKey = `${fileName}#${hash}`;
+    this.storedPhotoIds.clear();
+
+    // Earlier changes were saved (see flush) or belong to the previous model
+    this.savePending = false;
+
+    const snapshots = await this.getSnapshots();
+    this.hasSnapshots = snapshots.length > 0;
+
+    console.log(`💾 Autosave key: ${this.modelKey} (${snapshots.length} snapshots)`);
+  }
+
+  /**
+   * Save pending changes right away (e.g. before another model is opened,
+   * so they are stored under the current model)
+   */
+  async flush() {
+    if (this.savePending) {
+      await this.saveSnapshot();
+    }
+  }
+
+  /**
+   * Save the current session as a new snapshot
+   */
+  async saveSnapshot() {
+    if (!this.db || !this.modelKey || this.suspended) return;
+    this.savePending = false;
+
+    // Nothing worth saving until the first change of a new session
+    if (!this.importManager.hasSessionData() && !this.hasSnapshots) return;
+
+    try {
+      const report = this.exportManager.generateReport();
+      const photoIds = await this.storePhotos(report);
+
+      await this.runRequest('readwrite', store => store.add({
+        modelKey: this.modelKey,
+        modelFile: this.modelFile,
+        savedAt: new Date().toISOString(),
+        exported: false,
+        photoIds: photoIds,
+        summary: {
+          measurements: report.measurements.length,
+          annotations: report.annotations.length,
+          referencePoints: report.referencePoints.points.length,
+          himpAssessments: report.himpAssessments.assessments.length,
+          viewpoints: report.viewpoints.length
+        },
+        report
+      }));
+
+      this.hasSnapshots = true;
+      await this.pruneSnapshots();
+
+      console.log(`💾 Session autosaved for ${this.modelFile}`);
+    } catch (error) {
+      console.error('❌ Autosave failed:', error);
+    }
+  }
+
+  /**
+   * Photo lists of a report (discrepancies and HIMP assessments)
+   */
+  getPhotoLists(report) {
+    return [
+      ...(report.annotations || []).map(annotation => annotation.photos || []),
+      ...(report.himpAssessments?.assessments || []).map(assessment => assessment.photos || [])
+    ];
+  }
+
+  /**
+   * Move the photo data of a report into the photo store, writing each photo
+   * once, so snapshots only hold photo metadata. Returns the photo IDs.
+   */
+  async storePhotos(report) {
+    const photoIds = new Set();
+
+    for (const photos of this.getPhotoLists(report)) {
+      for (const photo of photos) {
+        photoIds.add(photo.id);
+
+        if (!this.storedPhotoIds.has(photo.id)) {
+          const record = { modelKey: this.modelKey, id: photo.id, dataUrl: photo.dataUrl };
+          await this.runRequest('readwrite', store => store.put(record), this.PHOTO_STORE_NAME);
+          this.storedPhotoIds.add(photo.id);
+        }
+
+        delete photo.dataUrl;
+      }
+    }
+
+    return [...photoIds];
+  }
+
+  /**
+   * Put the stored photo data back into a snapshot's report.
+   * Snapshots saved before the photo store keep their photos inline.
+   */
+  async loadPhotos(snapshot) {
+    for (const photos of this.getPhotoLists(snapshot.report)) {
+      for (const photo of photos) {
+        if (photo.dataUrl) continue;
+
+        const record = await this.runRequest('readonly', store =>
+          store.get([snapshot.modelKey, photo.id]), this.PHOTO_STORE_NAME
+        );
+        photo.dataUrl = record?.dataUrl;
+      }
+    }
+  }
+
+  /**
+   * Delete stored photos of the current model that no snapshot references
+   */
+  async prunePhotos(snapshots) {
+    const referenced = new Set(snapshots.flatMap(snapshot => snapshot.photoIds || []));
+    const keys = await this.runRequest('readonly', store =>
+      store.index('modelKey').getAllKeys(this.modelKey), this.PHOTO_STORE_NAME
+    );
+
+    for (const key of keys) {
+      const [, photoId] = key;
+      if (referenced.has(photoId)) continue;
+
+      await this.runRequest('readwrite', store => store.delete(key), this.PHOTO_STORE_NAME);
+      this.storedPhotoIds.delete(photoId);
+    }
+  }
+
+  /**
+   * Get all snapshots for a model, newest first
+   */
+  async getSnapshots(modelKey = this.modelKey) {
+    if (!this.db || !modelKey) return [];
+
+    const snapshots = await this.runRequest('readonly', store =>
+      store.index('modelKey').getAll(modelKey)
+    );
+
+    return snapshots.sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * Get a single snapshot by ID
+   */
+  async getSnapshot(snapshotId) {
+    if (!this.db) return null;
+    return this.runRequest('readonly', store => store.get(snapshotId));
+  }
+
+  /**
+   * Keep only the newest snapshots (and the photos they use) for the current model
+   */
+  async pruneSnapshots() {
+    const snapshots = await this.getSnapshots();
+    const expired = snapshots.slice(this.MAX_SNAPSHOTS_PER_MODEL);
+
+    for (const snapshot of expired) {
+      await this.runRequest('readwrite', store => store.delete(snapshot.id));
+    }
+
+    if (expired.length > 0) {
+      await this.prunePhotos(snapshots.slice(0, this.MAX_SNAPSHOTS_PER_MODEL));
+    }
+  }
+
+  /**
+   * Mark the newest snapshot as exported, so it is not offered for recovery
+   */
+  async markExported() {
+    // Snapshot the exported state itself, a debounced save may still be pending
+    await this.saveSnapshot();
+
+    const [latest] = await this.getSnapshots();
+    if (!latest) return;
+
+    latest.exported = true;
+    await this.runRequest('readwrite', store => store.put(latest));
+  }
+
+  /**
+   * Delete all snapshots for the current model
+   */
+  async deleteSnapshots() {
+    const snapshots = await this.getSnapshots();
+
+    for (const snapshot of snapshots) {
+      await this.runRequest('readwrite', store => store.delete(snapshot.id));
+    }
+    await this.prunePhotos([]);
+
+    this.hasSnapshots = false;
+    console.log(`🗑️ Deleted ${snapshots.length} autosave snapshots for ${this.modelFile}`);
+  }
+
+  /**
+   * Find snapshots that hold an unsaved session (newest not yet exported)
+   */
+  async getRecoverableSnapshots() {
+    const snapshots = await this.getSnapshots();
+    const [latest] = snapshots;
+
+    if (!latest || latest.exported) return [];
+
+    const summary = latest.summary;
+    const hasData = summary.measurements + summary.annotations +
+      summary.referencePoints + summary.himpAssessments + (summary.viewpoints || 0) > 0;
+
+    return hasData ? snapshots : [];
+  }
+
+  /**
+   * Restore a snapshot into the current session
+   */
+  async restoreSnapshot(snapshotId) {
+    const snapshot = await this.getSnapshot(snapshotId);
+    if (!snapshot) {
+      throw new Error('Snapshot not found');
+    }
+
+    await this.loadPhotos(snapshot);
+
+    // Rebuilding the session must not create new snapshots
+    this.suspended = true;
+    try {
+      return this.importManager.importReport(snapshot.report);
+    } finally {
+      this.suspended = false;
+    }
+  }
+
+  /**
+   * Create the recovery modal
+   */
+  createRecoveryModal() {
+    const modalHTML = `
+      <div id="autosave-modal" class="modal">
+        <div class="modal-content">
+          <h2>💾 Restore Unsaved Session?</h2>
+          <p class="autosave-intro">
+            An unsaved session was found for <strong id="autosave-model-name"></strong>.
+            Choose a snapshot to restore, or start a fresh session.
+          </p>
+
+          <div id="autosave-snapshot-list" class="autosave-snapshot-list">
+            <!-- Snapshots will be populated here -->
+          </div>
+
+          <div class="modal-actions">
+            <button id="restore-autosave">↩️ Restore Selected</button>
+            <button id="discard-autosave">Start Fresh</button>
+            <button id="delete-autosave" class="btn-danger">🗑️ Delete Snapshots</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+  }
+
+  /**
+   * Show the recovery modal and wait for the user's choice.
+   * Resolves with the chosen snapshot ID, or null to start fresh.
+   */
+  showRecoveryModal(snapshots) {
+    const modal = document.getElementById('autosave-modal');
+    const listContainer = document.getElementById('autosave-snapshot-list');
+
+    document.getElementById('autosave-model-name').textContent = this.modelFile;
+
+    listContainer.innerHTML = snapshots.map((snapshot, index) => {
+      const summary = snapshot.summary;
+      return `
+        <label class="autosave-snapshot-item">
+          <input type="radio" name="autosave-snapshot" value="${snapshot.id}" ${index === 0 ? 'checked' : ''}>
+          <div class="autosave-snapshot-details">
+            <strong>${new Date(snapshot.savedAt).toLocaleString()}</strong>
+            ${snapshot.exported ? '<span class="autosave-exported">exported</span>' : ''}
+            <small>
+              ${summary.measurements} measurements · ${summary.annotations} discrepancies ·
+              ${summary.referencePoints} reference points · ${summary.himpAssessments} HIMP
+            </small>
+          </div>
+        </label>
+      `;
+    }).join('');
+
+    modal.style.display = 'block';
+
+    return new Promise(resolve => {
+      const close = (result) => {
+        modal.style.display = 'none';
+        resolve(result);
+      };
+
+      document.getElementById('restore-autosave').onclick = () => {
+        const selected = listContainer.querySelector('input[name="autosave-snapshot"]:checked');
+        close(selected ? parseInt(selected.value) : null);
+      };
+
+      document.getElementById('discard-autosave').onclick = () => close(null);
+
+      document.getElementById('delete-autosave').onclick = async () => {
+        if (!confirm(`Delete all ${snapshots.length} saved snapshots for ${this.modelFile}?`)) return;
+        await this.deleteSnapshots();
+        close(null);
+      };
+    });
+  }
+
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
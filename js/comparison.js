@@ -0,0 +1,751 @@
+/**
+ * COMPARISON.JS - Inspection Session Comparison
+ *
+ * Responsible for:
+ * - Loading a previous session report next to the current session
+ * - Matching discrepancies, HIMP assessments and measurements by surface ID and position
+ * - Classifying findings as new, worse, improved, changed, unchanged or no longer present
+ * - Highlighting the differences in the 3D view
+ * - Comparison modal and downloadable diff report (JSON)
+ */
+
+import * as THREE from 'three';
+import { Utils } from './utils.js';
+
+export class SessionComparison {
+  constructor(scene, camera, renderer, exportManager, importManager) {
+    this.scene = scene;
+    this.camera = camera;
+    this.renderer = renderer;
+    this.exportManager = exportManager;
+    this.importManager = importManager;
+
+    // State
+    this.previousReport = null;
+    this.previousFileName = null;
+    this.result = null; // { discrepancies, himp, measurements } lists of compared findings
+    this.markersVisible = true;
+    this.showUnchanged = false;
+    this.tolerance = 0.25; // Model units
+
+    // Scene objects
+    this.markerGroup = new THREE.Group();
+    this.markerGroup.name = 'SessionComparison';
+    this.labels = []; // { div, position }
+
+    // Settings
+    this.MARKER_RADIUS = 0.06;
+    this.MEASUREMENT_CHANGE_RATIO = 0.05; // Relative length/area change reported as changed
+    this.CHANGES = {
+      new: { label: 'New', icon: '🆕', color: 0xe53935 },
+      worse: { label: 'Worse', icon: '🔺', color: 0xfb8c00 },
+      improved: { label: 'Improved', icon: '🔻', color: 0x43a047 },
+      changed: { label: 'Changed', icon: '✏️', color: 0x1e88e5 },
+      unchanged: { label: 'Unchanged', icon: '＝', color: 0x9e9e9e },
+      resolved: { label: 'No longer present', icon: '✔', color: 0x757575 }
+    };
+    this.KINDS = {
+      discrepancies: 'Discrepancy',
+      himp: 'HIMP',
+      measurements: 'Measurement'
+    };
+  }
+
+  /**
+   * Initialize session comparison
+   */
+  async init() {
+    console.log('🔀 Initializing session comparison...');
+
+    this.scene.add(this.markerGroup);
+    this.createComparisonModal();
+
+    console.log('✅ Session comparison initialized');
+  }
+
+  /**
+   * Create the comparison modal
+   */
+  createComparisonModal() {
+    const modalHTML = `
+      <div id="comparison-modal" class="modal">
+        <div class="modal-content">
+          <span class="close">&times;</span>
+          <h2>🔀 Compare Sessions</h2>
+
+          <div class="comparison-source">
+            <button id="load-previous-session">📂 Load Previous Report</button>
+            <input type="file" id="previous-session-input" accept=".json" style="display: none;">
+            <span id="previous-session-info">No previous report loaded</span>
+          </div>
+
+          <div class="comparison-options">
+            <label>
+              Match distance:
+              <input type="number" id="comparison-tolerance" min="0.001" step="0.05" value="${this.tolerance}">
+              <span id="comparison-tolerance-units"></span>
+            </label>
+            <label><input type="checkbox" id="comparison-show-unchanged"> Show unchanged</label>
+            <label><input type="checkbox" id="comparison-show-markers" checked> Highlight in 3D</label>
+          </div>
+
+          <div id="comparison-summary" class="comparison-summary">
+            <!-- Change counts will be populated here -->
+          </div>
+
+          <div class="comparison-table-container">
+            <table class="comparison-table">
+              <thead>
+                <tr>
+                  <th>Finding</th>
+                  <th>Previous</th>
+                  <th>Current</th>
+                  <th>Change</th>
+                  <th>Details</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody id="comparison-list">
+                <!-- Compared findings will be populated here -->
+              </tbody>
+            </table>
+          </div>
+
+          <div class="modal-actions">
+            <button id="export-comparison">💾 Export Diff Report</button>
+            <button id="clear-comparison" class="btn-danger">🗑️ Clear Comparison</button>
+            <button id="close-comparison">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+    const modal = document.getElementById('comparison-modal');
+    const fileInput = document.getElementById('previous-session-input');
+
+    modal.querySelector('.close').onclick = () => this.hideComparisonModal();
+    document.getElementById('close-comparison').onclick = () => this.hideComparisonModal();
+    document.getElementById('load-previous-session').onclick = () => fileInput.click();
+    document.getElementById('export-comparison').onclick = () => this.downloadDiffReport();
+    document.getElementById('clear-comparison').onclick = () => this.clearComparison();
+
+    fileInput.onchange = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+
+      try {
+        await this.loadPreviousFromFile(file);
+      } catch (error) {
+        console.error('❌ Failed to load previous session:', error);
+        window.inspector3D?.showError('Failed to load previous session: ' + error.message);
+      }
+    };
+
+    document.getElementById('comparison-tolerance').onchange = (e) => {
+      const tolerance = parseFloat(e.target.value);
+      if (!(tolerance > 0)) {
+        e.target.value = this.tolerance;
+        return;
+      }
+      this.tolerance = tolerance;
+      this.compare();
+    };
+
+    document.getElementById('comparison-show-unchanged').onchange = (e) => {
+      this.showUnchanged = e.target.checked;
+      this.updateMarkers();
+      this.updateComparisonModal();
+    };
+
+    document.getElementById('comparison-show-markers').onchange = (e) => {
+      this.setMarkersVisible(e.target.checked);
+    };
+
+    // Close on outside click
+    modal.onclick = (e) => {
+      if (e.target === modal) {
+        this.hideComparisonModal();
+      }
+    };
+  }
+
+  /**
+   * Show the comparison modal (re-comparing against the current session)
+   */
+  showComparisonModal() {
+    if (this.previousReport) {
+      this.compare();
+    } else {
+      this.updateComparisonModal();
+    }
+
+    document.getElementById('comparison-tolerance-units').textContent = Utils.getMeshUnits();
+    document.getElementById('comparison-modal').style.display = 'block';
+  }
+
+  /**
+   * Hide the comparison modal
+   */
+  hideComparisonModal() {
+    document.getElementById('comparison-modal').style.display = 'none';
+  }
+
+  /**
+   * Load a previous session report from a file and compare it
+   */
+  async loadPreviousFromFile(file) {
+    let report;
+    try {
+      report = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not valid JSON`);
+    }
+
+    this.loadPrevious(report, file.name);
+  }
+
+  /**
+   * Use a generateReport() object as the previous session
+   */
+  loadPrevious(report, fileName = null) {
+    const validation = this.importManager.validateReport(report);
+    if (!validation.isValid) {
+      throw new Error(`Invalid inspection report: ${validation.issues.join(', ')}`);
+    }
+
+    this.previousReport = report;
+    this.previousFileName = fileName;
+
+    const currentModel = this.exportManager.getModelFileName();
+    const previousModel = report.metadata?.modelFile;
+    if (previousModel && currentModel && previousModel !== currentModel) {
+      window.inspector3D?.ui?.showWarning(`Previous session was recorded on ${Utils.escapeHtml(previousModel)}, positions are compared as-is`);
+    }
+
+    console.log(`🔀 Loaded previous session: ${fileName || 'report'}`);
+    this.compare();
+  }
+
+  /**
+   * Compare the previous report against the current session
+   */
+  compare() {
+    if (!this.previousReport) return null;
+
+    const previous = this.previousReport;
+    const current = this.getCurrentData();
+
+    this.result = {
+      discrepancies: this.compareDiscrepancies(previous.annotations || [], current.discrepancies),
+      himp: this.compareHimp(this.getLatestPerSurface(previous.himpAssessments?.assessments || []), this.getLatestPerSurface(current.himp)),
+      measurements: this.compareMeasurements(previous.measurements || [], current.measurements)
+    };
+
+    this.updateMarkers();
+    this.updateComparisonModal();
+
+    const summary = this.getSummary();
+    console.log('🔀 Session comparison:', summary);
+    return this.result;
+  }
+
+  /**
+   * Current session findings, in the same format as a report
+   */
+  getCurrentData() {
+    const { annotationSystem, himpSystem, measurementSystem } = this.exportManager;
+
+    return {
+      discrepancies: annotationSystem ? annotationSystem.getExportData() : [],
+      himp: himpSystem ? himpSystem.getExportData().himpAssessments : [],
+      measurements: measurementSystem ? measurementSystem.getExportData() : []
+    };
+  }
+
+  /**
+   * Latest assessment of each surface (sessions may hold several surveys per surface)
+   */
+  getLatestPerSurface(assessments) {
+    const dateOf = assessment => new Date(assessment.assessedAt || assessment.createdAt || 0).getTime();
+    const latest = new Map();
+
+    assessments.forEach(assessment => {
+      const current = latest.get(assessment.surfaceId);
+      if (!current || dateOf(assessment) > dateOf(current)) {
+        latest.set(assessment.surfaceId, assessment);
+      }
+    });
+
+    return [...latest.values()];
+  }
+
+  /**
+   * Pair previous and current findings.
+   * Findings with the same key are paired first, the rest by nearest position
+   * within the match distance. Returns { pairs, added, removed }.
+   */
+  matchFindings(previous, current, { getKey = null, getPosition, isCompatible = () => true }) {
+    const pairs = [];
+    const unmatchedPrevious = new Set(previous);
+    const unmatchedCurrent = new Set(current);
+
+    if (getKey) {
+      const byKey = new Map();
+      previous.forEach(item => {
+        const key = getKey(item);
+        if (key && !byKey.has(key)) byKey.set(key, item);
+      });
+
+      current.forEach(item => {
+        const match = byKey.get(getKey(item));
+        if (match && unmatchedPrevious.has(match)) {
+          pairs.push({ previous: match, current: item, distance: getPosition(match).distanceTo(getPosition(item)) });
+          unmatchedPrevious.delete(match);
+          unmatchedCurrent.delete(item);
+        }
+      });
+    }
+
+    // Nearest pairs first, each finding used once
+    const candidates = [];
+    unmatchedPrevious.forEach(previousItem => {
+      unmatchedCurrent.forEach(currentItem => {
+        if (!isCompatible(previousItem, currentItem)) return;
+
+        const distance = getPosition(previousItem).distanceTo(getPosition(currentItem));
+        if (distance <= this.tolerance) {
+          candidates.push({ previous: previousItem, current: currentItem, distance });
+        }
+      });
+    });
+
+    candidates
+      .sort((a, b) => a.distance - b.distance)
+      .forEach(candidate => {
+        if (!unmatchedPrevious.has(candidate.previous) || !unmatchedCurrent.has(candidate.current)) return;
+
+        pairs.push(candidate);
+        unmatchedPrevious.delete(candidate.previous);
+        unmatchedCurrent.delete(candidate.current);
+      });
+
+    return {
+      pairs,
+      added: [...unmatchedCurrent],
+      removed: [...unmatchedPrevious]
+    };
+  }
+
+  /**
+   * Build the compared finding list from matched pairs
+   */
+  buildFindings(match, getPosition, classifyPair) {
+    const toFinding = (change, previous, current, details = []) => ({
+      change,
+      previous,
+      current,
+      position: getPosition(current || previous),
+      details
+    });
+
+    return [
+      ...match.added.map(current => toFinding('new', null, current)),
+      ...match.pairs.map(({ previous, current, distance }) => {
+        const { change, details } = classifyPair(previous, current);
+        if (distance > 0.001) {
+          details.push(`Moved ${Utils.formatDistance(distance, false)}`);
+        }
+        return toFinding(change, previous, current, details);
+      }),
+      ...match.removed.map(previous => toFinding('resolved', previous, null))
+    ];
+  }
+
+  /**
+   * Compare discrepancies by position; severity drives worse / improved
+   */
+  compareDiscrepancies(previous, current) {
+    const taxonomy = this.exportManager.taxonomy;
+    const getPosition = item => this.toVector(item.position);
+
+    const match = this.matchFindings(previous, current, { getPosition });
+
+    return this.buildFindings(match, getPosition, (before, after) => {
+      const details = [];
+      const rankBefore = taxonomy.getSeverityRank(before.severity);
+      const rankAfter = taxonomy.getSeverityRank(after.severity);
+      const severityBefore = taxonomy.getSeverityLabel(before.severity);
+      const severityAfter = taxonomy.getSeverityLabel(after.severity);
+
+      if (severityBefore !== severityAfter) {
+        details.push(`Severity ${severityBefore} → ${severityAfter}`);
+      }
+      if (before.type !== after.type) {
+        details.push(`Type ${taxonomy.getType(before.type).label} → ${taxonomy.getType(after.type).label}`);
+      }
+      if ((before.status || 'open') !== (after.status || 'open')) {
+        const annotationSystem = this.exportManager.annotationSystem;
+        details.push(`Status ${annotationSystem.getStatus(before.status).label} → ${annotationSystem.getStatus(after.status).label}`);
+      }
+
+      let change = details.length > 0 ? 'changed' : 'unchanged';
+      if (rankBefore !== -1 && rankAfter !== -1 && rankAfter !== rankBefore) {
+        change = rankAfter > rankBefore ? 'worse' : 'improved';
+      }
+
+      return { change, details };
+    });
+  }
+
+  /**
+   * Compare HIMP assessments by surface ID, then position; max score drives worse / improved
+   */
+  compareHimp(previous, current) {
+    const categories = this.exportManager.himpSystem?.himpCategories || {};
+    const getPosition = item => this.toVector(item.position);
+    const getKey = item => String(item.surfaceId || '').trim().toLowerCase();
+
+    const match = this.matchFindings(previous, current, { getKey, getPosition });
+
+    return this.buildFindings(match, getPosition, (before, after) => {
+      const details = [];
+      const scoresBefore = before.himpScores || {};
+      const scoresAfter = after.himpScores || {};
+
+      new Set([...Object.keys(scoresBefore), ...Object.keys(scoresAfter)]).forEach(key => {
+        if (scoresBefore[key] !== scoresAfter[key]) {
+          details.push(`${categories[key]?.label || key} ${scoresBefore[key] ?? '-'} → ${scoresAfter[key] ?? '-'}`);
+        }
+      });
+
+      let change = details.length > 0 ? 'changed' : 'unchanged';
+      if (after.maxScore !== before.maxScore) {
+        change = after.maxScore > before.maxScore ? 'worse' : 'improved';
+        details.unshift(`Max score ${before.maxScore} → ${after.maxScore}`);
+      }
+
+      return { change, details };
+    });
+  }
+
+  /**
+   * Compare measurements of the same type by centroid; length or area changes are reported
+   */
+  compareMeasurements(previous, current) {
+    const getPosition = item => this.getCentroid(item.points || []);
+    const isCompatible = (a, b) => (a.type || 'distance') === (b.type || 'distance');
+
+    const match = this.matchFindings(previous, current, { getPosition, isCompatible });
+
+    return this.buildFindings(match, getPosition, (before, after) => {
+      const details = [];
+      const changed = (a, b) => Math.abs(b - a) > Math.max(Math.abs(a), Math.abs(b)) * this.MEASUREMENT_CHANGE_RATIO;
+
+      if (changed(before.totalDistance || 0, after.totalDistance || 0)) {
+        details.push(`Length ${Utils.formatDistance(before.totalDistance || 0, false)} → ${Utils.formatDistance(after.totalDistance || 0, false)}`);
+      }
+      if ((before.area || after.area) && changed(before.area || 0, after.area || 0)) {
+        details.push(`Area ${Utils.formatArea(before.area || 0, false)} → ${Utils.formatArea(after.area || 0, false)}`);
+      }
+
+      return { change: details.length > 0 ? 'changed' : 'unchanged', details };
+    });
+  }
+
+  /**
+   * Plain {x, y, z} as a vector
+   */
+  toVector(position) {
+    return new THREE.Vector3(position?.x || 0, position?.y || 0, position?.z || 0);
+  }
+
+  /**
+   * Centroid of exported measurement points
+   */
+  getCentroid(points) {
+    const centroid = new THREE.Vector3();
+    points.forEach(point => centroid.add(this.toVector(point)));
+    return points.length > 0 ? centroid.divideScalar(points.length) : centroid;
+  }
+
+  /**
+   * Display ID of a finding
+   */
+  getFindingId(kind, item) {
+    if (!item) return '';
+    return kind === 'himp' ? `${item.id} (${item.surfaceId})` : String(item.id);
+  }
+
+  /**
+   * Count findings per kind and change
+   */
+  getSummary() {
+    if (!this.result) return null;
+
+    const summary = {};
+    Object.entries(this.result).forEach(([kind, findings]) => {
+      summary[kind] = {};
+      Object.keys(this.CHANGES).forEach(change => {
+        summary[kind][change] = findings.filter(finding => finding.change === change).length;
+      });
+    });
+
+    return summary;
+  }
+
+  /**
+   * Compared findings shown in the list and the 3D view
+   */
+  getShownFindings() {
+    if (!this.result) return [];
+
+    return Object.entries(this.result).flatMap(([kind, findings]) =>
+      findings
+        .filter(finding => this.showUnchanged || finding.change !== 'unchanged')
+        .map(finding => ({ kind, ...finding }))
+    );
+  }
+
+  /**
+   * Rebuild the 3D highlight markers and labels
+   */
+  updateMarkers() {
+    this.clearMarkers();
+    if (!this.result) return;
+
+    this.getShownFindings().forEach(finding => {
+      const change = this.CHANGES[finding.change];
+      const resolved = finding.change === 'resolved';
+
+      const marker = new THREE.Mesh(
+        new THREE.SphereGeometry(this.MARKER_RADIUS, 16, 12),
+        new THREE.MeshBasicMaterial({
+          color: change.color,
+          transparent: true,
+          opacity: resolved ? 0.6 : 0.35,
+          wireframe: resolved,
+          depthTest: false
+        })
+      );
+      marker.position.copy(finding.position);
+      marker.renderOrder = 998;
+      marker.userData = { type: 'comparisonMarker' };
+      this.markerGroup.add(marker);
+
+      const div = document.createElement('div');
+      div.className = `comparison-label comparison-${finding.change}`;
+      div.style.borderColor = `#${change.color.toString(16).padStart(6, '0')}`;
+      div.textContent = `${change.icon} ${this.getFindingId(finding.kind, finding.current || finding.previous)}`;
+      div.title = [change.label, ...finding.details].join('\n');
+      div.style.display = this.markersVisible ? 'block' : 'none';
+      document.body.appendChild(div);
+
+      this.labels.push({ div, position: finding.position });
+    });
+
+    this.markerGroup.visible = this.markersVisible;
+    this.updateLabelPositions();
+  }
+
+  /**
+   * Remove all highlight markers and labels
+   */
+  clearMarkers() {
+    this.markerGroup.children.forEach(marker => {
+      marker.geometry.dispose();
+      marker.material.dispose();
+    });
+    this.markerGroup.clear();
+
+    this.labels.forEach(label => label.div.remove());
+    this.labels = [];
+  }
+
+  /**
+   * Show or hide the 3D highlights
+   */
+  setMarkersVisible(visible) {
+    this.markersVisible = visible;
+    this.markerGroup.visible = visible;
+    this.labels.forEach(label => {
+      label.div.style.display = visible ? 'block' : 'none';
+    });
+  }
+
+  /**
+   * Keep labels over their findings (called in the render loop)
+   */
+  updateLabelPositions() {
+    if (!this.markersVisible) return;
+
+    this.labels.forEach(label => {
+      const screenPos = Utils.projectToScreen(label.position, this.camera, this.renderer);
+      label.div.style.left = `${screenPos.x}px`;
+      label.div.style.top = `${screenPos.y}px`;
+    });
+  }
+
+  /**
+   * Refresh the modal summary and finding list
+   */
+  updateComparisonModal() {
+    const info = document.getElementById('previous-session-info');
+    const summaryContainer = document.getElementById('comparison-summary');
+    const listContainer = document.getElementById('comparison-list');
+    if (!info || !summaryContainer || !listContainer) return;
+
+    if (!this.previousReport) {
+      info.textContent = 'No previous report loaded';
+      summaryContainer.innerHTML = '';
+      listContainer.innerHTML = `
+        <tr>
+          <td colspan="6" class="empty-state">
+            <p>Load a previous session report to compare</p>
+            <small>Use a report exported with 💾 from an earlier survey</small>
+          </td>
+        </tr>
+      `;
+      return;
+    }
+
+    const exportedAt = this.previousReport.exportedAt ? new Date(this.previousReport.exportedAt).toLocaleString() : 'unknown date';
+    info.textContent = `${this.previousFileName || 'Previous report'} (${exportedAt})`;
+
+    const summary = this.getSummary();
+    summaryContainer.innerHTML = Object.entries(summary).map(([kind, counts]) => `
+      <div class="comparison-summary-row">
+        <strong>${this.KINDS[kind]}</strong>
+        ${Object.entries(counts)
+          .filter(([change, count]) => count > 0 && (this.showUnchanged || change !== 'unchanged'))
+          .map(([change, count]) => `<span class="comparison-chip comparison-${change}">${this.CHANGES[change].icon} ${count} ${this.CHANGES[change].label.toLowerCase()}</span>`)
+          .join('') || '<span class="comparison-none">no differences</span>'}
+      </div>
+    `).join('');
+
+    const findings = this.getShownFindings();
+    if (findings.length === 0) {
+      listContainer.innerHTML = `
+        <tr>
+          <td colspan="6" class="empty-state">
+            <p>No differences between the sessions</p>
+          </td>
+        </tr>
+      `;
+      return;
+    }
+
+    listContainer.innerHTML = findings.map((finding, index) => {
+      const change = this.CHANGES[finding.change];
+      return `
+        <tr class="comparison-${finding.change}">
+          <td>${this.KINDS[finding.kind]}</td>
+          <td>${Utils.escapeHtml(this.getFindingId(finding.kind, finding.previous)) || '-'}</td>
+          <td>${Utils.escapeHtml(this.getFindingId(finding.kind, finding.current)) || '-'}</td>
+          <td><span class="comparison-chip comparison-${finding.change}">${change.icon} ${change.label}</span></td>
+          <td>${finding.details.map(detail => Utils.escapeHtml(detail)).join('<br>')}</td>
+          <td><button class="btn-small" onclick="window.inspector3D?.comparison?.focusOnFinding(${index})" title="Show in 3D">🎯</button></td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Close the modal and move the camera to a listed finding
+   */
+  focusOnFinding(index) {
+    const finding = this.getShownFindings()[index];
+    const controls = window.inspector3D?.controls;
+    if (!finding || !controls) return;
+
+    this.hideComparisonModal();
+
+    // Keep the current viewing direction and distance
+    const offset = this.camera.position.clone().sub(controls.controls.target);
+    controls.animateTo(finding.position.clone().add(offset), finding.position.clone());
+  }
+
+  /**
+   * Diff report of the last comparison
+   */
+  getDiffReport() {
+    if (!this.result) return null;
+
+    const toXYZ = v => ({ x: v.x, y: v.y, z: v.z });
+    const describe = (kind, finding) => ({
+      change: finding.change,
+      previousId: finding.previous?.id ?? null,
+      currentId: finding.current?.id ?? null,
+      ...(kind === 'discrepancies' ? {
+        severity: { previous: finding.previous?.severity ?? null, current: finding.current?.severity ?? null }
+      } : {}),
+      ...(kind === 'himp' ? {
+        surfaceId: (finding.current || finding.previous).surfaceId,
+        maxScore: { previous: finding.previous?.maxScore ?? null, current: finding.current?.maxScore ?? null }
+      } : {}),
+      details: finding.details,
+      position: toXYZ(finding.position)
+    });
+
+    return {
+      comparedAt: new Date().toISOString(),
+      previous: {
+        file: this.previousFileName,
+        modelFile: this.previousReport.metadata?.modelFile || null,
+        exportedAt: this.previousReport.exportedAt || null
+      },
+      current: {
+        modelFile: this.exportManager.getModelFileName()
+      },
+      matchDistance: this.tolerance,
+      units: Utils.getMeshUnits(),
+      summary: this.getSummary(),
+      discrepancies: this.result.discrepancies.map(finding => describe('discrepancies', finding)),
+      himpAssessments: this.result.himp.map(finding => describe('himp', finding)),
+      measurements: this.result.measurements.map(finding => describe('measurements', finding))
+    };
+  }
+
+  /**
+   * Download the diff report as JSON
+   */
+  downloadDiffReport() {
+    const report = this.getDiffReport();
+    if (!report) {
+      alert('Load a previous session report first');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = `session-diff-${Date.now()}.json`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    console.log('💾 Session diff report exported');
+  }
+
+  /**
+   * Drop the previous session and its highlights
+   */
+  clearComparison() {
+    this.previousReport = null;
+    this.previousFileName = null;
+    this.result = null;
+
+    this.clearMarkers();
+    this.updateComparisonModal();
+  }
+
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    this.clearMarkers();
+    this.scene.remove(this.markerGroup);
+  }
+}
@@ -273,6 +273,18 @@ export class ControlsManager {
     console.log('📹 Camera animation started');
   }
 
+  /**
+   * Animate to a saved camera pose ({ position, target, zoom })
+   */
+  flyToPose(pose, duration = 1000) {
+    if (pose.zoom !== undefined && pose.zoom !== this.camera.zoom) {
+      this.camera.zoom = pose.zoom;
+      this.camera.updateProjectionMatrix();
+    }
+    
+    this.animateTo(pose.position, pose.target, duration);
+  }
+
   /**
    * Stop current camera animation
    */
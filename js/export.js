@@ -11,14 +11,19 @@
  */
 
 import { Utils } from './utils.js';
+import { TaxonomyManager } from './taxonomy.js';
 
 export class ExportManager {
-  constructor(measurementSystem, annotationSystem, lightingSystem = null, referenceSystem = null, himpSystem = null) {
+  constructor(measurementSystem, annotationSystem, lightingSystem = null, referenceSystem = null, himpSystem = null, sectionSystem = null, viewpointManager = null, screenshotManager = null, taxonomy = null) {
     this.measurementSystem = measurementSystem;
     this.annotationSystem = annotationSystem;
     this.lightingSystem = lightingSystem;
     this.referenceSystem = referenceSystem;
     this.himpSystem = himpSystem;
+    this.sectionSystem = sectionSystem;
+    this.viewpointManager = viewpointManager;
+    this.screenshotManager = screenshotManager;
+    this.taxonomy = taxonomy || new TaxonomyManager(); // Severity weights, costs and risk rules
     
     // Export configuration
     this.exportConfig = {
@@ -61,6 +66,15 @@ export class ExportManager {
       // Lighting settings
       lightingSettings: this.getLightingSettings(),
       
+      // Section / clipping planes
+      sectionPlanes: this.getSectionData(),
+      
+      // Saved camera viewpoints
+      viewpoints: this.viewpointManager ? this.viewpointManager.getExportData() : [],
+      
+      // Discrepancy types and severity scale used for this session
+      taxonomy: this.taxonomy.getExportData(),
+      
       // Statistics
       statistics: this.generateStatistics(),
       
@@ -144,7 +158,9 @@ export class ExportManager {
       pointCount: measurement.points.length,
       perimeter: measurement.totalDistance,
       isComplete: measurement.isClosed,
-      measurementType: measurement.isClosed ? 'area' : 'linear',
+      measurementType: measurement.type === 'distance' ?
+        (measurement.isClosed ? 'area' : 'linear') :
+        measurement.type,
       linkedAnnotations: this.getLinkedAnnotations(measurement.id)
     }));
   }
@@ -199,14 +215,19 @@ export class ExportManager {
     }
     
     const data = this.himpSystem.getExportData();
+    const schemes = this.himpSystem.schemes;
+    const { min, max } = schemes.getScoreRange();
     
     // Add additional metadata for HIMP assessments
     return {
       assessments: data.himpAssessments || [],
+      scheme: data.scheme,
+      schemes: data.schemes,
       coordinate_system: 'Right-handed (Y-up)',
       units: Utils.getMeshUnits(),
-      scoring_system: 'ABS HIMP (0-6 scale)',
-      recoat_threshold: 'Any score ≥ 2 recommends recoating',
+      scoring_system: `${schemes.definition.name} v${schemes.definition.version} (${min}-${max} scale)`,
+      recoat_threshold: schemes.describeRecommendation(),
+      area_totals: this.himpSystem.getAreaTotals(),
       note: 'Hull Inspection and Maintenance Program surface condition assessments'
     };
   }
@@ -227,6 +248,20 @@ export class ExportManager {
     };
   }
 
+  /**
+   * Get section plane setup for export
+   */
+  getSectionData() {
+    if (!this.sectionSystem) {
+      return {
+        planes: [],
+        note: 'Section planes not available'
+      };
+    }
+    
+    return this.sectionSystem.getExportData();
+  }
+
   /**
    * Get annotations linked to a specific measurement
    */
@@ -248,31 +283,24 @@ export class ExportManager {
   }
 
   /**
-   * Get criticality score for severity level
+   * Normalize a severity to its display label ('high' -> 'High')
+   */
+  normalizeSeverity(severity) {
+    return this.taxonomy.getSeverityLabel(severity);
+  }
+
+  /**
+   * Get criticality score for severity level (taxonomy weight)
    */
   getCriticalityScore(severity) {
-    const scores = {
-      'Low': 1,
-      'Medium': 2,
-      'High': 3,
-      'Critical': 4
-    };
-    return scores[severity] || 1;
+    return this.taxonomy.getSeverity(severity)?.weight ?? 1;
   }
 
   /**
-   * Get estimated cost category for annotation
+   * Get estimated cost category for annotation (taxonomy cost table)
    */
   getEstimatedCost(type, severity) {
-    const baseCosts = {
-      'corrosion': { Low: 'Low', Medium: 'Medium', High: 'High', Critical: 'Very High' },
-      'crack': { Low: 'Medium', Medium: 'High', High: 'Very High', Critical: 'Critical' },
-      'pitting': { Low: 'Low', Medium: 'Medium', High: 'High', Critical: 'High' },
-      'structure': { Low: 'Medium', Medium: 'High', High: 'Very High', Critical: 'Critical' },
-      'housekeeping': { Low: 'Very Low', Medium: 'Low', High: 'Medium', Critical: 'High' }
-    };
-    
-    return baseCosts[type]?.[severity] || 'Unknown';
+    return this.taxonomy.getEstimatedCost(type, severity);
   }
 
   /**
@@ -333,20 +361,37 @@ export class ExportManager {
         count: 0,
         byType: {},
         bySeverity: {},
+        byStatus: {},
+        open: 0,
+        closed: 0,
+        overdue: 0,
         requiresAction: 0
       };
     }
     
     const byType = {};
     const bySeverity = {};
+    const byStatus = {};
+    let closed = 0;
+    let overdue = 0;
     let requiresAction = 0;
     
     annotations.forEach(annotation => {
+      // Count by repair status (open = anything not verified closed)
+      const status = this.annotationSystem.getStatus(annotation.status);
+      byStatus[status.label] = (byStatus[status.label] || 0) + 1;
+      if (status.closed) {
+        closed++;
+      } else if (this.annotationSystem.isOverdue(annotation)) {
+        overdue++;
+      }
+      
       // Count by type
       byType[annotation.type] = (byType[annotation.type] || 0) + 1;
       
       // Count by severity
-      bySeverity[annotation.severity] = (bySeverity[annotation.severity] || 0) + 1;
+      const severity = this.normalizeSeverity(annotation.severity);
+      bySeverity[severity] = (bySeverity[severity] || 0) + 1;
       
       // Count actions required
       if (annotation.requiresAction) {
@@ -358,6 +403,10 @@ export class ExportManager {
       count: annotations.length,
       byType,
       bySeverity,
+      byStatus,
+      open: annotations.length - closed,
+      closed,
+      overdue,
       requiresAction,
       actionPercentage: Utils.roundTo((requiresAction / annotations.length) * 100, 1),
       averageCriticality: Utils.roundTo(
@@ -372,9 +421,10 @@ export class ExportManager {
    */
   generateSummaryStatistics(measurements, annotations) {
     const totalIssues = annotations.length;
-    const criticalIssues = annotations.filter(a => a.severity === 'Critical').length;
-    const highIssues = annotations.filter(a => a.severity === 'High').length;
+    const criticalIssues = annotations.filter(a => this.taxonomy.isHighestSeverity(a.severity)).length;
+    const highPriorityIssues = annotations.filter(a => this.taxonomy.getSeverity(a.severity)?.highPriority).length;
     const linkedIssues = annotations.filter(a => a.linkedMeasurement).length;
+    const closedIssues = annotations.filter(a => this.annotationSystem.getStatus(a.status).closed).length;
     
     const inspectionScore = this.calculateInspectionScore(annotations);
     const riskLevel = this.calculateRiskLevel(annotations);
@@ -383,7 +433,9 @@ export class ExportManager {
       totalMeasurements: measurements.length,
       totalAnnotations: totalIssues,
       criticalIssues,
-      highPriorityIssues: criticalIssues + highIssues,
+      highPriorityIssues,
+      openIssues: totalIssues - closedIssues,
+      closedIssues,
       linkedIssues,
       linkagePercentage: totalIssues > 0 ? 
         Utils.roundTo((linkedIssues / totalIssues) * 100, 1) : 0,
@@ -401,28 +453,19 @@ export class ExportManager {
     if (annotations.length === 0) return 100;
     
     const maxScore = 100;
-    const weights = { Critical: 20, High: 10, Medium: 5, Low: 1 };
     
     const totalDeduction = annotations.reduce((sum, annotation) => {
-      return sum + (weights[annotation.severity] || 0);
+      return sum + (this.taxonomy.getSeverity(annotation.severity)?.deduction || 0);
     }, 0);
     
     return Math.max(0, maxScore - totalDeduction);
   }
 
   /**
-   * Calculate risk level based on annotations
+   * Calculate risk level based on annotations (taxonomy risk rules)
    */
   calculateRiskLevel(annotations) {
-    const critical = annotations.filter(a => a.severity === 'Critical').length;
-    const high = annotations.filter(a => a.severity === 'High').length;
-    const medium = annotations.filter(a => a.severity === 'Medium').length;
-    
-    if (critical > 0) return 'Critical';
-    if (high > 2) return 'High';
-    if (high > 0 || medium > 5) return 'Medium';
-    if (medium > 0) return 'Low';
-    return 'Very Low';
+    return this.taxonomy.calculateRiskLevel(annotations.map(a => a.severity));
   }
 
   /**
@@ -532,11 +575,13 @@ export class ExportManager {
   }
 
   /**
-   * Export screenshot as PNG
+   * Export screenshot as PNG (with labels when the screenshot manager is available)
    */
-  exportScreenshot(filename = null) {
+  exportScreenshot(filename = null, options = {}) {
     try {
-      const canvas = document.querySelector('canvas');
+      const canvas = this.screenshotManager ?
+        this.screenshotManager.capture(options) :
+        document.querySelector('canvas');
       if (!canvas) {
         throw new Error('Canvas not found');
       }
@@ -0,0 +1,740 @@
+/**
+ * GEODESIC.JS - Shortest Paths Across the Model Surface
+ *
+ * Responsible for:
+ * - Building a welded vertex/edge/face graph once per loaded mesh
+ * - A* search over the vertices and Steiner points placed along the edges,
+ *   so paths cross triangles instead of following their edges
+ * - Shortening the found path across the triangles it crosses
+ * - Caching graphs and paths so edits only recompute what changed
+ */
+
+import * as THREE from 'three';
+
+export class GeodesicPathFinder {
+  constructor(scene) {
+    this.scene = scene;
+
+    // Caches
+    this.graphs = new WeakMap(); // mesh -> graph
+    this.paths = new Map(); // segment key -> path
+
+    // Settings
+    this.MAX_CACHED_PATHS = 500;
+    this.WELD_TOLERANCE = 1e-6; // Fraction of the mesh bounding box diagonal
+    this.STEINER_POINTS = 2; // Search nodes along each edge, between its vertices
+    this.SHORTEN_PASSES = 500; // Maximum passes sliding path points along their edges
+    this.SHORTEN_TOLERANCE = 1e-12; // Stop once a pass shortens the path by less than this fraction
+    this.BEND_ROUNDS = 20; // Maximum rounds taking the path off vertices it runs over
+    this.BEND_TOLERANCE = 1e-6; // Radians short of a half turn before the path leaves a vertex
+  }
+
+  /**
+   * Find the shortest path across the surface between two world points.
+   * Returns { points, length } or null when the points are not on the same
+   * connected mesh (e.g. point clouds or separate parts).
+   */
+  findPath(from, to) {
+    const meshes = this.getMeshes();
+    if (meshes.length === 0) return null;
+
+    const key = [
+      ...from.toArray(), ...to.toArray(),
+      ...meshes.map(mesh => mesh.uuid)
+    ].join('|');
+
+    if (this.paths.has(key)) {
+      return this.paths.get(key);
+    }
+
+    const path = this.computePath(from, to, meshes);
+
+    // Drop the oldest entry once the cache is full
+    if (this.paths.size >= this.MAX_CACHED_PATHS) {
+      this.paths.delete(this.paths.keys().next().value);
+    }
+    this.paths.set(key, path);
+
+    return path;
+  }
+
+  /**
+   * Compute a path without the cache
+   */
+  computePath(from, to, meshes) {
+    const start = this.findNearestVertex(from, meshes);
+    const goal = this.findNearestVertex(to, meshes);
+
+    if (!start || !goal || start.graph !== goal.graph) return null;
+
+    const graph = start.graph;
+    const nodes = this.searchPath(graph, from, start.vertex, to, goal.vertex);
+    if (!nodes) return null;
+
+    const points = this.shortenPath(graph, from, nodes, to);
+    return { points, length: this.getPathLength(points) };
+  }
+
+  /**
+   * Get visible meshes of all loaded models (point clouds have no surface)
+   */
+  getMeshes() {
+    const meshes = [];
+
+    this.scene.children
+      .filter(child => child.userData.modelId && child.visible)
+      .forEach(model => {
+        model.traverse(child => {
+          if (child.isMesh && child.visible && child.geometry?.attributes.position) {
+            meshes.push(child);
+          }
+        });
+      });
+
+    return meshes;
+  }
+
+  /**
+   * Build the graphs of all visible meshes up front, so the first path
+   * search (e.g. during a drag) doesn't have to
+   */
+  prepare() {
+    this.getMeshes().forEach(mesh => this.getGraph(mesh));
+  }
+
+  /**
+   * Get (building on first use) the surface graph of a mesh
+   */
+  getGraph(mesh) {
+    if (!this.graphs.has(mesh)) {
+      const startTime = performance.now();
+      this.graphs.set(mesh, this.buildGraph(mesh));
+      console.log(`🕸️ Built surface graph for ${mesh.name || mesh.uuid} in ${(performance.now() - startTime).toFixed(0)}ms`);
+    }
+
+    return this.graphs.get(mesh);
+  }
+
+  /**
+   * Build the search graph of a mesh: welded vertices (world space), the
+   * unique triangle edges, and the faces around each vertex and edge as
+   * compressed lists
+   */
+  buildGraph(mesh) {
+    mesh.updateMatrixWorld(true);
+
+    const geometry = mesh.geometry;
+    const position = geometry.attributes.position;
+    const index = geometry.index;
+
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const min = geometry.boundingBox.min;
+    const diagonal = geometry.boundingBox.getSize(new THREE.Vector3()).length() || 1;
+    const cellSize = diagonal * this.WELD_TOLERANCE;
+
+    // Weld vertices that share a position (OBJ and STL geometry is unindexed):
+    // quantize to the weld grid, sort, and give each run of equal cells one ID
+    const cells = new Int32Array(position.count * 3);
+    for (let i = 0; i < position.count; i++) {
+      cells[i * 3] = Math.round((position.getX(i) - min.x) / cellSize);
+      cells[i * 3 + 1] = Math.round((position.getY(i) - min.y) / cellSize);
+      cells[i * 3 + 2] = Math.round((position.getZ(i) - min.z) / cellSize);
+    }
+
+    const order = new Uint32Array(position.count);
+    for (let i = 0; i < order.length; i++) order[i] = i;
+    order.sort((i, j) =>
+      cells[i * 3] - cells[j * 3] ||
+      cells[i * 3 + 1] - cells[j * 3 + 1] ||
+      cells[i * 3 + 2] - cells[j * 3 + 2]
+    );
+
+    const vertexIds = new Int32Array(position.count);
+    let vertexCount = 0;
+    for (let k = 0; k < order.length; k++) {
+      const i = order[k];
+      const p = order[k - 1];
+      const sameCell = k > 0 &&
+        cells[i * 3] === cells[p * 3] &&
+        cells[i * 3 + 1] === cells[p * 3 + 1] &&
+        cells[i * 3 + 2] === cells[p * 3 + 2];
+
+      if (!sameCell) vertexCount++;
+      vertexIds[i] = vertexCount - 1;
+    }
+
+    // World position of each welded vertex (from its first source vertex)
+    const worldPositions = new Float32Array(vertexCount * 3);
+    const placed = new Uint8Array(vertexCount);
+    const vertex = new THREE.Vector3();
+
+    for (let i = 0; i < position.count; i++) {
+      const id = vertexIds[i];
+      if (placed[id]) continue;
+      placed[id] = 1;
+      vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      vertex.toArray(worldPositions, id * 3);
+    }
+
+    // Faces by welded vertex, without those collapsed by welding
+    const rawFaceCount = index ? index.count / 3 : position.count / 3;
+    const faceList = [];
+
+    for (let f = 0; f < rawFaceCount; f++) {
+      const ia = vertexIds[index ? index.getX(f * 3) : f * 3];
+      const ib = vertexIds[index ? index.getX(f * 3 + 1) : f * 3 + 1];
+      const ic = vertexIds[index ? index.getX(f * 3 + 2) : f * 3 + 2];
+      if (ia === ib || ib === ic || ic === ia) continue;
+      faceList.push(ia, ib, ic);
+    }
+
+    const faces = new Int32Array(faceList);
+
+    // Unique edges: sort the face sides (side k of face f is 3f + k) by
+    // their vertex pair and give each run of equal pairs one ID
+    const sideLow = new Int32Array(faces.length);
+    const sideHigh = new Int32Array(faces.length);
+    for (let side = 0; side < faces.length; side++) {
+      const a = faces[side];
+      const b = faces[side % 3 === 2 ? side - 2 : side + 1];
+      sideLow[side] = Math.min(a, b);
+      sideHigh[side] = Math.max(a, b);
+    }
+
+    const sides = new Uint32Array(faces.length);
+    for (let i = 0; i < sides.length; i++) sides[i] = i;
+    sides.sort((i, j) => sideLow[i] - sideLow[j] || sideHigh[i] - sideHigh[j]);
+
+    const faceEdges = new Int32Array(faces.length);
+    const edgeList = [];
+    for (let k = 0; k < sides.length; k++) {
+      const side = sides[k];
+      const previous = sides[k - 1];
+      if (k === 0 || sideLow[side] !== sideLow[previous] || sideHigh[side] !== sideHigh[previous]) {
+        edgeList.push(sideLow[side], sideHigh[side]);
+      }
+      faceEdges[side] = edgeList.length / 2 - 1;
+    }
+
+    const edges = new Int32Array(edgeList);
+    const edgeCount = edges.length / 2;
+
+    return {
+      positions: worldPositions,
+      faces,
+      edges,
+      faceEdges,
+      vertexFaces: this.buildFaceLists(vertexCount, faces),
+      edgeFaces: this.buildFaceLists(edgeCount, faceEdges),
+      vertexCount,
+      steinerPoints: this.STEINER_POINTS
+    };
+  }
+
+  /**
+   * Faces touching each vertex (or edge) as compressed lists, given the
+   * vertex (or edge) at every face corner (or side)
+   */
+  buildFaceLists(count, items) {
+    const offsets = new Int32Array(count + 1);
+    for (let i = 0; i < items.length; i++) {
+      offsets[items[i] + 1]++;
+    }
+    for (let i = 0; i < count; i++) {
+      offsets[i + 1] += offsets[i];
+    }
+
+    const faces = new Int32Array(items.length);
+    const fill = offsets.slice(0, count);
+    for (let i = 0; i < items.length; i++) {
+      faces[fill[items[i]]++] = Math.floor(i / 3);
+    }
+
+    return { offsets, faces };
+  }
+
+  /**
+   * Find the graph vertex closest to a world point across all meshes
+   */
+  findNearestVertex(point, meshes) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    meshes.forEach(mesh => {
+      const graph = this.getGraph(mesh);
+      const positions = graph.positions;
+
+      for (let v = 0; v < graph.vertexCount; v++) {
+        const dx = positions[v * 3] - point.x;
+        const dy = positions[v * 3 + 1] - point.y;
+        const dz = positions[v * 3 + 2] - point.z;
+        const distance = dx * dx + dy * dy + dz * dz;
+
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = { graph, vertex: v };
+        }
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * A* search between two surface points over vertices and Steiner points.
+   * Nodes are linked when they share a face, so each step crosses a triangle.
+   * The picked points join the graph through the faces around their nearest
+   * vertices. Returns the node IDs in between, or null when the points are
+   * not connected.
+   */
+  searchPath(graph, from, startVertex, to, goalVertex) {
+    const START = -1;
+    const GOAL = -2;
+
+    const startFaces = this.getNodeFaces(graph, startVertex);
+    const goalFaces = new Set(this.getNodeFaces(graph, goalVertex));
+    const goalNodes = new Set();
+    goalFaces.forEach(face => this.forEachFaceNode(graph, face, node => goalNodes.add(node)));
+
+    const cost = new Map([[START, 0]]);
+    const previous = new Map();
+    const closed = new Set();
+    const heap = new MinHeap();
+    const position = new THREE.Vector3();
+    const nextPosition = new THREE.Vector3();
+
+    const visit = (current, next, nextCost) => {
+      if (nextCost < (cost.get(next) ?? Infinity)) {
+        cost.set(next, nextCost);
+        previous.set(next, current);
+        heap.push(nextCost + (next === GOAL ? 0 : nextPosition.distanceTo(to)), next);
+      }
+    };
+
+    heap.push(from.distanceTo(to), START);
+
+    while (heap.size > 0) {
+      const current = heap.pop();
+      if (current === GOAL) break;
+      if (closed.has(current)) continue;
+      closed.add(current);
+
+      const currentCost = cost.get(current);
+      const faces = current === START ? startFaces : this.getNodeFaces(graph, current);
+      if (current === START) {
+        position.copy(from);
+      } else {
+        this.getNodePosition(graph, current, position);
+      }
+
+      faces.forEach(face => this.forEachFaceNode(graph, face, next => {
+        if (next === current || closed.has(next)) return;
+        this.getNodePosition(graph, next, nextPosition);
+        visit(current, next, currentCost + position.distanceTo(nextPosition));
+      }));
+
+      const reachesGoal = current === START ?
+        startFaces.some(face => goalFaces.has(face)) :
+        goalNodes.has(current);
+      if (reachesGoal) {
+        visit(current, GOAL, currentCost + position.distanceTo(to));
+      }
+    }
+
+    if (!previous.has(GOAL)) return null;
+
+    const nodes = [];
+    for (let node = previous.get(GOAL); node !== START; node = previous.get(node)) {
+      nodes.push(node);
+    }
+
+    return nodes.reverse();
+  }
+
+  /**
+   * Faces a search node lies on (around a vertex, or either side of an edge)
+   */
+  getNodeFaces(graph, node) {
+    const isVertex = node < graph.vertexCount;
+    const lists = isVertex ? graph.vertexFaces : graph.edgeFaces;
+    const item = isVertex ? node : this.getNodeEdge(graph, node);
+
+    return lists.faces.subarray(lists.offsets[item], lists.offsets[item + 1]);
+  }
+
+  /**
+   * Call back with every search node on a face: its corners and the
+   * Steiner points of its edges
+   */
+  forEachFaceNode(graph, face, callback) {
+    for (let k = 0; k < 3; k++) {
+      callback(graph.faces[face * 3 + k]);
+
+      const first = graph.vertexCount + graph.faceEdges[face * 3 + k] * graph.steinerPoints;
+      for (let j = 0; j < graph.steinerPoints; j++) {
+        callback(first + j);
+      }
+    }
+  }
+
+  /**
+   * Edge of a Steiner point node
+   */
+  getNodeEdge(graph, node) {
+    return Math.floor((node - graph.vertexCount) / graph.steinerPoints);
+  }
+
+  /**
+   * Position of a search node: a vertex, or a Steiner point spaced evenly
+   * along its edge
+   */
+  getNodePosition(graph, node, target = new THREE.Vector3()) {
+    if (node < graph.vertexCount) {
+      return target.fromArray(graph.positions, node * 3);
+    }
+
+    const edge = this.getNodeEdge(graph, node);
+    const t = ((node - graph.vertexCount) % graph.steinerPoints + 1) / (graph.steinerPoints + 1);
+    const positions = graph.positions;
+    const a = graph.edges[edge * 2] * 3;
+    const b = graph.edges[edge * 2 + 1] * 3;
+
+    return target.set(
+      positions[a] + (positions[b] - positions[a]) * t,
+      positions[a + 1] + (positions[b + 1] - positions[a + 1]) * t,
+      positions[a + 2] + (positions[b + 2] - positions[a + 2]) * t
+    );
+  }
+
+  /**
+   * Shorten the searched path across the triangles it crosses: points on
+   * edges slide to where the path through them is shortest, and the path
+   * bends around vertices it runs over where that is shorter
+   */
+  shortenPath(graph, from, nodes, to) {
+    const path = [
+      { point: from.clone(), edge: null, vertex: -1, faces: null },
+      ...nodes.map(node => this.createPathPoint(graph, node)),
+      { point: to.clone(), edge: null, vertex: -1, faces: null }
+    ];
+
+    for (let round = 0; round < this.BEND_ROUNDS; round++) {
+      this.slidePathPoints(path);
+      if (!this.bendAroundVertices(graph, path)) break;
+    }
+
+    // Points that slid onto the one before add nothing
+    const points = path.map(entry => entry.point);
+    return points.filter((point, i) => i === 0 || !point.equals(points[i - 1]));
+  }
+
+  /**
+   * Path point of a search node: its position, the edge it may slide along
+   * (Steiner points) or its vertex, and the faces it lies on
+   */
+  createPathPoint(graph, node) {
+    const faces = this.getNodeFaces(graph, node);
+
+    if (node < graph.vertexCount) {
+      return { point: this.getNodePosition(graph, node), edge: null, vertex: node, faces };
+    }
+
+    const edge = this.getNodeEdge(graph, node);
+    return {
+      point: this.getNodePosition(graph, node),
+      edge: [
+        this.getVertexPosition(graph, graph.edges[edge * 2]),
+        this.getVertexPosition(graph, graph.edges[edge * 2 + 1])
+      ],
+      vertex: -1,
+      faces
+    };
+  }
+
+  /**
+   * Slide the path points on edges, pass after pass until the length settles
+   */
+  slidePathPoints(path) {
+    const points = path.map(entry => entry.point);
+    let length = this.getPathLength(points);
+
+    for (let pass = 0; pass < this.SHORTEN_PASSES; pass++) {
+      // Alternate the direction, so changes travel both ways along the path
+      for (let k = 1; k < path.length - 1; k++) {
+        const i = pass % 2 === 0 ? k : path.length - 1 - k;
+        const edge = path[i].edge;
+        if (edge) {
+          this.placeOnEdge(points[i], edge[0], edge[1], points[i - 1], points[i + 1]);
+        }
+      }
+
+      const shortened = this.getPathLength(points);
+      const settled = length - shortened <= length * this.SHORTEN_TOLERANCE;
+      length = shortened;
+      if (settled) break;
+    }
+  }
+
+  /**
+   * Replace vertices the path runs over by points on the edges around them,
+   * where the path gets shorter that way. Returns whether anything changed.
+   */
+  bendAroundVertices(graph, path) {
+    let bent = false;
+
+    // Backwards, so replacing an entry keeps the indices still to visit
+    for (let i = path.length - 2; i >= 1; i--) {
+      if (path[i].vertex < 0 || !path[i - 1].faces || !path[i + 1].faces) continue;
+
+      const crossings = this.getBendCrossings(graph, path[i].vertex, path[i - 1], path[i + 1]);
+      if (crossings) {
+        path.splice(i, 1, ...crossings);
+        bent = true;
+      }
+    }
+
+    return bent;
+  }
+
+  /**
+   * Unfolding the faces around a vertex, a path through it is shortest only
+   * if the faces on both sides between its neighbours span at least a half
+   * turn. Otherwise returns new path points on the edges the straight path
+   * crosses on the narrower side (none if both neighbours share a face),
+   * or null to keep the vertex.
+   */
+  getBendCrossings(graph, vertex, previous, next) {
+    const fan = this.getVertexFan(graph, vertex);
+    if (!fan) return null;
+
+    const center = this.getVertexPosition(graph, vertex);
+    const previousAngle = this.getFanAngle(graph, fan, center, previous);
+    const nextAngle = this.getFanAngle(graph, fan, center, next);
+    if (previousAngle === null || nextAngle === null) return null;
+
+    // Angle of each edge around the vertex, measured from the previous point
+    // in the direction of the narrower side
+    let turn;
+    let offsetOf;
+    const spokeCount = fan.closed ? fan.spokes.length - 1 : fan.spokes.length;
+
+    if (fan.closed) {
+      const forward = ((nextAngle - previousAngle) % fan.total + fan.total) % fan.total;
+      const direction = forward <= fan.total - forward ? 1 : -1;
+      turn = Math.min(forward, fan.total - forward);
+      offsetOf = angle => ((direction * (angle - previousAngle)) % fan.total + fan.total) % fan.total;
+    } else {
+      const direction = nextAngle >= previousAngle ? 1 : -1;
+      turn = Math.abs(nextAngle - previousAngle);
+      offsetOf = angle => direction * (angle - previousAngle);
+    }
+
+    if (turn >= Math.PI - this.BEND_TOLERANCE) return null;
+
+    const crossed = [];
+    for (let j = 0; j < spokeCount; j++) {
+      const offset = offsetOf(fan.angles[j]);
+      if (offset > 0 && offset < turn) crossed.push({ spoke: j, offset });
+    }
+    crossed.sort((a, b) => a.offset - b.offset);
+
+    const faceCount = fan.faces.length;
+    return crossed.map(({ spoke }) => {
+      const end = this.getVertexPosition(graph, fan.spokes[spoke]);
+      const before = fan.closed ? fan.faces[(spoke - 1 + faceCount) % faceCount] : fan.faces[spoke - 1];
+      const after = fan.faces[spoke];
+
+      return {
+        point: center.clone().lerp(end, 0.5),
+        edge: [center, end],
+        vertex: -1,
+        faces: [before, after].filter(face => face !== undefined)
+      };
+    });
+  }
+
+  /**
+   * Faces around a vertex in order, with the edges (spokes) between them
+   * and each spoke's angle from the first once the faces are unfolded flat.
+   * Null where the faces do not form a single fan (non-manifold vertices).
+   */
+  getVertexFan(graph, vertex) {
+    const vertexFaces = this.getNodeFaces(graph, vertex);
+    const spokeFaces = new Map(); // other corner -> faces
+
+    vertexFaces.forEach(face => {
+      for (let k = 0; k < 3; k++) {
+        const corner = graph.faces[face * 3 + k];
+        if (corner === vertex) continue;
+        if (!spokeFaces.has(corner)) spokeFaces.set(corner, []);
+        spokeFaces.get(corner).push(face);
+      }
+    });
+
+    const spokeLists = [...spokeFaces.values()];
+    if (spokeLists.some(list => list.length > 2)) return null;
+
+    // Start at a boundary spoke if the fan is open
+    const starts = [...spokeFaces.keys()];
+    let spoke = starts.find(corner => spokeFaces.get(corner).length === 1) ?? starts[0];
+    let face = spokeFaces.get(spoke)[0];
+
+    const center = this.getVertexPosition(graph, vertex);
+    const faces = [];
+    const spokes = [spoke];
+    const angles = [0];
+    let closed = false;
+
+    while (face !== undefined && faces.length < vertexFaces.length) {
+      faces.push(face);
+
+      let nextSpoke = -1;
+      for (let k = 0; k < 3; k++) {
+        const corner = graph.faces[face * 3 + k];
+        if (corner !== vertex && corner !== spoke) nextSpoke = corner;
+      }
+
+      const angle = this.getVertexPosition(graph, spoke).sub(center)
+        .angleTo(this.getVertexPosition(graph, nextSpoke).sub(center));
+      spokes.push(nextSpoke);
+      angles.push(angles[angles.length - 1] + angle);
+
+      const nextFace = spokeFaces.get(nextSpoke).find(other => other !== face);
+      if (nextFace === faces[0]) {
+        closed = true;
+        break;
+      }
+
+      spoke = nextSpoke;
+      face = nextFace;
+    }
+
+    // A vertex shared by separate fans cannot be unfolded as one
+    if (faces.length !== vertexFaces.length) return null;
+
+    return { faces, spokes, angles, total: angles[angles.length - 1], closed };
+  }
+
+  /**
+   * Angle of a path point around a vertex in its unfolded fan (null when the
+   * point is on the vertex or not on one of its faces)
+   */
+  getFanAngle(graph, fan, center, entry) {
+    const index = fan.faces.findIndex(face => entry.faces.includes(face));
+    const direction = entry.point.clone().sub(center);
+    if (index < 0 || direction.lengthSq() === 0) return null;
+
+    const spoke = this.getVertexPosition(graph, fan.spokes[index]).sub(center);
+    return fan.angles[index] + spoke.angleTo(direction);
+  }
+
+  /**
+   * Move a path point along its edge (a to b) to where the path from
+   * previous to next through it is shortest. Unfolding the two triangles
+   * into one plane around the edge makes that path a straight line.
+   */
+  placeOnEdge(point, a, b, previous, next) {
+    const axis = new THREE.Vector3().subVectors(b, a);
+    const edgeLength = axis.length();
+    if (edgeLength === 0) return;
+    axis.divideScalar(edgeLength);
+
+    // Position along the edge and distance from it of both neighbours
+    const offset = new THREE.Vector3();
+    const alongPrevious = offset.subVectors(previous, a).dot(axis);
+    const fromPrevious = Math.sqrt(Math.max(0, offset.lengthSq() - alongPrevious * alongPrevious));
+    const alongNext = offset.subVectors(next, a).dot(axis);
+    const fromNext = Math.sqrt(Math.max(0, offset.lengthSq() - alongNext * alongNext));
+
+    const along = fromPrevious + fromNext > 0 ?
+      alongPrevious + (alongNext - alongPrevious) * fromPrevious / (fromPrevious + fromNext) :
+      (alongPrevious + alongNext) / 2;
+
+    point.copy(a).addScaledVector(axis, Math.min(Math.max(along, 0), edgeLength));
+  }
+
+  /**
+   * Length of a polyline
+   */
+  getPathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += points[i - 1].distanceTo(points[i]);
+    }
+    return length;
+  }
+
+  /**
+   * Get a vertex position as a vector
+   */
+  getVertexPosition(graph, vertex) {
+    return new THREE.Vector3().fromArray(graph.positions, vertex * 3);
+  }
+
+  /**
+   * Forget cached graphs and paths (e.g. after the model is replaced)
+   */
+  clearCache() {
+    this.graphs = new WeakMap();
+    this.paths.clear();
+  }
+}
+
+/**
+ * Binary min-heap of (priority, vertex) pairs for the path search
+ */
+class MinHeap {
+  constructor() {
+    this.priorities = [];
+    this.values = [];
+  }
+
+  get size() {
+    return this.values.length;
+  }
+
+  push(priority, value) {
+    this.priorities.push(priority);
+    this.values.push(value);
+
+    let i = this.values.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.priorities[parent] <= this.priorities[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.values[0];
+    const lastPriority = this.priorities.pop();
+    const lastValue = this.values.pop();
+
+    if (this.values.length > 0) {
+      this.priorities[0] = lastPriority;
+      this.values[0] = lastValue;
+
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < this.values.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+        if (right < this.values.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+        if (smallest === i) break;
+
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+
+  swap(a, b) {
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    [this.values[a], this.values[b]] = [this.values[b], this.values[a]];
+  }
+}
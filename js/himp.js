@@ -2,76 +2,77 @@
  * HIMP.JS - Hull Inspection and Maintenance Program Scoring System
  * 
  * Responsible for:
- * - HIMP scoring assessment (0-6 scale) for surface conditions
+ * - HIMP scoring assessment for surface conditions (scale from the scoring scheme)
  * - Surface zone selection and identification
- * - Sample photo upload and management
- * - Recoating recommendation logic
- * - Visual heatmap overlays for scored zones
+ * - Polygon regions outlined on the mesh, with area and a score-coloured overlay
+ * - Area-weighted totals (m² recommended for recoat)
+ * - Coating breakdown brush: painted share of a region suggests scores
+ * - Sample photos with EXIF capture time, kept with the session
+ * - Recoating recommendation logic (rules from the scoring scheme)
+ * - Dated re-assessments per surface ID with trend charts and recoat prediction
+ * - CSV/JSON import merged by surface ID, with a create/update/skip preview
+ * - Heatmap colouring of the model by max or category score, with a legend
  * - Integration with existing inspection workflow
  */
 
 import * as THREE from 'three';
 import { Utils } from './utils.js';
+import { HistoryManager } from './history.js';
+import { HimpSchemeManager, DEFAULT_HIMP_SCHEME } from './himpScheme.js';
+import { PhotoGallery } from './photos.js';
 
 export class HIMPSystem {
-  constructor(scene, camera, renderer) {
+  constructor(scene, camera, renderer, schemes = null, measurement = null) {
     this.scene = scene;
     this.camera = camera;
     this.renderer = renderer;
+    this.schemes = schemes || new HimpSchemeManager(); // Categories, scale and recoat rules
+    this.measurement = measurement; // MeasurementSystem, whose picking and loop closing outline regions
     
     // State
     this.active = false;
     this.himpScores = [];
     this.himpIdCounter = 1;
     this.pendingSurfacePoint = null;
+    this.regionPoints = []; // Vertices of the region being outlined
+    this.pendingRegion = null; // Closed region of the assessment being scored ({ points, area })
+    this.regionPreview = null;
+    this.pendingBreakdown = null; // Painted breakdown mask of the assessment being scored
+    this.painting = null; // Brush state while painting coating breakdown
     this.editingHimpId = null;
+    this.expandedSurfaces = new Set(); // Surface IDs with their history shown in the manager
+    this.pendingImport = null; // Previewed import ({ fileName, entries })
+    this.heatmapEnabled = false;
+    this.heatmapValue = 'max'; // 'max' or a category ID
+    this.heatmapBlend = 'nearest'; // 'nearest' or 'interpolate' between assessments
+    this.heatmapGroup = null;
     
-    // Interaction
-    this.raycaster = new THREE.Raycaster();
-    this.mouse = new THREE.Vector2();
-    
-    // HIMP scoring categories with tooltips
-    this.himpCategories = {
-      coating_condition: {
-        label: 'Coating Condition',
-        tooltip: '0: Excellent (no defects) | 1: Very Good (<2% breakdown) | 2: Good (2-5%) | 3: Fair (5-15%) | 4: Poor (15-30%) | 5: Very Poor (30-60%) | 6: Unacceptable (>60%)',
-        icon: '🎨'
-      },
-      general_corrosion: {
-        label: 'General Corrosion',
-        tooltip: '0: No corrosion | 1: Trace (<5% surface) | 2: Light (5-15%) | 3: Moderate (15-30%) | 4: Heavy (30-50%) | 5: Severe (50-80%) | 6: Very Severe (>80%)',
-        icon: '🦠'
-      },
-      pitting_grooving: {
-        label: 'Pitting & Grooving',
-        tooltip: '0: None | 1: Isolated shallow pits | 2: Scattered pits <1mm deep | 3: General pitting 1-2mm | 4: Deep pitting 2-5mm | 5: Severe pitting >5mm | 6: Through-thickness penetration',
-        icon: '🕳️'
-      },
-      deformation: {
-        label: 'Deformation',
-        tooltip: '0: No deformation | 1: Minor buckles/dents | 2: Local permanent set | 3: Significant distortion | 4: Major structural damage | 5: Severe deformation | 6: Structural failure',
-        icon: '⚡'
-      },
-      fracture: {
-        label: 'Fracture',
-        tooltip: '0: No cracks | 1: Hair-line cracks | 2: Fine cracks <50mm | 3: Cracks 50-150mm | 4: Long cracks >150mm | 5: Multiple intersecting cracks | 6: Through-thickness cracks',
-        icon: '🔺'
-      },
-      cleanliness: {
-        label: 'Cleanliness & Housekeeping',
-        tooltip: '0: Excellent cleanliness | 1: Very good | 2: Good (minor debris) | 3: Fair (moderate contamination) | 4: Poor (significant debris) | 5: Very poor | 6: Unacceptable contamination',
-        icon: '🧹'
-      }
-    };
+    // Undo/redo (shared HistoryManager, set by main)
+    this.history = null;
+    
+    // Categories of the current scoring scheme, keyed by ID ({ label, tooltip, icon })
+    this.himpCategories = this.schemes.getCategories();
+    this.modalScheme = this.schemes.definition; // Scheme the open assessment form is scored with
+    this.photoGallery = new PhotoGallery('himp-photo-gallery'); // Sample photos of the open form
     
     // Visual settings
     this.ZONE_MARKER_SIZE = 0.08;
-    this.ZONE_COLORS = {
-      safe: 0x4CAF50,      // Green (scores 0-1)
-      caution: 0xFF9800,   // Orange (score 2)
-      warning: 0xF44336,   // Red (scores 3+)
-      pending: 0x2196F3    // Blue (not scored)
-    };
+    this.TREND_CHART_WIDTH = 150;
+    this.TREND_CHART_HEIGHT = 56;
+    this.SCORE_BAR_HEIGHT = 0.15; // Height of the score bar at the top of the scale
+    this.REGION_OPACITY = 0.35;
+    this.REGION_PREVIEW_COLOR = 0x2196F3; // Blue while outlining
+    this.REGION_FACE_BAND = 0.1; // Mesh depth searched for region faces, as a fraction of the region size
+    this.BRUSH_RADIUS = 0.05; // Initial brush radius, as a fraction of the region size
+    this.BRUSH_SCALE_STEP = 1.25;
+    this.BREAKDOWN_COLOR = 0x8B4513; // Rust brown
+    this.BREAKDOWN_OPACITY = 0.7;
+    this.HEATMAP_RADIUS = 0.1; // Reach of an assessment on the heatmap, as a fraction of the model size
+    this.HEATMAP_UNASSESSED_COLOR = 0x9e9e9e;
+    this.HEATMAP_REFRESH_DELAY = 300; // ms after the last assessment change
+    
+    // Recolouring the model is slow, so assessment changes are batched
+    this.scheduleHeatmapRefresh = Utils.debounce(() => this.refreshHeatmap(), this.HEATMAP_REFRESH_DELAY);
     
     console.log('📊 HIMP scoring system initialized');
   }
@@ -84,6 +85,7 @@ export class HIMPSystem {
     
     this.setupEventListeners();
     this.setupUI();
+    this.schemes.onChange(() => this.applyScheme());
     
     console.log('✅ HIMP system ready');
   }
@@ -99,8 +101,37 @@ export class HIMPSystem {
       }
     });
     
+    // Breakdown brush strokes (capture, so the camera controls don't start orbiting)
+    this.renderer.domElement.addEventListener('pointerdown', (e) => {
+      if (this.painting) this.handlePaintPointerDown(e);
+    }, true);
+    
+    this.renderer.domElement.addEventListener('pointermove', (e) => {
+      if (this.painting?.brushing) this.paintAt(e);
+    });
+    
+    window.addEventListener('pointerup', () => {
+      if (this.painting) this.handlePaintPointerUp();
+    });
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+      // Painting keys take precedence over the app shortcuts
+      if (this.painting) {
+        const actions = {
+          Enter: () => this.finishBreakdownPainting(),
+          Escape: () => this.cancelBreakdownPainting(),
+          '[': () => this.scaleBrush(1 / this.BRUSH_SCALE_STEP),
+          ']': () => this.scaleBrush(this.BRUSH_SCALE_STEP)
+        };
+        if (actions[e.key]) {
+          e.preventDefault();
+          e.stopImmediatePropagation();
+          actions[e.key]();
+        }
+        return;
+      }
+      
       if (this.active) {
         switch(e.key.toLowerCase()) {
           case 'escape':
@@ -125,6 +156,8 @@ export class HIMPSystem {
   setupUI() {
     this.createHimpModal();
     this.createHimpManagerModal();
+    this.createHimpImportModal();
+    this.updateHeatmapControls();
   }
 
   /**
@@ -144,34 +177,22 @@ export class HIMPSystem {
                      placeholder="e.g., Z-AFT-STBD-TOP" required>
             </div>
             
-            <div class="himp-scoring-grid">
-              ${Object.entries(this.himpCategories).map(([key, category]) => `
-                <div class="himp-score-item">
-                  <label for="himp-${key}">
-                    ${category.icon} ${category.label}:
-                    <span class="tooltip-trigger" data-tooltip="${category.tooltip}">ℹ️</span>
-                  </label>
-                  <select id="himp-${key}" name="${key}" required>
-                    <option value="">Select Score</option>
-                    <option value="0">0 - Excellent</option>
-                    <option value="1">1 - Very Good</option>
-                    <option value="2">2 - Good</option>
-                    <option value="3">3 - Fair</option>
-                    <option value="4">4 - Poor</option>
-                    <option value="5">5 - Very Poor</option>
-                    <option value="6">6 - Unacceptable</option>
-                  </select>
-                </div>
-              `).join('')}
+            <div class="form-group">
+              <label for="himp-assessed-at">Assessment Date:</label>
+              <input type="date" id="himp-assessed-at" name="assessedAt" required>
+              <small>Re-assess a surface on a later survey date to build its condition history</small>
+            </div>
+            
+            <div id="himp-modal-scheme" class="himp-modal-scheme"></div>
+            <div id="himp-scoring-grid" class="himp-scoring-grid">
+              <!-- Populated from the scoring scheme -->
             </div>
             
             <div class="form-group">
-              <label for="himp-photo">Sample Photo:</label>
-              <input type="file" id="himp-photo" name="photo" accept="image/jpeg,image/png">
-              <small>Upload JPEG or PNG reference image</small>
-              <div id="photo-preview" style="display: none;">
-                <img id="photo-preview-img" style="max-width: 200px; max-height: 150px; margin-top: 8px;">
-              </div>
+              <label for="himp-photo">Sample Photos:</label>
+              <input type="file" id="himp-photo" name="photo" accept="image/jpeg,image/png" multiple>
+              <small>Upload JPEG or PNG reference images (capture time is read from the photo)</small>
+              <div id="himp-photo-gallery" class="photo-gallery" style="display: none;"></div>
             </div>
             
             <div class="form-group">
@@ -186,6 +207,17 @@ export class HIMPSystem {
               <div class="coordinate-display">
                 <span id="himp-coordinates">Click on model to set position</span>
               </div>
+              <small id="himp-region-info"></small>
+            </div>
+            
+            <!-- Coating breakdown (region assessments only) -->
+            <div class="form-group" id="himp-breakdown-group" style="display: none;">
+              <label>Coating Breakdown:</label>
+              <div class="himp-breakdown-row">
+                <button type="button" id="paint-breakdown">🖌️ Paint Breakdown</button>
+                <span id="himp-breakdown-info">Not painted</span>
+              </div>
+              <small id="himp-breakdown-suggestion"></small>
             </div>
             
             <!-- Recommendation Display -->
@@ -209,6 +241,90 @@ export class HIMPSystem {
     
     document.body.insertAdjacentHTML('beforeend', modalHTML);
     this.attachHimpModalEvents();
+    this.renderScoringGrid();
+  }
+
+  /**
+   * Build the score selects of the assessment form from a scoring scheme
+   */
+  renderScoringGrid(scheme = this.schemes.definition) {
+    const grid = document.getElementById('himp-scoring-grid');
+    if (!grid) return;
+    
+    this.modalScheme = scheme;
+    
+    grid.innerHTML = scheme.categories.map(category => `
+      <div class="himp-score-item">
+        <label for="himp-${category.id}">
+          ${Utils.escapeHtml(`${category.icon} ${category.label}`.trim())}:
+          ${category.tooltip ? `<span class="tooltip-trigger" data-tooltip="${Utils.escapeHtml(category.tooltip)}">ℹ️</span>` : ''}
+        </label>
+        <select id="himp-${category.id}" name="${category.id}" required>
+          <option value="">Select Score</option>
+          ${scheme.scale.map(level => `<option value="${level.score}">${level.score} - ${Utils.escapeHtml(level.label)}</option>`).join('')}
+        </select>
+      </div>
+    `).join('');
+    
+    document.getElementById('himp-modal-scheme').textContent = `Scoring scheme: ${scheme.name} (v${scheme.version})`;
+    document.querySelector('#himp-recommendation .recommendation-text').textContent = scheme.recommendation.text;
+    
+    // Real-time recommendation update
+    grid.querySelectorAll('select').forEach(select => {
+      select.addEventListener('change', () => this.updateRecommendation());
+    });
+    
+    this.setupTooltips(grid);
+  }
+
+  /**
+   * Follow a change of the current scoring scheme.
+   * Existing assessments keep the scheme they were scored with.
+   */
+  applyScheme() {
+    this.himpCategories = this.schemes.getCategories();
+    
+    if (document.getElementById('himp-modal')?.style.display !== 'block') {
+      this.renderScoringGrid();
+    }
+    
+    // A category missing from the new scheme falls back to the max score
+    if (this.heatmapValue !== 'max' && !this.himpCategories[this.heatmapValue]) {
+      this.heatmapValue = 'max';
+    }
+    this.updateHeatmapControls();
+    
+    this.updateHimpManager();
+    console.log(`📊 HIMP scoring scheme: ${this.schemes.definition.name} v${this.schemes.definition.version}`);
+  }
+
+  /**
+   * Scoring scheme an assessment was scored with
+   */
+  getAssessmentScheme(assessment) {
+    return this.schemes.getScheme(assessment.scheme);
+  }
+
+  /**
+   * Recommendation, highest and average score of a set of scores
+   */
+  summarizeScores(scores, scheme) {
+    const values = Object.values(scores);
+    
+    return {
+      recommendRecoat: this.schemes.isRecoatRecommended(scores, scheme),
+      maxScore: Math.max(...values),
+      averageScore: values.reduce((a, b) => a + b, 0) / values.length
+    };
+  }
+
+  /**
+   * Coloured chip for one score on a scheme's scale
+   */
+  renderScoreChip(score, scheme, icon = '') {
+    const level = this.schemes.getScoreLevel(score, scheme);
+    const style = level ? ` style="background: ${level.color}" title="${Utils.escapeHtml(level.label)}"` : '';
+    return `<span class="score-chip"${style}>${icon ? `${Utils.escapeHtml(icon)} ` : ''}${score ?? '-'}</span>`;
   }
 
   /**
@@ -235,6 +351,10 @@ export class HIMPSystem {
                 <span class="stat-value" id="average-score">0.0</span>
                 <span class="stat-label">Avg Score</span>
               </div>
+              <div class="stat-item">
+                <span class="stat-value" id="recoat-area">0</span>
+                <span class="stat-label">m² to Recoat</span>
+              </div>
             </div>
             
             <div class="himp-list-header">
@@ -250,6 +370,8 @@ export class HIMPSystem {
             </div>
             
             <div class="himp-export-actions">
+              <button id="import-himp">📥 Import CSV/JSON</button>
+              <input type="file" id="himp-import-input" accept=".csv,.json" style="display: none;">
               <button id="export-himp-csv">📊 Export CSV</button>
               <button id="export-himp-json">📤 Export JSON</button>
             </div>
@@ -266,6 +388,58 @@ export class HIMPSystem {
     this.attachHimpManagerEvents();
   }
 
+  /**
+   * Create the HIMP import preview modal
+   */
+  createHimpImportModal() {
+    const importHTML = `
+      <div id="himp-import-modal" class="modal">
+        <div class="modal-content himp-import-modal-content">
+          <span class="close">&times;</span>
+          <h2>📥 Import HIMP Assessments</h2>
+          
+          <div id="himp-import-summary" class="himp-import-summary"></div>
+          
+          <div class="himp-import-table-container">
+            <table class="himp-import-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Surface</th>
+                  <th>Date</th>
+                  <th>Action</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody id="himp-import-list">
+                <!-- Previewed rows will be populated here -->
+              </tbody>
+            </table>
+          </div>
+          
+          <div class="modal-actions">
+            <button id="confirm-himp-import">📥 Import</button>
+            <button id="cancel-himp-import">Cancel</button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.insertAdjacentHTML('beforeend', importHTML);
+    
+    const modal = document.getElementById('himp-import-modal');
+    modal.querySelector('.close').onclick = () => this.hideHimpImportPreview();
+    document.getElementById('cancel-himp-import').onclick = () => this.hideHimpImportPreview();
+    document.getElementById('confirm-himp-import').onclick = () => this.applyHimpImport();
+    
+    // Close on outside click
+    modal.onclick = (e) => {
+      if (e.target === modal) {
+        this.hideHimpImportPreview();
+      }
+    };
+  }
+
   /**
    * Attach events to HIMP modal
    */
@@ -284,21 +458,11 @@ export class HIMPSystem {
     saveBtn.onclick = () => this.saveHimpAssessment();
     deleteBtn.onclick = () => this.deleteHimpAssessment();
     createDiscrepancyBtn.onclick = () => this.createDiscrepancyFromHimp();
+    document.getElementById('paint-breakdown').onclick = () => this.startBreakdownPainting();
     
-    // Photo preview
+    // Add photos to the gallery
     photoInput.onchange = (e) => this.handlePhotoUpload(e);
     
-    // Real-time recommendation update
-    Object.keys(this.himpCategories).forEach(key => {
-      const select = document.getElementById(`himp-${key}`);
-      if (select) {
-        select.addEventListener('change', () => this.updateRecommendation());
-      }
-    });
-    
-    // Tooltip handling
-    this.setupTooltips();
-    
     // Close on outside click
     modal.onclick = (e) => {
       if (e.target === modal) {
@@ -327,6 +491,14 @@ export class HIMPSystem {
     exportCsvBtn.onclick = () => this.exportHimpCSV();
     exportJsonBtn.onclick = () => this.exportHimpJSON();
     
+    const importInput = document.getElementById('himp-import-input');
+    document.getElementById('import-himp').onclick = () => importInput.click();
+    importInput.onchange = (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.importHimpFile(file);
+    };
+    
     // Close on outside click
     modal.onclick = (e) => {
       if (e.target === modal) {
@@ -338,8 +510,8 @@ export class HIMPSystem {
   /**
    * Set up tooltips for HIMP scoring
    */
-  setupTooltips() {
-    const tooltipTriggers = document.querySelectorAll('.tooltip-trigger');
+  setupTooltips(container = document) {
+    const tooltipTriggers = container.querySelectorAll('.tooltip-trigger');
     
     tooltipTriggers.forEach(trigger => {
       trigger.addEventListener('mouseenter', (e) => {
@@ -403,41 +575,426 @@ export class HIMPSystem {
   }
 
   /**
-   * Handle surface click for HIMP assessment
+   * Handle surface click for HIMP assessment: add a vertex to the region being outlined
    */
   handleSurfaceClick(event) {
+    if (this.painting || document.getElementById('himp-modal').style.display === 'block') return;
+    
     const intersectionPoint = this.getIntersectionPoint(event);
     if (!intersectionPoint) return;
     
-    // Store pending surface point and show modal
-    this.pendingSurfacePoint = intersectionPoint;
+    this.regionPoints.push(intersectionPoint.clone());
+    this.updateRegionPreview(this.regionPoints);
+    this.updateHimpReadout();
+  }
+
+  /**
+   * Close the outlined region and score it. A single point is scored
+   * without a region; otherwise the measurement loop rules apply.
+   */
+  closeRegion() {
+    const points = this.regionPoints;
+    if (points.length === 0) return;
+    
+    if (points.length > 1 && !this.measurement.canCloseLoop(points)) return;
+    
+    if (points.length === 1) {
+      this.pendingRegion = null;
+      this.pendingSurfacePoint = points[0].clone();
+    } else {
+      this.pendingRegion = {
+        points: points.map(point => point.clone()),
+        area: Utils.calculatePolygonAreaDetails(points).area
+      };
+      this.pendingSurfacePoint = Utils.calculatePolygonCenter(points);
+    }
+    
+    this.regionPoints = [];
+    this.updateRegionPreview(this.pendingRegion ? this.pendingRegion.points : [], true);
     this.showHimpModal();
   }
 
   /**
-   * Get intersection point from mouse event
+   * Remove the last vertex of the region being outlined
    */
-  getIntersectionPoint(event) {
-    // Update mouse coordinates
-    const rect = this.renderer.domElement.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  removeLastRegionPoint() {
+    if (this.regionPoints.length === 0) return;
+    
+    this.regionPoints.pop();
+    this.updateRegionPreview(this.regionPoints);
+    this.updateHimpReadout();
+  }
+
+  /**
+   * Draw the vertices and outline of a region while it is picked
+   */
+  updateRegionPreview(points, closed = false) {
+    if (this.regionPreview) {
+      this.scene.remove(this.regionPreview);
+      Utils.disposeObject(this.regionPreview);
+      this.regionPreview = null;
+    }
+    
+    if (points.length === 0) return;
+    
+    this.regionPreview = this.measurement.createLoopPreview(points, this.REGION_PREVIEW_COLOR, closed);
+    this.scene.add(this.regionPreview);
+  }
+
+  /**
+   * Start painting coating breakdown on the mesh faces inside the pending region
+   */
+  startBreakdownPainting() {
+    if (!this.pendingRegion) return;
+    
+    const points = this.pendingRegion.points;
+    const details = Utils.calculatePolygonAreaDetails(points);
+    if (!details.plane) return;
+    
+    // Faces are keyed by their mesh's position in the model, so masks survive reloads
+    const meshes = Utils.getModelMeshes(this.scene);
+    const meshIndex = new Map(meshes.map((mesh, index) => [mesh, index]));
+    const band = details.planarityDeviation + Math.sqrt(details.area) * this.REGION_FACE_BAND;
+    const enclosed = Utils.getEnclosedFaces(points, details.plane, meshes.filter(mesh => mesh.visible), band);
+    
+    if (enclosed.length === 0) {
+      window.inspector3D?.ui?.showWarning('No mesh faces inside the region to paint (point clouds cannot be painted)');
+      return;
+    }
+    
+    const faces = new Map();
+    enclosed.forEach(face => faces.set(`${meshIndex.get(face.mesh)}:${face.faceIndex}`, face));
+    
+    const editing = this.himpScores.find(himp => himp.id === this.editingHimpId);
+    const savedOverlay = editing?.group?.getObjectByName('breakdown') || null;
+    if (savedOverlay) savedOverlay.visible = false;
+    
+    this.painting = {
+      faces: faces,
+      painted: new Set(this.getBreakdownKeys(this.pendingBreakdown).filter(key => faces.has(key))),
+      meshes: meshes,
+      surfaceArea: enclosed.reduce((total, face) => total + face.area, 0),
+      brushRadius: Math.sqrt(details.area) * this.BRUSH_RADIUS,
+      brushing: false,
+      erasing: false,
+      overlay: null,
+      savedOverlay: savedOverlay
+    };
+    
+    // The modal keeps its field values while hidden
+    document.getElementById('himp-modal').style.display = 'none';
+    this.hideTooltip();
+    this.showHimpReadout();
+    this.updatePaintingOverlay();
+    
+    console.log(`🖌️ Painting breakdown on ${faces.size} faces`);
+  }
+
+  /**
+   * Start a brush stroke (Shift erases)
+   */
+  handlePaintPointerDown(event) {
+    if (event.button !== 0) return;
+    
+    this.painting.brushing = true;
+    this.painting.erasing = event.shiftKey;
+    
+    // Strokes must not orbit the camera
+    const controls = window.inspector3D?.controls?.controls;
+    if (controls) controls.enabled = false;
     
-    // Cast ray
-    this.raycaster.setFromCamera(this.mouse, this.camera);
+    this.paintAt(event);
+  }
+
+  /**
+   * End a brush stroke
+   */
+  handlePaintPointerUp() {
+    if (!this.painting.brushing) return;
+    
+    this.painting.brushing = false;
+    
+    const controls = window.inspector3D?.controls?.controls;
+    if (controls) controls.enabled = true;
+  }
+
+  /**
+   * Paint or erase the region faces under the brush
+   */
+  paintAt(event) {
+    const hit = this.getIntersectionHit(event);
+    if (!hit) return;
+    
+    const painting = this.painting;
+    const radiusSq = painting.brushRadius ** 2;
+    const apply = key => painting.erasing ? painting.painted.delete(key) : painting.painted.add(key);
+    const sizeBefore = painting.painted.size;
+    
+    painting.faces.forEach((face, key) => {
+      if (face.centroid.distanceToSquared(hit.point) <= radiusSq) apply(key);
+    });
+    
+    // The face under the cursor, even when it is larger than the brush
+    const index = painting.meshes.indexOf(hit.object);
+    const hitKey = `${index}:${hit.faceIndex}`;
+    if (painting.faces.has(hitKey)) apply(hitKey);
+    
+    if (painting.painted.size !== sizeBefore) {
+      this.updatePaintingOverlay();
+      this.updateHimpReadout();
+    }
+  }
+
+  /**
+   * Change the brush radius by a factor
+   */
+  scaleBrush(factor) {
+    this.painting.brushRadius *= factor;
+    this.updateHimpReadout();
+  }
+
+  /**
+   * Redraw the mask being painted
+   */
+  updatePaintingOverlay() {
+    const painting = this.painting;
+    
+    if (painting.overlay) {
+      this.scene.remove(painting.overlay);
+      Utils.disposeObject(painting.overlay);
+    }
+    
+    painting.overlay = this.createBreakdownMesh([...painting.painted], painting.meshes, new THREE.Vector3());
+    if (painting.overlay) this.scene.add(painting.overlay);
+  }
+
+  /**
+   * Painted share of the region's mesh area, in percent
+   */
+  getPaintedPercent() {
+    const painting = this.painting;
+    let paintedArea = 0;
+    painting.painted.forEach(key => {
+      paintedArea += painting.faces.get(key).area;
+    });
+    
+    return {
+      paintedArea: paintedArea,
+      percent: painting.surfaceArea > 0 ? (paintedArea / painting.surfaceArea) * 100 : 0
+    };
+  }
+
+  /**
+   * Keep the painted mask, suggest scores and go back to the assessment form
+   */
+  finishBreakdownPainting() {
+    if (!this.painting) return;
+    
+    const { paintedArea, percent } = this.getPaintedPercent();
+    const faces = {};
+    this.painting.painted.forEach(key => {
+      const [meshIndex, faceIndex] = key.split(':').map(Number);
+      (faces[meshIndex] = faces[meshIndex] || []).push(faceIndex);
+    });
+    
+    this.pendingBreakdown = {
+      faces: faces,
+      paintedArea: paintedArea,
+      surfaceArea: this.painting.surfaceArea,
+      percent: percent
+    };
+    
+    this.stopBreakdownPainting();
+    document.getElementById('himp-modal').style.display = 'block';
+    this.applyBreakdownSuggestions();
+    
+    console.log(`🖌️ Coating breakdown: ${percent.toFixed(1)}%`);
+  }
+
+  /**
+   * Discard the strokes and go back to the assessment form
+   */
+  cancelBreakdownPainting() {
+    if (!this.painting) return;
+    
+    this.stopBreakdownPainting();
+    document.getElementById('himp-modal').style.display = 'block';
+  }
+
+  /**
+   * Leave painting mode
+   */
+  stopBreakdownPainting() {
+    const painting = this.painting;
+    if (!painting) return;
+    
+    if (painting.overlay) {
+      this.scene.remove(painting.overlay);
+      Utils.disposeObject(painting.overlay);
+    }
+    if (painting.savedOverlay) painting.savedOverlay.visible = true;
+    
+    const controls = window.inspector3D?.controls?.controls;
+    if (controls) controls.enabled = true;
+    
+    this.painting = null;
+    
+    if (this.active) {
+      this.updateHimpReadout();
+    } else {
+      this.hideHimpReadout();
+    }
+  }
+
+  /**
+   * Face keys ('mesh:face') of a saved breakdown mask
+   */
+  getBreakdownKeys(breakdown) {
+    if (!breakdown) return [];
+    
+    return Object.entries(breakdown.faces).flatMap(([meshIndex, faceIndices]) =>
+      faceIndices.map(faceIndex => `${meshIndex}:${faceIndex}`)
+    );
+  }
+
+  /**
+   * Translucent mesh over painted faces, with vertices relative to offset
+   * (null if none of the faces exist in the loaded model)
+   */
+  createBreakdownMesh(keys, meshes, offset) {
+    const positions = [];
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    meshes.forEach(mesh => mesh.updateMatrixWorld(true));
+    
+    keys.forEach(key => {
+      const [meshIndex, faceIndex] = key.split(':').map(Number);
+      const mesh = meshes[meshIndex];
+      if (!mesh || faceIndex >= Utils.getFaceCount(mesh)) return;
+      
+      Utils.getFaceVertices(mesh, faceIndex, a, b, c);
+      [a, b, c].forEach(vertex => positions.push(vertex.x - offset.x, vertex.y - offset.y, vertex.z - offset.z));
+    });
+    
+    if (positions.length === 0) return null;
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    
+    const material = new THREE.MeshBasicMaterial({
+      color: this.BREAKDOWN_COLOR,
+      transparent: true,
+      opacity: this.BREAKDOWN_OPACITY,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      // In front of the region overlay
+      polygonOffset: true,
+      polygonOffsetFactor: -2,
+      polygonOffsetUnits: -2
+    });
     
-    // Find intersections with loaded models
-    const objects = this.scene.children.filter(child => 
-      child.userData.modelId && child.visible
+    const overlay = new THREE.Mesh(geometry, material);
+    overlay.name = 'breakdown';
+    return overlay;
+  }
+
+  /**
+   * Replace the breakdown overlay of an assessment
+   */
+  updateBreakdownOverlay(assessment) {
+    if (!assessment.group) return;
+    
+    const existing = assessment.group.getObjectByName('breakdown');
+    if (existing) {
+      assessment.group.remove(existing);
+      Utils.disposeObject(existing);
+    }
+    
+    if (!assessment.breakdown) return;
+    
+    const overlay = this.createBreakdownMesh(
+      this.getBreakdownKeys(assessment.breakdown), Utils.getModelMeshes(this.scene), assessment.position
     );
+    if (overlay) assessment.group.add(overlay);
+  }
+
+  /**
+   * Drop all breakdown masks: they hold face indices of the model they were
+   * painted on (e.g. when the session is kept for another model).
+   * Returns the number of assessments that lost their mask.
+   */
+  dropBreakdowns() {
+    this.stopBreakdownPainting();
+    this.pendingBreakdown = null;
+    
+    const painted = this.himpScores.filter(assessment => assessment.breakdown);
+    painted.forEach(assessment => {
+      assessment.breakdown = null;
+      this.updateBreakdownOverlay(assessment);
+    });
+    
+    if (painted.length > 0) {
+      this.updateHimpManager();
+      console.log(`🖌️ Dropped coating breakdown of ${painted.length} assessments`);
+    }
+    return painted.length;
+  }
+
+  /**
+   * Fill in the scores suggested by the painted breakdown
+   */
+  applyBreakdownSuggestions() {
+    if (!this.pendingBreakdown) return;
+    
+    const suggestions = this.schemes.suggestBreakdownScores(this.pendingBreakdown.percent, this.modalScheme);
+    Object.entries(suggestions).forEach(([key, score]) => {
+      const select = document.getElementById(`himp-${key}`);
+      if (select) select.value = score;
+    });
+    
+    this.updateRecommendation();
+    this.updateBreakdownInfo();
+  }
+
+  /**
+   * Show the breakdown section of the form for region assessments
+   */
+  updateBreakdownInfo() {
+    document.getElementById('himp-breakdown-group').style.display = this.pendingRegion ? 'block' : 'none';
     
-    const intersects = this.raycaster.intersectObjects(objects, true);
+    const breakdown = this.pendingBreakdown;
+    const info = document.getElementById('himp-breakdown-info');
+    const suggestion = document.getElementById('himp-breakdown-suggestion');
     
-    if (intersects.length > 0) {
-      return intersects[0].point.clone();
+    if (!breakdown) {
+      info.textContent = 'Not painted';
+      suggestion.textContent = '';
+      return;
     }
     
-    return null;
+    const toM2 = area => Utils.convertAreaToSquareMeters(area).toFixed(2);
+    info.textContent = `${breakdown.percent.toFixed(1)}% breakdown (${toM2(breakdown.paintedArea)} of ${toM2(breakdown.surfaceArea)} m²)`;
+    
+    const categories = this.schemes.getCategories(this.modalScheme);
+    const suggestions = Object.entries(this.schemes.suggestBreakdownScores(breakdown.percent, this.modalScheme))
+      .map(([key, score]) => `${categories[key].label} ${score}`);
+    suggestion.textContent = suggestions.length > 0 ? `Suggested scores: ${suggestions.join(', ')}` : '';
+  }
+
+  /**
+   * Get intersection point from mouse event
+   */
+  getIntersectionPoint(event) {
+    return this.getIntersectionHit(event)?.point || null;
+  }
+
+  /**
+   * Get intersection hit ({ point, normal, object, faceIndex }) from mouse event,
+   * picked like measurement points
+   */
+  getIntersectionHit(event) {
+    return this.measurement.getIntersectionHit(event);
   }
 
   /**
@@ -453,6 +1010,11 @@ export class HIMPSystem {
       coordinatesSpan.textContent = `X: ${coords.x.toFixed(3)} Y: ${coords.y.toFixed(3)} Z: ${coords.z.toFixed(3)} (${units})`;
     }
     
+    document.getElementById('himp-region-info').textContent = this.pendingRegion ?
+      `Region: ${this.pendingRegion.points.length} points, ${Utils.formatArea(this.pendingRegion.area, false)} (${Utils.convertAreaToSquareMeters(this.pendingRegion.area).toFixed(2)} m²)` :
+      'Point assessment (no region outlined)';
+    this.updateBreakdownInfo();
+    
     // Clear form if not editing
     if (!this.editingHimpId) {
       this.clearHimpModalFields();
@@ -484,18 +1046,17 @@ export class HIMPSystem {
       if (field) field.value = '';
     });
     
-    // Reset all scoring dropdowns
-    Object.keys(this.himpCategories).forEach(key => {
-      const select = document.getElementById(`himp-${key}`);
-      if (select) select.value = '';
-    });
+    // New assessments default to today's survey
+    const dateField = document.getElementById('himp-assessed-at');
+    if (dateField) dateField.value = Utils.toDateInputValue();
     
-    // Clear photo
+    // New assessments are scored with the current scheme
+    this.renderScoringGrid();
+    
+    // Clear photos
     const photoInput = document.getElementById('himp-photo');
     if (photoInput) photoInput.value = '';
-    
-    const photoPreview = document.getElementById('photo-preview');
-    if (photoPreview) photoPreview.style.display = 'none';
+    this.photoGallery.setPhotos([]);
     
     // Hide delete button for new assessments
     const deleteBtn = document.getElementById('delete-himp');
@@ -512,35 +1073,12 @@ export class HIMPSystem {
   /**
    * Handle photo upload
    */
-  handlePhotoUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+  async handlePhotoUpload(event) {
+    const files = [...event.target.files];
+    event.target.value = '';
+    if (files.length === 0) return;
     
-    // Validate file type
-    if (!file.type.match(/^image\/(jpeg|jpg|png)$/)) {
-      alert('Please select a JPEG or PNG image file');
-      event.target.value = '';
-      return;
-    }
-    
-    // Validate file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-      alert('File size must be less than 5MB');
-      event.target.value = '';
-      return;
-    }
-    
-    // Show preview
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const preview = document.getElementById('photo-preview');
-      const img = document.getElementById('photo-preview-img');
-      
-      img.src = e.target.result;
-      preview.style.display = 'block';
-    };
-    
-    reader.readAsDataURL(file);
+    await this.photoGallery.addFiles(files);
   }
 
   /**
@@ -548,7 +1086,7 @@ export class HIMPSystem {
    */
   updateRecommendation() {
     const scores = this.getCurrentScores();
-    const recommendRecoat = Object.values(scores).some(score => score >= 2);
+    const recommendRecoat = this.schemes.isRecoatRecommended(scores, this.modalScheme);
     
     const recommendation = document.getElementById('himp-recommendation');
     if (recommendation) {
@@ -569,7 +1107,7 @@ export class HIMPSystem {
   getCurrentScores() {
     const scores = {};
     
-    Object.keys(this.himpCategories).forEach(key => {
+    this.modalScheme.categories.forEach(({ id: key }) => {
       const select = document.getElementById(`himp-${key}`);
       if (select && select.value !== '') {
         scores[key] = parseInt(select.value);
@@ -591,8 +1129,9 @@ export class HIMPSystem {
     // Collect form data
     const surfaceId = document.getElementById('himp-surface-id').value.trim();
     const notes = document.getElementById('himp-notes').value.trim();
+    const assessedAt = Utils.parseDateInputValue(document.getElementById('himp-assessed-at').value);
     const scores = this.getCurrentScores();
-    const photoFile = document.getElementById('himp-photo').files[0];
+    const photos = this.photoGallery.getPhotos();
     
     if (!surfaceId) {
       alert('Please enter a Surface ID');
@@ -600,29 +1139,44 @@ export class HIMPSystem {
     }
     
     // Validate that all scores are provided
-    const missingScores = Object.keys(this.himpCategories).filter(key => !(key in scores));
+    const missingScores = this.modalScheme.categories.filter(category => !(category.id in scores));
     if (missingScores.length > 0) {
-      alert(`Please provide scores for: ${missingScores.map(key => this.himpCategories[key].label).join(', ')}`);
+      alert(`Please provide scores for: ${missingScores.map(category => category.label).join(', ')}`);
+      return;
+    }
+    
+    if (!assessedAt) {
+      alert('Please enter the assessment date');
       return;
     }
     
-    // Check for duplicate surface IDs
-    if (this.himpScores.some(himp => himp.surfaceId === surfaceId && himp.id !== this.editingHimpId)) {
-      alert('A HIMP assessment for this Surface ID already exists');
+    // One assessment per surface and survey date; later dates build the surface history
+    const dateValue = Utils.toDateInputValue(assessedAt);
+    if (this.himpScores.some(himp => himp.surfaceId === surfaceId && himp.id !== this.editingHimpId &&
+        Utils.toDateInputValue(himp.assessedAt) === dateValue)) {
+      alert(`${surfaceId} was already assessed on ${dateValue}. Edit that assessment or choose another date.`);
       return;
     }
     
+    const before = this.captureState();
+    const scheme = this.schemes.getReference(this.modalScheme);
+    
     if (this.editingHimpId) {
       // Update existing assessment
       this.updateHimpAssessment(this.editingHimpId, {
-        surfaceId, scores, notes, photoFile
+        surfaceId, assessedAt, scores, scheme, notes, photos,
+        breakdown: this.pendingBreakdown
       });
+      this.history?.record(`Edit HIMP ${surfaceId}`, this, before);
     } else {
       // Create new assessment
       this.createHimpAssessment({
-        surfaceId, scores, notes, photoFile,
-        position: this.pendingSurfacePoint
+        surfaceId, assessedAt, scores, scheme, notes, photos,
+        position: this.pendingSurfacePoint,
+        region: this.pendingRegion,
+        breakdown: this.pendingBreakdown
       });
+      this.history?.record(`Add HIMP ${surfaceId}`, this, before);
     }
     
     this.hideHimpModal();
@@ -632,26 +1186,33 @@ export class HIMPSystem {
    * Create new HIMP assessment
    */
   createHimpAssessment(data) {
-    const recommendRecoat = Object.values(data.scores).some(score => score >= 2);
-    const maxScore = Math.max(...Object.values(data.scores));
+    const scheme = data.scheme || this.schemes.getReference();
     
     const assessment = {
       id: `HIMP${this.himpIdCounter++}`,
       surfaceId: data.surfaceId,
       himpScores: data.scores,
-      recommendRecoat: recommendRecoat,
-      maxScore: maxScore,
-      averageScore: Object.values(data.scores).reduce((a, b) => a + b, 0) / Object.keys(data.scores).length,
+      scheme: { ...scheme },
+      ...this.summarizeScores(data.scores, this.schemes.getScheme(scheme)),
       notes: data.notes || '',
       position: data.position.clone(),
+      region: data.region ? { points: data.region.points.map(point => point.clone()), area: data.region.area } : null,
+      breakdown: data.breakdown || null,
+      assessedAt: data.assessedAt || new Date(),
       createdAt: new Date(),
-      photoFile: data.photoFile || null,
-      photoUrl: null // Would be set after upload to server
+      photos: data.photos || [],
+      cameraPose: null,
+      thumbnail: null
     };
     
     // Create visual representation
     this.createHimpVisuals(assessment);
     
+    // Record the view the surface was assessed from
+    const snapshot = this.captureView();
+    assessment.cameraPose = snapshot.cameraPose;
+    assessment.thumbnail = snapshot.thumbnail;
+    
     // Add to array
     this.himpScores.push(assessment);
     
@@ -662,6 +1223,14 @@ export class HIMPSystem {
     this.updateHimpManager();
   }
 
+  /**
+   * Capture the current camera pose and a thumbnail of the view
+   */
+  captureView() {
+    const target = window.inspector3D?.controls?.controls?.target || null;
+    return Utils.captureViewSnapshot(this.renderer, this.scene, this.camera, target);
+  }
+
   /**
    * Update existing HIMP assessment
    */
@@ -669,23 +1238,24 @@ export class HIMPSystem {
     const assessment = this.himpScores.find(himp => himp.id === himpId);
     if (!assessment) return;
     
-    const recommendRecoat = Object.values(updates.scores).some(score => score >= 2);
-    const maxScore = Math.max(...Object.values(updates.scores));
+    const scheme = updates.scheme || assessment.scheme;
     
     // Update data
     Object.assign(assessment, {
       surfaceId: updates.surfaceId,
+      assessedAt: updates.assessedAt || assessment.assessedAt,
       himpScores: updates.scores,
-      recommendRecoat: recommendRecoat,
-      maxScore: maxScore,
-      averageScore: Object.values(updates.scores).reduce((a, b) => a + b, 0) / Object.keys(updates.scores).length,
+      scheme: { ...scheme },
+      ...this.summarizeScores(updates.scores, this.schemes.getScheme(scheme)),
       notes: updates.notes || '',
-      updatedAt: new Date(),
-      photoFile: updates.photoFile || assessment.photoFile
+      breakdown: updates.breakdown !== undefined ? updates.breakdown : assessment.breakdown,
+      photos: updates.photos || assessment.photos,
+      updatedAt: new Date()
     });
     
     // Update visuals
     this.updateHimpVisuals(assessment);
+    this.updateBreakdownOverlay(assessment);
     
     console.log(`📊 Updated HIMP assessment: ${assessment.surfaceId} (${assessment.id})`);
     
@@ -706,6 +1276,8 @@ export class HIMPSystem {
     if (!assessment) return;
     
     if (confirm(`Delete HIMP assessment for "${assessment.surfaceId}"?`)) {
+      const before = this.captureState();
+      
       // Remove visuals
       this.removeHimpVisuals(assessment);
       
@@ -714,6 +1286,7 @@ export class HIMPSystem {
       this.himpScores.splice(index, 1);
       
       console.log(`🗑️ Deleted HIMP assessment: ${assessment.surfaceId}`);
+      this.history?.record(`Delete HIMP ${assessment.surfaceId}`, this, before);
       
       // Update UI
       this.hideHimpModal();
@@ -729,12 +1302,8 @@ export class HIMPSystem {
     const group = new THREE.Group();
     
     // Determine color based on max score
-    let color = this.ZONE_COLORS.safe;
-    if (assessment.maxScore >= 3) {
-      color = this.ZONE_COLORS.warning;
-    } else if (assessment.maxScore >= 2) {
-      color = this.ZONE_COLORS.caution;
-    }
+    const scheme = this.getAssessmentScheme(assessment);
+    const color = this.schemes.getZoneColorHex(assessment.maxScore, scheme);
     
     // Create zone marker (octagon shape for HIMP)
     const markerGeometry = new THREE.CylinderGeometry(
@@ -753,13 +1322,19 @@ export class HIMPSystem {
     group.add(marker);
     
     // Create score indicator (vertical bar)
-    const scoreHeight = (assessment.maxScore / 6) * 0.15; // Scale to max 0.15 units
+    const { min, max } = this.schemes.getScoreRange(scheme);
+    const scoreHeight = Math.max((assessment.maxScore - min) / (max - min), 0) * this.SCORE_BAR_HEIGHT;
     const scoreGeometry = new THREE.CylinderGeometry(0.01, 0.01, scoreHeight, 8);
     const scoreMaterial = new THREE.MeshBasicMaterial({ color: color });
     const scoreBar = new THREE.Mesh(scoreGeometry, scoreMaterial);
     scoreBar.position.y = scoreHeight / 2 + 0.02;
     group.add(scoreBar);
     
+    // Translucent overlay over the assessed region
+    if (assessment.region) {
+      this.createRegionOverlay(assessment, color, group);
+    }
+    
     // Create text label
     this.createHimpLabel(assessment, group);
     
@@ -772,6 +1347,42 @@ export class HIMPSystem {
     
     this.scene.add(group);
     assessment.group = group;
+    
+    // Painted coating breakdown
+    this.updateBreakdownOverlay(assessment);
+  }
+
+  /**
+   * Add a region's filled polygon and outline to an assessment group
+   * (vertices relative to the assessment position)
+   */
+  createRegionOverlay(assessment, color, group) {
+    const points = assessment.region.points.map(point => point.clone().sub(assessment.position));
+    
+    const faces = Utils.triangulatePolygon(assessment.region.points);
+    if (faces.length > 0) {
+      const geometry = new THREE.BufferGeometry().setFromPoints(points);
+      geometry.setIndex(faces.flat());
+      
+      const material = new THREE.MeshBasicMaterial({
+        color: color,
+        transparent: true,
+        opacity: this.REGION_OPACITY,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+        // Keep the overlay in front of the surface it lies on
+        polygonOffset: true,
+        polygonOffsetFactor: -1,
+        polygonOffsetUnits: -1
+      });
+      group.add(new THREE.Mesh(geometry, material));
+    }
+    
+    const outline = new THREE.LineLoop(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: color })
+    );
+    group.add(outline);
   }
 
   /**
@@ -786,7 +1397,7 @@ export class HIMPSystem {
     const statusText = assessment.recommendRecoat ? 'RECOAT' : 'OK';
     
     labelDiv.innerHTML = `
-      <strong>${assessment.surfaceId}</strong><br>
+      <strong>${Utils.escapeHtml(assessment.surfaceId)}</strong><br>
       <small>Max: ${assessment.maxScore} | Avg: ${assessment.averageScore.toFixed(1)}</small><br>
       <span class="himp-status ${assessment.recommendRecoat ? 'warning' : 'safe'}">${statusIcon} ${statusText}</span>
     `;
@@ -820,16 +1431,11 @@ export class HIMPSystem {
     if (!assessment.group || !assessment.labelDiv) return;
     
     // Update colors based on new scores
-    let color = this.ZONE_COLORS.safe;
-    if (assessment.maxScore >= 3) {
-      color = this.ZONE_COLORS.warning;
-    } else if (assessment.maxScore >= 2) {
-      color = this.ZONE_COLORS.caution;
-    }
+    const color = this.schemes.getZoneColorHex(assessment.maxScore, this.getAssessmentScheme(assessment));
     
-    // Update 3D object colors
+    // Update 3D object colors (the breakdown mask keeps its own colour)
     assessment.group.children.forEach(child => {
-      if (child.material) {
+      if (child.material && child.name !== 'breakdown') {
         child.material.color.setHex(color);
       }
     });
@@ -839,7 +1445,7 @@ export class HIMPSystem {
     const statusText = assessment.recommendRecoat ? 'RECOAT' : 'OK';
     
     assessment.labelDiv.innerHTML = `
-      <strong>${assessment.surfaceId}</strong><br>
+      <strong>${Utils.escapeHtml(assessment.surfaceId)}</strong><br>
       <small>Max: ${assessment.maxScore} | Avg: ${assessment.averageScore.toFixed(1)}</small><br>
       <span class="himp-status ${assessment.recommendRecoat ? 'warning' : 'safe'}">${statusIcon} ${statusText}</span>
     `;
@@ -868,14 +1474,22 @@ export class HIMPSystem {
     const assessment = this.himpScores.find(himp => himp.id === himpId);
     if (!assessment) return;
     
+    // Drop any region being outlined
+    this.cancelPendingHimp();
+    
     this.editingHimpId = himpId;
     this.pendingSurfacePoint = assessment.position.clone();
+    this.pendingRegion = assessment.region;
+    this.pendingBreakdown = assessment.breakdown;
     
     // Populate modal fields
     document.getElementById('himp-surface-id').value = assessment.surfaceId;
+    document.getElementById('himp-assessed-at').value = Utils.toDateInputValue(assessment.assessedAt);
     document.getElementById('himp-notes').value = assessment.notes;
+    this.photoGallery.setPhotos(assessment.photos);
     
-    // Populate scores
+    // Populate scores, on the scale the assessment was scored with
+    this.renderScoringGrid(this.getAssessmentScheme(assessment));
     Object.entries(assessment.himpScores).forEach(([key, value]) => {
       const select = document.getElementById(`himp-${key}`);
       if (select) select.value = value;
@@ -922,21 +1536,21 @@ export class HIMPSystem {
       
       if (titleField) titleField.value = `HIMP Assessment: ${assessment.surfaceId}`;
       if (descField) {
-        const highScores = Object.entries(assessment.himpScores)
-          .filter(([, score]) => score >= 2)
-          .map(([key, score]) => `${this.himpCategories[key].label}: ${score}`)
+        const scheme = this.getAssessmentScheme(assessment);
+        const categories = this.schemes.getCategories(scheme);
+        const highScores = this.schemes.getRecoatCategories(assessment.himpScores, scheme)
+          .map(key => `${categories[key]?.label || key}: ${assessment.himpScores[key]}`)
           .join(', ');
         
         descField.value = `HIMP scores: ${highScores}. ${assessment.notes}`.trim();
       }
-      if (typeField) typeField.value = 'coating';
-      if (severityField) {
-        // Map max HIMP score to severity
-        if (assessment.maxScore >= 5) severityField.value = 'critical';
-        else if (assessment.maxScore >= 3) severityField.value = 'high';
-        else if (assessment.maxScore >= 2) severityField.value = 'medium';
-        else severityField.value = 'low';
-      }
+      // Type and severity come from the taxonomy's HIMP mapping
+      const mapped = annotationSystem.taxonomy.getHimpDiscrepancy(assessment.maxScore);
+      if (typeField) typeField.value = mapped.type;
+      if (severityField) severityField.value = mapped.severity;
+      
+      // The sample photos document the discrepancy too
+      annotationSystem.photoGallery.setPhotos(assessment.photos);
     }, 100);
     
     // Hide HIMP modal and show annotation modal
@@ -977,16 +1591,40 @@ export class HIMPSystem {
    */
   updateHimpReadout() {
     const readout = document.getElementById('himp-readout');
-    if (!readout || !this.active) return;
+    if (!readout || (!this.active && !this.painting)) return;
+    
+    // Painting coating breakdown
+    if (this.painting) {
+      const { percent } = this.getPaintedPercent();
+      readout.innerHTML = `
+        <strong>🖌️ Coating breakdown: ${percent.toFixed(1)}%</strong><br>
+        <small>Brush: ${Utils.formatDistance(this.painting.brushRadius, false)} | Drag: Paint | Shift+Drag: Erase | [ / ]: Brush size<br>
+        Enter: Done | ESC: Cancel</small><br>
+        <button onclick="window.inspector3D?.himp?.finishBreakdownPainting()">✓ Done</button>
+        <button onclick="window.inspector3D?.himp?.cancelBreakdownPainting()">✕ Cancel</button>
+      `;
+      return;
+    }
     
     const count = this.himpScores.length;
     const recoatCount = this.himpScores.filter(h => h.recommendRecoat).length;
     
+    // Outlining a region
+    if (this.regionPoints.length > 0) {
+      const area = Utils.calculatePolygonAreaDetails(this.regionPoints).area;
+      readout.innerHTML = `
+        <strong>📊 Outlining region: ${this.regionPoints.length} ${this.regionPoints.length === 1 ? 'point' : 'points'}</strong><br>
+        <small>${this.regionPoints.length >= 3 ? `Area: ${Utils.formatArea(area, false)}<br>` : ''}
+        C / Enter: Close and score (one point: score the point) | Backspace: Remove last point | ESC: Cancel</small>
+      `;
+      return;
+    }
+    
     if (count === 0) {
       readout.innerHTML = `
         <strong>� HIMP Assessment Mode</strong><br>
-        <small>Click on surfaces to assess coating condition<br>
-        Ctrl+H: HIMP Manager | ESC: Cancel</small>
+        <small>Click on surfaces to outline the assessed region<br>
+        C / Enter: Close and score | Ctrl+H: HIMP Manager | ESC: Cancel</small>
       `;
     } else {
       readout.innerHTML = `
@@ -1018,15 +1656,20 @@ export class HIMPSystem {
    * Update HIMP manager content
    */
   updateHimpManager() {
-    // Update statistics
+    this.updateSurfaceVisibility();
+    if (this.heatmapEnabled) this.scheduleHeatmapRefresh();
+    
+    // Statistics use the latest assessment of each surface
+    const latest = this.getLatestAssessments();
     const totalCount = this.himpScores.length;
-    const recoatCount = this.himpScores.filter(h => h.recommendRecoat).length;
-    const avgScore = totalCount > 0 ? 
-      this.himpScores.reduce((sum, h) => sum + h.averageScore, 0) / totalCount : 0;
+    const recoatCount = latest.filter(h => h.recommendRecoat).length;
+    const avgScore = latest.length > 0 ? 
+      latest.reduce((sum, h) => sum + h.averageScore, 0) / latest.length : 0;
     
     document.getElementById('total-assessments').textContent = totalCount;
     document.getElementById('recoat-recommendations').textContent = recoatCount;
     document.getElementById('average-score').textContent = avgScore.toFixed(1);
+    document.getElementById('recoat-area').textContent = this.getAreaTotals().recoatArea.toFixed(1);
     
     // Update assessments list
     const listContainer = document.getElementById('himp-list');
@@ -1043,36 +1686,51 @@ export class HIMPSystem {
     }
     
     let html = '';
-    this.himpScores
+    latest
       .sort((a, b) => b.maxScore - a.maxScore) // Sort by highest score first
       .forEach(assessment => {
         const statusClass = assessment.recommendRecoat ? 'warning' : 'safe';
         const statusIcon = assessment.recommendRecoat ? '⚠️' : '✅';
         const statusText = assessment.recommendRecoat ? 'RECOAT NEEDED' : 'ACCEPTABLE';
+        const history = this.getSurfaceHistory(assessment.surfaceId);
+        const categories = this.schemes.getCategories(this.getAssessmentScheme(assessment));
+        const expanded = this.expandedSurfaces.has(assessment.surfaceId);
         
         html += `
           <div class="himp-item ${statusClass}" data-himp-id="${assessment.id}">
+            ${assessment.thumbnail ? 
+              `<img class="finding-thumbnail" src="${Utils.escapeHtml(assessment.thumbnail)}" alt="Recorded view" title="Fly to recorded view" onclick="window.inspector3D?.himp?.focusOnAssessment('${assessment.id}')">` : 
+              ''
+            }
             <div class="himp-header">
-              <strong>${assessment.surfaceId}</strong>
+              <strong>${Utils.escapeHtml(assessment.surfaceId)}</strong>
               <span class="himp-status-badge ${statusClass}">${statusIcon} ${statusText}</span>
             </div>
             <div class="himp-scores">
               ${Object.entries(assessment.himpScores).map(([key, score]) => 
-                `<span class="score-chip score-${score}">${this.himpCategories[key].icon} ${score}</span>`
+                this.renderScoreChip(score, this.getAssessmentScheme(assessment), categories[key]?.icon || key)
               ).join('')}
             </div>
             <div class="himp-summary">
               Max Score: ${assessment.maxScore} | Average: ${assessment.averageScore.toFixed(1)}
-              ${assessment.notes ? `<br><em>"${assessment.notes}"</em>` : ''}
+              ${assessment.region ? `| Area: ${this.getAssessmentArea(assessment).toFixed(2)} m²` : ''}
+              ${assessment.breakdown ? `| Breakdown: ${assessment.breakdown.percent.toFixed(1)}%` : ''}
+              ${assessment.photos.length > 0 ? `| 📷 ${assessment.photos.length}` : ''}
+              | Assessed: ${assessment.assessedAt.toLocaleDateString()} (${history.length} ${history.length === 1 ? 'survey' : 'surveys'})
+              <br>📅 ${Utils.escapeHtml(this.describeRecoatPrediction(this.predictRecoat(history), this.getAssessmentScheme(assessment)))}
+              ${assessment.notes ? `<br><em>"${Utils.escapeHtml(assessment.notes)}"</em>` : ''}
             </div>
             <div class="himp-actions">
               <button class="btn-small edit-himp" onclick="window.inspector3D?.himp?.editHimpAssessment('${assessment.id}')">✏️ Edit</button>
               <button class="btn-small focus-himp" onclick="window.inspector3D?.himp?.focusOnAssessment('${assessment.id}')">🎯 Focus</button>
+              <button class="btn-small" onclick="window.inspector3D?.himp?.reassessSurface('${assessment.id}')">➕ Re-assess</button>
+              <button class="btn-small" onclick="window.inspector3D?.himp?.toggleSurfaceHistory('${assessment.id}')">📈 ${expanded ? 'Hide' : 'History'}</button>
               ${assessment.recommendRecoat ? 
                 `<button class="btn-small create-discrepancy" onclick="window.inspector3D?.himp?.editHimpAssessment('${assessment.id}'); setTimeout(() => window.inspector3D?.himp?.createDiscrepancyFromHimp(), 500)">📍 Create Discrepancy</button>` : 
                 ''
               }
             </div>
+            ${expanded ? this.renderSurfaceHistory(history) : ''}
           </div>
         `;
       });
@@ -1080,6 +1738,311 @@ export class HIMPSystem {
     listContainer.innerHTML = html;
   }
 
+  /**
+   * Area of an assessment's region in m² (0 for point assessments)
+   */
+  getAssessmentArea(assessment) {
+    return assessment.region ? Utils.convertAreaToSquareMeters(assessment.region.area) : 0;
+  }
+
+  /**
+   * Area-weighted totals over the latest survey of each surface with a region (m²)
+   */
+  getAreaTotals() {
+    const regions = this.getLatestAssessments().filter(assessment => assessment.region);
+    
+    let assessedArea = 0;
+    let recoatArea = 0;
+    let weightedScore = 0;
+    regions.forEach(assessment => {
+      const area = this.getAssessmentArea(assessment);
+      assessedArea += area;
+      weightedScore += assessment.averageScore * area;
+      if (assessment.recommendRecoat) recoatArea += area;
+    });
+    
+    return {
+      regions: regions.length,
+      assessedArea: assessedArea,
+      recoatArea: recoatArea,
+      recoatPercent: assessedArea > 0 ? (recoatArea / assessedArea) * 100 : 0,
+      weightedAverageScore: assessedArea > 0 ? weightedScore / assessedArea : 0
+    };
+  }
+
+  /**
+   * All assessments of a surface, oldest survey first
+   */
+  getSurfaceHistory(surfaceId) {
+    return this.himpScores
+      .filter(assessment => assessment.surfaceId === surfaceId)
+      .sort((a, b) => a.assessedAt - b.assessedAt);
+  }
+
+  /**
+   * The most recent assessment of each surface
+   */
+  getLatestAssessments() {
+    const latest = new Map();
+    
+    this.himpScores.forEach(assessment => {
+      const current = latest.get(assessment.surfaceId);
+      if (!current || assessment.assessedAt > current.assessedAt) {
+        latest.set(assessment.surfaceId, assessment);
+      }
+    });
+    
+    return [...latest.values()];
+  }
+
+  /**
+   * Show only the latest assessment of each surface in the 3D view
+   */
+  updateSurfaceVisibility() {
+    const latestIds = new Set(this.getLatestAssessments().map(assessment => assessment.id));
+    
+    this.himpScores.forEach(assessment => {
+      assessment.superseded = !latestIds.has(assessment.id);
+      if (assessment.group) {
+        assessment.group.visible = !assessment.superseded;
+      }
+      if (assessment.labelDiv && assessment.superseded) {
+        assessment.labelDiv.style.display = 'none';
+      }
+    });
+  }
+
+  /**
+   * Show or hide the history of an assessment's surface in the manager
+   */
+  toggleSurfaceHistory(himpId) {
+    const assessment = this.himpScores.find(himp => himp.id === himpId);
+    if (!assessment) return;
+    
+    if (this.expandedSurfaces.has(assessment.surfaceId)) {
+      this.expandedSurfaces.delete(assessment.surfaceId);
+    } else {
+      this.expandedSurfaces.add(assessment.surfaceId);
+    }
+    
+    this.updateHimpManager();
+  }
+
+  /**
+   * Start a new dated assessment of an already assessed surface
+   */
+  reassessSurface(himpId) {
+    const assessment = this.himpScores.find(himp => himp.id === himpId);
+    if (!assessment) return;
+    
+    this.hideHimpManager();
+    this.cancelPendingHimp();
+    
+    // The new survey covers the same region
+    this.pendingSurfacePoint = assessment.position.clone();
+    this.pendingRegion = assessment.region ?
+      { points: assessment.region.points.map(point => point.clone()), area: assessment.region.area } :
+      null;
+    this.showHimpModal();
+    
+    document.getElementById('himp-surface-id').value = assessment.surfaceId;
+    document.getElementById('himp-modal-title').textContent = `📊 Re-assess ${assessment.surfaceId}`;
+  }
+
+  /**
+   * Least-squares line through (time, score) points; slope in score per millisecond
+   */
+  fitTrend(points) {
+    if (points.length < 2) return null;
+    
+    const n = points.length;
+    const meanT = points.reduce((sum, p) => sum + p.t, 0) / n;
+    const meanScore = points.reduce((sum, p) => sum + p.score, 0) / n;
+    
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(p => {
+      covariance += (p.t - meanT) * (p.score - meanScore);
+      variance += (p.t - meanT) ** 2;
+    });
+    
+    if (variance === 0) return null;
+    
+    const slope = covariance / variance;
+    return { slope, intercept: meanScore - slope * meanT };
+  }
+
+  /**
+   * Date a category's trend reaches its recoat threshold (null if not deteriorating)
+   */
+  predictCategoryCrossing(history, key, scheme) {
+    const latest = history[history.length - 1];
+    const threshold = this.schemes.getCategoryThreshold(key, scheme);
+    if (latest.himpScores[key] >= threshold) return latest.assessedAt;
+    
+    const trend = this.fitTrend(history
+      .filter(assessment => assessment.himpScores[key] !== undefined)
+      .map(assessment => ({ t: assessment.assessedAt.getTime(), score: assessment.himpScores[key] })));
+    if (!trend || trend.slope <= 0) return null;
+    
+    // Never predict a crossing before the latest survey
+    const crossing = (threshold - trend.intercept) / trend.slope;
+    return new Date(Math.max(crossing, latest.assessedAt.getTime()));
+  }
+
+  /**
+   * When a surface will meet the recoat rule of its latest scheme, from its assessment history.
+   * status: 'due' (rule already met), 'predicted', 'stable' or 'insufficient'
+   */
+  predictRecoat(history) {
+    const latest = history[history.length - 1];
+    const scheme = this.getAssessmentScheme(latest);
+    const needed = scheme.recommendation.minCategories;
+    
+    const due = this.schemes.getRecoatCategories(latest.himpScores, scheme);
+    if (due.length >= needed) {
+      return { status: 'due', date: latest.assessedAt, categories: due };
+    }
+    
+    if (history.length < 2) {
+      return { status: 'insufficient' };
+    }
+    
+    // The rule is met once the required number of categories have crossed
+    const crossings = scheme.categories
+      .map(category => ({ key: category.id, date: this.predictCategoryCrossing(history, category.id, scheme) }))
+      .filter(crossing => crossing.date)
+      .sort((a, b) => a.date - b.date)
+      .slice(0, needed);
+    
+    if (crossings.length < needed) {
+      return { status: 'stable' };
+    }
+    
+    return {
+      status: 'predicted',
+      date: crossings[crossings.length - 1].date,
+      categories: crossings.map(crossing => crossing.key)
+    };
+  }
+
+  /**
+   * One-line description of a recoat prediction
+   */
+  describeRecoatPrediction(prediction, scheme = this.schemes.definition) {
+    const categories = this.schemes.getCategories(scheme);
+    const labels = (prediction.categories || []).map(key => categories[key]?.label || key).join(', ');
+    
+    switch (prediction.status) {
+      case 'due':
+        return `Recoat threshold reached (${labels})`;
+      case 'predicted':
+        return `Recoat threshold predicted around ${prediction.date.toLocaleDateString()} (${labels})`;
+      case 'stable':
+        return 'No deterioration trend';
+      default:
+        return 'Re-assess on a later survey to predict the recoat date';
+    }
+  }
+
+  /**
+   * History table and per-category trend charts of a surface,
+   * with the categories of its latest scheme
+   */
+  renderSurfaceHistory(history) {
+    const scheme = this.getAssessmentScheme(history[history.length - 1]);
+    const categories = Object.entries(this.schemes.getCategories(scheme));
+    
+    const rows = [...history].reverse().map(assessment => `
+      <tr>
+        <td>${assessment.assessedAt.toLocaleDateString()}</td>
+        ${categories.map(([key]) =>
+          `<td>${this.renderScoreChip(assessment.himpScores[key], this.getAssessmentScheme(assessment))}</td>`
+        ).join('')}
+        <td>${assessment.maxScore}</td>
+        <td>${assessment.averageScore.toFixed(1)}</td>
+        <td>
+          <button class="btn-small" onclick="window.inspector3D?.himp?.editHimpAssessment('${assessment.id}')" title="Edit">✏️</button>
+        </td>
+      </tr>
+    `).join('');
+    
+    return `
+      <div class="himp-history">
+        <table class="himp-history-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              ${categories.map(([, category]) => `<th title="${Utils.escapeHtml(category.label)}">${Utils.escapeHtml(category.icon)}</th>`).join('')}
+              <th>Max</th>
+              <th>Avg</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <div class="himp-trend-charts">
+          ${categories.map(([key, category]) => `
+            <div class="himp-trend-chart">
+              <div class="himp-trend-title">${Utils.escapeHtml(`${category.icon} ${category.label}`.trim())}</div>
+              ${this.renderTrendChart(history, key, scheme)}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Small SVG line chart of one category over the surveys, with the recoat
+   * threshold and the projected crossing
+   */
+  renderTrendChart(history, key, scheme) {
+    const width = this.TREND_CHART_WIDTH;
+    const height = this.TREND_CHART_HEIGHT;
+    const padding = 5;
+    
+    const points = history
+      .filter(assessment => assessment.himpScores[key] !== undefined)
+      .map(assessment => ({ t: assessment.assessedAt.getTime(), score: assessment.himpScores[key] }));
+    if (points.length === 0) return '<small>No scores</small>';
+    
+    const threshold = this.schemes.getCategoryThreshold(key, scheme);
+    const { min, max } = this.schemes.getScoreRange(scheme);
+    const crossing = history.length >= 2 ? this.predictCategoryCrossing(history, key, scheme) : null;
+    const lastPoint = points[points.length - 1];
+    const projected = crossing && lastPoint.score < threshold ? crossing.getTime() : null;
+    
+    const startT = points[0].t;
+    const endT = Math.max(lastPoint.t, projected || 0);
+    const span = endT - startT || 1;
+    
+    const x = t => padding + ((t - startT) / span) * (width - padding * 2);
+    const y = score => height - padding - ((score - min) / (max - min)) * (height - padding * 2);
+    
+    const line = points.map(p => `${x(p.t).toFixed(1)},${y(p.score).toFixed(1)}`).join(' ');
+    const thresholdY = y(threshold).toFixed(1);
+    
+    let caption = 'Stable';
+    if (lastPoint.score >= threshold) {
+      caption = `At threshold (${lastPoint.score})`;
+    } else if (projected) {
+      caption = `Threshold ~ ${crossing.toLocaleDateString()}`;
+    } else if (points.length < 2) {
+      caption = `Score ${lastPoint.score}`;
+    }
+    
+    return `
+      <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <line class="himp-trend-threshold" x1="${padding}" x2="${width - padding}" y1="${thresholdY}" y2="${thresholdY}"></line>
+        ${projected ? `<line class="himp-trend-projection" x1="${x(lastPoint.t).toFixed(1)}" y1="${y(lastPoint.score).toFixed(1)}" x2="${x(projected).toFixed(1)}" y2="${thresholdY}"></line>` : ''}
+        <polyline class="himp-trend-line" points="${line}"></polyline>
+        ${points.map(p => `<circle class="himp-trend-point" cx="${x(p.t).toFixed(1)}" cy="${y(p.score).toFixed(1)}" r="2.5"></circle>`).join('')}
+      </svg>
+      <small class="himp-trend-caption">${caption}</small>
+    `;
+  }
+
   /**
    * Focus camera on HIMP assessment
    */
@@ -1087,6 +2050,13 @@ export class HIMPSystem {
     const assessment = this.himpScores.find(himp => himp.id === himpId);
     if (!assessment) return;
     
+    // Fly back to the recorded view when there is one
+    if (assessment.cameraPose && window.inspector3D?.controls) {
+      window.inspector3D.controls.flyToPose(assessment.cameraPose);
+      console.log(`🎯 Focused on HIMP assessment: ${assessment.surfaceId}`);
+      return;
+    }
+    
     // Use main app's camera controls if available
     if (window.inspector3D && window.inspector3D.controls) {
       const controls = window.inspector3D.controls.controls;
@@ -1098,6 +2068,322 @@ export class HIMPSystem {
     }
   }
 
+  /**
+   * Show or hide the HIMP heatmap on the model
+   */
+  toggleHeatmap() {
+    if (this.heatmapEnabled) {
+      this.heatmapEnabled = false;
+      this.removeHeatmap();
+      console.log('🗺️ HIMP heatmap hidden');
+    } else {
+      if (Utils.getModelMeshes(this.scene).length === 0) {
+        window.inspector3D?.ui?.showWarning('Load a mesh model to show the HIMP heatmap (point clouds are not coloured)');
+        return;
+      }
+      
+      this.heatmapEnabled = true;
+      this.refreshHeatmap();
+      console.log('🗺️ HIMP heatmap shown');
+    }
+    
+    this.updateHeatmapControls();
+  }
+
+  /**
+   * Change what the heatmap shows: value ('max' or a category ID) and
+   * blend ('nearest' or 'interpolate')
+   */
+  setHeatmapOptions({ value = this.heatmapValue, blend = this.heatmapBlend } = {}) {
+    this.heatmapValue = value;
+    this.heatmapBlend = blend;
+    
+    this.updateHeatmapControls();
+    this.refreshHeatmap();
+  }
+
+  /**
+   * Sync the tools panel heatmap controls with the current state
+   */
+  updateHeatmapControls() {
+    const toggleBtn = document.getElementById('toggle-himp-heatmap');
+    const valueSelect = document.getElementById('himp-heatmap-value');
+    const blendSelect = document.getElementById('himp-heatmap-blend');
+    if (!toggleBtn || !valueSelect || !blendSelect) return;
+    
+    toggleBtn.textContent = this.heatmapEnabled ? '🗺️ Hide Heatmap' : '🗺️ Show Heatmap';
+    toggleBtn.classList.toggle('active', this.heatmapEnabled);
+    
+    valueSelect.innerHTML = `
+      <option value="max">Max score</option>
+      ${this.schemes.definition.categories.map(category =>
+        `<option value="${category.id}">${Utils.escapeHtml(`${category.icon} ${category.label}`.trim())}</option>`
+      ).join('')}
+    `;
+    valueSelect.value = this.heatmapValue;
+    blendSelect.value = this.heatmapBlend;
+  }
+
+  /**
+   * Rebuild the heatmap after assessments, the scheme or the model changed
+   */
+  refreshHeatmap() {
+    if (!this.heatmapEnabled) return;
+    
+    this.removeHeatmap();
+    
+    const meshes = Utils.getModelMeshes(this.scene).filter(mesh => mesh.visible);
+    if (meshes.length === 0) return;
+    
+    const sources = this.getHeatmapSources();
+    const bounds = new THREE.Box3();
+    meshes.forEach(mesh => bounds.expandByObject(mesh));
+    const radius = bounds.getSize(new THREE.Vector3()).length() * this.HEATMAP_RADIUS;
+    
+    const materials = {
+      shaded: new THREE.MeshLambertMaterial({ vertexColors: true, polygonOffset: true, polygonOffsetFactor: -0.5, polygonOffsetUnits: -0.5 }),
+      flat: new THREE.MeshBasicMaterial({ vertexColors: true, polygonOffset: true, polygonOffsetFactor: -0.5, polygonOffsetUnits: -0.5 })
+    };
+    
+    const group = new THREE.Group();
+    group.name = 'himp-heatmap';
+    
+    const vertex = new THREE.Vector3();
+    const color = new THREE.Color();
+    const scratch = { distances: new Float64Array(sources.length), offset: new THREE.Vector3(), closest: new THREE.Vector3() };
+    
+    meshes.forEach(mesh => {
+      mesh.updateMatrixWorld(true);
+      const position = mesh.geometry.attributes.position;
+      const normal = mesh.geometry.attributes.normal;
+      const colors = new Float32Array(position.count * 3);
+      
+      for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+        this.getHeatmapColor(this.getHeatmapScore(vertex, sources, radius, scratch), color);
+        color.toArray(colors, i * 3);
+      }
+      
+      // Shares the model's vertex buffers, only the colours are new
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', position);
+      if (normal) geometry.setAttribute('normal', normal);
+      if (mesh.geometry.index) geometry.setIndex(mesh.geometry.index);
+      geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+      
+      const material = normal ? materials.shaded : materials.flat;
+      const overlay = new THREE.Mesh(geometry, material);
+      overlay.matrixAutoUpdate = false;
+      overlay.matrix.copy(mesh.matrixWorld);
+      
+      // Follow the section planes like the model does
+      overlay.onBeforeRender = () => {
+        material.clippingPlanes = Utils.clippingPlanes.length > 0 ? Utils.clippingPlanes : null;
+      };
+      
+      group.add(overlay);
+    });
+    
+    this.scene.add(group);
+    this.heatmapGroup = group;
+    this.showHeatmapLegend();
+    
+    console.log(`🗺️ HIMP heatmap: ${sources.length} assessments on ${meshes.length} meshes`);
+  }
+
+  /**
+   * Remove the heatmap and its legend
+   */
+  removeHeatmap() {
+    if (this.heatmapGroup) {
+      this.scene.remove(this.heatmapGroup);
+      
+      this.heatmapGroup.children.forEach(overlay => {
+        // Detach the model's buffers so disposing frees only the colours
+        overlay.geometry.deleteAttribute('position');
+        overlay.geometry.deleteAttribute('normal');
+        overlay.geometry.setIndex(null);
+        overlay.geometry.dispose();
+        overlay.material.dispose();
+      });
+      
+      this.heatmapGroup = null;
+    }
+    
+    const legend = document.getElementById('himp-heatmap-legend');
+    if (legend) legend.remove();
+  }
+
+  /**
+   * Latest assessment of each surface with the mapped score:
+   * [{ position, score, region }], region prepared for containment tests.
+   * Scores of other schemes are mapped onto the current scheme's scale.
+   */
+  getHeatmapSources() {
+    const current = this.schemes.definition;
+    
+    return this.getLatestAssessments()
+      .map(assessment => ({
+        assessment,
+        score: this.heatmapValue === 'max' ? assessment.maxScore : assessment.himpScores[this.heatmapValue]
+      }))
+      .filter(({ score }) => typeof score === 'number')
+      .map(({ assessment, score }) => {
+        const source = {
+          position: assessment.position,
+          score: this.mapScoreToScheme(score, this.getAssessmentScheme(assessment), current),
+          region: null
+        };
+        
+        if (assessment.region) {
+          const points = assessment.region.points;
+          const details = Utils.calculatePolygonAreaDetails(points);
+          
+          if (details.plane) {
+            const { u, v } = Utils.getPlaneBasis(details.plane);
+            const offset = new THREE.Vector3();
+            
+            source.region = {
+              origin: details.plane.centroid,
+              u: u,
+              v: v,
+              normal: details.plane.normal,
+              polygon: points.map(point => {
+                offset.subVectors(point, details.plane.centroid);
+                return [offset.dot(u), offset.dot(v)];
+              }),
+              band: details.planarityDeviation + Math.sqrt(details.area) * this.REGION_FACE_BAND,
+              edges: points.map((point, i) => new THREE.Line3(point, points[(i + 1) % points.length]))
+            };
+          }
+        }
+        
+        return source;
+      });
+  }
+
+  /**
+   * A score on one scheme's scale at the same relative position on another's
+   */
+  mapScoreToScheme(score, from, to) {
+    if (HimpSchemeManager.getKey(from) === HimpSchemeManager.getKey(to)) return score;
+    
+    const source = this.schemes.getScoreRange(from);
+    const target = this.schemes.getScoreRange(to);
+    const fraction = (score - source.min) / (source.max - source.min);
+    return target.min + fraction * (target.max - target.min);
+  }
+
+  /**
+   * Score shown at a point: the containing region's score, otherwise the
+   * nearest assessment's or a distance-weighted blend within radius
+   * (null = unassessed). Called per vertex, so it works in the scratch
+   * objects of refreshHeatmap ({ distances, offset, closest }) instead of allocating.
+   */
+  getHeatmapScore(point, sources, radius, scratch) {
+    const { distances, offset, closest } = scratch;
+    
+    let contained = null;
+    for (const source of sources) {
+      const region = source.region;
+      if (!region) continue;
+      
+      offset.subVectors(point, region.origin);
+      if (Math.abs(offset.dot(region.normal)) > region.band) continue;
+      
+      if (Utils.isPointInPolygon2D(offset.dot(region.u), offset.dot(region.v), region.polygon)) {
+        // Overlapping regions show the worse score
+        contained = contained === null ? source.score : Math.max(contained, source.score);
+      }
+    }
+    if (contained !== null) return contained;
+    
+    for (let i = 0; i < sources.length; i++) {
+      const region = sources[i].region;
+      if (!region) {
+        distances[i] = sources[i].position.distanceTo(point);
+        continue;
+      }
+      
+      // Distance to the region outline
+      let distance = Infinity;
+      for (const edge of region.edges) {
+        distance = Math.min(distance, edge.closestPointToPoint(point, true, closest).distanceTo(point));
+      }
+      distances[i] = distance;
+    }
+    
+    if (this.heatmapBlend === 'nearest') {
+      let nearest = -1;
+      for (let i = 0; i < sources.length; i++) {
+        if (distances[i] <= radius && (nearest === -1 || distances[i] < distances[nearest])) nearest = i;
+      }
+      return nearest === -1 ? null : sources[nearest].score;
+    }
+    
+    // Inverse distance weighting
+    let weightedSum = 0;
+    let weightTotal = 0;
+    for (let i = 0; i < sources.length; i++) {
+      if (distances[i] > radius) continue;
+      if (distances[i] < 1e-6) return sources[i].score;
+      
+      const weight = 1 / (distances[i] * distances[i]);
+      weightedSum += sources[i].score * weight;
+      weightTotal += weight;
+    }
+    
+    return weightTotal > 0 ? weightedSum / weightTotal : null;
+  }
+
+  /**
+   * Scale colour of a (possibly fractional) score, written into target
+   */
+  getHeatmapColor(score, target) {
+    if (score === null) return target.setHex(this.HEATMAP_UNASSESSED_COLOR);
+    
+    const scale = this.schemes.definition.scale;
+    const upper = scale.find(level => level.score >= score) || scale[scale.length - 1];
+    const lower = [...scale].reverse().find(level => level.score <= score) || scale[0];
+    
+    target.set(lower.color);
+    if (upper.score > lower.score) {
+      target.lerp(new THREE.Color(upper.color), (score - lower.score) / (upper.score - lower.score));
+    }
+    return target;
+  }
+
+  /**
+   * Show the heatmap legend (captured in screenshots with the labels)
+   */
+  showHeatmapLegend() {
+    let legend = document.getElementById('himp-heatmap-legend');
+    if (!legend) {
+      legend = document.createElement('div');
+      legend.id = 'himp-heatmap-legend';
+      legend.className = 'himp-heatmap-legend';
+      document.body.appendChild(legend);
+    }
+    
+    const category = this.himpCategories[this.heatmapValue];
+    const unassessed = `#${new THREE.Color(this.HEATMAP_UNASSESSED_COLOR).getHexString()}`;
+    
+    legend.innerHTML = `
+      <div class="legend-title">🗺️ HIMP: ${category ? Utils.escapeHtml(category.label) : 'Max score'}</div>
+      <div class="legend-subtitle">${this.heatmapBlend === 'nearest' ? 'Nearest assessment' : 'Interpolated between assessments'}</div>
+      ${[...this.schemes.definition.scale].reverse().map(level => `
+        <div class="legend-row">
+          <span class="legend-swatch" style="background: ${level.color};"></span>
+          <span>${level.score} ${Utils.escapeHtml(level.label)}</span>
+        </div>
+      `).join('')}
+      <div class="legend-row">
+        <span class="legend-swatch" style="background: ${unassessed};"></span>
+        <span>Unassessed</span>
+      </div>
+    `;
+  }
+
   /**
    * Clear all HIMP assessments
    */
@@ -1105,6 +2391,8 @@ export class HIMPSystem {
     if (this.himpScores.length === 0) return;
     
     if (confirm(`Delete all ${this.himpScores.length} HIMP assessments?`)) {
+      const before = this.captureState();
+      
       // Remove all visuals
       this.himpScores.forEach(assessment => {
         this.removeHimpVisuals(assessment);
@@ -1115,6 +2403,7 @@ export class HIMPSystem {
       this.himpIdCounter = 1;
       
       console.log('🗑️ Cleared all HIMP assessments');
+      this.history?.record('Clear all HIMP assessments', this, before);
       
       // Update UI
       this.updateHimpManager();
@@ -1131,18 +2420,24 @@ export class HIMPSystem {
       return;
     }
     
+    // One column per category of every scheme in use, current scheme first
+    const columns = new Map();
+    [this.schemes.definition, ...this.himpScores.map(assessment => this.getAssessmentScheme(assessment))]
+      .forEach(scheme => scheme.categories.forEach(category => {
+        if (!columns.has(category.id)) columns.set(category.id, category.label);
+      }));
+    
     const headers = [
       'Surface ID',
-      'Coating Condition',
-      'General Corrosion',
-      'Pitting & Grooving',
-      'Deformation',
-      'Fracture',
-      'Cleanliness',
+      'Scoring Scheme',
+      ...[...columns.values()].map(label => `"${label.replace(/"/g, '""')}"`),
       'Max Score',
       'Average Score',
+      'Area (m²)',
+      'Breakdown (%)',
       'Recommend Recoat',
       'Notes',
+      'Photos',
       'Assessment Date',
       'Position X',
       'Position Y',
@@ -1151,23 +2446,32 @@ export class HIMPSystem {
     
     const rows = this.himpScores.map(assessment => [
       assessment.surfaceId,
-      assessment.himpScores.coating_condition,
-      assessment.himpScores.general_corrosion,
-      assessment.himpScores.pitting_grooving,
-      assessment.himpScores.deformation,
-      assessment.himpScores.fracture,
-      assessment.himpScores.cleanliness,
+      `${assessment.scheme.id} v${assessment.scheme.version}`,
+      ...[...columns.keys()].map(key => assessment.himpScores[key] ?? ''),
       assessment.maxScore,
       assessment.averageScore.toFixed(2),
+      assessment.region ? this.getAssessmentArea(assessment).toFixed(2) : '',
+      assessment.breakdown ? assessment.breakdown.percent.toFixed(1) : '',
       assessment.recommendRecoat ? 'YES' : 'NO',
       `"${assessment.notes.replace(/"/g, '""')}"`, // Escape quotes
-      assessment.createdAt.toISOString(),
+      assessment.photos.length,
+      assessment.assessedAt.toISOString(),
       assessment.position.x.toFixed(3),
       assessment.position.y.toFixed(3),
       assessment.position.z.toFixed(3)
     ]);
     
-    const csvContent = [headers, ...rows]
+    // Area-weighted totals over the latest survey of each surface
+    const totals = this.getAreaTotals();
+    const totalRows = [
+      [],
+      ['Assessed area, latest surveys (m²)', totals.assessedArea.toFixed(2)],
+      ['Area recommended for recoat (m²)', totals.recoatArea.toFixed(2)],
+      ['Recoat share of assessed area (%)', totals.recoatPercent.toFixed(1)],
+      ['Area-weighted average score', totals.weightedAverageScore.toFixed(2)]
+    ];
+    
+    const csvContent = [headers, ...rows, ...totalRows]
       .map(row => row.join(','))
       .join('\n');
     
@@ -1198,8 +2502,11 @@ export class HIMPSystem {
       exported: new Date().toISOString(),
       units: Utils.getMeshUnits(),
       coordinate_system: 'Right-handed (Y-up)',
+      scoring_schemes: this.schemes.getSessionSchemes(this.himpScores.map(assessment => assessment.scheme)),
+      area_totals: this.getAreaTotals(),
       himp_assessments: this.himpScores.map(assessment => ({
         surface_id: assessment.surfaceId,
+        scoring_scheme: { ...assessment.scheme },
         himp_scores: assessment.himpScores,
         recommend_recoat: assessment.recommendRecoat,
         max_score: assessment.maxScore,
@@ -1210,7 +2517,17 @@ export class HIMPSystem {
           y: assessment.position.y,
           z: assessment.position.z
         },
-        assessment_date: assessment.createdAt.toISOString(),
+        region: this.serializeRegion(assessment.region),
+        area_m2: assessment.region ? this.getAssessmentArea(assessment) : null,
+        coating_breakdown: assessment.breakdown ? {
+          percent: assessment.breakdown.percent,
+          painted_area_m2: Utils.convertAreaToSquareMeters(assessment.breakdown.paintedArea),
+          surface_area_m2: Utils.convertAreaToSquareMeters(assessment.breakdown.surfaceArea)
+        } : null,
+        camera_pose: Utils.serializeCameraPose(assessment.cameraPose),
+        thumbnail: assessment.thumbnail || null,
+        photos: PhotoGallery.serialize(assessment.photos),
+        assessment_date: assessment.assessedAt.toISOString(),
         updated_date: assessment.updatedAt?.toISOString()
       }))
     };
@@ -1228,12 +2545,449 @@ export class HIMPSystem {
     console.log(`📤 Exported ${this.himpScores.length} HIMP assessments as JSON`);
   }
 
+  /**
+   * Read a HIMP CSV or JSON file (the exportHimpCSV / exportHimpJSON layout)
+   * and preview how it merges into the current assessments
+   */
+  async importHimpFile(file) {
+    let records;
+    try {
+      const text = await file.text();
+      records = /\.json$/i.test(file.name) || text.trim().startsWith('{') ?
+        this.parseHimpJSON(JSON.parse(text)) :
+        this.parseHimpCSV(text);
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+      return;
+    }
+    
+    if (records.length === 0) {
+      alert(`${file.name} contains no HIMP assessments`);
+      return;
+    }
+    
+    this.pendingImport = { fileName: file.name, entries: this.planHimpImport(records) };
+    this.showHimpImportPreview();
+    
+    console.log(`📥 Read ${records.length} HIMP rows from ${file.name}`);
+  }
+
+  /**
+   * Import records from CSV text. Category columns are matched by label or
+   * ID; derived columns (max, average, area, recoat, photos) are recomputed.
+   */
+  parseHimpCSV(text) {
+    const rows = Utils.parseCSV(text);
+    const headers = (rows[0] || []).map(header => header.trim());
+    const column = name => headers.findIndex(header => header.toLowerCase() === name.toLowerCase());
+    
+    const columns = {
+      surfaceId: column('Surface ID'),
+      scheme: column('Scoring Scheme'),
+      notes: column('Notes'),
+      assessedAt: column('Assessment Date'),
+      x: column('Position X'),
+      y: column('Position Y'),
+      z: column('Position Z')
+    };
+    if (columns.surfaceId < 0) {
+      throw new Error('the file has no "Surface ID" column');
+    }
+    
+    const derived = ['Max Score', 'Average Score', 'Area (m²)', 'Breakdown (%)', 'Recommend Recoat', 'Photos'].map(column);
+    const scoreColumns = headers
+      .map((header, index) => ({ header, index }))
+      .filter(({ index }) => !Object.values(columns).includes(index) && !derived.includes(index));
+    
+    const records = [];
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i];
+      
+      // The area totals follow the first blank line
+      if (row.every(cell => !cell.trim())) break;
+      
+      const cell = index => (index >= 0 ? (row[index] || '').trim() : '');
+      const record = this.createImportRecord(i + 1, cell(columns.surfaceId));
+      
+      const schemeText = cell(columns.scheme);
+      if (schemeText) {
+        const match = schemeText.match(/^(.+) v(\d+)$/);
+        this.setImportScheme(record, match ? { id: match[1], version: Number(match[2]) } : null, schemeText);
+      }
+      
+      scoreColumns.forEach(({ header, index }) => {
+        const value = cell(index);
+        if (!value) return;
+        
+        const category = record.scheme.categories.find(entry =>
+          entry.id === header || entry.label.toLowerCase() === header.toLowerCase()
+        );
+        if (category) {
+          record.scores[category.id] = value;
+        } else {
+          record.errors.push(`Unknown category "${header}"`);
+        }
+      });
+      
+      if (columns.notes >= 0) record.notes = cell(columns.notes);
+      
+      const dateText = cell(columns.assessedAt);
+      if (dateText) {
+        record.assessedAt = Utils.parseDateInputValue(dateText) || new Date(dateText);
+      }
+      
+      const coordinates = [columns.x, columns.y, columns.z].map(cell);
+      if (coordinates.some(value => value)) {
+        record.position = new THREE.Vector3(...coordinates.map(value => (value ? Number(value) : NaN)));
+      }
+      
+      records.push(record);
+    }
+    
+    return records;
+  }
+
+  /**
+   * Import records from exportHimpJSON data (or a bare list of its assessments).
+   * The file's scoring schemes are only validated here (they are registered by
+   * applyHimpImport) and positions are converted to the current mesh units.
+   */
+  parseHimpJSON(data) {
+    const assessments = Array.isArray(data) ? data : data?.himp_assessments;
+    if (!Array.isArray(assessments)) {
+      throw new Error('the file has no "himp_assessments" list');
+    }
+    
+    const fileSchemes = this.schemes.resolveSchemes(Array.isArray(data.scoring_schemes) ? data.scoring_schemes : []);
+    
+    const scale = data.units ?
+      Utils.convertToMeters(1, data.units) / Utils.convertToMeters(1, Utils.getMeshUnits()) :
+      1;
+    
+    return assessments.map((entry, index) => {
+      const record = this.createImportRecord(index + 1, String(entry.surface_id ?? '').trim());
+      
+      if (entry.scoring_scheme) {
+        const reference = entry.scoring_scheme;
+        this.setImportScheme(record, reference, `${reference.id} v${reference.version}`, fileSchemes);
+      }
+      
+      Object.assign(record.scores, entry.himp_scores || {});
+      
+      if (entry.notes !== undefined) record.notes = String(entry.notes ?? '');
+      if (entry.assessment_date) record.assessedAt = new Date(entry.assessment_date);
+      
+      if (entry.position) {
+        record.position = new THREE.Vector3(entry.position.x, entry.position.y, entry.position.z).multiplyScalar(scale);
+        
+        const region = this.parseRegion(entry.region);
+        if (region) {
+          region.points.forEach(point => point.multiplyScalar(scale));
+          region.area *= scale * scale;
+          record.region = region;
+        }
+      }
+      
+      // Only JPEG/PNG data URLs are kept
+      if (entry.photos) record.photos = PhotoGallery.parse(entry.photos);
+      
+      // Recorded views are only meaningful in the same units
+      if (scale === 1) {
+        record.cameraPose = Utils.parseCameraPose(entry.camera_pose);
+        record.thumbnail = Utils.parseThumbnail(entry.thumbnail);
+      }
+      
+      return record;
+    });
+  }
+
+  /**
+   * Empty import record. notes and photos stay null when the file has none,
+   * so updates keep the existing ones.
+   */
+  createImportRecord(row, surfaceId) {
+    return {
+      row: row,
+      surfaceId: surfaceId,
+      scheme: this.schemes.definition,
+      scores: {},
+      notes: null,
+      assessedAt: null,
+      position: null,
+      region: null,
+      photos: null,
+      cameraPose: null,
+      thumbnail: null,
+      errors: []
+    };
+  }
+
+  /**
+   * Score an import record with a registered scheme or one from the file
+   * (see HimpSchemeManager.resolveSchemes)
+   */
+  setImportScheme(record, reference, text, fileSchemes = new Map()) {
+    const key = HimpSchemeManager.getKey(reference || {});
+    if (fileSchemes.get(key) === null) {
+      record.errors.push(`Scoring scheme "${text}" differs from the registered version`);
+      return;
+    }
+    
+    const scheme = fileSchemes.get(key) ||
+      (reference && this.schemes.hasScheme(reference) ? this.schemes.getScheme(reference) : null);
+    if (scheme) {
+      record.scheme = scheme;
+    } else {
+      record.errors.push(`Unknown scoring scheme "${text}"`);
+    }
+  }
+
+  /**
+   * Check an import record against its scheme's categories and scale.
+   * Returns { errors, scores } with the scores as numbers.
+   */
+  validateImportRecord(record) {
+    const errors = [...record.errors];
+    const scheme = record.scheme;
+    const categories = this.schemes.getCategories(scheme);
+    const { min, max } = this.schemes.getScoreRange(scheme);
+    const scores = {};
+    
+    if (!record.surfaceId) errors.push('No surface ID');
+    
+    Object.entries(record.scores).forEach(([key, value]) => {
+      if (!categories[key]) {
+        errors.push(`Unknown category "${key}"`);
+        return;
+      }
+      
+      const score = typeof value === 'number' ? value : Number(value);
+      if (!Number.isInteger(score) || !this.schemes.getScoreLevel(score, scheme)) {
+        errors.push(`${categories[key].label} score "${value}" is not on the ${min}-${max} scale`);
+        return;
+      }
+      scores[key] = score;
+    });
+    
+    const missing = scheme.categories.filter(category => !(category.id in record.scores));
+    if (missing.length > 0) {
+      errors.push(`Missing scores: ${missing.map(category => category.label).join(', ')}`);
+    }
+    
+    if (record.assessedAt && isNaN(record.assessedAt.getTime())) {
+      errors.push('Invalid assessment date');
+    }
+    
+    if (record.position && ![record.position.x, record.position.y, record.position.z].every(Number.isFinite)) {
+      errors.push('Invalid position');
+    }
+    
+    return { errors, scores };
+  }
+
+  /**
+   * Decide per record whether it creates, updates or is skipped.
+   * A record updates the assessment of its surface on the same date (the
+   * latest survey if it has no date); other dates add a survey to the surface.
+   */
+  planHimpImport(records) {
+    const claimed = new Map(); // Surface and date -> row that claimed it
+    
+    return records.map(record => {
+      const { errors, scores } = this.validateImportRecord(record);
+      const entry = { record, scores, action: 'skip', target: null, details: '' };
+      
+      if (errors.length > 0) {
+        entry.details = errors.join('; ');
+        return entry;
+      }
+      
+      const history = this.getSurfaceHistory(record.surfaceId);
+      const latest = history[history.length - 1] || null;
+      const target = record.assessedAt ?
+        history.find(assessment =>
+          Utils.toDateInputValue(assessment.assessedAt) === Utils.toDateInputValue(record.assessedAt)
+        ) :
+        latest;
+      
+      const key = `${record.surfaceId}|${Utils.toDateInputValue(target ? target.assessedAt : record.assessedAt || new Date())}`;
+      if (claimed.has(key)) {
+        entry.details = `Same surface and date as row ${claimed.get(key)}`;
+        return entry;
+      }
+      claimed.set(key, record.row);
+      
+      if (target) {
+        const changes = this.describeImportChanges(target, record, scores);
+        entry.details = changes.length > 0 ? changes.join(', ') : 'No changes';
+        entry.action = changes.length > 0 ? 'update' : 'skip';
+        entry.target = target;
+      } else if (!record.position && !latest) {
+        entry.details = 'No position for a new surface';
+      } else {
+        entry.action = 'create';
+        entry.details = latest ?
+          `New survey (${history.length} earlier${record.position ? '' : ', at the surface position'})` :
+          'New surface';
+      }
+      
+      return entry;
+    });
+  }
+
+  /**
+   * What an import record would change on an assessment
+   */
+  describeImportChanges(assessment, record, scores) {
+    const changes = [];
+    const categories = this.schemes.getCategories(record.scheme);
+    
+    if (HimpSchemeManager.getKey(assessment.scheme) !== HimpSchemeManager.getKey(record.scheme)) {
+      changes.push(`Scheme → ${record.scheme.name} v${record.scheme.version}`);
+    }
+    
+    Object.entries(scores).forEach(([key, score]) => {
+      if (assessment.himpScores[key] !== score) {
+        changes.push(`${categories[key].label} ${assessment.himpScores[key] ?? '-'} → ${score}`);
+      }
+    });
+    
+    if (record.notes !== null && record.notes !== assessment.notes) changes.push('Notes');
+    
+    const added = this.getNewImportPhotos(assessment, record).length;
+    if (added > 0) changes.push(`${added} new ${added === 1 ? 'photo' : 'photos'}`);
+    
+    return changes;
+  }
+
+  /**
+   * Photos of an import record the assessment does not have yet (by photo ID)
+   */
+  getNewImportPhotos(assessment, record) {
+    const known = new Set(assessment.photos.map(photo => photo.id));
+    return (record.photos || []).filter(photo => !known.has(photo.id));
+  }
+
+  /**
+   * Show the import preview
+   */
+  showHimpImportPreview() {
+    const entries = this.pendingImport.entries;
+    const count = action => entries.filter(entry => entry.action === action).length;
+    const actions = {
+      create: { icon: '➕', label: 'Create' },
+      update: { icon: '✏️', label: 'Update' },
+      skip: { icon: '⏭️', label: 'Skip' }
+    };
+    
+    document.getElementById('himp-import-summary').textContent =
+      `${this.pendingImport.fileName}: ${count('create')} to create, ${count('update')} to update, ${count('skip')} skipped`;
+    
+    document.getElementById('himp-import-list').innerHTML = entries.map(entry => `
+      <tr class="himp-import-${entry.action}">
+        <td>${entry.record.row}</td>
+        <td>${Utils.escapeHtml(entry.record.surfaceId) || '-'}</td>
+        <td>${entry.record.assessedAt && !isNaN(entry.record.assessedAt) ? Utils.toDateInputValue(entry.record.assessedAt) : '-'}</td>
+        <td>${actions[entry.action].icon} ${actions[entry.action].label}</td>
+        <td>${Utils.escapeHtml(entry.details)}</td>
+      </tr>
+    `).join('');
+    
+    const confirmBtn = document.getElementById('confirm-himp-import');
+    confirmBtn.disabled = count('create') + count('update') === 0;
+    confirmBtn.textContent = `📥 Import ${count('create') + count('update')}`;
+    
+    document.getElementById('himp-import-modal').style.display = 'block';
+  }
+
+  /**
+   * Close the import preview without importing
+   */
+  hideHimpImportPreview() {
+    document.getElementById('himp-import-modal').style.display = 'none';
+    this.pendingImport = null;
+  }
+
+  /**
+   * Create and update the previewed assessments (one undo step)
+   */
+  applyHimpImport() {
+    if (!this.pendingImport) return;
+    
+    const entries = this.pendingImport.entries.filter(entry => entry.action !== 'skip');
+    const before = this.captureState();
+    
+    // The file's schemes become known with the import, not with the preview
+    new Set(entries.map(entry => entry.record.scheme)).forEach(scheme => this.schemes.register(scheme));
+    
+    entries.forEach(({ record, scores, action, target }) => {
+      const scheme = this.schemes.getReference(record.scheme);
+      const summary = this.summarizeScores(scores, record.scheme);
+      
+      if (action === 'update') {
+        this.removeHimpVisuals(target);
+        Object.assign(target, {
+          himpScores: scores,
+          scheme: { ...scheme },
+          ...summary,
+          notes: record.notes ?? target.notes,
+          photos: [...target.photos, ...this.getNewImportPhotos(target, record)],
+          updatedAt: new Date()
+        });
+        this.createHimpVisuals(target);
+        return;
+      }
+      
+      // New surveys without a position cover the surface's latest region
+      const history = this.getSurfaceHistory(record.surfaceId);
+      const latest = history[history.length - 1];
+      const region = record.position ? record.region : latest.region;
+      
+      const assessment = {
+        id: `HIMP${this.himpIdCounter++}`,
+        surfaceId: record.surfaceId,
+        himpScores: scores,
+        scheme: { ...scheme },
+        ...summary,
+        notes: record.notes || '',
+        position: (record.position || latest.position).clone(),
+        region: region ? { points: region.points.map(point => point.clone()), area: region.area } : null,
+        breakdown: null,
+        assessedAt: record.assessedAt || new Date(),
+        createdAt: new Date(),
+        photos: record.photos || [],
+        cameraPose: record.cameraPose,
+        thumbnail: record.thumbnail
+      };
+      
+      this.createHimpVisuals(assessment);
+      this.himpScores.push(assessment);
+    });
+    
+    const created = entries.filter(entry => entry.action === 'create').length;
+    const updated = entries.length - created;
+    this.history?.record(`Import HIMP (${created} new, ${updated} updated)`, this, before);
+    
+    this.hideHimpImportPreview();
+    this.updateHimpManager();
+    this.updateHimpReadout();
+    
+    window.inspector3D?.ui?.showSuccess(`Imported HIMP assessments: ${created} created, ${updated} updated`);
+    console.log(`📥 Imported HIMP assessments: ${created} created, ${updated} updated`);
+  }
+
   /**
    * Cancel pending HIMP assessment
    */
   cancelPendingHimp() {
+    this.stopBreakdownPainting();
     this.pendingSurfacePoint = null;
+    this.pendingRegion = null;
+    this.pendingBreakdown = null;
+    this.regionPoints = [];
     this.editingHimpId = null;
+    this.updateRegionPreview([]);
+    this.updateHimpReadout();
     
     // Reset modal title
     const titleElement = document.getElementById('himp-modal-title');
@@ -1247,6 +3001,9 @@ export class HIMPSystem {
    */
   updateLabelPositions() {
     this.himpScores.forEach(assessment => {
+      // Earlier surveys of a surface stay in the history only
+      if (assessment.superseded) return;
+      
       if (assessment.labelDiv && assessment.position) {
         const vector = assessment.position.clone().project(this.camera);
         const x = (vector.x * 0.5 + 0.5) * window.innerWidth;
@@ -1268,9 +3025,12 @@ export class HIMPSystem {
    */
   getExportData() {
     return {
+      scheme: this.schemes.getReference(),
+      schemes: this.schemes.getSessionSchemes(this.himpScores.map(assessment => assessment.scheme)),
       himpAssessments: this.himpScores.map(assessment => ({
         id: assessment.id,
         surfaceId: assessment.surfaceId,
+        scheme: { ...assessment.scheme },
         himpScores: assessment.himpScores,
         recommendRecoat: assessment.recommendRecoat,
         maxScore: assessment.maxScore,
@@ -1281,12 +3041,164 @@ export class HIMPSystem {
           y: assessment.position.y,
           z: assessment.position.z
         },
+        region: this.serializeRegion(assessment.region),
+        areaSquareMeters: assessment.region ? this.getAssessmentArea(assessment) : null,
+        // Painted faces are keyed by model mesh index (see Utils.getModelMeshes)
+        breakdown: assessment.breakdown ? JSON.parse(JSON.stringify(assessment.breakdown)) : null,
+        cameraPose: Utils.serializeCameraPose(assessment.cameraPose),
+        thumbnail: assessment.thumbnail || null,
+        photos: PhotoGallery.serialize(assessment.photos),
+        assessedAt: assessment.assessedAt.toISOString(),
         createdAt: assessment.createdAt.toISOString(),
         updatedAt: assessment.updatedAt?.toISOString()
       }))
     };
   }
 
+  /**
+   * Region as plain data for export (area in mesh units²)
+   */
+  serializeRegion(region) {
+    if (!region) return null;
+    
+    return {
+      points: region.points.map(point => ({ x: point.x, y: point.y, z: point.z })),
+      area: region.area
+    };
+  }
+
+  /**
+   * Rebuild a region from exported data (see serializeRegion)
+   */
+  parseRegion(data) {
+    if (!data || !Array.isArray(data.points) || data.points.length < 3) return null;
+    
+    const points = data.points.map(point => new THREE.Vector3(point.x, point.y, point.z));
+    return {
+      points: points,
+      area: data.area ?? Utils.calculatePolygonAreaDetails(points).area
+    };
+  }
+
+  /**
+   * Validate an imported breakdown mask: face indices per mesh index and
+   * finite areas (null if missing or malformed)
+   */
+  parseBreakdown(data) {
+    if (!data || !data.faces || typeof data.faces !== 'object') return null;
+    if (![data.percent, data.paintedArea, data.surfaceArea].every(Number.isFinite)) return null;
+    
+    const isIndex = value => Number.isInteger(value) && value >= 0;
+    const faces = {};
+    for (const [meshIndex, faceIndices] of Object.entries(data.faces)) {
+      if (!/^\d+$/.test(meshIndex) || !Array.isArray(faceIndices) || !faceIndices.every(isIndex)) {
+        console.warn('⚠️ Skipping malformed coating breakdown');
+        return null;
+      }
+      faces[meshIndex] = [...faceIndices];
+    }
+    
+    return {
+      faces: faces,
+      paintedArea: data.paintedArea,
+      surfaceArea: data.surfaceArea,
+      percent: data.percent
+    };
+  }
+
+  /**
+   * Rebuild HIMP assessments from exported data (see getExportData)
+   * Replaces the current assessments without confirmation.
+   * Register the session's schemes first (HimpSchemeManager.importSchemes).
+   */
+  importData(assessments = []) {
+    this.himpScores.forEach(assessment => {
+      this.removeHimpVisuals(assessment);
+    });
+    this.himpScores = [];
+    
+    assessments.forEach(data => {
+      const scores = data.himpScores || {};
+      // Sessions from before scoring schemes were scored with the built-in scheme
+      const scheme = data.scheme || { id: DEFAULT_HIMP_SCHEME.id, version: DEFAULT_HIMP_SCHEME.version };
+      const summary = this.summarizeScores(scores, this.schemes.getScheme(scheme));
+      
+      const assessment = {
+        // IDs are used in the manager's button handlers
+        id: /^\w+$/.test(data.id || '') ? data.id : `HIMP${this.himpIdCounter++}`,
+        surfaceId: data.surfaceId,
+        himpScores: { ...scores },
+        scheme: { id: scheme.id, version: scheme.version },
+        recommendRecoat: data.recommendRecoat ?? summary.recommendRecoat,
+        maxScore: data.maxScore ?? summary.maxScore,
+        averageScore: data.averageScore ?? summary.averageScore,
+        notes: data.notes || '',
+        position: new THREE.Vector3(data.position.x, data.position.y, data.position.z),
+        region: this.parseRegion(data.region),
+        breakdown: this.parseBreakdown(data.breakdown),
+        createdAt: Utils.parseDate(data.createdAt) || new Date(),
+        photos: PhotoGallery.parse(data.photos),
+        cameraPose: Utils.parseCameraPose(data.cameraPose),
+        thumbnail: Utils.parseThumbnail(data.thumbnail)
+      };
+      
+      // Invalid dates are dropped, they would break every later export
+      const updatedAt = Utils.parseDate(data.updatedAt);
+      if (updatedAt) {
+        assessment.updatedAt = updatedAt;
+      }
+      
+      // Sessions from before re-assessments were dated by creation
+      assessment.assessedAt = Utils.parseDate(data.assessedAt) || assessment.createdAt;
+      
+      this.createHimpVisuals(assessment);
+      this.himpScores.push(assessment);
+    });
+    
+    // Update counter
+    const maxId = Math.max(...this.himpScores.map(himp => 
+      parseInt(himp.id.replace('HIMP', '')) || 0
+    ), 0);
+    this.himpIdCounter = maxId + 1;
+    
+    console.log(`📥 Imported ${this.himpScores.length} HIMP assessments`);
+    
+    // Update UI
+    this.updateHimpManager();
+    this.updateHimpReadout();
+  }
+
+  /**
+   * Snapshot all HIMP assessments for undo/redo
+   */
+  captureState() {
+    return {
+      himpScores: this.himpScores.map(assessment =>
+        HistoryManager.cloneItem(assessment, ['group', 'labelDiv'])
+      ),
+      himpIdCounter: this.himpIdCounter
+    };
+  }
+
+  /**
+   * Rebuild HIMP assessments from an undo/redo snapshot
+   */
+  restoreState(state) {
+    this.himpScores.forEach(assessment => {
+      this.removeHimpVisuals(assessment);
+    });
+    
+    this.himpScores = state.himpScores.map(data => {
+      const assessment = HistoryManager.cloneItem(data);
+      this.createHimpVisuals(assessment);
+      return assessment;
+    });
+    this.himpIdCounter = state.himpIdCounter;
+    
+    this.updateHimpManager();
+    this.updateHimpReadout();
+  }
+
   /**
    * Handle resize event
    */
@@ -1310,6 +3222,13 @@ export class HIMPSystem {
     const managerModal = document.getElementById('himp-manager-modal');
     if (managerModal) managerModal.remove();
     
+    const importModal = document.getElementById('himp-import-modal');
+    if (importModal) importModal.remove();
+    
+    // Remove heatmap and legend (a scheduled refresh then does nothing)
+    this.heatmapEnabled = false;
+    this.removeHeatmap();
+    
     // Remove readout
     const readout = document.getElementById('himp-readout');
     if (readout) readout.remove();
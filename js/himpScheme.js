@@ -0,0 +1,517 @@
+/**
+ * HIMPSCHEME.JS - HIMP Scoring Schemes
+ *
+ * Responsible for:
+ * - One definition of HIMP categories, tooltips and the score scale
+ * - Recoat recommendation rules (thresholds per category)
+ * - Breakdown percentage bands used to suggest scores from painted breakdown
+ * - Zone marker colours by highest score
+ * - Versioned schemes, so assessments keep the scheme they were scored with
+ * - Loading, validating and persisting client schemes (JSON)
+ */
+
+export const DEFAULT_HIMP_SCHEME = {
+  id: 'abs-himp',
+  name: 'ABS HIMP',
+  version: 2, // Version 2 added the breakdown bands
+  // Best condition first
+  scale: [
+    { score: 0, label: 'Excellent', color: '#4CAF50' },
+    { score: 1, label: 'Very Good', color: '#8BC34A' },
+    { score: 2, label: 'Good', color: '#FF9800' },
+    { score: 3, label: 'Fair', color: '#FF5722' },
+    { score: 4, label: 'Poor', color: '#F44336' },
+    { score: 5, label: 'Very Poor', color: '#9C27B0' },
+    { score: 6, label: 'Unacceptable', color: '#333333' }
+  ],
+  categories: [
+    {
+      id: 'coating_condition',
+      label: 'Coating Condition',
+      icon: '🎨',
+      tooltip: '0: Excellent (no defects) | 1: Very Good (<2% breakdown) | 2: Good (2-5%) | 3: Fair (5-15%) | 4: Poor (15-30%) | 5: Very Poor (30-60%) | 6: Unacceptable (>60%)',
+      // Score for a painted breakdown percentage (first band with percent <= upTo)
+      breakdownBands: [
+        { upTo: 0, score: 0 }, { upTo: 2, score: 1 }, { upTo: 5, score: 2 }, { upTo: 15, score: 3 },
+        { upTo: 30, score: 4 }, { upTo: 60, score: 5 }, { upTo: 100, score: 6 }
+      ]
+    },
+    {
+      id: 'general_corrosion',
+      label: 'General Corrosion',
+      icon: '🦠',
+      tooltip: '0: No corrosion | 1: Trace (<5% surface) | 2: Light (5-15%) | 3: Moderate (15-30%) | 4: Heavy (30-50%) | 5: Severe (50-80%) | 6: Very Severe (>80%)',
+      breakdownBands: [
+        { upTo: 0, score: 0 }, { upTo: 5, score: 1 }, { upTo: 15, score: 2 }, { upTo: 30, score: 3 },
+        { upTo: 50, score: 4 }, { upTo: 80, score: 5 }, { upTo: 100, score: 6 }
+      ]
+    },
+    {
+      id: 'pitting_grooving',
+      label: 'Pitting & Grooving',
+      icon: '🕳️',
+      tooltip: '0: None | 1: Isolated shallow pits | 2: Scattered pits <1mm deep | 3: General pitting 1-2mm | 4: Deep pitting 2-5mm | 5: Severe pitting >5mm | 6: Through-thickness penetration'
+    },
+    {
+      id: 'deformation',
+      label: 'Deformation',
+      icon: '⚡',
+      tooltip: '0: No deformation | 1: Minor buckles/dents | 2: Local permanent set | 3: Significant distortion | 4: Major structural damage | 5: Severe deformation | 6: Structural failure'
+    },
+    {
+      id: 'fracture',
+      label: 'Fracture',
+      icon: '🔺',
+      tooltip: '0: No cracks | 1: Hair-line cracks | 2: Fine cracks <50mm | 3: Cracks 50-150mm | 4: Long cracks >150mm | 5: Multiple intersecting cracks | 6: Through-thickness cracks'
+    },
+    {
+      id: 'cleanliness',
+      label: 'Cleanliness & Housekeeping',
+      icon: '🧹',
+      tooltip: '0: Excellent cleanliness | 1: Very good | 2: Good (minor debris) | 3: Fair (moderate contamination) | 4: Poor (significant debris) | 5: Very poor | 6: Unacceptable contamination'
+    }
+  ],
+  // Recoating is recommended once minCategories categories reach their threshold
+  recommendation: {
+    threshold: 2,
+    categoryThresholds: {},
+    minCategories: 1,
+    text: 'Recoating recommended at next drydocking'
+  },
+  // Zone marker colour by highest score (highest matching minScore wins)
+  zones: [
+    { minScore: 3, color: '#F44336' },
+    { minScore: 2, color: '#FF9800' },
+    { minScore: 0, color: '#4CAF50' }
+  ]
+};
+
+export class HimpSchemeManager {
+  constructor() {
+    // State
+    this.schemes = new Map(); // Every scheme seen this session, by id@version
+    this.definition = this.register(DEFAULT_HIMP_SCHEME);
+
+    // Version 1 of the built-in scheme (no breakdown bands), used by older sessions
+    this.register({
+      ...DEFAULT_HIMP_SCHEME,
+      version: 1,
+      categories: DEFAULT_HIMP_SCHEME.categories.map(({ breakdownBands, ...category }) => category)
+    });
+    this.listeners = [];
+
+    // Settings
+    this.STORAGE_KEY = 'inspector3d-himp-scheme';
+  }
+
+  /**
+   * Initialize the scheme, restoring the last loaded client scheme
+   */
+  async init() {
+    console.log('📊 Initializing HIMP scoring scheme...');
+
+    try {
+      const saved = localStorage.getItem(this.STORAGE_KEY);
+      if (saved) {
+        this.definition = this.upgradeBuiltIn(this.register(JSON.parse(saved)));
+      }
+    } catch (error) {
+      console.warn('⚠️ Saved HIMP scheme is invalid, using the default:', error);
+    }
+
+    console.log(`✅ HIMP scoring scheme initialized: ${this.definition.name} v${this.definition.version}`);
+  }
+
+  /**
+   * Validate a scheme definition and fill in defaults.
+   * Throws an Error describing the first problem found.
+   */
+  static normalize(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('HIMP scheme must be a JSON object');
+    }
+
+    if (!Array.isArray(definition.scale) || definition.scale.length < 2) {
+      throw new Error('HIMP scheme needs at least two levels in "scale"');
+    }
+
+    const scores = new Set();
+    const scale = definition.scale.map((level, index) => {
+      if (!level || !Number.isInteger(level.score)) {
+        throw new Error(`scale[${index}] needs an integer "score"`);
+      }
+      if (scores.has(level.score)) {
+        throw new Error(`Duplicate score ${level.score} in "scale"`);
+      }
+      if (level.color !== undefined && !/^#[0-9a-f]{6}$/i.test(level.color)) {
+        throw new Error(`Score ${level.score} has an invalid color (use #rrggbb)`);
+      }
+      scores.add(level.score);
+
+      return {
+        score: level.score,
+        label: String(level.label || level.score),
+        color: level.color || '#6c757d'
+      };
+    }).sort((a, b) => a.score - b.score);
+
+    const min = scale[0].score;
+    const max = scale[scale.length - 1].score;
+
+    if (!Array.isArray(definition.categories) || definition.categories.length === 0) {
+      throw new Error('HIMP scheme needs at least one entry in "categories"');
+    }
+
+    const onScale = score => scale.some(level => level.score === score);
+
+    const categoryIds = new Set();
+    const categories = definition.categories.map((category, index) => {
+      // Category IDs become form field IDs and score keys
+      if (!category || typeof category.id !== 'string' || !/^[a-z0-9_-]+$/i.test(category.id)) {
+        throw new Error(`categories[${index}] needs an "id" of letters, digits, "_" or "-"`);
+      }
+      if (categoryIds.has(category.id)) {
+        throw new Error(`Duplicate category id "${category.id}"`);
+      }
+      categoryIds.add(category.id);
+
+      const breakdownBands = (category.breakdownBands || []).map(band => {
+        if (!band || typeof band.upTo !== 'number' || band.upTo < 0 || band.upTo > 100 || !onScale(band.score)) {
+          throw new Error(`Category "${category.id}" has an invalid breakdown band (upTo 0-100 and a score on the scale)`);
+        }
+        return { upTo: band.upTo, score: band.score };
+      }).sort((a, b) => a.upTo - b.upTo);
+
+      return {
+        id: category.id,
+        label: String(category.label || category.id),
+        icon: String(category.icon || ''),
+        tooltip: String(category.tooltip || ''),
+        breakdownBands: breakdownBands
+      };
+    });
+
+    const checkScore = (value, name) => {
+      if (typeof value !== 'number' || value < min || value > max) {
+        throw new Error(`${name} must be a score from ${min} to ${max}`);
+      }
+      return value;
+    };
+
+    const rule = definition.recommendation || {};
+    const categoryThresholds = {};
+    Object.entries(rule.categoryThresholds || {}).forEach(([key, value]) => {
+      if (!categoryIds.has(key)) {
+        console.warn(`⚠️ Ignoring recoat threshold for unknown category "${key}"`);
+        return;
+      }
+      categoryThresholds[key] = checkScore(value, `Recoat threshold of "${key}"`);
+    });
+
+    const minCategories = rule.minCategories ?? 1;
+    if (!Number.isInteger(minCategories) || minCategories < 1 || minCategories > categories.length) {
+      throw new Error(`recommendation.minCategories must be between 1 and ${categories.length}`);
+    }
+
+    const zones = (definition.zones || [{ minScore: min, color: scale[0].color }]).map((zone, index) => {
+      if (!zone || typeof zone.minScore !== 'number' || !/^#[0-9a-f]{6}$/i.test(zone.color || '')) {
+        throw new Error(`zones[${index}] needs a numeric "minScore" and a #rrggbb "color"`);
+      }
+      return { minScore: zone.minScore, color: zone.color };
+    }).sort((a, b) => b.minScore - a.minScore);
+
+    const name = String(definition.name || 'Custom');
+
+    const version = definition.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('HIMP scheme "version" must be a positive integer');
+    }
+
+    return {
+      id: definition.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      name: name,
+      version: version,
+      scale: scale,
+      categories: categories,
+      recommendation: {
+        threshold: checkScore(rule.threshold ?? Math.ceil((min + max) / 2), 'recommendation.threshold'),
+        categoryThresholds: categoryThresholds,
+        minCategories: minCategories,
+        text: rule.text || 'Recoating recommended at next drydocking'
+      },
+      zones: zones
+    };
+  }
+
+  /**
+   * Key of a scheme or scheme reference in the registry
+   */
+  static getKey(scheme) {
+    return `${scheme.id}@${scheme.version}`;
+  }
+
+  /**
+   * Validate a scheme and remember it so assessments scored with it can be read.
+   * An id@version already registered with a different definition is rejected,
+   * so existing scores keep their meaning.
+   */
+  register(definition) {
+    const scheme = HimpSchemeManager.normalize(definition);
+    const key = HimpSchemeManager.getKey(scheme);
+
+    const existing = this.schemes.get(key);
+    if (existing) {
+      if (JSON.stringify(existing) !== JSON.stringify(scheme)) {
+        throw new Error(`A different HIMP scheme ${key} is already registered, give this one a new version`);
+      }
+      return existing;
+    }
+
+    this.schemes.set(key, scheme);
+    return scheme;
+  }
+
+  /**
+   * Make a scheme (validated) the one used for new assessments,
+   * and remember it for the next session
+   */
+  load(definition) {
+    this.definition = this.register(definition);
+
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.definition));
+    } catch (error) {
+      console.warn('⚠️ Could not save HIMP scheme:', error);
+    }
+
+    this.notifyChange();
+    console.log(`📊 Loaded HIMP scheme: ${this.definition.name} v${this.definition.version} (${this.definition.categories.length} categories)`);
+  }
+
+  /**
+   * Load a scheme from a JSON file
+   */
+  async loadFromFile(file) {
+    let definition;
+    try {
+      definition = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not valid JSON`);
+    }
+
+    this.load(definition);
+  }
+
+  /**
+   * Go back to the built-in scheme
+   */
+  reset() {
+    try {
+      localStorage.removeItem(this.STORAGE_KEY);
+    } catch (error) {
+      console.warn('⚠️ Could not clear saved HIMP scheme:', error);
+    }
+
+    this.definition = this.register(DEFAULT_HIMP_SCHEME);
+    this.notifyChange();
+  }
+
+  /**
+   * Register the schemes of an imported session and make its current scheme ours.
+   * Invalid schemes and schemes conflicting with a registered version are
+   * skipped with a warning.
+   */
+  importSchemes(definitions = [], currentReference = null) {
+    definitions.forEach(definition => {
+      try {
+        this.register(definition);
+      } catch (error) {
+        console.warn('⚠️ Skipping HIMP scheme:', error);
+      }
+    });
+
+    const session = currentReference && this.schemes.get(HimpSchemeManager.getKey(currentReference));
+    const current = session && this.upgradeBuiltIn(session);
+    if (current && current !== this.definition) {
+      this.load(current);
+    }
+  }
+
+  /**
+   * Validate scheme definitions without registering them. Returns the schemes
+   * by id@version (as registered if already known); a scheme conflicting with
+   * a registered version maps to null. Invalid schemes are skipped with a warning.
+   */
+  resolveSchemes(definitions = []) {
+    const resolved = new Map();
+
+    definitions.forEach(definition => {
+      try {
+        const scheme = HimpSchemeManager.normalize(definition);
+        const key = HimpSchemeManager.getKey(scheme);
+        const existing = this.schemes.get(key);
+
+        if (!existing) {
+          resolved.set(key, scheme);
+        } else {
+          resolved.set(key, JSON.stringify(existing) === JSON.stringify(scheme) ? existing : null);
+        }
+      } catch (error) {
+        console.warn('⚠️ Skipping HIMP scheme:', error);
+      }
+    });
+
+    return resolved;
+  }
+
+  /**
+   * The latest built-in scheme in place of an older version of it, so new
+   * assessments get its additions (older assessments keep their version)
+   */
+  upgradeBuiltIn(scheme) {
+    if (scheme.id !== DEFAULT_HIMP_SCHEME.id || scheme.version >= DEFAULT_HIMP_SCHEME.version) {
+      return scheme;
+    }
+    return this.schemes.get(HimpSchemeManager.getKey(DEFAULT_HIMP_SCHEME));
+  }
+
+  /**
+   * Register a listener called after the current scheme changes
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Notify listeners of a scheme change
+   */
+  notifyChange() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Get a scheme by reference ({ id, version }); the current scheme if unknown
+   */
+  getScheme(reference = null) {
+    if (!reference) return this.definition;
+
+    const scheme = this.schemes.get(HimpSchemeManager.getKey(reference));
+    if (!scheme) {
+      console.warn(`⚠️ Unknown HIMP scheme ${HimpSchemeManager.getKey(reference)}, using ${this.definition.name}`);
+    }
+    return scheme || this.definition;
+  }
+
+  /**
+   * Whether a scheme version is registered
+   */
+  hasScheme(reference) {
+    return this.schemes.has(HimpSchemeManager.getKey(reference));
+  }
+
+  /**
+   * Reference stored with each assessment
+   */
+  getReference(scheme = this.definition) {
+    return { id: scheme.id, version: scheme.version };
+  }
+
+  /**
+   * Categories keyed by ID ({ label, tooltip, icon })
+   */
+  getCategories(scheme = this.definition) {
+    const categories = {};
+    scheme.categories.forEach(category => {
+      categories[category.id] = { label: category.label, tooltip: category.tooltip, icon: category.icon };
+    });
+    return categories;
+  }
+
+  /**
+   * Lowest and highest score of the scale
+   */
+  getScoreRange(scheme = this.definition) {
+    return { min: scheme.scale[0].score, max: scheme.scale[scheme.scale.length - 1].score };
+  }
+
+  /**
+   * Scale level of a score (null if not on the scale)
+   */
+  getScoreLevel(score, scheme = this.definition) {
+    return scheme.scale.find(level => level.score === score) || null;
+  }
+
+  /**
+   * Recoat threshold of a category
+   */
+  getCategoryThreshold(key, scheme = this.definition) {
+    return scheme.recommendation.categoryThresholds[key] ?? scheme.recommendation.threshold;
+  }
+
+  /**
+   * Categories whose score is at or above their recoat threshold
+   */
+  getRecoatCategories(scores, scheme = this.definition) {
+    return Object.keys(scores).filter(key => scores[key] >= this.getCategoryThreshold(key, scheme));
+  }
+
+  /**
+   * Whether scores recommend recoating under a scheme's rule
+   */
+  isRecoatRecommended(scores, scheme = this.definition) {
+    return this.getRecoatCategories(scores, scheme).length >= scheme.recommendation.minCategories;
+  }
+
+  /**
+   * Suggested scores for a painted breakdown percentage, for the categories
+   * with breakdown bands ({ categoryId: score })
+   */
+  suggestBreakdownScores(percent, scheme = this.definition) {
+    const suggestions = {};
+    scheme.categories.forEach(category => {
+      const band = category.breakdownBands.find(band => percent <= band.upTo);
+      if (band) suggestions[category.id] = band.score;
+    });
+    return suggestions;
+  }
+
+  /**
+   * Zone colour for a highest score, as a number for THREE materials
+   */
+  getZoneColorHex(maxScore, scheme = this.definition) {
+    const zone = scheme.zones.find(zone => maxScore >= zone.minScore) || scheme.zones[scheme.zones.length - 1];
+    return parseInt(zone.color.replace('#', ''), 16);
+  }
+
+  /**
+   * One-line description of a scheme's recoat rule
+   */
+  describeRecommendation(scheme = this.definition) {
+    const rule = scheme.recommendation;
+    const overrides = Object.entries(rule.categoryThresholds)
+      .map(([key, value]) => `${scheme.categories.find(category => category.id === key).label} ≥ ${value}`);
+
+    const count = rule.minCategories === 1 ? 'Any score' : `${rule.minCategories} category scores`;
+    return `${count} ≥ ${rule.threshold}${overrides.length > 0 ? ` (${overrides.join(', ')})` : ''} recommends recoating`;
+  }
+
+  /**
+   * Get the current scheme definition for export
+   */
+  getExportData() {
+    return JSON.parse(JSON.stringify(this.definition));
+  }
+
+  /**
+   * Scheme definitions a session needs: the current one plus any referenced
+   */
+  getSessionSchemes(references = []) {
+    const schemes = new Map([[HimpSchemeManager.getKey(this.definition), this.definition]]);
+    references.forEach(reference => {
+      const scheme = this.schemes.get(HimpSchemeManager.getKey(reference));
+      if (scheme) schemes.set(HimpSchemeManager.getKey(scheme), scheme);
+    });
+
+    return JSON.parse(JSON.stringify([...schemes.values()]));
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * HISTORY.JS - Shared Undo/Redo Command History
+ *
+ * Responsible for:
+ * - One undo/redo stack shared by all placement tools
+ * - Recording before/after state snapshots of the tool system that changed
+ * - Restoring snapshots through each system's restoreState()
+ * - Notifying listeners (e.g. autosave) after every change, undo and redo
+ * - Cloning tool data without its scene objects and DOM labels
+ */
+
+export class HistoryManager {
+  constructor(maxEntries = 100) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.maxEntries = maxEntries;
+    this.restoring = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Register a callback run after every recorded change, undo or redo
+   */
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  /**
+   * Notify change listeners
+   */
+  notifyChange(type, entry) {
+    this.listeners.forEach(callback => callback(type, entry));
+  }
+
+  /**
+   * Record a change made by a tool system.
+   * `before` is the system's captureState() taken before the change.
+   */
+  record(label, system, before) {
+    // Changes made while restoring are part of the undo/redo itself
+    if (this.restoring) return;
+
+    const after = system.captureState();
+
+    this.undoStack.push({ label, system, before, after });
+    if (this.undoStack.length > this.maxEntries) {
+      this.undoStack.shift();
+    }
+
+    // A new change invalidates anything that was undone
+    this.redoStack = [];
+
+    console.log(`📜 Recorded: ${label}`);
+    this.notifyChange('record', this.undoStack[this.undoStack.length - 1]);
+  }
+
+  /**
+   * Undo the most recent change
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    this.applyState(entry.system, entry.before);
+    this.redoStack.push(entry);
+
+    console.log(`↩️ Undo: ${entry.label}`);
+    this.notifyChange('undo', entry);
+    return entry;
+  }
+
+  /**
+   * Redo the most recently undone change
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    this.applyState(entry.system, entry.after);
+    this.undoStack.push(entry);
+
+    console.log(`↪️ Redo: ${entry.label}`);
+    this.notifyChange('redo', entry);
+    return entry;
+  }
+
+  /**
+   * Restore a snapshot without recording new history
+   */
+  applyState(system, state) {
+    this.restoring = true;
+    try {
+      system.restoreState(state);
+    } finally {
+      this.restoring = false;
+    }
+  }
+
+  /**
+   * Check whether there is anything to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check whether there is anything to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget all history (e.g. after a whole session is replaced)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    console.log('📜 History cleared');
+  }
+
+  /**
+   * Copy a tool item (measurement, annotation, ...) for a snapshot.
+   * Keys listed in `omitKeys` (scene objects, DOM labels) are left out.
+   */
+  static cloneItem(item, omitKeys = []) {
+    const copy = {};
+
+    Object.entries(item).forEach(([key, value]) => {
+      if (!omitKeys.includes(key)) {
+        copy[key] = HistoryManager.cloneValue(value);
+      }
+    });
+
+    return copy;
+  }
+
+  /**
+   * Deep copy plain data; vectors and dates are cloned, while scene objects,
+   * DOM nodes and files are shared by reference
+   */
+  static cloneValue(value) {
+    if (value === null || typeof value !== 'object') return value;
+
+    if (value.isVector3 || value.isVector2 || value.isColor || value.isQuaternion) {
+      return value.clone();
+    }
+
+    if (value instanceof Date) return new Date(value.getTime());
+
+    if (value.isObject3D || value instanceof Node || value instanceof Blob) return value;
+
+    if (Array.isArray(value)) {
+      return value.map(entry => HistoryManager.cloneValue(entry));
+    }
+
+    return HistoryManager.cloneItem(value);
+  }
+}
@@ -0,0 +1,209 @@
+/**
+ * IMPORT.JS - Inspection Session Import and Restoration
+ *
+ * Responsible for:
+ * - Reading inspection reports written by ExportManager.generateReport()
+ * - Report format validation
+ * - Rebuilding measurements, annotations, reference points and HIMP assessments
+ * - Restoring measurement links between annotations and measurements
+ * - Restoring lighting settings, section planes, viewpoints and mesh units
+ * - Restoring the discrepancy taxonomy the report was written with
+ * - Restoring the HIMP scoring schemes the report's assessments were scored with
+ */
+
+import { Utils } from './utils.js';
+
+export class ImportManager {
+  constructor(measurementSystem, annotationSystem, lightingSystem = null, referenceSystem = null, himpSystem = null, sectionSystem = null, viewpointManager = null) {
+    this.measurementSystem = measurementSystem;
+    this.annotationSystem = annotationSystem;
+    this.lightingSystem = lightingSystem;
+    this.referenceSystem = referenceSystem;
+    this.himpSystem = himpSystem;
+    this.sectionSystem = sectionSystem;
+    this.viewpointManager = viewpointManager;
+  }
+
+  /**
+   * Import a session from a report file selected by the user
+   */
+  async importFromFile(file) {
+    console.log(`📥 Reading inspection report: ${file.name}`);
+
+    const text = await file.text();
+
+    let report;
+    try {
+      report = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+
+    return this.importReport(report);
+  }
+
+  /**
+   * Rebuild the full inspection session from a generateReport() object
+   */
+  importReport(report) {
+    const validation = this.validateReport(report);
+    if (!validation.isValid) {
+      throw new Error(`Invalid inspection report: ${validation.issues.join(', ')}`);
+    }
+
+    console.log('📥 Importing inspection session...');
+    const startTime = Utils.now();
+
+    // Units first, so labels are formatted correctly when rebuilt
+    this.restoreUnits(report.metadata?.units);
+
+    // Measurements must exist before annotations can link to them
+    const measurements = report.measurements || [];
+    if (this.measurementSystem) {
+      this.measurementSystem.importData(measurements);
+    }
+
+    // The report's taxonomy defines the types and severities its annotations use.
+    // It applies to this session only, the user's own taxonomy stays saved.
+    if (this.annotationSystem && report.taxonomy) {
+      try {
+        this.annotationSystem.taxonomy.load(report.taxonomy, { persist: false });
+      } catch (error) {
+        console.warn('⚠️ Report taxonomy is invalid, keeping the current one:', error);
+      }
+    }
+
+    const annotations = report.annotations || [];
+    if (this.annotationSystem) {
+      const loadedMeasurements = this.measurementSystem ? this.measurementSystem.measurements : [];
+      this.annotationSystem.importData(annotations, loadedMeasurements);
+    }
+
+    const referencePoints = report.referencePoints?.points || [];
+    if (this.referenceSystem) {
+      this.referenceSystem.importData(referencePoints);
+    }
+
+    const himpAssessments = report.himpAssessments?.assessments || [];
+    if (this.himpSystem) {
+      // Schemes first, so each assessment is read on its own scale
+      this.himpSystem.schemes.importSchemes(report.himpAssessments?.schemes, report.himpAssessments?.scheme);
+      this.himpSystem.importData(himpAssessments);
+    }
+
+    if (this.lightingSystem && report.lightingSettings) {
+      this.lightingSystem.applySettings(report.lightingSettings);
+    }
+    
+    // Reports without section planes clear any current sections
+    if (this.sectionSystem) {
+      this.sectionSystem.importData(report.sectionPlanes);
+    }
+    
+    const viewpoints = Array.isArray(report.viewpoints) ? report.viewpoints : [];
+    if (this.viewpointManager) {
+      this.viewpointManager.importData(viewpoints);
+    }
+
+    Utils.logTiming('Session import', startTime);
+
+    const summary = {
+      measurements: measurements.length,
+      annotations: annotations.length,
+      referencePoints: referencePoints.length,
+      himpAssessments: himpAssessments.length,
+      viewpoints: viewpoints.length,
+      modelFile: report.metadata?.modelFile || null,
+      exportedAt: report.exportedAt || null
+    };
+
+    console.log('✅ Inspection session imported:', summary);
+    return summary;
+  }
+
+  /**
+   * Validate report structure before importing
+   */
+  validateReport(report) {
+    const issues = [];
+
+    if (!report || typeof report !== 'object') {
+      issues.push('report is empty');
+      return { isValid: false, issues };
+    }
+
+    if (report.measurements !== undefined && !Array.isArray(report.measurements)) {
+      issues.push('measurements must be a list');
+    }
+
+    if (report.annotations !== undefined && !Array.isArray(report.annotations)) {
+      issues.push('annotations must be a list');
+    }
+
+    const sections = ['measurements', 'annotations', 'referencePoints', 'himpAssessments'];
+    if (!sections.some(section => section in report)) {
+      issues.push('no inspection data found');
+    }
+
+    const hasBadPosition = (report.annotations || []).some(a => !this.isValidPosition(a.position)) ||
+      (report.referencePoints?.points || []).some(r => !this.isValidPosition(r.position)) ||
+      (report.himpAssessments?.assessments || []).some(h => !this.isValidPosition(h.position));
+    if (hasBadPosition) {
+      issues.push('missing or invalid positions');
+    }
+
+    return {
+      isValid: issues.length === 0,
+      issues
+    };
+  }
+
+  /**
+   * Check that an exported position has numeric coordinates
+   */
+  isValidPosition(position) {
+    return Boolean(position) &&
+      Utils.isValidNumber(position.x) &&
+      Utils.isValidNumber(position.y) &&
+      Utils.isValidNumber(position.z);
+  }
+
+  /**
+   * Restore mesh units and keep the settings panel in sync
+   */
+  restoreUnits(units) {
+    if (!units || !Utils.UNIT_CONVERSIONS[units]) return;
+
+    Utils.setMeshUnits(units);
+
+    const unitsSelect = document.getElementById('mesh-units');
+    if (unitsSelect) {
+      unitsSelect.value = units;
+    }
+  }
+
+  /**
+   * Remove all measurements, annotations, reference points, HIMP
+   * assessments and viewpoints (e.g. before another model is opened)
+   */
+  clearSession() {
+    this.measurementSystem?.importData([]);
+    this.annotationSystem?.importData([], []);
+    this.referenceSystem?.importData([]);
+    this.himpSystem?.importData([]);
+    this.viewpointManager?.importData([]);
+
+    console.log('🧹 Inspection session cleared');
+  }
+
+  /**
+   * Check whether the current session holds any data an import would replace
+   */
+  hasSessionData() {
+    return (this.measurementSystem?.measurements.length || 0) > 0 ||
+      (this.annotationSystem?.annotations.length || 0) > 0 ||
+      (this.referenceSystem?.referencePoints.length || 0) > 0 ||
+      (this.himpSystem?.himpScores.length || 0) > 0 ||
+      (this.viewpointManager?.viewpoints.length || 0) > 0;
+  }
+}
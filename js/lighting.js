@@ -434,12 +434,17 @@ export class LightingSystem {
    * Apply lighting settings from imported data
    */
   applySettings(settings) {
-    this.settings = { ...this.defaults, ...settings };
+    // Only keep known settings (exported reports add a note field)
+    const known = Object.keys(this.defaults).filter(key => settings && key in settings);
+    const values = Object.fromEntries(known.map(key => [key, settings[key]]));
+    
+    this.settings = { ...this.defaults, ...values };
     this.updateUIControls();
     this.setAmbientIntensity(this.settings.ambientIntensity);
     this.setDirectionalIntensity(this.settings.directionalIntensity);
     this.setBrightness(this.settings.brightness);
     this.setContrast(this.settings.contrast);
+    this.updateDirectionalLightPosition();
     
     console.log('💡 Lighting settings applied');
   }
@@ -22,9 +22,19 @@ import { ControlsManager } from './controls.js';
 import { ModelLoader } from './modelLoader.js';
 import { MeasurementSystem } from './measurement.js';
 import { AnnotationSystem } from './annotation.js';
+import { TaxonomyManager } from './taxonomy.js';
 import { ReferenceSystem } from './reference.js';
 import { HIMPSystem } from './himp.js';
+import { HimpSchemeManager } from './himpScheme.js';
+import { SectionSystem } from './section.js';
+import { ViewpointManager } from './viewpoints.js';
+import { ScreenshotManager } from './screenshot.js';
 import { ExportManager } from './export.js';
+import { PdfReportGenerator } from './report.js';
+import { ImportManager } from './import.js';
+import { SessionComparison } from './comparison.js';
+import { HistoryManager } from './history.js';
+import { AutosaveManager } from './autosave.js';
 import { UIManager } from './ui.js';
 import { LightingSystem } from './lighting.js';
 import { Utils } from './utils.js';
@@ -46,9 +56,19 @@ class Inspector3D {
     this.modelLoader = null;
     this.measurement = null;
     this.annotation = null;
+    this.taxonomy = null;
     this.reference = null;
     this.himp = null;
+    this.himpScheme = null;
+    this.section = null;
+    this.viewpoints = null;
+    this.screenshot = null;
     this.export = null;
+    this.report = null;
+    this.importer = null;
+    this.comparison = null;
+    this.history = null;
+    this.autosave = null;
     this.ui = null;
     this.lighting = null;
     
@@ -86,11 +106,16 @@ class Inspector3D {
       );
       await this.measurement.init();
       
+      // Discrepancy types and severity scale (client configurable)
+      this.taxonomy = new TaxonomyManager();
+      await this.taxonomy.init();
+      
       // Initialize annotation system
       this.annotation = new AnnotationSystem(
         this.scene.scene, 
         this.scene.camera, 
-        this.scene.renderer
+        this.scene.renderer,
+        this.taxonomy
       );
       await this.annotation.init();
       
@@ -102,16 +127,59 @@ class Inspector3D {
       );
       await this.reference.init();
       
+      // HIMP categories, score scale and recoat rules (client configurable)
+      this.himpScheme = new HimpSchemeManager();
+      await this.himpScheme.init();
+      
       // Initialize HIMP assessment system
       this.himp = new HIMPSystem(
         this.scene.scene, 
         this.scene.camera, 
-        this.scene.renderer
+        this.scene.renderer,
+        this.himpScheme,
+        this.measurement
       );
       await this.himp.init();
       
+      // Initialize section planes
+      this.section = new SectionSystem(
+        this.scene.scene, 
+        this.scene.camera, 
+        this.scene.renderer
+      );
+      await this.section.init();
+      
+      // Initialize saved camera viewpoints
+      this.viewpoints = new ViewpointManager(this.controls);
+      await this.viewpoints.init();
+      
+      // Initialize screenshots (labels composited, 1x-4x, transparent)
+      this.screenshot = new ScreenshotManager(this.scene);
+      await this.screenshot.init();
+      
       // Initialize export manager
-      this.export = new ExportManager(this.measurement, this.annotation, this.lighting, this.reference, this.himp);
+      this.export = new ExportManager(this.measurement, this.annotation, this.lighting, this.reference, this.himp, this.section, this.viewpoints, this.screenshot, this.taxonomy);
+      this.report = new PdfReportGenerator(this.export);
+      
+      // Initialize import manager
+      this.importer = new ImportManager(this.measurement, this.annotation, this.lighting, this.reference, this.himp, this.section, this.viewpoints);
+      
+      // Compare against a previous session's report
+      this.comparison = new SessionComparison(this.scene.scene, this.scene.camera, this.scene.renderer, this.export, this.importer);
+      await this.comparison.init();
+      
+      // Shared undo/redo history for all placement tools
+      this.history = new HistoryManager();
+      [this.measurement, this.annotation, this.reference, this.himp].forEach(system => {
+        system.history = this.history;
+      });
+      
+      // Autosave to IndexedDB after every change
+      this.autosave = new AutosaveManager(this.export, this.importer);
+      await this.autosave.init();
+      this.history.onChange(() => this.autosave.scheduleSave());
+      this.section.onChange = () => this.autosave.scheduleSave();
+      this.viewpoints.onChange = () => this.autosave.scheduleSave();
       
       // Initialize UI manager
       this.ui = new UIManager();
@@ -129,6 +197,9 @@ class Inspector3D {
       this.initialized = true;
       console.log('✅ 3D Inspector initialized successfully');
       
+      // Offer to restore an unsaved session (not awaited, waits for the user)
+      this.startAutosave();
+      
     } catch (error) {
       console.error('❌ Failed to initialize 3D Inspector:', error);
       this.showError('Failed to initialize application: ' + error.message);
@@ -152,6 +223,10 @@ class Inspector3D {
       this.toggleAnnotationMode();
     });
     
+    document.getElementById('discrepanciesBtn').addEventListener('click', () => {
+      this.annotation.showDiscrepancyManager();
+    });
+    
     document.getElementById('referenceBtn').addEventListener('click', () => {
       this.toggleReferenceMode();
     });
@@ -164,8 +239,12 @@ class Inspector3D {
       this.toggleWireframe();
     });
     
+    document.getElementById('sectionBtn').addEventListener('click', () => {
+      this.toggleSectionPanel();
+    });
+    
     document.getElementById('screenshotBtn').addEventListener('click', () => {
-      this.takeScreenshot();
+      this.screenshot.showScreenshotModal();
     });
     
     document.getElementById('fullscreenBtn').addEventListener('click', () => {
@@ -176,10 +255,41 @@ class Inspector3D {
       this.resetView();
     });
     
+    document.getElementById('viewpointsBtn').addEventListener('click', () => {
+      this.viewpoints.showViewpointManager();
+    });
+    
     document.getElementById('exportBtn').addEventListener('click', () => {
       this.exportData();
     });
     
+    document.getElementById('reportBtn').addEventListener('click', () => {
+      this.exportPdfReport();
+    });
+    
+    document.getElementById('openBtn').addEventListener('click', () => {
+      document.getElementById('model-file-input').click();
+    });
+    
+    document.getElementById('model-file-input').addEventListener('change', (e) => {
+      const files = Array.from(e.target.files);
+      // Reset file input so the same files can be selected again
+      e.target.value = '';
+      this.openModelFiles(files);
+    });
+    
+    document.getElementById('importBtn').addEventListener('click', () => {
+      document.getElementById('session-file-input').click();
+    });
+    
+    document.getElementById('session-file-input').addEventListener('change', (e) => {
+      this.importSession(e);
+    });
+    
+    document.getElementById('compareBtn').addEventListener('click', () => {
+      this.comparison.showComparisonModal();
+    });
+    
     document.getElementById('helpBtn').addEventListener('click', () => {
       this.showHelp();
     });
@@ -188,10 +298,42 @@ class Inspector3D {
     document.getElementById('mesh-units').addEventListener('change', (e) => {
       this.setMeshUnits(e.target.value);
     });
+    
+    this.setupDefinitionControls(this.taxonomy, 'taxonomy', 'Discrepancy taxonomy');
+    this.setupDefinitionControls(this.himpScheme, 'himp-scheme', 'HIMP scoring scheme');
+    
+    document.getElementById('toggle-himp-heatmap').addEventListener('click', () => {
+      this.himp.toggleHeatmap();
+    });
+    
+    document.getElementById('himp-heatmap-value').addEventListener('change', (e) => {
+      this.himp.setHeatmapOptions({ value: e.target.value });
+    });
+    
+    document.getElementById('himp-heatmap-blend').addEventListener('change', (e) => {
+      this.himp.setHeatmapOptions({ blend: e.target.value });
+    });
+    
+    document.getElementById('point-size-slider').addEventListener('input', (e) => {
+      const size = parseInt(e.target.value);
+      document.getElementById('point-size-value').textContent = `${size}px`;
+      if (this.loadedModel) {
+        this.modelLoader.setPointSize(this.loadedModel, size);
+      }
+    });
+    
+    document.getElementById('point-color-mode').addEventListener('change', (e) => {
+      if (this.loadedModel) {
+        this.modelLoader.setPointColorMode(this.loadedModel, e.target.value);
+      }
+    });
 
     // Keyboard shortcuts
     this.setupKeyboardShortcuts();
     
+    // Drag-and-drop model opening
+    this.setupDragAndDrop();
+    
     // Window resize handler
     window.addEventListener('resize', () => {
       this.handleResize();
@@ -203,6 +345,44 @@ class Inspector3D {
     });
   }
 
+  /**
+   * Set up drag-and-drop of model files onto the viewer
+   */
+  setupDragAndDrop() {
+    let dragDepth = 0;
+    
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    
+    window.addEventListener('dragenter', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dragDepth++;
+      this.ui.showDropOverlay(true);
+    });
+    
+    window.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+    
+    window.addEventListener('dragleave', (e) => {
+      if (!hasFiles(e)) return;
+      dragDepth = Math.max(0, dragDepth - 1);
+      if (dragDepth === 0) {
+        this.ui.showDropOverlay(false);
+      }
+    });
+    
+    window.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dragDepth = 0;
+      this.ui.showDropOverlay(false);
+      this.openModelFiles(Array.from(e.dataTransfer.files));
+    });
+  }
+
   /**
    * Set up keyboard shortcuts
    */
@@ -232,10 +412,58 @@ class Inspector3D {
             this.resetView();
           }
           break;
+        case 'o':
+          if (e.ctrlKey || e.metaKey) {
+            // Ctrl+O: Import inspection session
+            e.preventDefault();
+            document.getElementById('session-file-input').click();
+          }
+          break;
+        case 'z':
+          if (e.ctrlKey || e.metaKey) {
+            // Ctrl+Z: Undo, Ctrl+Shift+Z: Redo
+            e.preventDefault();
+            if (e.shiftKey) {
+              this.redo();
+            } else {
+              this.undo();
+            }
+          }
+          break;
+        case 'y':
+          if (e.ctrlKey || e.metaKey) {
+            // Ctrl+Y: Redo
+            e.preventDefault();
+            this.redo();
+          }
+          break;
         case 'w':
           e.preventDefault();
           this.toggleWireframe();
           break;
+        case 'x':
+          if (!e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            this.toggleSectionPanel();
+          }
+          break;
+        case 'd':
+          if (!e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            this.annotation.showDiscrepancyManager();
+          }
+          break;
+        case 'v':
+          if (!e.ctrlKey && !e.metaKey) {
+            // V: Capture viewpoint, Shift+V: Viewpoint manager
+            e.preventDefault();
+            if (e.shiftKey) {
+              this.viewpoints.showViewpointManager();
+            } else {
+              this.viewpoints.captureViewpoint();
+            }
+          }
+          break;
         case 'l':
           if (this.currentMode === 'measure') {
             e.preventDefault();
@@ -243,9 +471,20 @@ class Inspector3D {
           }
           break;
         case 'c':
-          if (this.currentMode === 'measure') {
+        case 'enter':
+          // C: Close measurement loop or HIMP region (Enter also closes a HIMP region)
+          if (this.currentMode === 'measure' && e.key.toLowerCase() === 'c') {
             e.preventDefault();
             this.measurement.closeMeasurement();
+          } else if (this.isOutliningHimpRegion(e)) {
+            e.preventDefault();
+            this.himp.closeRegion();
+          }
+          break;
+        case 'backspace':
+          if (this.isOutliningHimpRegion(e)) {
+            e.preventDefault();
+            this.himp.removeLastRegionPoint();
           }
           break;
         case 'n':
@@ -254,6 +493,12 @@ class Inspector3D {
             this.measurement.createNewMeasurement();
           }
           break;
+        case 't':
+          if (this.currentMode === 'measure') {
+            e.preventDefault();
+            this.measurement.cycleMeasurementType();
+          }
+          break;
         case 'escape':
           e.preventDefault();
           this.handleEscape();
@@ -264,16 +509,33 @@ class Inspector3D {
           this.showHelp();
           break;
         default:
-          // Handle number keys for measurement switching
-          if (this.currentMode === 'measure' && /^[1-9]$/.test(e.key)) {
+          // Number keys switch measurements in measure mode, otherwise jump to
+          // viewpoints; Shift+number always jumps to viewpoints
+          if (/^Digit[1-9]$/.test(e.code) && !e.ctrlKey && !e.metaKey && !e.altKey) {
             e.preventDefault();
-            this.measurement.switchToMeasurement(parseInt(e.key) - 1);
+            const index = parseInt(e.code.slice(-1)) - 1;
+            if (this.currentMode === 'measure' && !e.shiftKey) {
+              this.measurement.switchToMeasurement(index);
+            } else {
+              this.viewpoints.goToViewpointIndex(index);
+            }
           }
           break;
       }
     });
   }
 
+  /**
+   * Whether a key press is meant for the HIMP region being outlined, rather
+   * than for a focused button or select or an open dialog
+   */
+  isOutliningHimpRegion(e) {
+    if (this.currentMode !== 'himp' || this.himp.regionPoints.length === 0) return false;
+    if (e.target.closest?.('button, select, a[href]')) return false;
+    
+    return ![...document.querySelectorAll('.modal')].some(modal => modal.style.display === 'block');
+  }
+
   /**
    * Load the default 3D model
    */
@@ -282,6 +544,14 @@ class Inspector3D {
       console.log('📦 Loading default model...');
       this.ui.showLoadingIndicator(true);
       
+      // A ?model= URL parameter overrides the configured model (?mtl= is optional)
+      const params = new URLSearchParams(window.location.search);
+      if (params.get('model')) {
+        this.config.objUrl = params.get('model');
+        this.config.mtlUrl = params.get('mtl');
+        console.log(`🔗 Model from URL: ${this.config.objUrl}`);
+      }
+      
       // Try to load the actual model first
       try {
         this.loadedModel = await this.modelLoader.loadModel(
@@ -296,6 +566,8 @@ class Inspector3D {
       
       // Fit camera to model
       this.controls.fitCameraToObject(this.loadedModel);
+      this.updatePointCloudControls();
+      this.section.setModel(this.loadedModel);
       
       this.ui.showLoadingIndicator(false);
       console.log('✅ Model loaded successfully');
@@ -307,6 +579,142 @@ class Inspector3D {
     }
   }
 
+  /**
+   * Open a model from local files, replacing the current model
+   */
+  async openModelFiles(files) {
+    if (!files || files.length === 0) return;
+    
+    // Positions in the current session belong to the current model
+    const keepSession = this.confirmSessionForNewModel();
+    if (keepSession === null) return;
+    
+    try {
+      console.log(`📁 Opening ${files.length} local file(s)...`);
+      this.ui.showLoadingIndicator(true, 'Loading model...');
+      
+      const model = await this.modelLoader.loadFromFiles(files);
+      
+      // Save pending changes under the current model before autosave moves on
+      await this.autosave.flush();
+      
+      if (!keepSession) {
+        this.importer.clearSession();
+      }
+      // Undo steps would restore positions on the previous model
+      this.history.clear();
+      this.replaceModel(model);
+      
+      // Keep the model name used by reports and session checks in sync
+      this.config.objUrl = model.userData.fileName;
+      this.config.mtlUrl = model.userData.mtlFileName;
+      
+      this.ui.showLoadingIndicator(false);
+      this.ui.showSuccess(`Model loaded: ${Utils.escapeHtml(model.userData.fileName)}`);
+      
+      await this.startAutosave();
+      
+    } catch (error) {
+      console.error('❌ Failed to open model files:', error);
+      this.ui.showLoadingIndicator(false);
+      this.showError('Failed to open model: ' + error.message);
+    }
+  }
+
+  /**
+   * Ask whether the current session carries over to a newly opened model.
+   * Returns true to keep it, false to clear it and null to cancel opening.
+   */
+  confirmSessionForNewModel() {
+    if (!this.importer.hasSessionData()) return false;
+    
+    if (confirm('Keep the current measurements, discrepancies, reference points, HIMP assessments and viewpoints for the new model?\n\n' +
+        'OK keeps them (painted coating breakdown is dropped, it marks faces of the current model), Cancel lets you clear them.')) {
+      return true;
+    }
+    
+    return confirm('Clear the current session and open the new model?') ? false : null;
+  }
+
+  /**
+   * Swap the displayed model for a newly loaded one
+   */
+  replaceModel(model) {
+    if (this.loadedModel && this.loadedModel !== model) {
+      this.modelLoader.removeModel(this.loadedModel);
+      this.measurement.geodesic.clearCache();
+      
+      // Breakdown masks index faces of the removed model
+      const dropped = this.himp.dropBreakdowns();
+      if (dropped > 0) {
+        this.ui.showWarning(`Coating breakdown of ${dropped} HIMP assessment(s) was dropped, it was painted on the previous model`);
+      }
+    }
+    
+    this.loadedModel = model;
+    this.controls.fitCameraToObject(model);
+    
+    // New model starts with its own materials, not wireframe
+    this.ui.setButtonActive('wireBtn', false);
+    this.updatePointCloudControls();
+    this.section.setModel(model);
+    this.himp.refreshHeatmap();
+    
+    console.log(`🔄 Model replaced: ${model.userData.modelId}`);
+  }
+
+  /**
+   * Show point cloud settings only when the loaded model is a point cloud
+   */
+  updatePointCloudControls() {
+    const isPointCloud = this.modelLoader.isPointCloud(this.loadedModel);
+    document.getElementById('point-cloud-settings').style.display = isPointCloud ? 'block' : 'none';
+    
+    if (!isPointCloud) return;
+    
+    // Reflect the mode actually applied (clouds without RGB fall back to height)
+    let appliedMode = this.modelLoader.pointColorMode;
+    this.loadedModel.traverse((child) => {
+      if (child.isPoints) appliedMode = child.userData.colorMode;
+    });
+    
+    document.getElementById('point-color-mode').value = appliedMode;
+    document.getElementById('point-size-slider').value = this.modelLoader.pointSize;
+    document.getElementById('point-size-value').textContent = `${this.modelLoader.pointSize}px`;
+  }
+
+  /**
+   * Key autosave to the loaded model and offer to restore an unsaved session
+   */
+  async startAutosave() {
+    if (!this.autosave.db || !this.loadedModel) return;
+    
+    try {
+      const hash = await this.modelLoader.computeModelHash(this.loadedModel);
+      await this.autosave.setModel(this.config.objUrl, hash);
+      
+      const snapshots = await this.autosave.getRecoverableSnapshots();
+      if (snapshots.length === 0) return;
+      
+      const snapshotId = await this.autosave.showRecoveryModal(snapshots);
+      if (snapshotId === null) return;
+      
+      const summary = await this.autosave.restoreSnapshot(snapshotId);
+      
+      // Earlier history belongs to the replaced session
+      this.history.clear();
+      this.setMeshUnits(Utils.getMeshUnits());
+      
+      this.ui.showSuccess(
+        `Session restored: ${summary.measurements} measurements, ${summary.annotations} discrepancies, ` +
+        `${summary.referencePoints} reference points, ${summary.himpAssessments} HIMP assessments`
+      );
+    } catch (error) {
+      console.error('❌ Failed to restore autosaved session:', error);
+      this.showError('Failed to restore autosaved session: ' + error.message);
+    }
+  }
+
   /**
    * Create a demo scene with basic geometry for testing
    */
@@ -457,21 +865,19 @@ class Inspector3D {
     }
   }
 
+  /**
+   * Toggle the section planes panel
+   */
+  toggleSectionPanel() {
+    const open = this.section.togglePanel();
+    this.ui.setButtonActive('sectionBtn', open);
+  }
+
   /**
    * Take a screenshot
    */
-  takeScreenshot() {
-    try {
-      const canvas = this.scene.renderer.domElement;
-      const link = document.createElement('a');
-      link.download = `3d-inspector-screenshot-${Date.now()}.png`;
-      link.href = canvas.toDataURL('image/png');
-      link.click();
-      console.log('📷 Screenshot saved');
-    } catch (error) {
-      console.error('❌ Failed to take screenshot:', error);
-      this.showError('Failed to take screenshot');
-    }
+  takeScreenshot(options = {}) {
+    this.screenshot.download(options);
   }
 
   /**
@@ -512,12 +918,152 @@ class Inspector3D {
       
       console.log('💾 Data exported successfully');
       this.ui.showMessage('Inspection report exported successfully!');
+      
+      // Exported sessions are not offered for recovery
+      this.autosave.markExported();
     } catch (error) {
       console.error('❌ Failed to export data:', error);
       this.showError('Failed to export data');
     }
   }
 
+  /**
+   * Wire the load / export / reset controls of a definition manager in the tools panel
+   * (taxonomy, HIMP scoring scheme). Element IDs are built from the prefix.
+   */
+  setupDefinitionControls(manager, prefix, label) {
+    const nameLabel = document.getElementById(`${prefix}-name`);
+    const updateName = () => {
+      const definition = manager.definition;
+      nameLabel.textContent = `${definition.name} (v${definition.version})`;
+    };
+    
+    updateName();
+    manager.onChange(updateName);
+    
+    document.getElementById(`load-${prefix}`).addEventListener('click', () => {
+      document.getElementById(`${prefix}-file-input`).click();
+    });
+    
+    document.getElementById(`${prefix}-file-input`).addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      
+      try {
+        await manager.loadFromFile(file);
+        this.autosave.scheduleSave();
+        this.ui.showSuccess(`${label} loaded: ${Utils.escapeHtml(manager.definition.name)}`);
+      } catch (error) {
+        console.error(`❌ Failed to load ${label.toLowerCase()}:`, error);
+        this.showError(`Failed to load ${label.toLowerCase()}: ` + error.message);
+      }
+    });
+    
+    document.getElementById(`export-${prefix}`).addEventListener('click', () => {
+      const blob = new Blob([JSON.stringify(manager.getExportData(), null, 2)], { type: 'application/json' });
+      
+      const url = URL.createObjectURL(blob);
+      
+      const link = document.createElement('a');
+      link.download = `${prefix}-${manager.definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+      link.href = url;
+      link.click();
+      
+      URL.revokeObjectURL(url);
+    });
+    
+    document.getElementById(`reset-${prefix}`).addEventListener('click', () => {
+      if (!confirm(`Go back to the default ${label.toLowerCase()}?`)) return;
+      
+      manager.reset();
+      this.autosave.scheduleSave();
+      this.ui.showMessage(`Default ${label.toLowerCase()} restored`);
+    });
+  }
+
+  /**
+   * Export a printable PDF inspection report
+   */
+  async exportPdfReport() {
+    try {
+      this.ui.showMessage('Generating PDF report...');
+      await this.report.download();
+      this.ui.showSuccess('PDF report exported successfully!');
+    } catch (error) {
+      console.error('❌ Failed to export PDF report:', error);
+      this.showError('Failed to export PDF report');
+    }
+  }
+
+  /**
+   * Import an inspection session from a previously exported report
+   */
+  async importSession(event) {
+    const file = event.target.files[0];
+    
+    // Reset file input so the same file can be selected again
+    event.target.value = '';
+    
+    if (!file) return;
+    
+    if (this.importer.hasSessionData() &&
+        !confirm('Importing a session replaces all current measurements, annotations, reference points and HIMP assessments. Continue?')) {
+      return;
+    }
+    
+    try {
+      const summary = await this.importer.importFromFile(file);
+      
+      // Earlier history belongs to the replaced session
+      this.history.clear();
+      
+      // Refresh unit-dependent displays
+      this.setMeshUnits(Utils.getMeshUnits());
+      this.autosave.scheduleSave();
+      
+      if (summary.modelFile && summary.modelFile !== this.config.objUrl) {
+        this.ui.showWarning(`This session was recorded on ${Utils.escapeHtml(summary.modelFile)}`);
+      }
+      
+      this.ui.showSuccess(
+        `Session imported: ${summary.measurements} measurements, ${summary.annotations} discrepancies, ` +
+        `${summary.referencePoints} reference points, ${summary.himpAssessments} HIMP assessments`
+      );
+    } catch (error) {
+      console.error('❌ Failed to import session:', error);
+      this.showError('Failed to import session: ' + error.message);
+    }
+  }
+
+  /**
+   * Undo the last change made with any placement tool
+   */
+  undo() {
+    if (this.measurement.isEditing) return;
+    
+    const entry = this.history.undo();
+    if (entry) {
+      this.ui.showMessage(`Undo: ${Utils.escapeHtml(entry.label)}`);
+    } else {
+      this.ui.showMessage('Nothing to undo');
+    }
+  }
+
+  /**
+   * Redo the last undone change
+   */
+  redo() {
+    if (this.measurement.isEditing) return;
+    
+    const entry = this.history.redo();
+    if (entry) {
+      this.ui.showMessage(`Redo: ${Utils.escapeHtml(entry.label)}`);
+    } else {
+      this.ui.showMessage('Nothing to redo');
+    }
+  }
+
   /**
    * Show help modal with keyboard shortcuts
    */
@@ -532,6 +1078,7 @@ class Inspector3D {
     Utils.setMeshUnits(units);
     this.measurement.updateUnits(units);
     this.annotation.updateUnits(units);
+    this.autosave.scheduleSave();
     console.log(`📏 Mesh units set to: ${units}`);
   }
 
@@ -601,6 +1148,11 @@ class Inspector3D {
         this.himp.updateLabelPositions();
       }
       
+      // Update session comparison highlights
+      if (this.comparison) {
+        this.comparison.updateLabelPositions();
+      }
+      
       // Render the scene
       this.scene.render();
     };
@@ -4,6 +4,8 @@
  * Responsible for:
  * - Multi-measurement system with color coding
  * - Distance and area calculations
+ * - Point-to-plane, plane angle and surface normal clearance measurements
+ * - Geodesic (on-surface) distance measurements
  * - Point placement, editing, and deletion
  * - Measurement visualization (lines, spheres, labels)
  * - Real-time label updates and positioning
@@ -14,6 +16,8 @@
 
 import * as THREE from 'three';
 import { Utils } from './utils.js';
+import { HistoryManager } from './history.js';
+import { GeodesicPathFinder } from './geodesic.js';
 
 export class MeasurementSystem {
   constructor(scene, camera, renderer) {
@@ -27,6 +31,9 @@ export class MeasurementSystem {
     this.currentMeasurementIndex = -1;
     this.measurementIdCounter = 1;
     this.labelsVisible = true;
+    this.measurementType = 'distance'; // Type used for new measurements
+    this.surfaceAreaEnabled = false; // Also measure mesh surface area inside closed polygons
+    this.geodesic = new GeodesicPathFinder(scene);
     
     // Interaction
     this.raycaster = new THREE.Raycaster();
@@ -34,6 +41,11 @@ export class MeasurementSystem {
     this.isEditing = false;
     this.editingPointIndex = -1;
     this.editingMeasurementIndex = -1;
+    this.editStartState = null;
+    this.editMoved = false;
+    
+    // Undo/redo (shared HistoryManager, set by main)
+    this.history = null;
     
     // Performance optimization
     this.labelUpdateTimer = null;
@@ -42,10 +54,42 @@ export class MeasurementSystem {
     // Visual settings
     this.SPHERE_RADIUS = 0.02;
     this.TUBE_RADIUS = 0.008;
+    this.MIN_LOOP_POINTS = 3; // Points needed to close a loop (measurement or HIMP region)
     this.MEASUREMENT_COLORS = [
       0xff4444, 0x44ff44, 0x4444ff, 0xffff44, 0xff44ff, 
       0x44ffff, 0xff8844, 0x88ff44, 0x4488ff, 0xff4488
     ];
+    this.PLANE_OPACITY = 0.25;
+    this.PLANARITY_WARNING = 0.02; // Deviation, as a fraction of the polygon size, flagged as non-planar
+    this.SURFACE_AREA_BAND = 0.1; // Mesh depth searched for surface area, as a fraction of the polygon size
+    this.CLEARANCE_MISS_LENGTH = 0.5; // Indicator length when nothing is hit along the normal
+    this.GEODESIC_DRAG_INTERVAL = 100; // ms between surface path searches while dragging a point
+    
+    // Measurement types
+    this.MEASUREMENT_TYPES = {
+      distance: { label: 'Distance / Area', icon: '📏' },
+      geodesic: { label: 'Surface Distance', icon: '〰️' },
+      pointToPlane: { label: 'Point to Plane', icon: '📐' },
+      planeAngle: { label: 'Plane Angle', icon: '∠' },
+      normalClearance: { label: 'Normal Clearance', icon: '⟂' }
+    };
+    
+    // Label styles per measurement type (CSS class and text prefix)
+    this.LABEL_STYLES = {
+      distance: { className: '', prefix: '' },
+      geodesic: { className: 'label-geodesic', prefix: '〰 ' },
+      area: { className: '', title: 'AREA' },
+      pointToPlane: { className: 'label-point-to-plane', prefix: '⊥ ' },
+      maxDepth: { className: 'label-max-depth', title: 'MAX DEPTH' },
+      planeAngle: { className: 'label-plane-angle', title: 'ANGLE' },
+      normalClearance: { className: 'label-normal-clearance', prefix: '⟂ ' }
+    };
+    
+    // Surface path searches are too slow to run on every mouse move
+    this.updateGeodesicDrag = Utils.throttle(
+      measurement => this.updateMeasurementVisuals(measurement),
+      this.GEODESIC_DRAG_INTERVAL
+    );
   }
 
   /**
@@ -124,22 +168,48 @@ export class MeasurementSystem {
       return;
     }
     
-    // Get intersection point
-    const intersectionPoint = this.getIntersectionPoint(event);
-    if (!intersectionPoint) return;
+    // Get intersection point (with surface normal)
+    const hit = this.getIntersectionHit(event);
+    if (!hit) return;
+    
+    if (this.measurementType === 'normalClearance' && !hit.normal) {
+      window.inspector3D?.ui?.showWarning('Normal clearance needs a mesh surface, not a point cloud');
+      return;
+    }
+    
+    const before = this.captureState();
     
-    // Get or create current measurement
+    // Get current measurement, or start a new one when it can't take more points
     let measurement = this.getCurrentMeasurement();
+    if (measurement && measurement.type !== this.measurementType) {
+      if (measurement.points.length === 0) {
+        measurement.type = this.measurementType;
+      } else {
+        measurement = null;
+      }
+    }
+    if (measurement && measurement.type === 'planeAngle' && measurement.planeBreaks.length === 2) {
+      measurement = null;
+    }
     if (!measurement) {
       measurement = this.createNewMeasurement();
     }
     
     // Add point to measurement
-    this.addPointToMeasurement(measurement, intersectionPoint);
+    const pointCount = measurement.points.length;
+    this.addPointToMeasurement(measurement, hit.point);
+    
+    if (measurement.type === 'normalClearance' && measurement.points.length > pointCount) {
+      measurement.clearances.push(this.computeClearance(hit));
+    }
     
     // Update visuals
     this.updateMeasurementVisuals(measurement);
     this.updateMeasurementReadout();
+    
+    if (measurement.points.length > pointCount) {
+      this.history?.record(`Add point to ${measurement.id}`, this, before);
+    }
   }
 
   /**
@@ -152,8 +222,11 @@ export class MeasurementSystem {
     // Find closest point to delete
     const { measurement, pointIndex } = this.findClosestPoint(intersectionPoint);
     
-    if (measurement && pointIndex !== -1) {
+    if (measurement && pointIndex !== -1 && !measurement.isLocked) {
+      const before = this.captureState();
       this.deletePointFromMeasurement(measurement, pointIndex);
+      this.updateMeasurementReadout();
+      this.history?.record(`Delete point from ${measurement.id}`, this, before);
     }
   }
 
@@ -181,15 +254,26 @@ export class MeasurementSystem {
   handleMouseMove(event) {
     if (!this.isEditing) return;
     
-    const intersectionPoint = this.getIntersectionPoint(event);
-    if (!intersectionPoint) return;
+    const hit = this.getIntersectionHit(event);
+    if (!hit) return;
     
     // Update point position
     const measurement = this.measurements[this.editingMeasurementIndex];
-    measurement.points[this.editingPointIndex].copy(intersectionPoint);
+    measurement.points[this.editingPointIndex].copy(hit.point);
+    measurement.spheres[this.editingPointIndex]?.position.copy(hit.point);
+    this.editMoved = true;
     
-    // Update visuals
-    this.updateMeasurementVisuals(measurement);
+    // Clearance follows the surface normal at the new position
+    if (measurement.type === 'normalClearance' && hit.normal) {
+      measurement.clearances[this.editingPointIndex] = this.computeClearance(hit);
+    }
+    
+    // Update visuals (stopEditing draws the final surface path)
+    if (measurement.type === 'geodesic') {
+      this.updateGeodesicDrag(measurement);
+    } else {
+      this.updateMeasurementVisuals(measurement);
+    }
   }
 
   /**
@@ -205,26 +289,34 @@ export class MeasurementSystem {
    * Get intersection point from mouse event
    */
   getIntersectionPoint(event) {
+    const hit = this.getIntersectionHit(event);
+    return hit ? hit.point : null;
+  }
+
+  /**
+   * Get intersection point and surface normal from mouse event
+   */
+  getIntersectionHit(event) {
     // Update mouse coordinates
     const rect = this.renderer.domElement.getBoundingClientRect();
     this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     
-    // Cast ray
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    
-    // Find intersections with loaded models
-    const objects = this.scene.children.filter(child => 
-      child.userData.modelId && child.visible
-    );
-    
-    const intersects = this.raycaster.intersectObjects(objects, true);
-    
-    if (intersects.length > 0) {
-      return intersects[0].point.clone();
-    }
+    // Cast ray against loaded models (meshes and point clouds)
+    return Utils.intersectModelsHit(this.raycaster, this.mouse, this.camera, this.scene, this.renderer);
+  }
+
+  /**
+   * Measure clearance from a surface hit along its normal to the next surface
+   */
+  computeClearance(hit) {
+    const obstruction = Utils.castRayOnModels(this.raycaster, hit.point, hit.normal, this.scene, hit);
     
-    return null;
+    return {
+      normal: hit.normal.clone(),
+      hitPoint: obstruction ? obstruction.point : null,
+      distance: obstruction ? obstruction.distance : null
+    };
   }
 
   /**
@@ -264,6 +356,10 @@ export class MeasurementSystem {
     this.editingPointIndex = pointIndex;
     this.editingMeasurementIndex = this.measurements.indexOf(measurement);
     
+    // Remember the state before the drag so the move can be undone
+    this.editStartState = this.captureState();
+    this.editMoved = false;
+    
     // Disable orbit controls during editing
     if (window.inspector3D && window.inspector3D.controls) {
       window.inspector3D.controls.setEnabled(false);
@@ -276,7 +372,18 @@ export class MeasurementSystem {
    * Stop editing
    */
   stopEditing() {
+    const measurement = this.measurements[this.editingMeasurementIndex];
     this.isEditing = false;
+    
+    if (this.editMoved && measurement) {
+      // Surface area is skipped while dragging, compute it for the final shape
+      this.updateMeasurementVisuals(measurement);
+      this.updateMeasurementReadout();
+      this.history?.record(`Move point in ${measurement.id}`, this, this.editStartState);
+    }
+    this.editStartState = null;
+    this.editMoved = false;
+    
     this.editingPointIndex = -1;
     this.editingMeasurementIndex = -1;
     
@@ -291,9 +398,10 @@ export class MeasurementSystem {
   /**
    * Create new measurement
    */
-  createNewMeasurement() {
+  createNewMeasurement(type = this.measurementType) {
     const measurement = {
       id: `M${this.measurementIdCounter++}`,
+      type: type,
       points: [],
       spheres: [],
       lines: [],
@@ -303,7 +411,20 @@ export class MeasurementSystem {
       isLocked: false, // Prevents editing if linked to discrepancies
       createdAt: new Date(),
       totalDistance: 0,
-      area: 0
+      area: 0, // On the best-fit plane
+      planarityDeviation: 0,
+      projectedAreas: { xy: 0, xz: 0, yz: 0 },
+      surfaceArea: null,
+      planeBreaks: [], // Point counts at which each fitted plane's point set ends
+      planes: [],
+      planeDistances: [],
+      maxDepth: 0,
+      angle: null,
+      clearances: [], // One per point for normal clearance measurements
+      geodesicSegments: [],
+      offSurfaceCount: 0, // Segments without a surface path the user was warned about
+      geodesicLength: 0,
+      chordLength: 0
     };
     
     this.measurements.push(measurement);
@@ -335,11 +456,7 @@ export class MeasurementSystem {
     measurement.points.push(point.clone());
     
     // Create visual sphere for the point
-    const sphereGeometry = Utils.createSphereGeometry(this.SPHERE_RADIUS);
-    const sphereMaterial = new THREE.MeshBasicMaterial({ color: measurement.color });
-    const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-    
-    sphere.position.copy(point);
+    const sphere = this.createPointMesh(point, measurement.color);
     sphere.userData = {
       type: 'measurementPoint',
       measurementId: measurement.id,
@@ -365,6 +482,10 @@ export class MeasurementSystem {
     
     // Remove point
     measurement.points.splice(pointIndex, 1);
+    if (measurement.clearances.length > pointIndex) {
+      measurement.clearances.splice(pointIndex, 1);
+    }
+    measurement.planeBreaks = this.adjustPlaneBreaks(measurement.planeBreaks, pointIndex);
     
     // Remove visual sphere
     if (measurement.spheres[pointIndex]) {
@@ -387,6 +508,26 @@ export class MeasurementSystem {
     this.clearMeasurementLines(measurement);
     this.clearMeasurementLabels(measurement);
     
+    switch (measurement.type) {
+      case 'pointToPlane':
+      case 'planeAngle':
+        this.updatePlaneVisuals(measurement);
+        break;
+      case 'normalClearance':
+        this.updateClearanceVisuals(measurement);
+        break;
+      case 'geodesic':
+        this.updateGeodesicVisuals(measurement);
+        break;
+      default:
+        this.updateDistanceVisuals(measurement);
+    }
+  }
+
+  /**
+   * Update point-to-point distance and area visuals
+   */
+  updateDistanceVisuals(measurement) {
     if (measurement.points.length < 2) return;
     
     // Create lines between consecutive points
@@ -399,7 +540,7 @@ export class MeasurementSystem {
       this.createMeasurementLine(measurement, measurement.points.length - 1, 0, true); // Pass true for isClosingLine
       
       // Calculate and display area
-      measurement.area = Utils.calculatePolygonArea(measurement.points);
+      this.updateMeasurementArea(measurement);
       this.createAreaLabel(measurement);
     }
     
@@ -408,27 +549,378 @@ export class MeasurementSystem {
   }
 
   /**
-   * Create line between two points
+   * Calculate area on the best-fit plane, planarity and projected areas of a
+   * closed measurement, plus the enclosed mesh surface area when enabled
    */
-  createMeasurementLine(measurement, fromIndex, toIndex, isClosingLine = false) {
-    const fromPoint = measurement.points[fromIndex];
-    const toPoint = measurement.points[toIndex];
+  updateMeasurementArea(measurement) {
+    const details = Utils.calculatePolygonAreaDetails(measurement.points);
+    
+    measurement.area = details.area;
+    measurement.planarityDeviation = details.planarityDeviation;
+    measurement.projectedAreas = details.projectedAreas;
+    measurement.surfaceArea = null;
+    
+    // Surface area scans the whole mesh, so it waits until dragging stops
+    if (this.surfaceAreaEnabled && details.plane && !this.isEditing) {
+      const size = Math.sqrt(details.area);
+      const band = details.planarityDeviation + size * this.SURFACE_AREA_BAND;
+      measurement.surfaceArea = Utils.calculateEnclosedSurfaceArea(
+        measurement.points, details.plane, this.geodesic.getMeshes(), band
+      );
+    }
+  }
+
+  /**
+   * Check whether a closed measurement deviates noticeably from its plane
+   */
+  isNonPlanar(measurement) {
+    return measurement.planarityDeviation > Math.sqrt(measurement.area) * this.PLANARITY_WARNING;
+  }
+
+  /**
+   * Enable or disable mesh surface area for closed measurements
+   */
+  setSurfaceAreaEnabled(enabled) {
+    this.surfaceAreaEnabled = enabled;
     
-    // Create tube geometry for the line
-    const tubeGeometry = Utils.createTubeGeometry([fromPoint, toPoint], this.TUBE_RADIUS);
-    const lineMaterial = new THREE.MeshBasicMaterial({ color: measurement.color });
-    const line = new THREE.Mesh(tubeGeometry, lineMaterial);
+    this.measurements
+      .filter(measurement => measurement.type === 'distance' && measurement.isClosed)
+      .forEach(measurement => this.updateMeasurementVisuals(measurement));
+    
+    this.updateMeasurementReadout();
+    console.log(`📏 Mesh surface area ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Update geodesic visuals: each segment follows the shortest path across
+   * the mesh surface, falling back to the chord where there is no surface
+   * path (point clouds, separate parts)
+   */
+  updateGeodesicVisuals(measurement) {
+    measurement.geodesicSegments = [];
+    measurement.geodesicLength = 0;
+    measurement.chordLength = 0;
+    
+    for (let i = 1; i < measurement.points.length; i++) {
+      const from = measurement.points[i - 1];
+      const to = measurement.points[i];
+      const chord = Utils.calculateDistance(from, to);
+      const path = this.geodesic.findPath(from, to);
+      
+      const segment = {
+        fromIndex: i - 1,
+        toIndex: i,
+        geodesicLength: path ? path.length : chord,
+        chordLength: chord,
+        onSurface: Boolean(path),
+        path: path ? path.points : [from.clone(), to.clone()]
+      };
+      
+      measurement.geodesicSegments.push(segment);
+      measurement.geodesicLength += segment.geodesicLength;
+      measurement.chordLength += chord;
+      
+      if (segment.path.length > 2) {
+        this.createPathLine(measurement, segment);
+      } else {
+        this.createSegment(measurement, from, to, { fromIndex: i - 1, toIndex: i });
+      }
+      
+      this.createDistanceLabel(measurement, this.getPathMidpoint(segment.path), segment.geodesicLength, i - 1, i, 'geodesic');
+    }
+    
+    measurement.totalDistance = measurement.geodesicLength;
+    
+    // Tell the user once when a new segment has no surface path (not mid-drag)
+    const offSurface = measurement.geodesicSegments.filter(segment => !segment.onSurface);
+    if (!this.isEditing) {
+      if (offSurface.length > (measurement.offSurfaceCount || 0)) {
+        const segment = offSurface[offSurface.length - 1];
+        window.inspector3D?.ui?.showWarning(
+          `No surface path from P${segment.fromIndex + 1} to P${segment.toIndex + 1}: the points are on different or unconnected parts, chord used`
+        );
+      }
+      measurement.offSurfaceCount = offSurface.length;
+    }
+  }
+
+  /**
+   * Create a polyline of straight tubes following a surface path (a smooth
+   * curve would cut corners off the surface)
+   */
+  createPathLine(measurement, segment) {
+    for (let i = 1; i < segment.path.length; i++) {
+      this.createSegment(measurement, segment.path[i - 1], segment.path[i], {
+        fromIndex: segment.fromIndex,
+        toIndex: segment.toIndex
+      });
+    }
+  }
+
+  /**
+   * Get the point halfway along a polyline
+   */
+  getPathMidpoint(path) {
+    let remaining = 0;
+    for (let i = 1; i < path.length; i++) {
+      remaining += path[i - 1].distanceTo(path[i]);
+    }
+    remaining /= 2;
+    
+    for (let i = 1; i < path.length; i++) {
+      const length = path[i - 1].distanceTo(path[i]);
+      if (length >= remaining && length > 0) {
+        return path[i - 1].clone().lerp(path[i], remaining / length);
+      }
+      remaining -= length;
+    }
+    
+    return path[path.length - 1].clone();
+  }
+
+  /**
+   * Update point-to-plane and plane angle visuals.
+   * Points up to each plane break are fitted to a plane; for point-to-plane
+   * the points after the first break are measured against that plane.
+   */
+  updatePlaneVisuals(measurement) {
+    const points = measurement.points;
+    const breaks = measurement.planeBreaks;
+    measurement.planes = [];
+    
+    // Completed plane point sets, then the set still being picked
+    let start = 0;
+    const groups = breaks.map(end => {
+      const group = { points: points.slice(start, end), complete: true };
+      start = end;
+      return group;
+    });
+    
+    const planesNeeded = measurement.type === 'planeAngle' ? 2 : 1;
+    if (breaks.length < planesNeeded) {
+      groups.push({ points: points.slice(start), complete: false });
+    }
+    
+    groups.forEach(group => {
+      for (let i = 1; i < group.points.length; i++) {
+        this.createSegment(measurement, group.points[i - 1], group.points[i]);
+      }
+      
+      if (!group.complete) return;
+      
+      this.createSegment(measurement, group.points[group.points.length - 1], group.points[0]);
+      
+      const plane = Utils.fitPlane(group.points);
+      if (plane) {
+        measurement.planes.push(plane);
+        this.createPlanePatch(measurement, plane, group.points);
+      }
+    });
+    
+    if (measurement.type === 'pointToPlane') {
+      measurement.planeDistances = [];
+      measurement.maxDepth = 0;
+      
+      const plane = measurement.planes[0];
+      if (plane) {
+        for (let i = breaks[0]; i < points.length; i++) {
+          const distance = Utils.distancePointToPlane(points[i], plane);
+          const foot = points[i].clone().addScaledVector(plane.normal, -distance);
+          
+          this.createSegment(measurement, points[i], foot);
+          this.createDistanceLabel(measurement, Utils.calculateMidpoint(points[i], foot), Math.abs(distance), i, -1, 'pointToPlane');
+          
+          measurement.planeDistances.push({ pointIndex: i, distance: distance });
+          measurement.maxDepth = Math.max(measurement.maxDepth, Math.abs(distance));
+        }
+        
+        if (measurement.planeDistances.length > 1) {
+          this.createAreaLabel(measurement, 'maxDepth');
+        }
+      }
+    } else {
+      measurement.angle = measurement.planes.length === 2 ?
+        Utils.angleBetweenPlanes(measurement.planes[0], measurement.planes[1]) :
+        null;
+      
+      if (measurement.angle !== null) {
+        this.createAreaLabel(measurement, 'planeAngle');
+      }
+    }
+  }
+
+  /**
+   * Update normal clearance visuals (one ray per picked point)
+   */
+  updateClearanceVisuals(measurement) {
+    measurement.points.forEach((point, index) => {
+      const clearance = measurement.clearances[index];
+      if (!clearance) return;
+      
+      // Without an obstruction, draw a short indicator along the normal
+      const end = clearance.hitPoint ||
+        point.clone().addScaledVector(clearance.normal, this.CLEARANCE_MISS_LENGTH);
+      
+      this.createSegment(measurement, point, end);
+      this.createDistanceLabel(measurement, Utils.calculateMidpoint(point, end), clearance.distance, index, -1, 'normalClearance');
+    });
+  }
+
+  /**
+   * Complete the plane point set being picked (C key for plane measurements)
+   */
+  completePlane(measurement) {
+    const start = measurement.planeBreaks[measurement.planeBreaks.length - 1] || 0;
+    const planePoints = measurement.points.slice(start);
+    
+    if (planePoints.length < 3) {
+      console.warn('⚠️ Need at least 3 points to fit a plane');
+      return;
+    }
+    
+    if (!Utils.fitPlane(planePoints)) {
+      console.warn('⚠️ Plane points are collinear');
+      window.inspector3D?.ui?.showWarning('Plane points are in a line, pick points spread over the surface');
+      return;
+    }
+    
+    const before = this.captureState();
+    
+    measurement.planeBreaks.push(measurement.points.length);
+    this.updateMeasurementVisuals(measurement);
+    this.updateMeasurementReadout();
+    this.history?.record(`Fit plane in ${measurement.id}`, this, before);
+    
+    console.log(`📐 Fitted plane ${measurement.planeBreaks.length} in measurement ${measurement.id}`);
+  }
+
+  /**
+   * Shift plane breaks after a point is deleted, dropping planes left with
+   * fewer than 3 points (and any planes after them)
+   */
+  adjustPlaneBreaks(planeBreaks, deletedIndex) {
+    const adjusted = [];
+    let start = 0;
+    
+    for (const end of planeBreaks.map(b => (deletedIndex < b ? b - 1 : b))) {
+      if (end - start < 3) break;
+      adjusted.push(end);
+      start = end;
+    }
     
+    return adjusted;
+  }
+
+  /**
+   * Create a tube segment between two positions
+   */
+  createSegment(measurement, fromPoint, toPoint, userData = {}) {
+    const line = this.createSegmentMesh(fromPoint, toPoint, measurement.color);
     line.userData = {
       type: 'measurementLine',
       measurementId: measurement.id,
-      fromIndex: fromIndex,
-      toIndex: toIndex,
-      isClosingLine: isClosingLine
+      ...userData
     };
     
     this.scene.add(line);
     measurement.lines.push(line);
+    return line;
+  }
+
+  /**
+   * Sphere marking a picked point
+   */
+  createPointMesh(point, color) {
+    const sphere = new THREE.Mesh(
+      Utils.createSphereGeometry(this.SPHERE_RADIUS),
+      new THREE.MeshBasicMaterial({ color: color })
+    );
+    sphere.position.copy(point);
+    return sphere;
+  }
+
+  /**
+   * Tube between two picked points
+   */
+  createSegmentMesh(fromPoint, toPoint, color) {
+    return new THREE.Mesh(
+      Utils.createTubeGeometry([fromPoint, toPoint], this.TUBE_RADIUS),
+      new THREE.MeshBasicMaterial({ color: color })
+    );
+  }
+
+  /**
+   * Points and segments of a loop being picked, drawn like a distance
+   * measurement (used by other tools that outline regions, e.g. HIMP).
+   * The caller adds the group to the scene and disposes of it.
+   */
+  createLoopPreview(points, color, closed = false) {
+    const group = new THREE.Group();
+    
+    points.forEach(point => group.add(this.createPointMesh(point, color)));
+    for (let i = 1; i < points.length; i++) {
+      group.add(this.createSegmentMesh(points[i - 1], points[i], color));
+    }
+    if (closed && points.length >= this.MIN_LOOP_POINTS) {
+      group.add(this.createSegmentMesh(points[points.length - 1], points[0], color));
+    }
+    
+    return group;
+  }
+
+  /**
+   * Whether a loop has enough points to close, warning the user if not
+   */
+  canCloseLoop(points) {
+    if (points.length >= this.MIN_LOOP_POINTS) return true;
+    
+    console.warn(`⚠️ Need at least ${this.MIN_LOOP_POINTS} points to close`);
+    window.inspector3D?.ui?.showWarning(`Need at least ${this.MIN_LOOP_POINTS} points to close`);
+    return false;
+  }
+
+  /**
+   * Create a translucent patch showing a fitted plane
+   */
+  createPlanePatch(measurement, plane, points) {
+    const radius = Math.max(...points.map(point => point.distanceTo(plane.centroid)));
+    const size = Math.max(radius * 2.2, this.SPHERE_RADIUS * 10);
+    
+    const patch = new THREE.Mesh(
+      new THREE.PlaneGeometry(size, size),
+      new THREE.MeshBasicMaterial({
+        color: measurement.color,
+        transparent: true,
+        opacity: this.PLANE_OPACITY,
+        side: THREE.DoubleSide,
+        depthWrite: false
+      })
+    );
+    
+    patch.position.copy(plane.centroid);
+    patch.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), plane.normal);
+    patch.userData = {
+      type: 'measurementPlane',
+      measurementId: measurement.id
+    };
+    
+    this.scene.add(patch);
+    measurement.lines.push(patch);
+  }
+
+  /**
+   * Create line between two points
+   */
+  createMeasurementLine(measurement, fromIndex, toIndex, isClosingLine = false) {
+    const fromPoint = measurement.points[fromIndex];
+    const toPoint = measurement.points[toIndex];
+    
+    // Create tube geometry for the line
+    this.createSegment(measurement, fromPoint, toPoint, {
+      fromIndex: fromIndex,
+      toIndex: toIndex,
+      isClosingLine: isClosingLine
+    });
     
     // Create distance label at midpoint (skip for closing line)
     if (!isClosingLine) {
@@ -442,10 +934,14 @@ export class MeasurementSystem {
   /**
    * Create distance label
    */
-  createDistanceLabel(measurement, position, distance, fromIndex, toIndex) {
+  createDistanceLabel(measurement, position, distance, fromIndex, toIndex, labelType = 'distance') {
+    const style = this.LABEL_STYLES[labelType];
+    
     const labelDiv = document.createElement('div');
-    labelDiv.className = 'measure-label';
-    labelDiv.innerHTML = Utils.formatDistance(distance);
+    labelDiv.className = `measure-label ${style.className}`.trim();
+    labelDiv.innerHTML = distance === null ?
+      `${style.prefix}no obstruction` :
+      `${style.prefix}${Utils.formatDistance(distance)}`;
     labelDiv.style.display = this.labelsVisible ? 'block' : 'none';
     labelDiv.style.backgroundColor = `rgba(${Utils.hexToRgb(measurement.color).r}, ${Utils.hexToRgb(measurement.color).g}, ${Utils.hexToRgb(measurement.color).b}, 0.95)`;
     
@@ -457,26 +953,51 @@ export class MeasurementSystem {
       distance: distance,
       fromIndex: fromIndex,
       toIndex: toIndex,
-      type: 'distance'
+      type: labelType
     });
   }
 
   /**
-   * Create area label for closed measurements
+   * Create summary label: area for closed measurements, max depth for
+   * point-to-plane and angle for plane angle measurements
    */
-  createAreaLabel(measurement) {
-    if (measurement.area <= 0) return;
+  createAreaLabel(measurement, labelType = 'area') {
+    if (labelType === 'area' && measurement.area <= 0) return;
+    
+    const style = this.LABEL_STYLES[labelType];
+    const values = {
+      area: () => {
+        const projected = measurement.projectedAreas;
+        let html = Utils.formatArea(measurement.area);
+        html += `<br><small>XY ${Utils.formatArea(projected.xy, false)} · XZ ${Utils.formatArea(projected.xz, false)} · YZ ${Utils.formatArea(projected.yz, false)}</small>`;
+        if (this.isNonPlanar(measurement)) {
+          html += `<br><small>⚠️ non-planar ±${Utils.formatDistance(measurement.planarityDeviation, false)}</small>`;
+        }
+        if (measurement.surfaceArea !== null) {
+          html += `<br><small>surface ${Utils.formatArea(measurement.surfaceArea, false)}</small>`;
+        }
+        return html;
+      },
+      maxDepth: () => Utils.formatDistance(measurement.maxDepth),
+      planeAngle: () => Utils.formatAngle(measurement.angle)
+    };
     
-    const center = Utils.calculatePolygonCenter(measurement.points);
+    // Plane summaries sit between the fitted planes, area at the polygon center
+    const center = labelType === 'area' ?
+      Utils.calculatePolygonCenter(measurement.points) :
+      Utils.calculatePolygonCenter(measurement.planes.map(plane => plane.centroid));
     
     const areaLabelDiv = document.createElement('div');
-    areaLabelDiv.className = 'measure-label';
+    areaLabelDiv.className = `measure-label ${style.className}`.trim();
+    if (labelType === 'area' && this.isNonPlanar(measurement)) {
+      areaLabelDiv.classList.add('label-non-planar');
+    }
     areaLabelDiv.style.fontSize = '14px';
     areaLabelDiv.style.fontWeight = 'bold';
     areaLabelDiv.style.padding = '8px 12px';
     areaLabelDiv.style.borderRadius = '8px';
     areaLabelDiv.style.border = '2px solid white';
-    areaLabelDiv.innerHTML = `AREA<br>${Utils.formatArea(measurement.area)}`;
+    areaLabelDiv.innerHTML = `${style.title}<br>${values[labelType]()}`;
     areaLabelDiv.style.display = this.labelsVisible ? 'block' : 'none';
     areaLabelDiv.style.backgroundColor = `rgba(${Utils.hexToRgb(measurement.color).r}, ${Utils.hexToRgb(measurement.color).g}, ${Utils.hexToRgb(measurement.color).b}, 0.95)`;
     
@@ -486,7 +1007,7 @@ export class MeasurementSystem {
       div: areaLabelDiv,
       position: center,
       area: measurement.area,
-      type: 'area'
+      type: labelType
     });
   }
 
@@ -534,12 +1055,24 @@ export class MeasurementSystem {
   }
 
   /**
-   * Close current measurement (create polygon)
+   * Close current measurement (create polygon), or fit the plane being
+   * picked for point-to-plane and plane angle measurements
    */
   closeMeasurement() {
     const measurement = this.getCurrentMeasurement();
-    if (!measurement || measurement.points.length < 3) {
-      console.warn('⚠️ Need at least 3 points to close measurement');
+    
+    if (measurement && !measurement.isLocked) {
+      const planesNeeded = { pointToPlane: 1, planeAngle: 2 }[measurement.type] || 0;
+      if (planesNeeded > 0) {
+        if (measurement.planeBreaks.length < planesNeeded) {
+          this.completePlane(measurement);
+        }
+        return;
+      }
+      if (measurement.type !== 'distance') return;
+    }
+    
+    if (!measurement || !this.canCloseLoop(measurement.points)) {
       return;
     }
     
@@ -548,12 +1081,49 @@ export class MeasurementSystem {
       return;
     }
     
+    if (measurement.isClosed) return;
+    
+    const before = this.captureState();
+    
     measurement.isClosed = true;
     this.updateMeasurementVisuals(measurement);
+    this.history?.record(`Close ${measurement.id}`, this, before);
     
     console.log(`🔄 Closed measurement ${measurement.id} (area: ${measurement.area.toFixed(2)} ${Utils.getMeshUnits()}²)`);
   }
 
+  /**
+   * Set the type used for new measurements
+   */
+  setMeasurementType(type) {
+    if (!this.MEASUREMENT_TYPES[type]) return;
+    
+    this.measurementType = type;
+    
+    // Build surface graphs now rather than on the first click or drag
+    if (type === 'geodesic') {
+      this.geodesic.prepare();
+    }
+    
+    // Continue into a fresh measurement of the new type
+    const measurement = this.getCurrentMeasurement();
+    if (measurement && measurement.points.length > 0 && measurement.type !== type) {
+      this.currentMeasurementIndex = -1;
+    }
+    
+    this.updateMeasurementReadout();
+    console.log(`📏 Measurement type: ${this.MEASUREMENT_TYPES[type].label}`);
+  }
+
+  /**
+   * Cycle to the next measurement type (T key)
+   */
+  cycleMeasurementType() {
+    const types = Object.keys(this.MEASUREMENT_TYPES);
+    const nextIndex = (types.indexOf(this.measurementType) + 1) % types.length;
+    this.setMeasurementType(types[nextIndex]);
+  }
+
   /**
    * Switch to specific measurement
    */
@@ -586,7 +1156,10 @@ export class MeasurementSystem {
   clearCurrent() {
     const measurement = this.getCurrentMeasurement();
     if (measurement && !measurement.isLocked) {
+      const before = this.captureState();
       this.clearMeasurement(measurement);
+      this.updateMeasurementReadout();
+      this.history?.record(`Clear ${measurement.id}`, this, before);
     }
   }
 
@@ -683,13 +1256,24 @@ export class MeasurementSystem {
     if (!readout || !this.active) return;
     
     const measurement = this.getCurrentMeasurement();
+    const typeOptions = Object.entries(this.MEASUREMENT_TYPES).map(([type, info]) =>
+      `<option value="${type}" ${type === this.measurementType ? 'selected' : ''}>${info.icon} ${info.label}</option>`
+    ).join('');
+    const typeSelect = `
+      <select class="measure-type-select" onchange="window.inspector3D?.measurement?.setMeasurementType(this.value)">
+        ${typeOptions}
+      </select><br>
+    `;
     
     if (!measurement || measurement.points.length === 0) {
       readout.innerHTML = `
         <strong>📏 Measurement Mode</strong><br>
-        <small>Click on model to start measuring<br>
-        N: New measurement | ESC: Clear | L: Toggle labels</small>
+        ${typeSelect}
+        <small>${this.getTypeHint(this.measurementType)}<br>
+        T: Change type | N: New measurement | ESC: Clear | L: Toggle labels</small>
       `;
+    } else if (measurement.type !== 'distance') {
+      readout.innerHTML = typeSelect + this.getTypeReadout(measurement);
     } else {
       const pointCount = measurement.points.length;
       const distance = measurement.totalDistance;
@@ -704,7 +1288,16 @@ export class MeasurementSystem {
         content += `Distance: ${Utils.formatDistance(distance, false)}<br>`;
         
         if (measurement.isClosed && area > 0) {
-          content += `Area: ${Utils.formatArea(area, false)}<br>`;
+          const projected = measurement.projectedAreas;
+          content += `Area: ${Utils.formatArea(area, false)} <small>(best-fit plane)</small><br>`;
+          content += `<small>Projected XY ${Utils.formatArea(projected.xy, false)} · XZ ${Utils.formatArea(projected.xz, false)} · YZ ${Utils.formatArea(projected.yz, false)}</small><br>`;
+          content += `Planarity: ±${Utils.formatDistance(measurement.planarityDeviation, false)}`;
+          content += this.isNonPlanar(measurement) ? ' ⚠️<br>' : '<br>';
+          if (measurement.surfaceArea !== null) {
+            content += `Surface area: ${Utils.formatArea(measurement.surfaceArea, false)}<br>`;
+          }
+          content += `<label><input type="checkbox" ${this.surfaceAreaEnabled ? 'checked' : ''}
+            onchange="window.inspector3D?.measurement?.setSurfaceAreaEnabled(this.checked)"> Mesh surface area</label><br>`;
         }
         
         content += `<small>`;
@@ -714,8 +1307,87 @@ export class MeasurementSystem {
         content += `N: New | Shift+Click: Delete point | Ctrl+Drag: Move point</small>`;
       }
       
-      readout.innerHTML = content;
+      readout.innerHTML = typeSelect + content;
+    }
+  }
+
+  /**
+   * Get the picking hint for a measurement type
+   */
+  getTypeHint(type) {
+    switch (type) {
+      case 'pointToPlane':
+        return 'Click 3+ points on a reference surface, C to fit plane,<br>then click points to measure';
+      case 'planeAngle':
+        return 'Click 3+ points on the first surface, C to fit plane,<br>then the same on the second surface';
+      case 'normalClearance':
+        return 'Click on a surface to measure clearance along its normal';
+      case 'geodesic':
+        return 'Click points to measure along the model surface';
+      default:
+        return 'Click on model to start measuring';
+    }
+  }
+
+  /**
+   * Build readout content for point-to-plane, plane angle and clearance measurements
+   */
+  getTypeReadout(measurement) {
+    const pointCount = measurement.points.length;
+    let content = `<strong>${measurement.id}: ${this.MEASUREMENT_TYPES[measurement.type].label}</strong><br>`;
+    
+    if (measurement.type === 'normalClearance') {
+      measurement.clearances.forEach((clearance, index) => {
+        content += `P${index + 1}: ${clearance.distance === null ? 'no obstruction' : Utils.formatDistance(clearance.distance, false)}<br>`;
+      });
+      content += `<small>Click: Add point | N: New | Shift+Click: Delete point</small>`;
+      return content;
+    }
+    
+    if (measurement.type === 'geodesic') {
+      if (pointCount < 2) {
+        content += `<small>Click next point to measure across the surface<br>N: New measurement</small>`;
+        return content;
+      }
+      
+      const excess = measurement.chordLength > 0 ?
+        (measurement.geodesicLength / measurement.chordLength - 1) * 100 : 0;
+      
+      content += `Geodesic: ${Utils.formatDistance(measurement.geodesicLength, false)}<br>`;
+      content += `Chord: ${Utils.formatDistance(measurement.chordLength, false)} <small>(+${excess.toFixed(1)}%)</small><br>`;
+      if (measurement.geodesicSegments.some(segment => !segment.onSurface)) {
+        content += `<small>⚠️ Some segments have no surface path, chord used</small><br>`;
+      }
+      content += `<small>N: New | Shift+Click: Delete point | Ctrl+Drag: Move point</small>`;
+      return content;
+    }
+    
+    const planesNeeded = measurement.type === 'planeAngle' ? 2 : 1;
+    const planeStart = measurement.planeBreaks[measurement.planeBreaks.length - 1] || 0;
+    
+    measurement.planes.forEach((plane, index) => {
+      content += `Plane ${index + 1}: ±${Utils.formatDistance(plane.maxDeviation, false)} flatness<br>`;
+    });
+    
+    if (measurement.planeBreaks.length < planesNeeded) {
+      const picked = pointCount - planeStart;
+      content += `Plane ${measurement.planeBreaks.length + 1}: ${picked} point${picked !== 1 ? 's' : ''}<br>`;
+      content += `<small>${picked >= 3 ? 'C: Fit plane' : 'Click at least 3 points on the surface'} | N: New</small>`;
+      return content;
+    }
+    
+    if (measurement.type === 'planeAngle') {
+      content += `Angle: ${measurement.angle !== null ? Utils.formatAngle(measurement.angle) : '—'}<br>`;
+    } else if (measurement.planeDistances.length > 0) {
+      const last = measurement.planeDistances[measurement.planeDistances.length - 1];
+      content += `Last: ${Utils.formatDistance(Math.abs(last.distance), false)} ${last.distance >= 0 ? 'above' : 'below'} plane<br>`;
+      content += `Max depth: ${Utils.formatDistance(measurement.maxDepth, false)}<br>`;
+    } else {
+      content += `<small>Click points to measure distance to the plane</small><br>`;
     }
+    
+    content += `<small>N: New | Shift+Click: Delete point | Ctrl+Drag: Move point</small>`;
+    return content;
   }
 
   /**
@@ -740,8 +1412,168 @@ export class MeasurementSystem {
       isLocked: measurement.isLocked,
       color: `#${measurement.color.toString(16).padStart(6, '0')}`,
       createdAt: measurement.createdAt.toISOString(),
-      units: Utils.getMeshUnits()
+      units: Utils.getMeshUnits(),
+      type: measurement.type,
+      ...this.getTypeExportData(measurement)
+    }));
+  }
+
+  /**
+   * Get the type-specific export fields of a measurement
+   */
+  getTypeExportData(measurement) {
+    const toXYZ = v => ({ x: v.x, y: v.y, z: v.z });
+    const planes = () => measurement.planes.map(plane => ({
+      centroid: toXYZ(plane.centroid),
+      normal: toXYZ(plane.normal),
+      maxDeviation: plane.maxDeviation,
+      rmsDeviation: plane.rmsDeviation
     }));
+    
+    switch (measurement.type) {
+      case 'pointToPlane':
+        return {
+          planeBreaks: [...measurement.planeBreaks],
+          plane: planes()[0] || null,
+          planeDistances: measurement.planeDistances.map(d => ({ ...d })),
+          maxDepth: measurement.maxDepth
+        };
+      case 'planeAngle':
+        return {
+          planeBreaks: [...measurement.planeBreaks],
+          planes: planes(),
+          angle: measurement.angle
+        };
+      case 'geodesic':
+        return {
+          geodesicLength: measurement.geodesicLength,
+          chordLength: measurement.chordLength,
+          geodesicSegments: measurement.geodesicSegments.map(segment => ({
+            fromIndex: segment.fromIndex,
+            toIndex: segment.toIndex,
+            geodesicLength: segment.geodesicLength,
+            chordLength: segment.chordLength,
+            onSurface: segment.onSurface,
+            path: segment.path.map(toXYZ)
+          }))
+        };
+      case 'normalClearance':
+        return {
+          clearances: measurement.clearances.map(clearance => ({
+            normal: toXYZ(clearance.normal),
+            hitPoint: clearance.hitPoint ? toXYZ(clearance.hitPoint) : null,
+            distance: clearance.distance
+          }))
+        };
+      default:
+        return measurement.isClosed ? {
+          planarityDeviation: measurement.planarityDeviation,
+          projectedAreas: { ...measurement.projectedAreas },
+          surfaceArea: measurement.surfaceArea
+        } : {};
+    }
+  }
+
+  /**
+   * Rebuild measurements from exported data (see getExportData)
+   */
+  importData(measurements = []) {
+    this.clearAllMeasurements();
+    
+    measurements.forEach(data => {
+      const measurement = this.createNewMeasurement(this.MEASUREMENT_TYPES[data.type] ? data.type : 'distance');
+      measurement.id = data.id || measurement.id;
+      measurement.createdAt = Utils.parseDate(data.createdAt) || new Date();
+      if (data.color) {
+        measurement.color = parseInt(data.color.replace('#', ''), 16);
+      }
+      
+      (data.points || []).forEach(p => {
+        this.addPointToMeasurement(measurement, new THREE.Vector3(p.x, p.y, p.z));
+      });
+      
+      measurement.isClosed = Boolean(data.isClosed) && measurement.points.length >= 3;
+      measurement.planeBreaks = (data.planeBreaks || []).filter(b => b <= measurement.points.length);
+      measurement.clearances = (data.clearances || []).map(clearance => ({
+        normal: new THREE.Vector3(clearance.normal.x, clearance.normal.y, clearance.normal.z),
+        hitPoint: clearance.hitPoint ? new THREE.Vector3(clearance.hitPoint.x, clearance.hitPoint.y, clearance.hitPoint.z) : null,
+        distance: clearance.distance
+      }));
+      this.updateMeasurementVisuals(measurement);
+      
+      // Lock last so the points above could be added
+      measurement.isLocked = Boolean(data.isLocked);
+    });
+    
+    // Continue numbering after the highest imported ID
+    const maxId = Math.max(0, ...this.measurements.map(m => parseInt(m.id.replace(/\D/g, '')) || 0));
+    this.measurementIdCounter = maxId + 1;
+    this.currentMeasurementIndex = this.measurements.length - 1;
+    
+    this.updateMeasurementReadout();
+    console.log(`📥 Imported ${this.measurements.length} measurements`);
+  }
+
+  /**
+   * Remove all measurements, including locked ones
+   */
+  clearAllMeasurements() {
+    [...this.measurements].forEach(measurement => {
+      measurement.isLocked = false;
+      this.clearMeasurement(measurement);
+    });
+    
+    this.measurements = [];
+    this.currentMeasurementIndex = -1;
+  }
+
+  /**
+   * Snapshot all measurements for undo/redo
+   */
+  captureState() {
+    return {
+      measurements: this.measurements.map(measurement =>
+        HistoryManager.cloneItem(measurement, ['spheres', 'lines', 'labels'])
+      ),
+      currentMeasurementIndex: this.currentMeasurementIndex,
+      measurementIdCounter: this.measurementIdCounter
+    };
+  }
+
+  /**
+   * Rebuild measurements from an undo/redo snapshot
+   */
+  restoreState(state) {
+    this.clearAllMeasurements();
+    
+    state.measurements.forEach(data => {
+      const measurement = {
+        ...HistoryManager.cloneItem(data),
+        points: [],
+        spheres: [],
+        lines: [],
+        labels: [],
+        isLocked: false
+      };
+      this.measurements.push(measurement);
+      
+      data.points.forEach(point => {
+        this.addPointToMeasurement(measurement, point);
+      });
+      this.updateMeasurementVisuals(measurement);
+      
+      // Lock last so the points above could be added
+      measurement.isLocked = data.isLocked;
+    });
+    
+    this.currentMeasurementIndex = state.currentMeasurementIndex;
+    this.measurementIdCounter = state.measurementIdCounter;
+    this.updateMeasurementReadout();
+    
+    // Annotations hold references to the measurement objects just replaced
+    if (window.inspector3D && window.inspector3D.annotation) {
+      window.inspector3D.annotation.relinkMeasurements(this.measurements);
+    }
   }
 
   /**
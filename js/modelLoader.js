@@ -3,6 +3,12 @@
  * 
  * Responsible for:
  * - OBJ/MTL model loading with graceful fallback handling
+ * - glTF/GLB, PLY and STL loading with format detection
+ *   (file extension first, magic bytes as fallback)
+ * - Point clouds (PLY without faces, XYZ, LAS) as THREE.Points with
+ *   adjustable point size and colour by RGB, intensity or height
+ * - Loading dropped or picked local file sets (and zips of them),
+ *   resolving MTL, texture and buffer references through object URLs
  * - Model processing and optimization
  * - Material management and wireframe toggling
  * - Model positioning and scaling
@@ -13,6 +19,10 @@
 import * as THREE from 'three';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { unzipSync } from 'three/addons/libs/fflate.module.js';
 import { Utils } from './utils.js';
 
 export class ModelLoader {
@@ -21,30 +31,65 @@ export class ModelLoader {
     this.loadedModels = new Map(); // Track loaded models
     this.originalMaterials = new Map(); // Store original materials for wireframe toggle
     this.loadingProgress = 0;
+    this.objectUrls = new Map(); // Object URLs created for local files, per model
+    
+    // Shared loading manager so local file references can be redirected
+    this.loadingManager = new THREE.LoadingManager();
     
     // Loaders
-    this.objLoader = new OBJLoader();
-    this.mtlLoader = new MTLLoader();
+    this.objLoader = new OBJLoader(this.loadingManager);
+    this.mtlLoader = new MTLLoader(this.loadingManager);
+    this.gltfLoader = new GLTFLoader(this.loadingManager);
+    this.plyLoader = new PLYLoader(this.loadingManager);
+    this.stlLoader = new STLLoader(this.loadingManager);
+    
+    // Supported formats by file extension
+    this.FORMAT_EXTENSIONS = {
+      obj: 'obj',
+      gltf: 'gltf',
+      glb: 'gltf',
+      ply: 'ply',
+      stl: 'stl',
+      xyz: 'xyz',
+      las: 'las'
+    };
+    
+    // Preferred main file when a file set holds several model files
+    this.FORMAT_PRIORITY = ['obj', 'gltf', 'ply', 'stl', 'las', 'xyz'];
+    
+    // Point cloud display
+    this.POINT_COLOR_MODES = ['rgb', 'intensity', 'height', 'uniform'];
+    this.pointSize = 2; // Screen pixels
+    this.pointColorMode = 'rgb';
   }
 
   /**
-   * Load a 3D model (OBJ with optional MTL)
+   * Load a 3D model (OBJ with optional MTL, glTF/GLB, PLY or STL)
+   * The format is taken from the file extension, or from the file's
+   * magic bytes when the URL has no recognisable extension.
    */
-  async loadModel(objUrl, mtlUrl = null) {
-    console.log(`📦 Loading model: ${objUrl}`);
+  async loadModel(url, mtlUrl = null, format = null) {
+    console.log(`📦 Loading model: ${url}`);
     const startTime = Utils.now();
     
     try {
       let model = null;
+      const modelFormat = format || this.detectFormatFromName(url);
       
-      if (mtlUrl) {
-        // Try loading with materials first
-        model = await this.loadWithMaterials(objUrl, mtlUrl);
+      if (modelFormat) {
+        model = await this.loadByFormat(modelFormat, url, mtlUrl);
       } else {
-        // Load OBJ without materials
-        model = await this.loadObjOnly(objUrl);
+        // No usable extension - sniff the file contents
+        const buffer = await this.fetchBuffer(url);
+        const sniffedFormat = this.detectFormatFromBytes(buffer);
+        console.log(`🔍 Detected model format from contents: ${sniffedFormat}`);
+        model = await this.parseBuffer(sniffedFormat, buffer);
       }
       
+      // Assign ID before processing so stored materials are keyed correctly
+      const modelId = Utils.generateId('model');
+      model.userData.modelId = modelId;
+      
       // Process the loaded model
       this.processModel(model);
       
@@ -52,9 +97,7 @@ export class ModelLoader {
       this.scene.add(model);
       
       // Store model reference
-      const modelId = Utils.generateId('model');
       this.loadedModels.set(modelId, model);
-      model.userData.modelId = modelId;
       
       Utils.logTiming('Model loading', startTime);
       console.log('✅ Model loaded successfully');
@@ -67,6 +110,586 @@ export class ModelLoader {
     }
   }
 
+  /**
+   * Load a model from a set of local files (drag-and-drop or file picker)
+   * Accepts OBJ+MTL+textures, glTF with its buffers/textures, PLY, STL,
+   * or zip archives containing any of these.
+   */
+  async loadFromFiles(fileList) {
+    const files = await this.expandZipFiles(Array.from(fileList));
+    
+    // Pick the main model file
+    const modelFiles = files.filter(file => this.detectFormatFromName(file.name));
+    if (modelFiles.length === 0) {
+      throw new Error('No supported model file found (OBJ, glTF/GLB, PLY or STL)');
+    }
+    
+    modelFiles.sort((a, b) =>
+      this.FORMAT_PRIORITY.indexOf(this.detectFormatFromName(a.name)) -
+      this.FORMAT_PRIORITY.indexOf(this.detectFormatFromName(b.name))
+    );
+    const modelFile = modelFiles[0];
+    const format = this.detectFormatFromName(modelFile.name);
+    
+    if (modelFiles.length > 1) {
+      console.warn(`⚠️ Several model files dropped, loading ${modelFile.name}`);
+    }
+    
+    // Object URLs for every file, looked up by base name
+    const urlsByName = new Map();
+    files.forEach(file => {
+      urlsByName.set(this.getBaseName(file.name), URL.createObjectURL(file));
+    });
+    
+    const modelUrl = urlsByName.get(this.getBaseName(modelFile.name));
+    const mtlFile = format === 'obj' ? files.find(file => /\.mtl$/i.test(file.name)) : null;
+    const mtlUrl = mtlFile ? urlsByName.get(this.getBaseName(mtlFile.name)) : null;
+    
+    // Redirect MTL/texture/buffer references to the matching local file
+    this.loadingManager.setURLModifier((url) => {
+      return urlsByName.get(this.getBaseName(url)) || url;
+    });
+    
+    try {
+      const model = await this.loadModel(modelUrl, mtlUrl, format);
+      model.userData.fileName = modelFile.name;
+      model.userData.mtlFileName = mtlFile ? mtlFile.name : null;
+      
+      // Textures may still be streaming in, so keep URLs until the model is removed
+      this.objectUrls.set(model.userData.modelId, Array.from(urlsByName.values()));
+      
+      return model;
+    } catch (error) {
+      urlsByName.forEach(url => URL.revokeObjectURL(url));
+      throw error;
+    } finally {
+      this.loadingManager.setURLModifier(undefined);
+    }
+  }
+
+  /**
+   * Replace zip archives in a file list with the files they contain
+   */
+  async expandZipFiles(files) {
+    const expanded = [];
+    
+    for (const file of files) {
+      if (!/\.zip$/i.test(file.name)) {
+        expanded.push(file);
+        continue;
+      }
+      
+      console.log(`🗜️ Extracting ${file.name}...`);
+      const entries = unzipSync(new Uint8Array(await file.arrayBuffer()));
+      
+      Object.entries(entries).forEach(([path, data]) => {
+        // Skip folders and macOS resource forks
+        if (path.endsWith('/') || path.startsWith('__MACOSX/')) return;
+        expanded.push(new File([data], this.getBaseName(path, false)));
+      });
+    }
+    
+    return expanded;
+  }
+
+  /**
+   * Get the file name part of a path or URL
+   */
+  getBaseName(path, lowerCase = true) {
+    const name = decodeURIComponent(path.split(/[?#]/)[0].split(/[\\/]/).pop());
+    return lowerCase ? name.toLowerCase() : name;
+  }
+
+  /**
+   * Get model format from a file name or URL extension
+   */
+  detectFormatFromName(url) {
+    const path = url.split(/[?#]/)[0];
+    const extension = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+    return this.FORMAT_EXTENSIONS[extension] || null;
+  }
+
+  /**
+   * Get model format from file magic bytes
+   */
+  detectFormatFromBytes(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 256));
+    const header = String.fromCharCode(...bytes);
+    
+    // Binary glTF starts with "glTF"
+    if (header.startsWith('glTF')) return 'gltf';
+    
+    // LAS point clouds start with "LASF"
+    if (header.startsWith('LASF')) return 'las';
+    
+    // PLY (ascii or binary) starts with "ply" followed by a newline
+    if (/^ply\r?\n/.test(header)) return 'ply';
+    
+    // JSON glTF
+    if (/^\s*\{/.test(header) && header.includes('"asset"')) return 'gltf';
+    
+    // ASCII STL starts with "solid" followed by a facet
+    if (/^\s*solid/.test(header) && /facet|endsolid/.test(header)) return 'stl';
+    
+    // Binary STL: 80 byte header + uint32 triangle count + 50 bytes per triangle
+    if (buffer.byteLength >= 84) {
+      const triangles = new DataView(buffer).getUint32(80, true);
+      if (84 + triangles * 50 === buffer.byteLength) return 'stl';
+    }
+    
+    // OBJ is plain text made of v/vn/vt/f/o/g lines
+    if (/^\s*(#|v |vn |vt |o |g |mtllib |usemtl )/m.test(header)) return 'obj';
+    
+    // XYZ is plain text with at least three numbers per line
+    if (/^\s*-?[\d.]+([eE][-+]?\d+)?[\s,;]+-?[\d.]+([eE][-+]?\d+)?[\s,;]+-?[\d.]/.test(header)) return 'xyz';
+    
+    throw new Error('Unrecognised model format');
+  }
+
+  /**
+   * Fetch a file as an ArrayBuffer
+   */
+  async fetchBuffer(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url} (${response.status})`);
+    }
+    return response.arrayBuffer();
+  }
+
+  /**
+   * Load a model with the loader for the given format
+   */
+  async loadByFormat(format, url, mtlUrl = null) {
+    switch (format) {
+      case 'obj':
+        return mtlUrl ?
+          this.loadWithMaterials(url, mtlUrl) :
+          this.loadObjOnly(url);
+      case 'gltf':
+        return this.loadGltf(url);
+      case 'ply':
+        return this.loadPly(url);
+      case 'stl':
+        return this.loadStl(url);
+      case 'xyz':
+      case 'las':
+        console.log(`🏗️ Loading point cloud: ${url}`);
+        return this.parseBuffer(format, await this.fetchBuffer(url));
+      default:
+        throw new Error(`Unsupported model format: ${format}`);
+    }
+  }
+
+  /**
+   * Parse an already fetched file with the loader for the given format
+   */
+  async parseBuffer(format, buffer) {
+    switch (format) {
+      case 'obj': {
+        const object = this.objLoader.parse(new TextDecoder().decode(buffer));
+        this.applyDefaultMaterials(object);
+        return object;
+      }
+      case 'gltf':
+        return new Promise((resolve, reject) => {
+          this.gltfLoader.parse(buffer, '', (gltf) => resolve(gltf.scene), reject);
+        });
+      case 'ply':
+        return this.createModelFromPly(this.plyLoader.parse(buffer));
+      case 'stl':
+        return this.createMeshFromGeometry(this.stlLoader.parse(buffer), 'STLModel');
+      case 'xyz':
+        return this.createPointCloud(this.parseXyz(new TextDecoder().decode(buffer)), 'XYZCloud');
+      case 'las':
+        return this.createPointCloud(this.parseLas(buffer), 'LASCloud');
+      default:
+        throw new Error(`Unsupported model format: ${format}`);
+    }
+  }
+
+  /**
+   * Load glTF or GLB model
+   */
+  async loadGltf(url) {
+    return new Promise((resolve, reject) => {
+      console.log(`🏗️ Loading glTF: ${url}`);
+      
+      this.gltfLoader.load(
+        url,
+        // Success callback
+        (gltf) => {
+          console.log('✅ glTF loaded');
+          resolve(gltf.scene);
+        },
+        // Progress callback
+        (progress) => {
+          this.updateProgress(progress);
+        },
+        // Error callback
+        (error) => {
+          console.error('❌ Error loading glTF:', error);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Load PLY model (ascii or binary, with optional vertex colours)
+   */
+  async loadPly(url) {
+    return new Promise((resolve, reject) => {
+      console.log(`🏗️ Loading PLY: ${url}`);
+      
+      this.plyLoader.load(
+        url,
+        // Success callback
+        (geometry) => {
+          console.log('✅ PLY loaded');
+          resolve(this.createModelFromPly(geometry));
+        },
+        // Progress callback
+        (progress) => {
+          this.updateProgress(progress);
+        },
+        // Error callback
+        (error) => {
+          console.error('❌ Error loading PLY:', error);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Load STL model (ascii or binary)
+   */
+  async loadStl(url) {
+    return new Promise((resolve, reject) => {
+      console.log(`🏗️ Loading STL: ${url}`);
+      
+      this.stlLoader.load(
+        url,
+        // Success callback
+        (geometry) => {
+          console.log('✅ STL loaded');
+          resolve(this.createMeshFromGeometry(geometry, 'STLModel'));
+        },
+        // Progress callback
+        (progress) => {
+          this.updateProgress(progress);
+        },
+        // Error callback
+        (error) => {
+          console.error('❌ Error loading STL:', error);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Wrap a loaded BufferGeometry (PLY/STL) in a mesh inside a group
+   */
+  createMeshFromGeometry(geometry, name) {
+    if (!geometry.attributes.normal) {
+      geometry.computeVertexNormals();
+    }
+    
+    const hasColors = Boolean(geometry.attributes.color);
+    const material = new THREE.MeshLambertMaterial({
+      color: hasColors ? 0xffffff : 0xcccccc,
+      vertexColors: hasColors,
+      side: THREE.DoubleSide
+    });
+    
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    
+    const group = new THREE.Group();
+    group.name = name;
+    group.add(mesh);
+    
+    console.log(`🎨 Mesh created (${hasColors ? 'vertex colours' : 'default material'})`);
+    return group;
+  }
+
+  /**
+   * PLY files without faces are raw scans and become point clouds
+   */
+  createModelFromPly(geometry) {
+    return geometry.index ?
+      this.createMeshFromGeometry(geometry, 'PLYModel') :
+      this.createPointCloud(geometry, 'PLYCloud');
+  }
+
+  /**
+   * Parse an XYZ text point cloud.
+   * Columns: x y z, optionally followed by intensity and/or r g b
+   * (0-255 or 0-1). Scanner Z-up coordinates are turned Y-up.
+   */
+  parseXyz(text) {
+    const positions = [];
+    const intensities = [];
+    const colors = [];
+    
+    text.split(/\r?\n/).forEach(line => {
+      const values = line.trim().split(/[\s,;]+/).map(Number);
+      if (values.length < 3 || values.slice(0, 3).some(isNaN)) return;
+      
+      const [x, y, z] = values;
+      positions.push(x, z, -y);
+      
+      if (values.length === 4 || values.length >= 7) {
+        intensities.push(values[3]);
+      }
+      if (values.length >= 6) {
+        colors.push(...values.slice(values.length - 3));
+      }
+    });
+    
+    const pointCount = positions.length / 3;
+    if (pointCount === 0) {
+      throw new Error('XYZ file contains no points');
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    
+    if (intensities.length === pointCount) {
+      geometry.setAttribute('intensity', new THREE.Float32BufferAttribute(this.normalizeValues(intensities), 1));
+    }
+    
+    if (colors.length === pointCount * 3) {
+      const colorScale = colors.some(value => value > 1) ? 1 / 255 : 1;
+      geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors.map(value => value * colorScale), 3));
+    }
+    
+    console.log(`☁️ XYZ parsed: ${pointCount} points`);
+    return geometry;
+  }
+
+  /**
+   * Parse a binary LAS point cloud (versions 1.0-1.4, point formats 0-10).
+   * Points are recentred on the header bounds to keep float precision for
+   * georeferenced coordinates, and Z-up is turned Y-up.
+   */
+  parseLas(buffer) {
+    const view = new DataView(buffer);
+    const signature = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+    if (signature !== 'LASF') {
+      throw new Error('Not a LAS file');
+    }
+    
+    const versionMinor = view.getUint8(25);
+    const pointOffset = view.getUint32(96, true);
+    const pointFormat = view.getUint8(104) & 0x3f; // Upper bits flag compression
+    const recordLength = view.getUint16(105, true);
+    let pointCount = view.getUint32(107, true);
+    
+    if (view.getUint8(104) & 0x80) {
+      throw new Error('Compressed LAZ files are not supported, convert to LAS first');
+    }
+    
+    // LAS 1.4 stores large point counts as a 64-bit value
+    if (pointCount === 0 && versionMinor >= 4) {
+      pointCount = Number(view.getBigUint64(247, true));
+    }
+    
+    const scale = [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)];
+    const offset = [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)];
+    const center = [
+      (view.getFloat64(179, true) + view.getFloat64(187, true)) / 2,
+      (view.getFloat64(195, true) + view.getFloat64(203, true)) / 2,
+      (view.getFloat64(211, true) + view.getFloat64(219, true)) / 2
+    ];
+    
+    // Byte offset of RGB within a point record, by point data format
+    const RGB_OFFSETS = { 2: 20, 3: 28, 5: 28, 7: 30, 8: 30, 10: 30 };
+    const rgbOffset = RGB_OFFSETS[pointFormat];
+    
+    pointCount = Math.min(pointCount, Math.floor((buffer.byteLength - pointOffset) / recordLength));
+    
+    const positions = new Float32Array(pointCount * 3);
+    const intensities = new Float32Array(pointCount);
+    const colors = rgbOffset !== undefined ? new Float32Array(pointCount * 3) : null;
+    let maxColor = 0;
+    
+    for (let i = 0; i < pointCount; i++) {
+      const record = pointOffset + i * recordLength;
+      const x = view.getInt32(record, true) * scale[0] + offset[0] - center[0];
+      const y = view.getInt32(record + 4, true) * scale[1] + offset[1] - center[1];
+      const z = view.getInt32(record + 8, true) * scale[2] + offset[2] - center[2];
+      
+      positions[i * 3] = x;
+      positions[i * 3 + 1] = z;
+      positions[i * 3 + 2] = -y;
+      
+      intensities[i] = view.getUint16(record + 12, true);
+      
+      if (colors) {
+        for (let c = 0; c < 3; c++) {
+          const value = view.getUint16(record + rgbOffset + c * 2, true);
+          colors[i * 3 + c] = value;
+          maxColor = Math.max(maxColor, value);
+        }
+      }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('intensity', new THREE.BufferAttribute(this.normalizeValues(intensities), 1));
+    
+    // Colours are 16-bit by spec, but many writers store 8-bit values
+    if (colors && maxColor > 0) {
+      const colorScale = maxColor > 255 ? 1 / 65535 : 1 / 255;
+      geometry.setAttribute('color', new THREE.BufferAttribute(colors.map(value => value * colorScale), 3));
+    }
+    
+    geometry.userData.coordinateOffset = { x: center[0], y: center[1], z: center[2] };
+    
+    console.log(`☁️ LAS 1.${versionMinor} parsed: ${pointCount} points (format ${pointFormat})`);
+    return geometry;
+  }
+
+  /**
+   * Scale values to the 0-1 range
+   */
+  normalizeValues(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    });
+    
+    const range = max - min || 1;
+    return Float32Array.from(values, value => (value - min) / range);
+  }
+
+  /**
+   * Wrap point cloud geometry in THREE.Points inside a group
+   */
+  createPointCloud(geometry, name) {
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    
+    const material = new THREE.PointsMaterial({
+      size: this.pointSize,
+      sizeAttenuation: false,
+      color: 0xffffff
+    });
+    
+    const points = new THREE.Points(geometry, material);
+    points.name = name;
+    
+    const group = new THREE.Group();
+    group.name = name;
+    group.userData.isPointCloud = true;
+    if (geometry.userData.coordinateOffset) {
+      group.userData.coordinateOffset = geometry.userData.coordinateOffset;
+    }
+    group.add(points);
+    
+    this.setPointColorMode(group, this.pointColorMode);
+    
+    console.log(`☁️ Point cloud created: ${geometry.attributes.position.count} points`);
+    return group;
+  }
+
+  /**
+   * Check whether a model is a point cloud
+   */
+  isPointCloud(model) {
+    return Boolean(model?.userData.isPointCloud);
+  }
+
+  /**
+   * Set point size (screen pixels) for a point cloud model
+   */
+  setPointSize(model, size) {
+    this.pointSize = Utils.clamp(size, 1, 20);
+    
+    model.traverse((child) => {
+      if (child.isPoints) {
+        child.material.size = this.pointSize;
+        child.material.needsUpdate = true;
+      }
+    });
+    
+    console.log(`☁️ Point size set to: ${this.pointSize}px`);
+  }
+
+  /**
+   * Colour a point cloud by its scanned RGB, intensity, height or a single colour.
+   * Falls back to height colouring when the cloud lacks the requested data.
+   */
+  setPointColorMode(model, mode) {
+    if (!this.POINT_COLOR_MODES.includes(mode)) {
+      console.warn(`⚠️ Unknown point colour mode: ${mode}`);
+      return;
+    }
+    
+    model.traverse((child) => {
+      if (!child.isPoints) return;
+      
+      const geometry = child.geometry;
+      const count = geometry.attributes.position.count;
+      
+      // Keep the scanned colours so RGB mode can be restored
+      if (geometry.attributes.color && !geometry.userData.originalColors) {
+        geometry.userData.originalColors = geometry.attributes.color.array.slice();
+      }
+      
+      let appliedMode = mode;
+      if (mode === 'rgb' && !geometry.userData.originalColors) appliedMode = 'height';
+      if (mode === 'intensity' && !geometry.attributes.intensity) appliedMode = 'height';
+      
+      if (appliedMode === 'uniform') {
+        child.material.vertexColors = false;
+        child.material.color.setHex(0xcccccc);
+        child.material.needsUpdate = true;
+        child.userData.colorMode = appliedMode;
+        return;
+      }
+      
+      const colors = new Float32Array(count * 3);
+      const color = new THREE.Color();
+      
+      if (appliedMode === 'rgb') {
+        colors.set(geometry.userData.originalColors);
+      } else if (appliedMode === 'intensity') {
+        const intensity = geometry.attributes.intensity.array;
+        for (let i = 0; i < count; i++) {
+          colors.fill(intensity[i], i * 3, i * 3 + 3);
+        }
+      } else {
+        // Height ramp from blue (low) to red (high)
+        geometry.computeBoundingBox();
+        const minY = geometry.boundingBox.min.y;
+        const rangeY = geometry.boundingBox.max.y - minY || 1;
+        const positions = geometry.attributes.position.array;
+        for (let i = 0; i < count; i++) {
+          const t = (positions[i * 3 + 1] - minY) / rangeY;
+          color.setHSL((1 - t) * 0.66, 1, 0.5);
+          colors[i * 3] = color.r;
+          colors[i * 3 + 1] = color.g;
+          colors[i * 3 + 2] = color.b;
+        }
+      }
+      
+      geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+      child.material.vertexColors = true;
+      child.material.color.setHex(0xffffff);
+      child.material.needsUpdate = true;
+      child.userData.colorMode = appliedMode;
+    });
+    
+    this.pointColorMode = mode;
+    console.log(`🎨 Point colour mode: ${mode}`);
+  }
+
   /**
    * Load OBJ with MTL materials
    */
@@ -132,6 +755,9 @@ export class ModelLoader {
     return new Promise((resolve, reject) => {
       console.log(`🏗️ Loading geometry only: ${objUrl}`);
       
+      // Drop materials left over from a previous OBJ+MTL load
+      this.objLoader.setMaterials(null);
+      
       this.objLoader.load(
         objUrl,
         // Success callback
@@ -370,6 +996,7 @@ export class ModelLoader {
     
     let triangles = 0;
     let vertices = 0;
+    let points = 0;
     let materials = 0;
     
     model.traverse((child) => {
@@ -381,6 +1008,8 @@ export class ModelLoader {
         }
         vertices += child.geometry.attributes.position.count;
         materials++;
+      } else if (child.isPoints) {
+        points += child.geometry.attributes.position.count;
       }
     });
     
@@ -389,6 +1018,7 @@ export class ModelLoader {
       center: center,
       triangles: Math.floor(triangles),
       vertices: vertices,
+      points: points,
       materials: materials,
       bounds: {
         min: box.min,
@@ -397,6 +1027,46 @@ export class ModelLoader {
     };
   }
 
+  /**
+   * Fingerprint a model's geometry (vertex counts and sampled positions)
+   * so saved data can be matched to the same model however it was loaded
+   */
+  async computeModelHash(model) {
+    const MAX_SAMPLES = 250000; // Floats hashed per geometry
+    const parts = [];
+    
+    model.updateMatrixWorld(true);
+    model.traverse((child) => {
+      if (!(child.isMesh || child.isPoints) || !child.geometry.attributes.position) return;
+      
+      const positions = child.geometry.attributes.position.array;
+      const stride = Math.max(1, Math.floor(positions.length / MAX_SAMPLES));
+      const sample = new Float32Array(Math.ceil(positions.length / stride) + 1);
+      
+      sample[0] = positions.length;
+      for (let i = 0, j = 1; i < positions.length; i += stride, j++) {
+        sample[j] = positions[i];
+      }
+      parts.push(sample);
+    });
+    
+    const buffer = await new Blob(parts).arrayBuffer();
+    
+    // SubtleCrypto is only available on https/localhost, fall back to FNV-1a
+    if (!window.crypto?.subtle) {
+      let hash = 0x811c9dc5;
+      new Uint8Array(buffer).forEach(byte => {
+        hash = Math.imul(hash ^ byte, 0x01000193);
+      });
+      return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+    
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest).slice(0, 8))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
   /**
    * Update loading progress
    */
@@ -423,6 +1093,12 @@ export class ModelLoader {
     this.loadedModels.delete(modelId);
     this.originalMaterials.delete(modelId);
     
+    // Release object URLs of local files
+    if (this.objectUrls.has(modelId)) {
+      this.objectUrls.get(modelId).forEach(url => URL.revokeObjectURL(url));
+      this.objectUrls.delete(modelId);
+    }
+    
     console.log(`🗑️ Model removed: ${modelId}`);
   }
 
@@ -475,6 +1151,9 @@ export class ModelLoader {
     // Clear loaders
     this.objLoader = null;
     this.mtlLoader = null;
+    this.gltfLoader = null;
+    this.plyLoader = null;
+    this.stlLoader = null;
     
     console.log('✅ Model loader disposed');
   }
@@ -0,0 +1,311 @@
+/**
+ * PHOTOS.JS - Inspection Photos
+ *
+ * Responsible for:
+ * - Reading photo files into data URLs kept with the session
+ * - Downscaling large photos so sessions and autosaves stay small
+ * - EXIF capture time (DateTimeOriginal) of JPEG photos
+ * - Photo gallery in the HIMP and discrepancy forms
+ * - Photo export and import
+ */
+
+import { Utils } from './utils.js';
+
+export class PhotoGallery {
+  /**
+   * Gallery of the photos in a form. onChange is called after photos are
+   * added or removed.
+   */
+  constructor(containerId, onChange = null) {
+    this.containerId = containerId;
+    this.onChange = onChange;
+
+    // State
+    this.photos = [];
+
+    // Settings
+    this.MAX_FILE_SIZE = 20 * 1024 * 1024; // Before downscaling
+    this.MAX_DIMENSION = 1600; // Largest stored width or height (pixels), larger photos are downscaled
+    this.JPEG_QUALITY = 0.85; // For downscaled photos
+  }
+
+  /**
+   * Show a list of photos (the list is copied)
+   */
+  setPhotos(photos = []) {
+    this.photos = [...photos];
+    this.render();
+  }
+
+  /**
+   * Photos currently in the gallery
+   */
+  getPhotos() {
+    return [...this.photos];
+  }
+
+  /**
+   * Read image files into the gallery, skipping invalid ones
+   */
+  async addFiles(files) {
+    const rejected = [];
+
+    for (const file of files) {
+      if (!file.type.match(/^image\/(jpeg|jpg|png)$/)) {
+        rejected.push(`${file.name} (not a JPEG or PNG image)`);
+        continue;
+      }
+      if (file.size > this.MAX_FILE_SIZE) {
+        rejected.push(`${file.name} (larger than ${this.MAX_FILE_SIZE / 1024 / 1024}MB)`);
+        continue;
+      }
+
+      try {
+        this.photos.push(await this.readPhoto(file));
+      } catch (error) {
+        console.error(`❌ Could not read photo ${file.name}:`, error);
+        rejected.push(`${file.name} (unreadable)`);
+      }
+    }
+
+    if (rejected.length > 0) {
+      alert(`Some photos were not added:\n${rejected.join('\n')}`);
+    }
+
+    this.render();
+    this.onChange?.(this.photos);
+  }
+
+  /**
+   * Remove a photo from the gallery
+   */
+  removePhoto(photoId) {
+    this.photos = this.photos.filter(photo => photo.id !== photoId);
+    this.render();
+    this.onChange?.(this.photos);
+  }
+
+  /**
+   * Draw the gallery thumbnails
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    container.innerHTML = this.photos.map(photo => `
+      <figure class="photo-gallery-item" data-photo-id="${Utils.escapeHtml(photo.id)}">
+        <img src="${Utils.escapeHtml(photo.dataUrl)}" alt="${Utils.escapeHtml(photo.name)}" title="${Utils.escapeHtml(photo.name)}">
+        <figcaption>${PhotoGallery.describeTime(photo)}</figcaption>
+        <button type="button" class="photo-remove" title="Remove photo">&times;</button>
+      </figure>
+    `).join('');
+    container.style.display = this.photos.length > 0 ? 'flex' : 'none';
+
+    container.querySelectorAll('.photo-gallery-item').forEach(item => {
+      const photo = this.photos.find(entry => entry.id === item.dataset.photoId);
+      item.querySelector('img').onclick = () => PhotoGallery.showFullSize(photo);
+      item.querySelector('.photo-remove').onclick = () => this.removePhoto(photo.id);
+    });
+  }
+
+  /**
+   * Read an image file into a photo:
+   * { id, name, dataUrl, capturedAt (EXIF, or null), addedAt }
+   */
+  async readPhoto(file) {
+    const buffer = await file.arrayBuffer();
+    const capturedAt = PhotoGallery.readExifDate(buffer);
+    const dataUrl = await this.toDataUrl(file);
+
+    return {
+      id: PhotoGallery.createId(),
+      name: file.name,
+      dataUrl: dataUrl,
+      capturedAt: capturedAt,
+      addedAt: new Date()
+    };
+  }
+
+  /**
+   * Data URL of an image file, downscaled to MAX_DIMENSION
+   */
+  async toDataUrl(file) {
+    const original = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`${file.name} is not a readable image`));
+      img.src = original;
+    });
+
+    const scale = this.MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight);
+    if (scale >= 1) return original;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    // PNGs keep transparency, photos are stored as JPEG
+    return file.type === 'image/png' ?
+      canvas.toDataURL('image/png') :
+      canvas.toDataURL('image/jpeg', this.JPEG_QUALITY);
+  }
+
+  /**
+   * Unique photo ID
+   */
+  static createId() {
+    return `PHOTO-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Whether a value is a JPEG or PNG data URL (the only photo sources accepted)
+   */
+  static isImageDataUrl(value) {
+    return typeof value === 'string' && /^data:image\/(jpeg|jpg|png);base64,[A-Za-z0-9+/]+=*$/.test(value);
+  }
+
+  /**
+   * Capture time from the EXIF data of a JPEG (DateTimeOriginal, falling
+   * back to DateTime). Null when the file has none.
+   */
+  static readExifDate(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    // Find the APP1 segment holding "Exif\0\0"
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+
+      if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+        return PhotoGallery.readTiffDate(view, offset + 10);
+      }
+      // Image data follows the start of scan, no metadata after it
+      if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) break;
+
+      offset += 2 + length;
+    }
+
+    return null;
+  }
+
+  /**
+   * Date tags from the TIFF structure of an EXIF segment
+   */
+  static readTiffDate(view, tiffStart) {
+    try {
+      const littleEndian = view.getUint16(tiffStart) === 0x4949;
+      const readUint16 = at => view.getUint16(tiffStart + at, littleEndian);
+      const readUint32 = at => view.getUint32(tiffStart + at, littleEndian);
+
+      // Entries of an IFD: { tag: { count, valueOffset } }
+      const readIfd = ifdOffset => {
+        const entries = {};
+        const count = readUint16(ifdOffset);
+        for (let i = 0; i < count; i++) {
+          const entry = ifdOffset + 2 + i * 12;
+          entries[readUint16(entry)] = { count: readUint32(entry + 4), valueOffset: readUint32(entry + 8) };
+        }
+        return entries;
+      };
+
+      const readAscii = entry => {
+        let text = '';
+        for (let i = 0; i < entry.count - 1; i++) {
+          text += String.fromCharCode(view.getUint8(tiffStart + entry.valueOffset + i));
+        }
+        return text;
+      };
+
+      const ifd0 = readIfd(readUint32(4));
+      const exifIfd = ifd0[0x8769] ? readIfd(ifd0[0x8769].valueOffset) : {};
+      const entry = exifIfd[0x9003] || ifd0[0x0132];
+      if (!entry) return null;
+
+      // "YYYY:MM:DD HH:MM:SS", camera local time
+      const match = readAscii(entry).match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+      if (!match) return null;
+
+      const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+      const date = new Date(year, month - 1, day, hours, minutes, seconds);
+      return isNaN(date.getTime()) ? null : date;
+    } catch (error) {
+      console.warn('⚠️ Could not read EXIF date:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Capture time for display, or when the photo was added if unknown
+   */
+  static describeTime(photo) {
+    return photo.capturedAt ?
+      `📷 ${photo.capturedAt.toLocaleString()}` :
+      `Added ${photo.addedAt.toLocaleDateString()}`;
+  }
+
+  /**
+   * Show a photo at full size over the viewer
+   */
+  static showFullSize(photo) {
+    const overlay = document.createElement('div');
+    overlay.className = 'photo-lightbox';
+    overlay.innerHTML = `
+      <img src="${Utils.escapeHtml(photo.dataUrl)}" alt="${Utils.escapeHtml(photo.name)}">
+      <div class="photo-lightbox-caption">${Utils.escapeHtml(photo.name)} | ${PhotoGallery.describeTime(photo)}</div>
+    `;
+    overlay.onclick = () => overlay.remove();
+    document.body.appendChild(overlay);
+  }
+
+  /**
+   * Photos as plain data for export
+   */
+  static serialize(photos = []) {
+    return photos.map(photo => ({
+      id: photo.id,
+      name: photo.name,
+      dataUrl: photo.dataUrl,
+      capturedAt: photo.capturedAt ? photo.capturedAt.toISOString() : null,
+      addedAt: photo.addedAt.toISOString()
+    }));
+  }
+
+  /**
+   * Rebuild photos from exported data (see serialize). Entries that are not
+   * JPEG/PNG data URLs or have invalid dates are dropped with a warning.
+   */
+  static parse(data = []) {
+    if (!Array.isArray(data)) return [];
+
+    const photos = [];
+    data.forEach((photo, index) => {
+      const capturedAt = photo?.capturedAt ? new Date(photo.capturedAt) : null;
+      const addedAt = photo?.addedAt ? new Date(photo.addedAt) : new Date();
+
+      if (!PhotoGallery.isImageDataUrl(photo?.dataUrl) || isNaN(capturedAt ?? 0) || isNaN(addedAt)) {
+        console.warn(`⚠️ Skipping invalid photo ${index + 1}`);
+        return;
+      }
+
+      photos.push({
+        id: typeof photo.id === 'string' && photo.id ? photo.id : PhotoGallery.createId(),
+        name: String(photo.name || `Photo ${index + 1}`),
+        dataUrl: photo.dataUrl,
+        capturedAt: capturedAt,
+        addedAt: addedAt
+      });
+    });
+
+    return photos;
+  }
+}
@@ -12,6 +12,7 @@
 
 import * as THREE from 'three';
 import { Utils } from './utils.js';
+import { HistoryManager } from './history.js';
 
 export class ReferenceSystem {
   constructor(scene, camera, renderer) {
@@ -30,6 +31,9 @@ export class ReferenceSystem {
     this.pendingReferencePoint = null;
     this.editingReferenceId = null;
     
+    // Undo/redo (shared HistoryManager, set by main)
+    this.history = null;
+    
     // Visual settings
     this.REFERENCE_HEIGHT = 0.15; // Height of reference marker
     this.REFERENCE_BASE_RADIUS = 0.04; // Base radius
@@ -278,21 +282,8 @@ export class ReferenceSystem {
     this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     
-    // Cast ray
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    
-    // Find intersections with loaded models
-    const objects = this.scene.children.filter(child => 
-      child.userData.modelId && child.visible
-    );
-    
-    const intersects = this.raycaster.intersectObjects(objects, true);
-    
-    if (intersects.length > 0) {
-      return intersects[0].point.clone();
-    }
-    
-    return null;
+    // Cast ray against loaded models (meshes and point clouds)
+    return Utils.intersectModels(this.raycaster, this.mouse, this.camera, this.scene, this.renderer);
   }
 
   /**
@@ -373,17 +364,21 @@ export class ReferenceSystem {
       return;
     }
     
+    const before = this.captureState();
+    
     if (this.editingReferenceId) {
       // Update existing reference
       this.updateReference(this.editingReferenceId, {
         name, description, type
       });
+      this.history?.record(`Edit reference ${name}`, this, before);
     } else {
       // Create new reference
       this.createReference({
         name, description, type,
         position: this.pendingReferencePoint
       });
+      this.history?.record(`Add reference ${name}`, this, before);
     }
     
     this.hideReferenceModal();
@@ -449,6 +444,8 @@ export class ReferenceSystem {
     if (!reference) return;
     
     if (confirm(`Delete reference point "${reference.name}"?`)) {
+      const before = this.captureState();
+      
       // Remove visuals
       this.removeReferenceVisuals(reference);
       
@@ -457,6 +454,7 @@ export class ReferenceSystem {
       this.referencePoints.splice(index, 1);
       
       console.log(`🗑️ Deleted reference point: ${reference.name}`);
+      this.history?.record(`Delete reference ${reference.name}`, this, before);
       
       // Update UI
       this.hideReferenceModal();
@@ -770,6 +768,8 @@ export class ReferenceSystem {
     if (this.referencePoints.length === 0) return;
     
     if (confirm(`Delete all ${this.referencePoints.length} reference points?`)) {
+      const before = this.captureState();
+      
       // Remove all visuals
       this.referencePoints.forEach(ref => {
         this.removeReferenceVisuals(ref);
@@ -780,6 +780,7 @@ export class ReferenceSystem {
       this.referenceIdCounter = 1;
       
       console.log('🗑️ Cleared all reference points');
+      this.history?.record('Clear all reference points', this, before);
       
       // Update UI
       this.updateReferenceManager();
@@ -849,6 +850,7 @@ export class ReferenceSystem {
         
         // Clear existing references
         this.clearAllReferences();
+        const before = this.captureState();
         
         // Import reference points
         data.reference_points.forEach(refData => {
@@ -878,6 +880,7 @@ export class ReferenceSystem {
         this.referenceIdCounter = maxId + 1;
         
         console.log(`📥 Imported ${data.reference_points.length} reference points`);
+        this.history?.record('Import reference points', this, before);
         
         // Update UI
         this.updateReferenceManager();
@@ -941,6 +944,83 @@ export class ReferenceSystem {
     };
   }
 
+  /**
+   * Rebuild reference points from exported data (see getExportData)
+   * Replaces the current reference points without confirmation
+   */
+  importData(referencePoints = []) {
+    this.referencePoints.forEach(ref => {
+      this.removeReferenceVisuals(ref);
+    });
+    this.referencePoints = [];
+    
+    referencePoints.forEach(refData => {
+      const created = refData.createdAt || refData.created;
+      const updated = refData.updatedAt || refData.updated;
+      
+      const reference = {
+        id: refData.id || `REF${this.referenceIdCounter++}`,
+        name: refData.name,
+        description: refData.description || '',
+        type: refData.type || 'primary',
+        position: new THREE.Vector3(
+          refData.position.x,
+          refData.position.y,
+          refData.position.z
+        ),
+        createdAt: Utils.parseDate(created) || new Date(),
+        updatedAt: Utils.parseDate(updated),
+        color: refData.color ? parseInt(refData.color.replace('#', ''), 16) : this.getReferenceColor(refData.type || 'primary')
+      };
+      
+      this.createReferenceVisuals(reference);
+      this.referencePoints.push(reference);
+    });
+    
+    // Update counter
+    const maxId = Math.max(...this.referencePoints.map(ref => 
+      parseInt(ref.id.replace('REF', '')) || 0
+    ), 0);
+    this.referenceIdCounter = maxId + 1;
+    
+    console.log(`📥 Imported ${this.referencePoints.length} reference points`);
+    
+    // Update UI
+    this.updateReferenceManager();
+    this.updateReferenceReadout();
+  }
+
+  /**
+   * Snapshot all reference points for undo/redo
+   */
+  captureState() {
+    return {
+      referencePoints: this.referencePoints.map(ref =>
+        HistoryManager.cloneItem(ref, ['group', 'labelDiv'])
+      ),
+      referenceIdCounter: this.referenceIdCounter
+    };
+  }
+
+  /**
+   * Rebuild reference points from an undo/redo snapshot
+   */
+  restoreState(state) {
+    this.referencePoints.forEach(ref => {
+      this.removeReferenceVisuals(ref);
+    });
+    
+    this.referencePoints = state.referencePoints.map(data => {
+      const reference = HistoryManager.cloneItem(data);
+      this.createReferenceVisuals(reference);
+      return reference;
+    });
+    this.referenceIdCounter = state.referenceIdCounter;
+    
+    this.updateReferenceManager();
+    this.updateReferenceReadout();
+  }
+
   /**
    * Update label positions (called from render loop)
    */
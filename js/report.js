@@ -0,0 +1,706 @@
+/**
+ * REPORT.JS - Printable PDF Inspection Report
+ *
+ * Responsible for:
+ * - Generating a formatted PDF report fully in the browser (jsPDF)
+ * - Cover page from the report metadata and the current view
+ * - Summary of inspection statistics and overall risk level
+ * - One section per discrepancy with its recorded view, linked measurement and photos
+ * - HIMP score tables and sample photos
+ * - Reference point appendix
+ */
+
+import { Utils } from './utils.js';
+
+export class PdfReportGenerator {
+  constructor(exportManager) {
+    this.exportManager = exportManager;
+
+    // State (only valid while a report is being built)
+    this.doc = null;
+    this.cursorY = 0;
+
+    // Page layout (mm, A4 portrait)
+    this.PAGE_WIDTH = 210;
+    this.PAGE_HEIGHT = 297;
+    this.MARGIN = 15;
+    this.FOOTER_HEIGHT = 10;
+    this.LINE_HEIGHT = 4.5;
+    this.THUMBNAIL_WIDTH = 80;
+    this.PHOTOS_PER_ROW = 3;
+    this.PHOTO_MAX_HEIGHT = 45;
+
+    // Colors (RGB)
+    this.COLORS = {
+      heading: [44, 62, 80],
+      text: [51, 51, 51],
+      muted: [108, 117, 125],
+      rule: [222, 226, 230],
+      tableHeader: [236, 240, 241]
+    };
+  }
+
+  /**
+   * Load jsPDF on first use, so the viewer does not depend on it
+   */
+  async loadLibrary() {
+    const { jsPDF } = await import('jspdf');
+    return jsPDF;
+  }
+
+  /**
+   * Build the PDF report for the current session
+   */
+  async generate() {
+    const jsPDF = await this.loadLibrary();
+    const report = this.exportManager.generateReport();
+
+    this.doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    this.cursorY = this.MARGIN;
+
+    try {
+      this.addCoverPage(report);
+      this.addSummary(report);
+      this.addDiscrepancies(report);
+      this.addHimpTables(report);
+      this.addReferenceAppendix(report);
+      this.addPageFooters(report);
+
+      return this.doc;
+    } finally {
+      this.doc = null;
+    }
+  }
+
+  /**
+   * Build the PDF report and download it
+   */
+  async download(filename = null) {
+    const startTime = Utils.now();
+    const doc = await this.generate();
+
+    doc.save(filename || this.exportManager.generateFileName('pdf'));
+
+    Utils.logTiming('PDF report generation', startTime);
+    console.log(`📄 PDF report exported (${doc.getNumberOfPages()} pages)`);
+  }
+
+  /**
+   * Cover page: report metadata and the current view
+   */
+  addCoverPage(report) {
+    const metadata = report.metadata;
+    const doc = this.doc;
+
+    this.cursorY = 40;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(26);
+    doc.setTextColor(...this.COLORS.heading);
+    doc.text(this.toPdfText(metadata.title), this.MARGIN, this.cursorY);
+    this.cursorY += 10;
+
+    this.addParagraph(metadata.description, { size: 11, color: this.COLORS.muted });
+    this.cursorY += 6;
+
+    this.addKeyValueRows([
+      ['Model file', metadata.modelFile],
+      ['Inspection date', new Date(metadata.inspectionDate).toLocaleString()],
+      ['Units', metadata.units],
+      ['Coordinate system', metadata.coordinate_system],
+      ['Inspector', metadata.inspector],
+      ['Overall risk level', report.statistics.summary.riskLevel]
+    ]);
+    this.cursorY += 8;
+
+    const view = this.captureCurrentView();
+    if (view) {
+      this.addImage(view, this.PAGE_WIDTH - this.MARGIN * 2);
+      this.addParagraph('Current view at the time of export', { size: 8, color: this.COLORS.muted });
+    }
+  }
+
+  /**
+   * Current view with labels (JPEG data URL), or null without a canvas
+   */
+  captureCurrentView() {
+    const screenshotManager = this.exportManager.screenshotManager;
+    if (screenshotManager) {
+      return screenshotManager.toDataURL({ scale: 2, transparent: false, includeLabels: true }, 'image/jpeg', 0.85);
+    }
+
+    const canvas = document.querySelector('canvas');
+    return canvas ? canvas.toDataURL('image/jpeg', 0.85) : null;
+  }
+
+  /**
+   * Summary statistics and risk level
+   */
+  addSummary(report) {
+    const summary = report.statistics.summary;
+    const annotationStats = report.statistics.annotations;
+    const himpAssessments = report.himpAssessments.assessments || [];
+
+    this.addPage();
+    this.addHeading('Summary');
+
+    this.addKeyValueRows([
+      ['Overall risk level', summary.riskLevel],
+      ['Inspection score', `${summary.inspectionScore} / 100`],
+      ['Completion status', summary.completionStatus],
+      ['Data quality', `${summary.dataQuality.grade} (${summary.dataQuality.score} / 100)`],
+      ['Measurements', summary.totalMeasurements],
+      ['Discrepancies', summary.totalAnnotations],
+      ['Open / closed', `${summary.openIssues} / ${summary.closedIssues}`],
+      ['Overdue', annotationStats.overdue],
+      ['Critical issues', summary.criticalIssues],
+      ['High priority issues', summary.highPriorityIssues],
+      ['Requiring NDT / ABS', annotationStats.requiresAction],
+      ['Linked to measurements', `${summary.linkedIssues} (${summary.linkagePercentage}%)`],
+      ['HIMP assessments', himpAssessments.length],
+      ['HIMP recoat recommended', himpAssessments.filter(a => a.recommendRecoat).length],
+      ['HIMP area to recoat', report.himpAssessments.area_totals ? `${report.himpAssessments.area_totals.recoatArea.toFixed(1)} m²` : '-'],
+      ['Reference points', report.referencePoints.points.length]
+    ]);
+
+    if (summary.dataQuality.issues.length > 0) {
+      this.cursorY += 4;
+      this.addSubheading('Data quality issues');
+      summary.dataQuality.issues.forEach(issue => this.addParagraph(`- ${issue}`));
+    }
+
+    if (summary.totalAnnotations > 0) {
+      const severities = this.exportManager.taxonomy.getSeverities().map(severity => severity.label).reverse();
+
+      this.cursorY += 4;
+      this.addSubheading('Discrepancies by severity');
+      this.addTable(
+        [{ header: 'Severity', width: 60 }, { header: 'Count', width: 30, align: 'right' }],
+        severities
+          .filter(severity => annotationStats.bySeverity[severity])
+          .map(severity => [severity, annotationStats.bySeverity[severity]])
+      );
+
+      this.cursorY += 4;
+      this.addSubheading('Discrepancies by status');
+      this.addTable(
+        [{ header: 'Status', width: 60 }, { header: 'Count', width: 30, align: 'right' }],
+        Object.entries(annotationStats.byStatus)
+      );
+
+      this.cursorY += 4;
+      this.addSubheading('Discrepancies by type');
+      this.addTable(
+        [{ header: 'Type', width: 60 }, { header: 'Count', width: 30, align: 'right' }],
+        Object.entries(annotationStats.byType).map(([type, count]) => [this.getTypeLabel(type), count])
+      );
+    }
+  }
+
+  /**
+   * One section per discrepancy
+   */
+  addDiscrepancies(report) {
+    const annotations = report.annotations;
+
+    this.addPage();
+    this.addHeading('Discrepancies');
+
+    if (annotations.length === 0) {
+      this.addParagraph('No discrepancies were recorded.', { color: this.COLORS.muted });
+      return;
+    }
+
+    const taxonomy = this.exportManager.taxonomy;
+
+    annotations.forEach(annotation => {
+      const severity = this.exportManager.normalizeSeverity(annotation.severity);
+      const severityColor = taxonomy.getSeverity(annotation.severity)?.color;
+      const imageHeight = annotation.thumbnail ? this.getImageHeight(annotation.thumbnail, this.THUMBNAIL_WIDTH) : 0;
+
+      // Keep the heading, view and details on one page
+      this.ensureSpace(Math.max(imageHeight, 55) + 16);
+
+      this.addSubheading(`${annotation.id} - ${annotation.title || this.getTypeLabel(annotation.type)}`);
+      this.addBadge(severity.toUpperCase(), severityColor ? this.hexToRgb(severityColor) : this.COLORS.muted);
+
+      const top = this.cursorY;
+      let detailsX = this.MARGIN;
+
+      if (annotation.thumbnail) {
+        this.addImage(annotation.thumbnail, this.THUMBNAIL_WIDTH);
+        detailsX += this.THUMBNAIL_WIDTH + 5;
+      }
+      const imageBottom = this.cursorY;
+
+      const status = this.exportManager.annotationSystem.getStatus(annotation.status);
+
+      this.cursorY = top;
+      this.addKeyValueRows([
+        ['Type', this.getTypeLabel(annotation.type)],
+        ['Severity', severity],
+        ['Status', status.label],
+        ['Assignee', annotation.assignee || '-'],
+        ['Due date', annotation.dueDate || '-'],
+        ['NDT required', annotation.ndtRequired ? 'Yes' : 'No'],
+        ['ABS required', annotation.absRequired ? 'Yes' : 'No'],
+        ['Position', this.formatPosition(annotation.position)],
+        ['Estimated cost', annotation.estimatedCost],
+        ['Recorded', new Date(annotation.createdAt).toLocaleString()],
+        ['Linked measurement', this.formatLinkedMeasurement(annotation.linkedMeasurement)]
+      ], { x: detailsX, labelWidth: 32 });
+
+      this.cursorY = Math.max(this.cursorY, imageBottom) + 2;
+
+      if (annotation.description) {
+        this.addParagraph(annotation.description);
+      }
+
+      if (annotation.closingRemarks) {
+        this.addParagraph(`Closing remarks: ${annotation.closingRemarks}`, { color: this.COLORS.muted });
+      }
+
+      if (annotation.photos?.length > 0) {
+        this.cursorY += 2;
+        this.addPhotoGrid(annotation.photos);
+      }
+
+      this.cursorY += 4;
+      this.addRule();
+    });
+  }
+
+  /**
+   * HIMP score tables
+   */
+  addHimpTables(report) {
+    const himpData = report.himpAssessments;
+    const assessments = himpData.assessments || [];
+    const categories = this.exportManager.himpSystem?.himpCategories || {};
+    const categoryKeys = Object.keys(categories);
+
+    this.addPage();
+    this.addHeading('HIMP Assessments');
+
+    if (assessments.length === 0) {
+      this.addParagraph('No HIMP assessments were recorded.', { color: this.COLORS.muted });
+      return;
+    }
+
+    this.addParagraph(`${himpData.scoring_system}. ${himpData.recoat_threshold}.`, { color: this.COLORS.muted });
+    this.cursorY += 2;
+
+    const totals = himpData.area_totals;
+    if (totals && totals.regions > 0) {
+      this.addKeyValueRows([
+        ['Assessed area (latest surveys)', `${totals.assessedArea.toFixed(1)} m² on ${totals.regions} surfaces`],
+        ['Area recommended for recoat', `${totals.recoatArea.toFixed(1)} m² (${totals.recoatPercent.toFixed(1)}%)`],
+        ['Area-weighted average score', totals.weightedAverageScore.toFixed(2)]
+      ], { labelWidth: 60 });
+      this.cursorY += 4;
+    }
+
+    // Category columns share the width left after the fixed columns
+    const contentWidth = this.PAGE_WIDTH - this.MARGIN * 2;
+    const fixedWidth = 30 + 20 + 14 + 14 + 16 + 18;
+    const categoryWidth = (contentWidth - fixedWidth) / Math.max(categoryKeys.length, 1);
+
+    this.addTable(
+      [
+        { header: 'Surface', width: 30 },
+        { header: 'Assessed', width: 20 },
+        ...categoryKeys.map(key => ({ header: categories[key].label, width: categoryWidth, align: 'center' })),
+        { header: 'Max', width: 14, align: 'center' },
+        { header: 'Avg', width: 14, align: 'center' },
+        { header: 'Area m²', width: 16, align: 'center' },
+        { header: 'Recoat', width: 18, align: 'center' }
+      ],
+      assessments.map(assessment => [
+        assessment.surfaceId,
+        assessment.assessedAt ? new Date(assessment.assessedAt).toLocaleDateString() : '-',
+        ...categoryKeys.map(key => assessment.himpScores[key] ?? '-'),
+        assessment.maxScore,
+        assessment.averageScore.toFixed(1),
+        assessment.areaSquareMeters != null ? assessment.areaSquareMeters.toFixed(1) : '-',
+        assessment.recommendRecoat ? 'Yes' : 'No'
+      ])
+    );
+
+    const notes = assessments.filter(assessment => assessment.notes);
+    if (notes.length > 0) {
+      this.cursorY += 6;
+      this.addSubheading('Assessment notes');
+      this.addTable(
+        [{ header: 'Surface', width: 30 }, { header: 'Notes', width: contentWidth - 30 }],
+        notes.map(assessment => [assessment.surfaceId, assessment.notes])
+      );
+    }
+
+    const withPhotos = assessments.filter(assessment => assessment.photos?.length > 0);
+    if (withPhotos.length > 0) {
+      this.cursorY += 6;
+      this.addSubheading('Sample photos');
+
+      withPhotos.forEach(assessment => {
+        const assessed = assessment.assessedAt ? new Date(assessment.assessedAt).toLocaleDateString() : '-';
+        this.ensureSpace(this.LINE_HEIGHT + this.PHOTO_MAX_HEIGHT + 6);
+        this.addParagraph(`${assessment.surfaceId} (assessed ${assessed})`, { size: 9, color: this.COLORS.heading });
+        this.addPhotoGrid(assessment.photos);
+        this.cursorY += 2;
+      });
+    }
+  }
+
+  /**
+   * Reference point appendix
+   */
+  addReferenceAppendix(report) {
+    const points = report.referencePoints.points;
+
+    this.addPage();
+    this.addHeading('Appendix A - Reference Points');
+
+    if (points.length === 0) {
+      this.addParagraph('No reference points were defined.', { color: this.COLORS.muted });
+      return;
+    }
+
+    this.addParagraph(`Coordinates in ${report.referencePoints.units}, ${report.referencePoints.coordinate_system}.`, { color: this.COLORS.muted });
+    this.cursorY += 2;
+
+    this.addTable(
+      [
+        { header: 'ID', width: 16 },
+        { header: 'Name', width: 36 },
+        { header: 'Type', width: 22 },
+        { header: 'X', width: 20, align: 'right' },
+        { header: 'Y', width: 20, align: 'right' },
+        { header: 'Z', width: 20, align: 'right' },
+        { header: 'Description', width: 46 }
+      ],
+      points.map(point => [
+        point.id,
+        point.name,
+        this.formatLabel(point.type),
+        point.position.x.toFixed(3),
+        point.position.y.toFixed(3),
+        point.position.z.toFixed(3),
+        point.description || ''
+      ])
+    );
+  }
+
+  /**
+   * Page numbers and model name on every page
+   */
+  addPageFooters(report) {
+    const doc = this.doc;
+    const pageCount = doc.getNumberOfPages();
+    const y = this.PAGE_HEIGHT - this.MARGIN / 2;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...this.COLORS.muted);
+
+    for (let page = 1; page <= pageCount; page++) {
+      doc.setPage(page);
+      doc.text(this.toPdfText(`${report.metadata.title} - ${report.metadata.modelFile}`), this.MARGIN, y);
+      doc.text(`Page ${page} of ${pageCount}`, this.PAGE_WIDTH - this.MARGIN, y, { align: 'right' });
+    }
+  }
+
+  /**
+   * Start a new page
+   */
+  addPage() {
+    this.doc.addPage();
+    this.cursorY = this.MARGIN;
+  }
+
+  /**
+   * Break to a new page if the next block does not fit
+   */
+  ensureSpace(height) {
+    if (this.cursorY + height > this.PAGE_HEIGHT - this.MARGIN - this.FOOTER_HEIGHT) {
+      this.addPage();
+    }
+  }
+
+  /**
+   * Section heading with a rule underneath
+   */
+  addHeading(text) {
+    const doc = this.doc;
+
+    this.ensureSpace(14);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.setTextColor(...this.COLORS.heading);
+    doc.text(this.toPdfText(text), this.MARGIN, this.cursorY + 6);
+    this.cursorY += 9;
+    this.addRule();
+    this.cursorY += 4;
+  }
+
+  /**
+   * Smaller heading within a section
+   */
+  addSubheading(text) {
+    const doc = this.doc;
+
+    this.ensureSpace(10);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(...this.COLORS.heading);
+    doc.text(this.toPdfText(text), this.MARGIN, this.cursorY + 4);
+    this.cursorY += 7;
+  }
+
+  /**
+   * Wrapped paragraph of text
+   */
+  addParagraph(text, { size = 10, color = this.COLORS.text, x = this.MARGIN } = {}) {
+    const doc = this.doc;
+    const width = this.PAGE_WIDTH - this.MARGIN - x;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+
+    doc.splitTextToSize(this.toPdfText(text), width).forEach(line => {
+      this.ensureSpace(this.LINE_HEIGHT);
+      doc.text(line, x, this.cursorY + 3.5);
+      this.cursorY += this.LINE_HEIGHT;
+    });
+  }
+
+  /**
+   * Label / value rows, values wrapped to the remaining width
+   */
+  addKeyValueRows(rows, { x = this.MARGIN, labelWidth = 50 } = {}) {
+    const doc = this.doc;
+    const valueX = x + labelWidth;
+    const valueWidth = this.PAGE_WIDTH - this.MARGIN - valueX;
+
+    doc.setFontSize(10);
+
+    rows.forEach(([label, value]) => {
+      doc.setFont('helvetica', 'normal');
+      const lines = doc.splitTextToSize(this.toPdfText(value ?? '-'), valueWidth);
+      this.ensureSpace(lines.length * this.LINE_HEIGHT);
+
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...this.COLORS.muted);
+      doc.text(this.toPdfText(label), x, this.cursorY + 3.5);
+
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(...this.COLORS.text);
+      doc.text(lines, valueX, this.cursorY + 3.5);
+
+      this.cursorY += lines.length * this.LINE_HEIGHT;
+    });
+  }
+
+  /**
+   * Table with a shaded header row, repeated after page breaks
+   */
+  addTable(columns, rows) {
+    const doc = this.doc;
+    const padding = 1.5;
+    const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+
+    doc.setFontSize(9);
+
+    const cellLines = (row) => columns.map((column, index) =>
+      doc.splitTextToSize(this.toPdfText(row[index] ?? ''), column.width - padding * 2)
+    );
+    const rowHeight = (lines) => Math.max(...lines.map(cell => cell.length)) * 4 + padding * 2;
+
+    const drawRow = (lines, header = false) => {
+      const height = rowHeight(lines);
+
+      if (header) {
+        doc.setFillColor(...this.COLORS.tableHeader);
+        doc.rect(this.MARGIN, this.cursorY, tableWidth, height, 'F');
+      }
+
+      doc.setFont('helvetica', header ? 'bold' : 'normal');
+      doc.setTextColor(...(header ? this.COLORS.heading : this.COLORS.text));
+
+      let x = this.MARGIN;
+      columns.forEach((column, index) => {
+        const align = column.align || 'left';
+        const textX = align === 'right' ? x + column.width - padding :
+          align === 'center' ? x + column.width / 2 : x + padding;
+
+        doc.text(lines[index], textX, this.cursorY + padding + 3, { align });
+        x += column.width;
+      });
+
+      this.cursorY += height;
+      doc.setDrawColor(...this.COLORS.rule);
+      doc.line(this.MARGIN, this.cursorY, this.MARGIN + tableWidth, this.cursorY);
+    };
+
+    const headerLines = cellLines(columns.map(column => column.header));
+
+    this.ensureSpace(rowHeight(headerLines) * 2);
+    drawRow(headerLines, true);
+
+    rows.forEach(row => {
+      const lines = cellLines(row);
+
+      if (this.cursorY + rowHeight(lines) > this.PAGE_HEIGHT - this.MARGIN - this.FOOTER_HEIGHT) {
+        this.addPage();
+        drawRow(headerLines, true);
+      }
+
+      drawRow(lines);
+    });
+  }
+
+  /**
+   * Small colored tag (e.g. severity)
+   */
+  addBadge(text, color) {
+    const doc = this.doc;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    const width = doc.getTextWidth(text) + 4;
+
+    doc.setFillColor(...color);
+    doc.roundedRect(this.MARGIN, this.cursorY, width, 5, 1, 1, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.text(text, this.MARGIN + 2, this.cursorY + 3.6);
+
+    this.cursorY += 8;
+  }
+
+  /**
+   * Image scaled to a width, keeping its aspect ratio
+   */
+  addImage(dataUrl, width) {
+    const height = this.getImageHeight(dataUrl, width);
+    const format = dataUrl.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+
+    this.ensureSpace(height);
+    this.doc.addImage(dataUrl, format, this.MARGIN, this.cursorY, width, height);
+    this.cursorY += height + 2;
+  }
+
+  /**
+   * Photos in rows, each captioned with its capture time
+   */
+  addPhotoGrid(photos) {
+    const doc = this.doc;
+    const gap = 4;
+    const cellWidth = (this.PAGE_WIDTH - this.MARGIN * 2 - gap * (this.PHOTOS_PER_ROW - 1)) / this.PHOTOS_PER_ROW;
+
+    for (let start = 0; start < photos.length; start += this.PHOTOS_PER_ROW) {
+      // Fit each photo in the cell, keeping its aspect ratio
+      const row = photos.slice(start, start + this.PHOTOS_PER_ROW).map(photo => {
+        const height = this.getImageHeight(photo.dataUrl, cellWidth);
+        const scale = Math.min(1, this.PHOTO_MAX_HEIGHT / height);
+        return { photo, width: cellWidth * scale, height: height * scale };
+      });
+      const rowHeight = Math.max(...row.map(cell => cell.height));
+
+      this.ensureSpace(rowHeight + 6);
+
+      row.forEach((cell, index) => {
+        const x = this.MARGIN + index * (cellWidth + gap);
+        const format = cell.photo.dataUrl.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+        const caption = cell.photo.capturedAt ?
+          `Taken ${new Date(cell.photo.capturedAt).toLocaleString()}` :
+          cell.photo.name;
+
+        doc.addImage(cell.photo.dataUrl, format, x, this.cursorY, cell.width, cell.height);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7);
+        doc.setTextColor(...this.COLORS.muted);
+        doc.text(doc.splitTextToSize(this.toPdfText(caption), cellWidth)[0] || '', x, this.cursorY + rowHeight + 3);
+      });
+
+      this.cursorY += rowHeight + 6;
+    }
+  }
+
+  /**
+   * Height of an image drawn at the given width
+   */
+  getImageHeight(dataUrl, width) {
+    const properties = this.doc.getImageProperties(dataUrl);
+    return width * properties.height / properties.width;
+  }
+
+  /**
+   * Horizontal rule across the content width
+   */
+  addRule() {
+    this.doc.setDrawColor(...this.COLORS.rule);
+    this.doc.line(this.MARGIN, this.cursorY, this.PAGE_WIDTH - this.MARGIN, this.cursorY);
+  }
+
+  /**
+   * Format an exported position
+   */
+  formatPosition(position) {
+    return `${position.x.toFixed(3)}, ${position.y.toFixed(3)}, ${position.z.toFixed(3)} ${Utils.getMeshUnits()}`;
+  }
+
+  /**
+   * Format an exported measurement link
+   */
+  formatLinkedMeasurement(link) {
+    if (!link) return 'None';
+
+    const parts = [`${link.measurementId} (${link.relationship})`];
+    if (link.area) {
+      parts.push(`area ${Utils.formatArea(link.area, false)}`);
+    }
+    if (link.perimeter) {
+      parts.push(`perimeter ${Utils.formatDistance(link.perimeter, false)}`);
+    }
+    if (link.relationship !== 'inside' && link.distance) {
+      parts.push(`${Utils.formatDistance(link.distance, false)} away`);
+    }
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Taxonomy label of a discrepancy type
+   */
+  getTypeLabel(typeId) {
+    return this.exportManager.taxonomy.getType(typeId).label;
+  }
+
+  /**
+   * Convert '#rrggbb' to [r, g, b]
+   */
+  hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+
+  /**
+   * Turn an identifier into a label ('general_corrosion' -> 'General corrosion')
+   */
+  formatLabel(value) {
+    const text = String(value || '').replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Keep text within the standard PDF font's character set
+   */
+  toPdfText(value) {
+    return String(value ?? '')
+      .replace(/≥/g, '>=')
+      .replace(/≤/g, '<=')
+      .replace(/[–—]/g, '-')
+      .replace(/[‘’]/g, "'")
+      .replace(/[“”]/g, '"')
+      .replace(/[^\n\x20-\x7E\xA0-\xFF]/g, '');
+  }
+}
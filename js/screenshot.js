@@ -0,0 +1,413 @@
+/**
+ * SCREENSHOT.JS - Report-Ready Screenshots
+ *
+ * Responsible for:
+ * - Rendering the current view at 1x, 2x or 4x resolution
+ * - Transparent background captures
+ * - Compositing the visible DOM labels (measurements, discrepancies,
+ *   reference points, HIMP and its heatmap legend) onto the image
+ * - Screenshot options modal and PNG download
+ */
+
+import * as THREE from 'three';
+
+export class ScreenshotManager {
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+
+    // Capture options, kept between screenshots
+    this.settings = {
+      scale: 1,
+      transparent: false,
+      includeLabels: true
+    };
+
+    // Settings
+    this.SCALES = [1, 2, 4];
+    this.LABEL_SELECTOR = '.measure-label, .annotation-label, .reference-label, .himp-label, .comparison-label, .himp-heatmap-legend';
+  }
+
+  /**
+   * Initialize the screenshot manager
+   */
+  async init() {
+    console.log('📷 Initializing screenshots...');
+
+    this.createScreenshotModal();
+
+    console.log('✅ Screenshots initialized');
+  }
+
+  /**
+   * Create the screenshot options modal
+   */
+  createScreenshotModal() {
+    const modalHTML = `
+      <div id="screenshot-modal" class="modal">
+        <div class="modal-content">
+          <span class="close">&times;</span>
+          <h2>📷 Screenshot</h2>
+
+          <div class="form-group">
+            <label for="screenshot-scale">Resolution:</label>
+            <select id="screenshot-scale">
+              ${this.SCALES.map(scale => `<option value="${scale}">${scale}x</option>`).join('')}
+            </select>
+          </div>
+
+          <div class="screenshot-options">
+            <label>
+              <input type="checkbox" id="screenshot-labels">
+              Include labels
+            </label>
+            <label>
+              <input type="checkbox" id="screenshot-transparent">
+              Transparent background
+            </label>
+          </div>
+
+          <div id="screenshot-size" class="screenshot-size"></div>
+
+          <div class="modal-actions">
+            <button id="save-screenshot">📷 Save PNG</button>
+            <button id="cancel-screenshot">Cancel</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+    const modal = document.getElementById('screenshot-modal');
+    modal.querySelector('.close').onclick = () => this.hideScreenshotModal();
+    document.getElementById('cancel-screenshot').onclick = () => this.hideScreenshotModal();
+    document.getElementById('screenshot-scale').onchange = () => this.updateSizeInfo();
+
+    document.getElementById('save-screenshot').onclick = () => {
+      this.settings = this.readModalSettings();
+      this.hideScreenshotModal();
+      this.download();
+    };
+
+    // Close on outside click
+    modal.onclick = (e) => {
+      if (e.target === modal) {
+        this.hideScreenshotModal();
+      }
+    };
+  }
+
+  /**
+   * Show the screenshot options modal
+   */
+  showScreenshotModal() {
+    document.getElementById('screenshot-scale').value = this.settings.scale;
+    document.getElementById('screenshot-labels').checked = this.settings.includeLabels;
+    document.getElementById('screenshot-transparent').checked = this.settings.transparent;
+
+    this.updateSizeInfo();
+    document.getElementById('screenshot-modal').style.display = 'block';
+  }
+
+  /**
+   * Hide the screenshot options modal
+   */
+  hideScreenshotModal() {
+    document.getElementById('screenshot-modal').style.display = 'none';
+  }
+
+  /**
+   * Read the capture options from the modal
+   */
+  readModalSettings() {
+    return {
+      scale: parseInt(document.getElementById('screenshot-scale').value) || 1,
+      includeLabels: document.getElementById('screenshot-labels').checked,
+      transparent: document.getElementById('screenshot-transparent').checked
+    };
+  }
+
+  /**
+   * Show the output size for the selected resolution
+   */
+  updateSizeInfo() {
+    const scale = parseInt(document.getElementById('screenshot-scale').value) || 1;
+    const { width, height } = this.getOutputSize(scale);
+    const clamped = this.getCapturePixelRatio(scale) < this.sceneManager.renderer.getPixelRatio() * scale;
+
+    document.getElementById('screenshot-size').textContent =
+      `${width} × ${height} px${clamped ? ' (limited by the graphics card)' : ''}`;
+  }
+
+  /**
+   * Capture the current view to a canvas
+   */
+  capture(options = {}) {
+    const { scale, transparent, includeLabels } = { ...this.settings, ...options };
+
+    const canvas = this.renderScene(scale, transparent);
+
+    if (includeLabels) {
+      this.compositeLabels(canvas);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Capture the current view as a data URL
+   */
+  toDataURL(options = {}, type = 'image/png', quality = undefined) {
+    return this.capture(options).toDataURL(type, quality);
+  }
+
+  /**
+   * Capture the current view and download it as PNG
+   */
+  download(options = {}, filename = null) {
+    try {
+      const settings = { ...this.settings, ...options };
+      const canvas = this.capture(settings);
+
+      canvas.toBlob(blob => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename || `3d-inspector-screenshot-${Date.now()}.png`;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+      }, 'image/png');
+
+      console.log(`📷 Screenshot saved (${canvas.width}×${canvas.height}, ${settings.scale}x)`);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to take screenshot:', error);
+      window.inspector3D?.ui?.showError('Failed to take screenshot');
+      return false;
+    }
+  }
+
+  /**
+   * Pixel ratio for a capture, limited to what the GPU can render
+   */
+  getCapturePixelRatio(scale) {
+    const renderer = this.sceneManager.renderer;
+    const size = renderer.getSize(new THREE.Vector2());
+    const gl = renderer.getContext();
+    const [maxWidth, maxHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+
+    const pixelRatio = renderer.getPixelRatio() * scale;
+    return Math.min(pixelRatio, maxWidth / size.x, maxHeight / size.y);
+  }
+
+  /**
+   * Image size for a capture at the given scale
+   */
+  getOutputSize(scale) {
+    const size = this.sceneManager.renderer.getSize(new THREE.Vector2());
+    const pixelRatio = this.getCapturePixelRatio(scale);
+
+    return {
+      width: Math.floor(size.x * pixelRatio),
+      height: Math.floor(size.y * pixelRatio)
+    };
+  }
+
+  /**
+   * Render the scene into a new canvas, temporarily raising the pixel ratio.
+   * Transparent captures render once on black and once on white and recover
+   * alpha from the difference, since the renderer has no alpha channel.
+   */
+  renderScene(scale, transparent) {
+    const { renderer, scene, camera } = this.sceneManager;
+    const basePixelRatio = renderer.getPixelRatio();
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+    const background = scene.background;
+
+    const { width, height } = this.getOutputSize(scale);
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context = output.getContext('2d');
+
+    try {
+      renderer.setPixelRatio(this.getCapturePixelRatio(scale));
+
+      if (!transparent) {
+        renderer.render(scene, camera);
+        context.drawImage(renderer.domElement, 0, 0, width, height);
+        return output;
+      }
+
+      scene.background = null;
+
+      renderer.setClearColor(0x000000, 1);
+      renderer.render(scene, camera);
+      const onBlack = this.readPixels(renderer.domElement, width, height);
+
+      renderer.setClearColor(0xffffff, 1);
+      renderer.render(scene, camera);
+      const onWhite = this.readPixels(renderer.domElement, width, height);
+
+      const image = context.createImageData(width, height);
+      const pixels = image.data;
+
+      for (let i = 0; i < pixels.length; i += 4) {
+        // White minus black is the background showing through, i.e. 1 - alpha
+        const coverage = ((onWhite[i] - onBlack[i]) + (onWhite[i + 1] - onBlack[i + 1]) + (onWhite[i + 2] - onBlack[i + 2])) / 3;
+        const alpha = Math.max(0, Math.min(255, 255 - coverage));
+
+        if (alpha > 0) {
+          pixels[i] = Math.min(255, onBlack[i] * 255 / alpha);
+          pixels[i + 1] = Math.min(255, onBlack[i + 1] * 255 / alpha);
+          pixels[i + 2] = Math.min(255, onBlack[i + 2] * 255 / alpha);
+        }
+        pixels[i + 3] = alpha;
+      }
+
+      context.putImageData(image, 0, 0);
+      return output;
+
+    } finally {
+      scene.background = background;
+      renderer.setClearColor(clearColor, clearAlpha);
+      renderer.setPixelRatio(basePixelRatio);
+      renderer.render(scene, camera);
+    }
+  }
+
+  /**
+   * Copy the pixels of a canvas
+   */
+  readPixels(source, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    context.drawImage(source, 0, 0, width, height);
+    return context.getImageData(0, 0, width, height).data;
+  }
+
+  /**
+   * Draw the visible labels over the rendered image
+   */
+  compositeLabels(canvas) {
+    const canvasRect = this.sceneManager.renderer.domElement.getBoundingClientRect();
+    const scale = canvas.width / canvasRect.width;
+    const context = canvas.getContext('2d');
+
+    // Draw in page coordinates
+    context.setTransform(scale, 0, 0, scale, -canvasRect.left * scale, -canvasRect.top * scale);
+
+    document.querySelectorAll(this.LABEL_SELECTOR).forEach(label => {
+      if (this.isLabelVisible(label, canvasRect)) {
+        this.drawLabel(context, label);
+      }
+    });
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+  }
+
+  /**
+   * Whether a label is shown and overlaps the canvas
+   */
+  isLabelVisible(label, canvasRect) {
+    const style = getComputedStyle(label);
+    if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) {
+      return false;
+    }
+
+    const rect = label.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 &&
+      rect.right > canvasRect.left && rect.left < canvasRect.right &&
+      rect.bottom > canvasRect.top && rect.top < canvasRect.bottom;
+  }
+
+  /**
+   * Draw one label: boxes of the label and its children, then its text
+   */
+  drawLabel(context, label) {
+    context.save();
+    context.globalAlpha = parseFloat(getComputedStyle(label).opacity);
+
+    [label, ...label.querySelectorAll('*')].forEach(element => {
+      this.drawBox(context, element);
+    });
+
+    const walker = document.createTreeWalker(label, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      this.drawText(context, node);
+    }
+
+    context.restore();
+  }
+
+  /**
+   * Draw an element's background and border
+   */
+  drawBox(context, element) {
+    const style = getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    const radius = Math.min(parseFloat(style.borderTopLeftRadius) || 0, rect.width / 2, rect.height / 2);
+    const borderWidth = style.borderTopStyle === 'none' ? 0 : parseFloat(style.borderTopWidth) || 0;
+    const hasBackground = style.backgroundColor !== 'transparent' && style.backgroundColor !== 'rgba(0, 0, 0, 0)';
+
+    if (!hasBackground && borderWidth === 0) return;
+
+    context.beginPath();
+    this.roundedRectPath(context, rect.left, rect.top, rect.width, rect.height, radius);
+
+    if (hasBackground) {
+      context.fillStyle = style.backgroundColor;
+      context.fill();
+    }
+
+    if (borderWidth > 0) {
+      context.lineWidth = borderWidth;
+      context.strokeStyle = style.borderTopColor;
+      context.stroke();
+    }
+  }
+
+  /**
+   * Draw a text node word by word at its laid-out position
+   */
+  drawText(context, node) {
+    const text = node.textContent;
+    if (!text.trim()) return;
+
+    const style = getComputedStyle(node.parentElement);
+    const range = document.createRange();
+
+    context.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+    context.fillStyle = style.color;
+    context.textBaseline = 'middle';
+
+    for (const match of text.matchAll(/\S+/g)) {
+      range.setStart(node, match.index);
+      range.setEnd(node, match.index + match[0].length);
+
+      const rect = range.getClientRects()[0];
+      if (rect && rect.width > 0) {
+        context.fillText(match[0], rect.left, rect.top + rect.height / 2);
+      }
+    }
+  }
+
+  /**
+   * Add a rounded rectangle to the current path
+   */
+  roundedRectPath(context, x, y, width, height, radius) {
+    context.moveTo(x + radius, y);
+    context.arcTo(x + width, y, x + width, y + height, radius);
+    context.arcTo(x + width, y + height, x, y + height, radius);
+    context.arcTo(x, y + height, x, y, radius);
+    context.arcTo(x, y, x + width, y, radius);
+    context.closePath();
+  }
+}
@@ -0,0 +1,721 @@
+/**
+ * SECTION.JS - Section and Clipping Planes
+ *
+ * Responsible for:
+ * - Up to six section planes clipping the loaded model
+ * - Axis-aligned section planes and clipping boxes around the model
+ * - Dragging planes along their normal in the viewer or with sliders
+ * - Cap rendering of cut solids (stencil buffer)
+ * - Sharing active planes with Utils so picking ignores clipped geometry
+ * - Section setup export and import
+ */
+
+import * as THREE from 'three';
+import { Utils } from './utils.js';
+
+export class SectionSystem {
+  constructor(scene, camera, renderer) {
+    this.scene = scene;
+    this.camera = camera;
+    this.renderer = renderer;
+
+    // State
+    this.model = null;
+    this.planes = []; // { id, label, plane: THREE.Plane, enabled }
+    this.planeIdCounter = 1;
+    this.panelOpen = false;
+    this.capsEnabled = true;
+    this.helpersVisible = true;
+    this.onChange = null; // Set by main to autosave section changes
+
+    // Scene objects
+    this.helperGroup = new THREE.Group();
+    this.helperGroup.name = 'SectionHelpers';
+    this.capGroup = new THREE.Group();
+    this.capGroup.name = 'SectionCaps';
+
+    // Dragging
+    this.raycaster = new THREE.Raycaster();
+    this.mouse = new THREE.Vector2();
+    this.dragging = null; // { entry, origin, grabOffset, moved }
+    this.suppressClick = false;
+
+    // Settings
+    this.MAX_PLANES = 6;
+    this.CAP_COLOR = 0xe57373;
+    this.HELPER_COLOR = 0x1e88e5;
+    this.HELPER_OPACITY = 0.12;
+    this.BOX_MARGIN = 0.01; // Fraction of the model size around a clipping box
+
+    this.AXES = {
+      x: new THREE.Vector3(1, 0, 0),
+      y: new THREE.Vector3(0, 1, 0),
+      z: new THREE.Vector3(0, 0, 1)
+    };
+  }
+
+  /**
+   * Initialize the section system
+   */
+  async init() {
+    console.log('✂️ Initializing section planes...');
+
+    this.renderer.localClippingEnabled = true;
+    this.scene.add(this.helperGroup);
+    this.scene.add(this.capGroup);
+
+    this.createSectionPanel();
+    this.setupEventListeners();
+
+    console.log('✅ Section planes initialized');
+  }
+
+  /**
+   * Set up plane dragging in the viewer
+   */
+  setupEventListeners() {
+    const canvas = this.renderer.domElement;
+
+    // Capture phase, so the drag starts before orbit controls and tools see the event
+    canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event), true);
+    window.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+    window.addEventListener('pointerup', () => this.handlePointerUp());
+
+    // The click ending a drag must not place a point with the active tool
+    canvas.addEventListener('click', (event) => {
+      if (this.suppressClick) {
+        event.stopImmediatePropagation();
+        this.suppressClick = false;
+      }
+    }, true);
+  }
+
+  /**
+   * Create the section panel
+   */
+  createSectionPanel() {
+    const panelHTML = `
+      <div id="section-panel">
+        <div class="tools-header">
+          <h3>✂️ Section Planes</h3>
+        </div>
+
+        <div class="section-actions">
+          <button onclick="window.inspector3D?.section?.addAxisPlane('x')">+ X</button>
+          <button onclick="window.inspector3D?.section?.addAxisPlane('y')">+ Y</button>
+          <button onclick="window.inspector3D?.section?.addAxisPlane('z')">+ Z</button>
+          <button onclick="window.inspector3D?.section?.createClippingBox()">📦 Box</button>
+        </div>
+
+        <div id="section-plane-list" class="section-plane-list">
+          <!-- Planes will be populated here -->
+        </div>
+
+        <div class="section-options">
+          <label>
+            <input type="checkbox" id="section-caps" checked
+              onchange="window.inspector3D?.section?.setCapsEnabled(this.checked)"> Caps
+          </label>
+          <label>
+            <input type="checkbox" id="section-helpers" checked
+              onchange="window.inspector3D?.section?.setHelpersVisible(this.checked)"> Show planes
+          </label>
+          <button class="btn-danger" onclick="window.inspector3D?.section?.clearPlanes()">🗑️ Clear</button>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', panelHTML);
+  }
+
+  /**
+   * Toggle the section panel (planes can be dragged while it is open)
+   */
+  togglePanel() {
+    this.panelOpen = !this.panelOpen;
+    document.getElementById('section-panel').classList.toggle('active', this.panelOpen);
+    this.updateHelpers();
+    this.updatePanel();
+
+    console.log(`✂️ Section panel ${this.panelOpen ? 'opened' : 'closed'}`);
+    return this.panelOpen;
+  }
+
+  /**
+   * Set the model that section planes clip
+   */
+  setModel(model) {
+    this.model = model;
+    this.applyClipping();
+  }
+
+  /**
+   * Get the bounding box of the current model
+   */
+  getModelBounds() {
+    if (!this.model) {
+      return new THREE.Box3(new THREE.Vector3(-1, -1, -1), new THREE.Vector3(1, 1, 1));
+    }
+    return new THREE.Box3().setFromObject(this.model);
+  }
+
+  /**
+   * Add a plane perpendicular to an axis through the model center.
+   * The plane keeps the geometry below it (on the negative axis side).
+   */
+  addAxisPlane(axis) {
+    const center = this.getModelBounds().getCenter(new THREE.Vector3());
+    const normal = this.AXES[axis].clone().negate();
+
+    return this.addPlane(
+      new THREE.Plane().setFromNormalAndCoplanarPoint(normal, center),
+      axis.toUpperCase()
+    );
+  }
+
+  /**
+   * Add a section plane
+   */
+  addPlane(plane, label = null) {
+    if (this.planes.length >= this.MAX_PLANES) {
+      window.inspector3D?.ui?.showWarning(`At most ${this.MAX_PLANES} section planes can be used`);
+      return null;
+    }
+
+    const id = `S${this.planeIdCounter++}`;
+    const entry = { id, label: label || id, plane, enabled: true };
+    this.planes.push(entry);
+
+    this.applyClipping();
+    this.notifyChange();
+
+    console.log(`✂️ Added section plane ${id} (${entry.label})`);
+    return entry;
+  }
+
+  /**
+   * Replace all planes with a clipping box around the model
+   */
+  createClippingBox() {
+    if (this.planes.length > 0 && !confirm('Replace the current section planes with a clipping box?')) {
+      return;
+    }
+
+    const bounds = this.getModelBounds();
+    bounds.expandByScalar(bounds.getSize(new THREE.Vector3()).length() * this.BOX_MARGIN);
+
+    this.planes = [];
+
+    // Each plane keeps the inside of the box
+    Object.entries(this.AXES).forEach(([axis, direction]) => {
+      const label = axis.toUpperCase();
+      this.planes.push({
+        id: `S${this.planeIdCounter++}`,
+        label: `${label} min`,
+        plane: new THREE.Plane().setFromNormalAndCoplanarPoint(direction.clone(), bounds.min),
+        enabled: true
+      });
+      this.planes.push({
+        id: `S${this.planeIdCounter++}`,
+        label: `${label} max`,
+        plane: new THREE.Plane().setFromNormalAndCoplanarPoint(direction.clone().negate(), bounds.max),
+        enabled: true
+      });
+    });
+
+    this.applyClipping();
+    this.notifyChange();
+
+    console.log('📦 Clipping box created');
+  }
+
+  /**
+   * Get a plane entry by ID
+   */
+  getPlane(planeId) {
+    return this.planes.find(entry => entry.id === planeId);
+  }
+
+  /**
+   * Remove a section plane
+   */
+  removePlane(planeId) {
+    this.planes = this.planes.filter(entry => entry.id !== planeId);
+    this.applyClipping();
+    this.notifyChange();
+  }
+
+  /**
+   * Remove all section planes
+   */
+  clearPlanes() {
+    if (this.planes.length === 0) return;
+
+    this.planes = [];
+    this.applyClipping();
+    this.notifyChange();
+
+    console.log('🗑️ Section planes cleared');
+  }
+
+  /**
+   * Enable or disable a plane without removing it
+   */
+  setPlaneEnabled(planeId, enabled) {
+    const entry = this.getPlane(planeId);
+    if (!entry) return;
+
+    entry.enabled = enabled;
+    this.applyClipping();
+    this.notifyChange();
+  }
+
+  /**
+   * Flip which side of a plane is kept
+   */
+  flipPlane(planeId) {
+    const entry = this.getPlane(planeId);
+    if (!entry) return;
+
+    entry.plane.negate();
+    this.applyClipping();
+    this.notifyChange();
+  }
+
+  /**
+   * Move a plane to an offset along its normal
+   */
+  setPlaneOffset(planeId, offset) {
+    const entry = this.getPlane(planeId);
+    if (!entry) return;
+
+    entry.plane.constant = -offset;
+    this.updateHelpers();
+    this.updateCaps();
+
+    const valueLabel = document.getElementById(`section-offset-${planeId}`);
+    if (valueLabel) {
+      valueLabel.textContent = Utils.formatDistance(offset, false);
+    }
+  }
+
+  /**
+   * Range of plane offsets that cross the model
+   */
+  getOffsetRange(plane) {
+    const bounds = this.getModelBounds();
+    const offsets = [];
+
+    for (let i = 0; i < 8; i++) {
+      const corner = new THREE.Vector3(
+        i & 1 ? bounds.max.x : bounds.min.x,
+        i & 2 ? bounds.max.y : bounds.min.y,
+        i & 4 ? bounds.max.z : bounds.min.z
+      );
+      offsets.push(plane.normal.dot(corner));
+    }
+
+    return { min: Math.min(...offsets), max: Math.max(...offsets) };
+  }
+
+  /**
+   * Get the enabled THREE.Plane objects
+   */
+  getActivePlanes() {
+    return this.planes.filter(entry => entry.enabled).map(entry => entry.plane);
+  }
+
+  /**
+   * Apply the enabled planes to the model materials and rebuild helpers and caps
+   */
+  applyClipping() {
+    const activePlanes = this.getActivePlanes();
+
+    // Picking in all tools skips clipped-away geometry
+    Utils.setClippingPlanes(activePlanes);
+
+    if (this.model) {
+      this.model.traverse(child => {
+        if (!child.material) return;
+
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => {
+          material.clippingPlanes = activePlanes.length > 0 ? activePlanes : null;
+          material.clipShadows = true;
+          material.needsUpdate = true;
+        });
+      });
+    }
+
+    this.buildHelpers();
+    this.buildCaps();
+    this.updatePanel();
+  }
+
+  /**
+   * Create a translucent quad for each plane (also the drag handle)
+   */
+  buildHelpers() {
+    this.clearGroup(this.helperGroup);
+
+    const size = this.getModelBounds().getSize(new THREE.Vector3()).length() || 1;
+
+    this.planes.filter(entry => entry.enabled).forEach(entry => {
+      const helper = new THREE.Mesh(
+        new THREE.PlaneGeometry(size, size),
+        new THREE.MeshBasicMaterial({
+          color: this.HELPER_COLOR,
+          transparent: true,
+          opacity: this.HELPER_OPACITY,
+          side: THREE.DoubleSide,
+          depthWrite: false
+        })
+      );
+
+      const outline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(helper.geometry),
+        new THREE.LineBasicMaterial({ color: this.HELPER_COLOR })
+      );
+      helper.add(outline);
+
+      helper.userData = { type: 'sectionPlane', planeId: entry.id };
+      this.helperGroup.add(helper);
+    });
+
+    this.updateHelpers();
+  }
+
+  /**
+   * Position helpers on their planes
+   */
+  updateHelpers() {
+    const center = this.getModelBounds().getCenter(new THREE.Vector3());
+
+    this.helperGroup.visible = this.panelOpen && this.helpersVisible;
+
+    this.helperGroup.children.forEach(helper => {
+      const entry = this.getPlane(helper.userData.planeId);
+      if (!entry) return;
+
+      entry.plane.projectPoint(center, helper.position);
+      helper.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), entry.plane.normal);
+    });
+  }
+
+  /**
+   * Build stencil caps: for each plane, the model's back faces increment and
+   * front faces decrement the stencil, and a cap quad is drawn where the
+   * count is non-zero (inside a closed solid). Caps are only correct for
+   * watertight geometry.
+   */
+  buildCaps() {
+    this.clearGroup(this.capGroup);
+
+    const activePlanes = this.getActivePlanes();
+    if (!this.model || !this.capsEnabled || activePlanes.length === 0) return;
+
+    const meshes = [];
+    this.model.updateMatrixWorld(true);
+    this.model.traverse(child => {
+      if (child.isMesh && child.visible) meshes.push(child);
+    });
+
+    const size = this.getModelBounds().getSize(new THREE.Vector3()).length() || 1;
+
+    activePlanes.forEach((plane, index) => {
+      const otherPlanes = activePlanes.filter(other => other !== plane);
+      const renderOrder = index + 1;
+
+      const stencilBase = {
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        clippingPlanes: [plane]
+      };
+      const backMaterial = new THREE.MeshBasicMaterial({
+        ...stencilBase,
+        side: THREE.BackSide,
+        stencilFail: THREE.IncrementWrapStencilOp,
+        stencilZFail: THREE.IncrementWrapStencilOp,
+        stencilZPass: THREE.IncrementWrapStencilOp
+      });
+      const frontMaterial = new THREE.MeshBasicMaterial({
+        ...stencilBase,
+        side: THREE.FrontSide,
+        stencilFail: THREE.DecrementWrapStencilOp,
+        stencilZFail: THREE.DecrementWrapStencilOp,
+        stencilZPass: THREE.DecrementWrapStencilOp
+      });
+
+      meshes.forEach(mesh => {
+        [backMaterial, frontMaterial].forEach(material => {
+          const stencilMesh = new THREE.Mesh(mesh.geometry, material);
+          stencilMesh.matrixAutoUpdate = false;
+          stencilMesh.matrix.copy(mesh.matrixWorld);
+          stencilMesh.renderOrder = renderOrder;
+          stencilMesh.raycast = () => {};
+          stencilMesh.userData.sharedGeometry = true;
+          this.capGroup.add(stencilMesh);
+        });
+      });
+
+      const cap = new THREE.Mesh(
+        new THREE.PlaneGeometry(size * 2, size * 2),
+        new THREE.MeshStandardMaterial({
+          color: this.CAP_COLOR,
+          metalness: 0.1,
+          roughness: 0.75,
+          clippingPlanes: otherPlanes,
+          stencilWrite: true,
+          stencilRef: 0,
+          stencilFunc: THREE.NotEqualStencilFunc,
+          stencilFail: THREE.ReplaceStencilOp,
+          stencilZFail: THREE.ReplaceStencilOp,
+          stencilZPass: THREE.ReplaceStencilOp
+        })
+      );
+      cap.renderOrder = renderOrder + 0.1;
+      cap.raycast = () => {};
+      cap.userData.plane = plane;
+      cap.onAfterRender = renderer => renderer.clearStencil();
+      this.capGroup.add(cap);
+    });
+
+    this.updateCaps();
+  }
+
+  /**
+   * Keep cap quads on their planes
+   */
+  updateCaps() {
+    const center = this.getModelBounds().getCenter(new THREE.Vector3());
+
+    this.capGroup.children.forEach(child => {
+      const plane = child.userData.plane;
+      if (!plane) return;
+
+      plane.projectPoint(center, child.position);
+      child.lookAt(child.position.clone().sub(plane.normal));
+    });
+  }
+
+  /**
+   * Remove and dispose all children of a group
+   */
+  clearGroup(group) {
+    [...group.children].forEach(child => {
+      group.remove(child);
+
+      // Stencil meshes share the model geometry, only their materials are ours
+      if (child.userData.sharedGeometry) {
+        child.material.dispose();
+      } else {
+        Utils.disposeHierarchy(child);
+      }
+    });
+  }
+
+  /**
+   * Toggle cap rendering
+   */
+  setCapsEnabled(enabled) {
+    this.capsEnabled = enabled;
+    this.buildCaps();
+    this.notifyChange();
+  }
+
+  /**
+   * Toggle plane helpers
+   */
+  setHelpersVisible(visible) {
+    this.helpersVisible = visible;
+    this.updateHelpers();
+  }
+
+  /**
+   * Start dragging a plane helper
+   */
+  handlePointerDown(event) {
+    if (!this.helperGroup.visible || event.button !== 0) return;
+
+    this.updateMouse(event);
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+
+    const hit = this.raycaster.intersectObjects(this.helperGroup.children, false)[0];
+    if (!hit) return;
+
+    const entry = this.getPlane(hit.object.userData.planeId);
+    if (!entry) return;
+
+    // Offset between the grabbed point and the plane along its normal
+    const grabbed = this.getPointAlongNormal(entry.plane, hit.point);
+    this.dragging = {
+      entry,
+      origin: hit.point.clone(),
+      grabOffset: -entry.plane.constant - entry.plane.normal.dot(grabbed),
+      moved: false
+    };
+
+    window.inspector3D?.controls?.setEnabled(false);
+    event.stopImmediatePropagation();
+  }
+
+  /**
+   * Drag the grabbed plane along its normal
+   */
+  handlePointerMove(event) {
+    if (!this.dragging) return;
+
+    this.updateMouse(event);
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+
+    const { entry, origin, grabOffset } = this.dragging;
+    const point = this.getPointAlongNormal(entry.plane, origin);
+
+    this.setPlaneOffset(entry.id, entry.plane.normal.dot(point) + grabOffset);
+    this.dragging.moved = true;
+
+    const slider = document.getElementById(`section-slider-${entry.id}`);
+    if (slider) {
+      slider.value = -entry.plane.constant;
+    }
+  }
+
+  /**
+   * Finish dragging
+   */
+  handlePointerUp() {
+    if (!this.dragging) return;
+
+    if (this.dragging.moved) {
+      this.suppressClick = true;
+      this.notifyChange();
+    }
+
+    this.dragging = null;
+    window.inspector3D?.controls?.setEnabled(true);
+  }
+
+  /**
+   * Closest point to the mouse ray on the line through `origin` along the plane normal
+   */
+  getPointAlongNormal(plane, origin) {
+    const reach = this.getModelBounds().getSize(new THREE.Vector3()).length() * 10 || 100;
+    const start = origin.clone().addScaledVector(plane.normal, -reach);
+    const end = origin.clone().addScaledVector(plane.normal, reach);
+
+    const pointOnLine = new THREE.Vector3();
+    this.raycaster.ray.distanceSqToSegment(start, end, null, pointOnLine);
+    return pointOnLine;
+  }
+
+  /**
+   * Update mouse coordinates from an event
+   */
+  updateMouse(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  }
+
+  /**
+   * Refresh the plane list in the panel
+   */
+  updatePanel() {
+    const list = document.getElementById('section-plane-list');
+    if (!list) return;
+
+    document.getElementById('section-caps').checked = this.capsEnabled;
+
+    if (this.planes.length === 0) {
+      list.innerHTML = '<p class="section-empty">No section planes</p>';
+      return;
+    }
+
+    list.innerHTML = this.planes.map(entry => {
+      const range = this.getOffsetRange(entry.plane);
+      const offset = -entry.plane.constant;
+      const step = (range.max - range.min) / 500 || 0.01;
+
+      return `
+        <div class="section-plane-item">
+          <div class="section-plane-header">
+            <label>
+              <input type="checkbox" ${entry.enabled ? 'checked' : ''}
+                onchange="window.inspector3D?.section?.setPlaneEnabled('${entry.id}', this.checked)">
+              <strong>${entry.label}</strong>
+            </label>
+            <span id="section-offset-${entry.id}">${Utils.formatDistance(offset, false)}</span>
+            <button onclick="window.inspector3D?.section?.flipPlane('${entry.id}')" title="Flip kept side">⇅</button>
+            <button onclick="window.inspector3D?.section?.removePlane('${entry.id}')" title="Remove plane">✕</button>
+          </div>
+          <input type="range" id="section-slider-${entry.id}"
+            min="${range.min}" max="${range.max}" step="${step}" value="${offset}"
+            oninput="window.inspector3D?.section?.setPlaneOffset('${entry.id}', parseFloat(this.value))"
+            onchange="window.inspector3D?.section?.notifyChange()">
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Let main know the section setup changed (autosave)
+   */
+  notifyChange() {
+    this.onChange?.();
+  }
+
+  /**
+   * Get section setup for export
+   */
+  getExportData() {
+    return {
+      planes: this.planes.map(entry => ({
+        id: entry.id,
+        label: entry.label,
+        normal: { x: entry.plane.normal.x, y: entry.plane.normal.y, z: entry.plane.normal.z },
+        constant: entry.plane.constant,
+        enabled: entry.enabled
+      })),
+      capsEnabled: this.capsEnabled,
+      note: 'Geometry on the negative side of an enabled plane (normal · p + constant < 0) is clipped'
+    };
+  }
+
+  /**
+   * Restore section setup from exported data (see getExportData)
+   */
+  importData(data) {
+    this.planes = (data?.planes || []).slice(0, this.MAX_PLANES).map(planeData => ({
+      id: planeData.id,
+      label: planeData.label || planeData.id,
+      plane: new THREE.Plane(
+        new THREE.Vector3(planeData.normal.x, planeData.normal.y, planeData.normal.z).normalize(),
+        planeData.constant
+      ),
+      enabled: planeData.enabled !== false
+    }));
+
+    this.capsEnabled = data?.capsEnabled !== false;
+
+    const maxId = Math.max(0, ...this.planes.map(entry => parseInt(String(entry.id).replace(/\D/g, '')) || 0));
+    this.planeIdCounter = maxId + 1;
+
+    this.applyClipping();
+    console.log(`📥 Imported ${this.planes.length} section planes`);
+  }
+
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    this.clearGroup(this.helperGroup);
+    this.clearGroup(this.capGroup);
+    this.scene.remove(this.helperGroup);
+    this.scene.remove(this.capGroup);
+    Utils.setClippingPlanes([]);
+    document.getElementById('section-panel')?.remove();
+  }
+}
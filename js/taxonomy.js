@@ -0,0 +1,348 @@
+/**
+ * TAXONOMY.JS - Discrepancy Taxonomy and Severity Scale
+ *
+ * Responsible for:
+ * - One definition of discrepancy types (labels, colours, icons)
+ * - Severity levels with criticality weights and score deductions
+ * - Estimated cost tables per type and severity
+ * - Overall risk level rules
+ * - Mapping HIMP scores to a discrepancy type and severity
+ * - Loading, validating and persisting client taxonomies (JSON)
+ */
+
+export const DEFAULT_TAXONOMY = {
+  name: 'Default',
+  version: 1,
+  types: [
+    { id: 'corrosion', label: 'Corrosion', icon: '🦠', color: '#ff4444', background: '#ffebee' },
+    { id: 'crack', label: 'Crack', icon: '⚡', color: '#8b4513', background: '#efebe9' },
+    { id: 'pitting', label: 'Pitting', icon: '🕳️', color: '#ff8800', background: '#fff3e0' },
+    { id: 'dent', label: 'Dent', icon: '🔨', color: '#607d8b', background: '#eceff1' },
+    { id: 'coating', label: 'Coating Issue', icon: '🎨', color: '#009688', background: '#e0f2f1' },
+    { id: 'structure', label: 'Structure', icon: '🏗️', color: '#4444ff', background: '#e3f2fd' },
+    { id: 'housekeeping', label: 'Housekeeping', icon: '🧹', color: '#8844ff', background: '#f3e5f5' },
+    { id: 'other', label: 'Other', icon: '❔', color: '#757575', background: '#f5f5f5' }
+  ],
+  // Lowest to highest. weight: criticality score, deduction: inspection score points
+  severities: [
+    { id: 'low', label: 'Low', color: '#28a745', weight: 1, deduction: 1 },
+    { id: 'medium', label: 'Medium', color: '#e6a200', weight: 2, deduction: 5 },
+    { id: 'high', label: 'High', color: '#fd7e14', weight: 3, deduction: 10, highPriority: true },
+    { id: 'critical', label: 'Critical', color: '#dc3545', weight: 4, deduction: 20, highPriority: true }
+  ],
+  costs: {
+    corrosion: { low: 'Low', medium: 'Medium', high: 'High', critical: 'Very High' },
+    crack: { low: 'Medium', medium: 'High', high: 'Very High', critical: 'Critical' },
+    pitting: { low: 'Low', medium: 'Medium', high: 'High', critical: 'High' },
+    dent: { low: 'Low', medium: 'Medium', high: 'High', critical: 'Very High' },
+    coating: { low: 'Very Low', medium: 'Low', high: 'Medium', critical: 'High' },
+    structure: { low: 'Medium', medium: 'High', high: 'Very High', critical: 'Critical' },
+    housekeeping: { low: 'Very Low', medium: 'Low', high: 'Medium', critical: 'High' }
+  },
+  defaultCost: 'Unknown',
+  // First matching rule wins: at least minCount discrepancies of the severity
+  riskRules: [
+    { level: 'Critical', severity: 'critical', minCount: 1 },
+    { level: 'High', severity: 'high', minCount: 3 },
+    { level: 'Medium', severity: 'high', minCount: 1 },
+    { level: 'Medium', severity: 'medium', minCount: 6 },
+    { level: 'Low', severity: 'medium', minCount: 1 }
+  ],
+  defaultRiskLevel: 'Very Low',
+  // Discrepancies created from HIMP assessments (highest matching minScore wins)
+  himp: {
+    type: 'coating',
+    severityByScore: [
+      { minScore: 5, severity: 'critical' },
+      { minScore: 3, severity: 'high' },
+      { minScore: 2, severity: 'medium' },
+      { minScore: 0, severity: 'low' }
+    ]
+  }
+};
+
+export class TaxonomyManager {
+  constructor() {
+    // State
+    this.definition = TaxonomyManager.normalize(DEFAULT_TAXONOMY);
+    this.listeners = [];
+
+    // Settings
+    this.STORAGE_KEY = 'inspector3d-taxonomy';
+    this.FALLBACK_TYPE = { id: 'other', label: 'Other', icon: '❔', color: '#757575', background: '#f5f5f5' };
+  }
+
+  /**
+   * Initialize the taxonomy, restoring the last loaded client taxonomy
+   */
+  async init() {
+    console.log('🏷️ Initializing taxonomy...');
+
+    try {
+      const saved = localStorage.getItem(this.STORAGE_KEY);
+      if (saved) {
+        this.definition = TaxonomyManager.normalize(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.warn('⚠️ Saved taxonomy is invalid, using the default:', error);
+    }
+
+    console.log(`✅ Taxonomy initialized: ${this.definition.name}`);
+  }
+
+  /**
+   * Validate a taxonomy definition and fill in defaults.
+   * Throws an Error describing the first problem found.
+   */
+  static normalize(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Taxonomy must be a JSON object');
+    }
+
+    const checkList = (list, name) => {
+      if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Taxonomy needs at least one entry in "${name}"`);
+      }
+
+      const ids = new Set();
+      list.forEach((entry, index) => {
+        if (!entry || typeof entry.id !== 'string' || !entry.id.trim()) {
+          throw new Error(`${name}[${index}] needs an "id"`);
+        }
+        if (ids.has(entry.id)) {
+          throw new Error(`Duplicate ${name} id "${entry.id}"`);
+        }
+        if (entry.color !== undefined && !/^#[0-9a-f]{6}$/i.test(entry.color)) {
+          throw new Error(`${name} "${entry.id}" has an invalid color (use #rrggbb)`);
+        }
+        ids.add(entry.id);
+      });
+    };
+
+    checkList(definition.types, 'types');
+    checkList(definition.severities, 'severities');
+
+    const severityIds = definition.severities.map(severity => severity.id);
+
+    return {
+      name: definition.name || 'Custom',
+      version: definition.version ?? 1,
+      types: definition.types.map(type => ({
+        id: type.id,
+        label: type.label || type.id,
+        icon: type.icon || '',
+        color: type.color || '#757575',
+        background: type.background || '#f5f5f5'
+      })),
+      severities: definition.severities.map((severity, index) => {
+        ['weight', 'deduction'].forEach(key => {
+          if (severity[key] !== undefined && typeof severity[key] !== 'number') {
+            throw new Error(`Severity "${severity.id}" ${key} must be a number`);
+          }
+        });
+
+        return {
+          id: severity.id,
+          label: severity.label || severity.id,
+          color: severity.color || '#6c757d',
+          weight: severity.weight ?? index + 1,
+          deduction: severity.deduction ?? 0,
+          highPriority: Boolean(severity.highPriority)
+        };
+      }),
+      costs: definition.costs || {},
+      defaultCost: definition.defaultCost || 'Unknown',
+      riskRules: (definition.riskRules || []).filter(rule => {
+        if (!severityIds.includes(rule.severity)) {
+          console.warn(`⚠️ Ignoring risk rule for unknown severity "${rule.severity}"`);
+          return false;
+        }
+        return true;
+      }),
+      defaultRiskLevel: definition.defaultRiskLevel || 'Very Low',
+      himp: {
+        type: definition.himp?.type || definition.types[0].id,
+        severityByScore: [...(definition.himp?.severityByScore || [{ minScore: 0, severity: severityIds[0] }])]
+          .sort((a, b) => b.minScore - a.minScore)
+      }
+    };
+  }
+
+  /**
+   * Replace the taxonomy (validated). It is remembered for the next session
+   * unless persist is false (taxonomies of imported reports).
+   */
+  load(definition, { persist = true } = {}) {
+    this.definition = TaxonomyManager.normalize(definition);
+
+    if (persist) {
+      try {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.definition));
+      } catch (error) {
+        console.warn('⚠️ Could not save taxonomy:', error);
+      }
+    }
+
+    this.notifyChange();
+    console.log(`🏷️ Loaded taxonomy: ${this.definition.name} (${this.definition.types.length} types, ${this.definition.severities.length} severities)`);
+  }
+
+  /**
+   * Load a taxonomy from a JSON file
+   */
+  async loadFromFile(file) {
+    let definition;
+    try {
+      definition = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not valid JSON`);
+    }
+
+    this.load(definition);
+  }
+
+  /**
+   * Go back to the built-in taxonomy
+   */
+  reset() {
+    try {
+      localStorage.removeItem(this.STORAGE_KEY);
+    } catch (error) {
+      console.warn('⚠️ Could not clear saved taxonomy:', error);
+    }
+
+    this.definition = TaxonomyManager.normalize(DEFAULT_TAXONOMY);
+    this.notifyChange();
+  }
+
+  /**
+   * Register a listener called after the taxonomy changes
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Notify listeners of a taxonomy change
+   */
+  notifyChange() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Discrepancy types, in display order
+   */
+  getTypes() {
+    return this.definition.types;
+  }
+
+  /**
+   * Severity levels, lowest first
+   */
+  getSeverities() {
+    return this.definition.severities;
+  }
+
+  /**
+   * Get a type by ID (unknown types get neutral styling)
+   */
+  getType(typeId) {
+    return this.definition.types.find(type => type.id === typeId) ||
+      { ...this.FALLBACK_TYPE, id: typeId || this.FALLBACK_TYPE.id, label: typeId || this.FALLBACK_TYPE.label };
+  }
+
+  /**
+   * Whether a type ID is part of the taxonomy
+   */
+  hasType(typeId) {
+    return this.definition.types.some(type => type.id === typeId);
+  }
+
+  /**
+   * Type colour as a number for THREE materials
+   */
+  getTypeColorHex(typeId) {
+    return parseInt(this.getType(typeId).color.replace('#', ''), 16);
+  }
+
+  /**
+   * Get a severity by ID or label, case-insensitive (null if unknown)
+   */
+  getSeverity(value) {
+    const key = String(value ?? '').toLowerCase();
+    return this.definition.severities.find(severity =>
+      severity.id.toLowerCase() === key || severity.label.toLowerCase() === key
+    ) || null;
+  }
+
+  /**
+   * Map any spelling of a severity to its ID ('High' -> 'high')
+   */
+  normalizeSeverity(value) {
+    return this.getSeverity(value)?.id ?? value;
+  }
+
+  /**
+   * Display label of a severity
+   */
+  getSeverityLabel(value) {
+    return this.getSeverity(value)?.label ?? String(value ?? '');
+  }
+
+  /**
+   * Position of a severity on the scale (0 = lowest, -1 = unknown)
+   */
+  getSeverityRank(value) {
+    const severity = this.getSeverity(value);
+    return severity ? this.definition.severities.indexOf(severity) : -1;
+  }
+
+  /**
+   * Whether a severity is the highest on the scale
+   */
+  isHighestSeverity(value) {
+    return this.getSeverityRank(value) === this.definition.severities.length - 1;
+  }
+
+  /**
+   * Estimated cost category for a type and severity
+   */
+  getEstimatedCost(typeId, severityValue) {
+    const severityId = this.normalizeSeverity(severityValue);
+    return this.definition.costs[typeId]?.[severityId] || this.definition.defaultCost;
+  }
+
+  /**
+   * Overall risk level for a list of severities
+   */
+  calculateRiskLevel(severityValues) {
+    const counts = {};
+    severityValues.forEach(value => {
+      const id = this.normalizeSeverity(value);
+      counts[id] = (counts[id] || 0) + 1;
+    });
+
+    const rule = this.definition.riskRules.find(rule => (counts[rule.severity] || 0) >= rule.minCount);
+    return rule ? rule.level : this.definition.defaultRiskLevel;
+  }
+
+  /**
+   * Type and severity for a discrepancy raised from a HIMP assessment
+   */
+  getHimpDiscrepancy(maxScore) {
+    const himp = this.definition.himp;
+    const match = himp.severityByScore.find(entry => maxScore >= entry.minScore);
+
+    return {
+      type: this.definition.types.some(type => type.id === himp.type) ? himp.type : this.definition.types[0].id,
+      severity: this.normalizeSeverity(match ? match.severity : this.definition.severities[0].id)
+    };
+  }
+
+  /**
+   * Get the taxonomy definition for export
+   */
+  getExportData() {
+    return JSON.parse(JSON.stringify(this.definition));
+  }
+}
@@ -188,6 +188,16 @@ export class UIManager {
     this.loadingStates.set('global', show);
   }
 
+  /**
+   * Show or hide the drag-and-drop overlay
+   */
+  showDropOverlay(show = true) {
+    const overlay = document.getElementById('drop-overlay');
+    if (!overlay) return;
+    
+    overlay.classList.toggle('active', show);
+  }
+
   /**
    * Show custom loading state
    */
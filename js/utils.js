@@ -14,6 +14,9 @@ import * as THREE from 'three';
 
 export class Utils {
   static meshUnits = 'm'; // Default mesh units
+  static POINT_PICK_RADIUS = 8; // Screen pixels for picking on point clouds
+  static clippingPlanes = []; // Active section planes, set by SectionSystem
+  static THUMBNAIL_WIDTH = 320; // Pixels, for finding snapshots
   
   // Unit conversion constants
   static UNIT_CONVERSIONS = {
@@ -101,8 +104,7 @@ export class Utils {
     
     if (showImperial) {
       // Convert area to different units
-      const areaInMetersSquared = this.convertToMeters(area, this.meshUnits) * 
-                                  this.convertToMeters(1, this.meshUnits);
+      const areaInMetersSquared = this.convertAreaToSquareMeters(area);
       const areaInFeetSquared = areaInMetersSquared * 10.7639; // square meters to square feet
       return `${formattedArea}<br><small>${areaInFeetSquared.toFixed(2)} ft²</small>`;
     }
@@ -111,36 +113,211 @@ export class Utils {
   }
 
   /**
-   * Calculate polygon area using triangulation method
-   * Works for any polygon in 3D space
+   * Convert an area from mesh units² to m²
+   */
+  static convertAreaToSquareMeters(area, fromUnit = this.meshUnits) {
+    return this.convertToMeters(area, fromUnit) * this.convertToMeters(1, fromUnit);
+  }
+
+  /**
+   * Calculate polygon area projected onto its best-fit plane.
+   * Correct for concave polygons; see calculatePolygonAreaDetails for
+   * planarity and projected areas.
    */
   static calculatePolygonArea(points) {
-    if (points.length < 3) return 0;
+    return Utils.calculatePolygonAreaDetails(points).area;
+  }
+
+  /**
+   * Vector area of a closed polygon (Newell's method): its length is the
+   * area of a planar polygon, its components are the areas projected onto
+   * the YZ, XZ and XY planes
+   */
+  static calculateVectorArea(points) {
+    const vectorArea = new THREE.Vector3();
+    const cross = new THREE.Vector3();
+    
+    for (let i = 0; i < points.length; i++) {
+      cross.crossVectors(points[i], points[(i + 1) % points.length]);
+      vectorArea.add(cross);
+    }
     
-    let totalArea = 0;
-    const n = points.length;
+    return vectorArea.multiplyScalar(0.5);
+  }
+
+  /**
+   * Area of a 3D polygon with planarity information:
+   * { area, plane, planarityDeviation, projectedAreas: { xy, xz, yz } }.
+   * `area` is measured on the best-fit plane through the points.
+   */
+  static calculatePolygonAreaDetails(points) {
+    const empty = {
+      area: 0,
+      plane: null,
+      planarityDeviation: 0,
+      projectedAreas: { xy: 0, xz: 0, yz: 0 }
+    };
+    if (points.length < 3) return empty;
     
-    // Pick the first point as the common vertex for all triangles
-    const basePoint = points[0];
+    const vectorArea = Utils.calculateVectorArea(points);
+    const plane = Utils.fitPlane(points);
+    if (!plane) return empty;
     
-    // Sum up the areas of all triangles formed by connecting
-    // the base point to each edge of the polygon
-    for (let i = 1; i < n - 1; i++) {
-      const point1 = points[i];
-      const point2 = points[i + 1];
-      
-      // Create vectors from base point to the other two points
-      const v1 = new THREE.Vector3().subVectors(point1, basePoint);
-      const v2 = new THREE.Vector3().subVectors(point2, basePoint);
+    return {
+      area: Math.abs(vectorArea.dot(plane.normal)),
+      plane,
+      planarityDeviation: plane.maxDeviation,
+      projectedAreas: {
+        xy: Math.abs(vectorArea.z),
+        xz: Math.abs(vectorArea.y),
+        yz: Math.abs(vectorArea.x)
+      }
+    };
+  }
+
+  /**
+   * True surface area of the meshes enclosed by a polygon: mesh triangles
+   * whose centroid falls inside the polygon (seen along the best-fit plane
+   * normal) and within `band` of the plane. Accuracy at the polygon edges
+   * depends on the mesh resolution.
+   */
+  static calculateEnclosedSurfaceArea(points, plane, meshes, band) {
+    return Utils.getEnclosedFaces(points, plane, meshes, band)
+      .reduce((total, face) => total + face.area, 0);
+  }
+
+  /**
+   * Mesh triangles enclosed by a polygon (see calculateEnclosedSurfaceArea):
+   * [{ mesh, faceIndex, area, centroid }], centroids in world space
+   */
+  static getEnclosedFaces(points, plane, meshes, band) {
+    const { u, v } = Utils.getPlaneBasis(plane);
+    
+    const offset = new THREE.Vector3();
+    const toPlane = point => {
+      offset.subVectors(point, plane.centroid);
+      return [offset.dot(u), offset.dot(v), offset.dot(plane.normal)];
+    };
+    
+    const polygon = points.map(point => toPlane(point));
+    const bounds = new THREE.Box3().setFromPoints(points).expandByScalar(band);
+    
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const centroid = new THREE.Vector3();
+    const triangle = new THREE.Triangle();
+    const faces = [];
+    
+    meshes.forEach(mesh => {
+      mesh.updateMatrixWorld(true);
+      const faceCount = Utils.getFaceCount(mesh);
       
-      // Calculate cross product to get the area of this triangle
-      const cross = new THREE.Vector3().crossVectors(v1, v2);
+      for (let f = 0; f < faceCount; f++) {
+        Utils.getFaceVertices(mesh, f, a, b, c);
+        
+        centroid.copy(a).add(b).add(c).divideScalar(3);
+        if (!bounds.containsPoint(centroid)) continue;
+        
+        const [x, y, depth] = toPlane(centroid);
+        if (Math.abs(depth) > band || !Utils.isPointInPolygon2D(x, y, polygon)) continue;
+        
+        triangle.set(a, b, c);
+        faces.push({ mesh, faceIndex: f, area: triangle.getArea(), centroid: centroid.clone() });
+      }
+    });
+    
+    return faces;
+  }
+
+  /**
+   * Number of triangles of a mesh
+   */
+  static getFaceCount(mesh) {
+    const index = mesh.geometry.index;
+    return index ? index.count / 3 : mesh.geometry.attributes.position.count / 3;
+  }
+
+  /**
+   * World-space vertices of a mesh triangle, written into a, b and c
+   * (call mesh.updateMatrixWorld first)
+   */
+  static getFaceVertices(mesh, faceIndex, a, b, c) {
+    const position = mesh.geometry.attributes.position;
+    const index = mesh.geometry.index;
+    const vertexIndex = i => (index ? index.getX(i) : i);
+    
+    a.fromBufferAttribute(position, vertexIndex(faceIndex * 3)).applyMatrix4(mesh.matrixWorld);
+    b.fromBufferAttribute(position, vertexIndex(faceIndex * 3 + 1)).applyMatrix4(mesh.matrixWorld);
+    c.fromBufferAttribute(position, vertexIndex(faceIndex * 3 + 2)).applyMatrix4(mesh.matrixWorld);
+  }
+
+  /**
+   * All meshes of the loaded models, in a stable order for a given model
+   * (used to key mesh faces across sessions)
+   */
+  static getModelMeshes(scene) {
+    const meshes = [];
+    
+    scene.children
+      .filter(child => child.userData.modelId)
+      .forEach(model => {
+        model.traverse(child => {
+          if (child.isMesh && child.geometry?.attributes.position) {
+            meshes.push(child);
+          }
+        });
+      });
+    
+    return meshes;
+  }
+
+  /**
+   * Orthonormal 2D basis { u, v } on a plane
+   */
+  static getPlaneBasis(plane) {
+    const u = new THREE.Vector3();
+    const helper = Math.abs(plane.normal.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    u.crossVectors(helper, plane.normal).normalize();
+    const v = new THREE.Vector3().crossVectors(plane.normal, u);
+    
+    return { u, v };
+  }
+
+  /**
+   * Triangulate a 3D polygon on its best-fit plane (concave polygons allowed).
+   * Returns vertex index triples, empty if the points are degenerate.
+   */
+  static triangulatePolygon(points) {
+    const plane = points.length >= 3 ? Utils.fitPlane(points) : null;
+    if (!plane) return [];
+    
+    const { u, v } = Utils.getPlaneBasis(plane);
+    const offset = new THREE.Vector3();
+    const contour = points.map(point => {
+      offset.subVectors(point, plane.centroid);
+      return new THREE.Vector2(offset.dot(u), offset.dot(v));
+    });
+    
+    return THREE.ShapeUtils.triangulateShape(contour, []);
+  }
+
+  /**
+   * Even-odd point in polygon test on [x, y] vertices
+   */
+  static isPointInPolygon2D(x, y, polygon) {
+    let inside = false;
+    
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [xi, yi] = polygon[i];
+      const [xj, yj] = polygon[j];
       
-      // Area of triangle is half the magnitude of cross product
-      totalArea += cross.length() / 2;
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
     }
     
-    return totalArea;
+    return inside;
   }
 
   /**
@@ -196,6 +373,80 @@ export class Utils {
       .multiplyScalar(0.5);
   }
 
+  /**
+   * Fit a plane to 3+ points by least squares.
+   * Returns { centroid, normal, maxDeviation, rmsDeviation }, or null when
+   * the points are collinear.
+   */
+  static fitPlane(points) {
+    if (points.length < 3) return null;
+    
+    const centroid = Utils.calculatePolygonCenter(points);
+    
+    // Covariance matrix (upper triangle)
+    let xx = 0, xy = 0, xz = 0, yy = 0, yz = 0, zz = 0;
+    points.forEach(point => {
+      const d = new THREE.Vector3().subVectors(point, centroid);
+      xx += d.x * d.x; xy += d.x * d.y; xz += d.x * d.z;
+      yy += d.y * d.y; yz += d.y * d.z; zz += d.z * d.z;
+    });
+    
+    // Normal is the direction of least variance: combine the cross-product
+    // solutions for each axis, weighted by how well conditioned they are
+    const axes = [
+      [new THREE.Vector3(yy * zz - yz * yz, xz * yz - xy * zz, xy * yz - xz * yy), yy * zz - yz * yz],
+      [new THREE.Vector3(xz * yz - xy * zz, xx * zz - xz * xz, xy * xz - yz * xx), xx * zz - xz * xz],
+      [new THREE.Vector3(xy * yz - xz * yy, xy * xz - yz * xx, xx * yy - xy * xy), xx * yy - xy * xy]
+    ];
+    
+    const normal = new THREE.Vector3();
+    axes.forEach(([direction, det]) => {
+      let weight = det * det;
+      if (normal.dot(direction) < 0) weight = -weight;
+      normal.addScaledVector(direction, weight);
+    });
+    
+    if (normal.lengthSq() === 0) return null;
+    normal.normalize();
+    
+    let maxDeviation = 0;
+    let sumSquares = 0;
+    points.forEach(point => {
+      const deviation = Math.abs(normal.dot(new THREE.Vector3().subVectors(point, centroid)));
+      maxDeviation = Math.max(maxDeviation, deviation);
+      sumSquares += deviation * deviation;
+    });
+    
+    return {
+      centroid,
+      normal,
+      maxDeviation,
+      rmsDeviation: Math.sqrt(sumSquares / points.length)
+    };
+  }
+
+  /**
+   * Signed perpendicular distance from a point to a fitted plane
+   */
+  static distancePointToPlane(point, plane) {
+    return plane.normal.dot(new THREE.Vector3().subVectors(point, plane.centroid));
+  }
+
+  /**
+   * Angle between two planes in degrees (0-90, orientation independent)
+   */
+  static angleBetweenPlanes(planeA, planeB) {
+    const cos = Math.min(1, Math.abs(planeA.normal.dot(planeB.normal)));
+    return THREE.MathUtils.radToDeg(Math.acos(cos));
+  }
+
+  /**
+   * Format angle for display
+   */
+  static formatAngle(degrees) {
+    return `${degrees.toFixed(1)}°`;
+  }
+
   /**
    * Calculate distance from a point to a line segment
    */
@@ -230,6 +481,142 @@ export class Utils {
     return { x, y };
   }
 
+  /**
+   * Cast a ray from mouse NDC coordinates against all visible loaded models.
+   * Meshes are hit on their surface; point clouds snap to the nearest scanned
+   * point within POINT_PICK_RADIUS screen pixels of the cursor.
+   */
+  static intersectModels(raycaster, mouse, camera, scene, renderer) {
+    const hit = Utils.intersectModelsHit(raycaster, mouse, camera, scene, renderer);
+    return hit ? hit.point : null;
+  }
+
+  /**
+   * Like intersectModels, but returns { point, normal, object, faceIndex }.
+   * The normal is in world space and faces the camera; it is null on
+   * point clouds.
+   */
+  static intersectModelsHit(raycaster, mouse, camera, scene, renderer) {
+    raycaster.setFromCamera(mouse, camera);
+    
+    const objects = scene.children.filter(child => 
+      child.userData.modelId && child.visible
+    );
+    
+    raycaster.params.Points.threshold = Utils.getPointPickThreshold(objects, camera, renderer);
+    
+    const intersects = raycaster.intersectObjects(objects, true);
+    const width = renderer.domElement.clientWidth;
+    const height = renderer.domElement.clientHeight;
+    
+    // Hits are sorted front to back, so the first accepted one is visible
+    for (const hit of intersects) {
+      if (!hit.object.isPoints) {
+        // Geometry cut away by section planes can't be picked
+        if (Utils.isClipped(hit.point)) continue;
+        
+        let normal = null;
+        if (hit.face) {
+          normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+          if (normal.dot(raycaster.ray.direction) > 0) normal.negate();
+        }
+        
+        return {
+          point: hit.point.clone(),
+          normal,
+          object: hit.object,
+          faceIndex: hit.faceIndex
+        };
+      }
+      
+      const vertex = new THREE.Vector3()
+        .fromBufferAttribute(hit.object.geometry.attributes.position, hit.index)
+        .applyMatrix4(hit.object.matrixWorld);
+      
+      if (Utils.isClipped(vertex)) continue;
+      
+      const ndc = vertex.clone().project(camera);
+      const dx = (ndc.x - mouse.x) * width / 2;
+      const dy = (ndc.y - mouse.y) * height / 2;
+      
+      if (Math.hypot(dx, dy) <= Utils.POINT_PICK_RADIUS) {
+        return { point: vertex, normal: null, object: hit.object, faceIndex: null };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Cast a ray from a world point against all visible loaded meshes and
+   * return the nearest hit ({ point, distance }), skipping the starting face
+   */
+  static castRayOnModels(raycaster, origin, direction, scene, exclude = null) {
+    raycaster.set(origin, direction.clone().normalize());
+    
+    const objects = scene.children.filter(child => 
+      child.userData.modelId && child.visible
+    );
+    
+    const intersects = raycaster.intersectObjects(objects, true);
+    
+    for (const hit of intersects) {
+      if (hit.object.isPoints || hit.distance < 1e-6 || Utils.isClipped(hit.point)) continue;
+      if (exclude && hit.object === exclude.object && hit.faceIndex === exclude.faceIndex) continue;
+      
+      return { point: hit.point.clone(), distance: hit.distance };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Set the section planes that clip the model (see SectionSystem)
+   */
+  static setClippingPlanes(planes) {
+    Utils.clippingPlanes = planes;
+  }
+
+  /**
+   * Check whether a world point is cut away by a section plane
+   */
+  static isClipped(point) {
+    return Utils.clippingPlanes.some(plane => plane.distanceToPoint(point) < 0);
+  }
+
+  /**
+   * World-space ray threshold that covers POINT_PICK_RADIUS pixels at the far
+   * side of every point cloud (hits are narrowed down in screen space after)
+   */
+  static getPointPickThreshold(objects, camera, renderer) {
+    const height = renderer.domElement.clientHeight || window.innerHeight;
+    let threshold = 0;
+    
+    objects.forEach(object => {
+      object.traverse(child => {
+        if (!child.isPoints) return;
+        
+        if (!child.geometry.boundingSphere) {
+          child.geometry.computeBoundingSphere();
+        }
+        
+        const sphere = child.geometry.boundingSphere.clone().applyMatrix4(child.matrixWorld);
+        let worldPerPixel;
+        
+        if (camera.isOrthographicCamera) {
+          worldPerPixel = (camera.top - camera.bottom) / camera.zoom / height;
+        } else {
+          const farDistance = camera.position.distanceTo(sphere.center) + sphere.radius;
+          worldPerPixel = 2 * farDistance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom / height;
+        }
+        
+        threshold = Math.max(threshold, worldPerPixel * Utils.POINT_PICK_RADIUS);
+      });
+    });
+    
+    return threshold;
+  }
+
   /**
    * Convert screen coordinates to normalized device coordinates
    */
@@ -354,6 +741,64 @@ export class Utils {
     });
   }
 
+  /**
+   * Render the current view and capture the camera pose with a JPEG thumbnail.
+   * Returns { cameraPose: { position, target, zoom }, thumbnail }.
+   */
+  static captureViewSnapshot(renderer, scene, camera, target = null, width = Utils.THUMBNAIL_WIDTH) {
+    // Render now, so objects added this frame are in the picture
+    renderer.render(scene, camera);
+    
+    const source = renderer.domElement;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = Math.round(width * source.height / source.width);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    
+    return {
+      cameraPose: {
+        position: camera.position.clone(),
+        target: target ? target.clone() : camera.position.clone().add(camera.getWorldDirection(new THREE.Vector3())),
+        zoom: camera.zoom
+      },
+      thumbnail: canvas.toDataURL('image/jpeg', 0.8)
+    };
+  }
+
+  /**
+   * Convert a camera pose to plain JSON
+   */
+  static serializeCameraPose(pose) {
+    if (!pose) return null;
+    
+    return {
+      position: { x: pose.position.x, y: pose.position.y, z: pose.position.z },
+      target: { x: pose.target.x, y: pose.target.y, z: pose.target.z },
+      zoom: pose.zoom
+    };
+  }
+
+  /**
+   * Rebuild a camera pose from JSON (see serializeCameraPose)
+   */
+  static parseCameraPose(data) {
+    if (!data?.position || !data?.target) return null;
+    
+    return {
+      position: new THREE.Vector3(data.position.x, data.position.y, data.position.z),
+      target: new THREE.Vector3(data.target.x, data.target.y, data.target.z),
+      zoom: data.zoom ?? 1
+    };
+  }
+
+  /**
+   * Recorded-view thumbnail from JSON: only JPEG data URLs (as captured by
+   * captureViewSnapshot) are accepted, anything else gives null
+   */
+  static parseThumbnail(data) {
+    return typeof data === 'string' && /^data:image\/jpeg;base64,[A-Za-z0-9+/]+=*$/.test(data) ? data : null;
+  }
+
   /**
    * Format timestamp for exports
    */
@@ -430,6 +875,96 @@ export class Utils {
     return !isNaN(parseFloat(value)) && isFinite(value);
   }
 
+  /**
+   * Escape text for use in HTML markup
+   */
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Parse an imported date (ISO string or timestamp), null if missing or invalid
+   */
+  static parseDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Local calendar date as YYYY-MM-DD (the value format of date inputs)
+   */
+  static toDateInputValue(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date input value as local midnight (null if empty or invalid)
+   */
+  static parseDateInputValue(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+    
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Parse CSV text into rows of cells (quoted fields may hold commas,
+   * quotes and line breaks)
+   */
+  static parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    // Spreadsheet exports often start with a byte order mark
+    const source = text.replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    
+    return rows;
+  }
+
   /**
    * Sanitize filename for download
    */
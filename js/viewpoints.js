@@ -0,0 +1,296 @@
+/**
+ * VIEWPOINTS.JS - Saved Camera Viewpoints
+ *
+ * Responsible for:
+ * - Capturing named camera viewpoints (position, target, zoom)
+ * - Renaming, reordering and deleting viewpoints
+ * - Animated transitions to a viewpoint
+ * - Hotkeys 1-9 for the first nine viewpoints
+ * - Viewpoint manager modal
+ * - Viewpoint export and import
+ */
+
+import * as THREE from 'three';
+import { Utils } from './utils.js';
+
+export class ViewpointManager {
+  constructor(controls) {
+    this.controls = controls;
+
+    // State
+    this.viewpoints = [];
+    this.viewpointIdCounter = 1;
+    this.onChange = null; // Set by main to autosave viewpoint changes
+
+    // Settings
+    this.ANIMATION_DURATION = 800; // ms
+    this.HOTKEY_COUNT = 9;
+  }
+
+  /**
+   * Initialize the viewpoint manager
+   */
+  async init() {
+    console.log('🎥 Initializing viewpoints...');
+
+    this.createViewpointModal();
+
+    console.log('✅ Viewpoints initialized');
+  }
+
+  /**
+   * Create the viewpoint manager modal
+   */
+  createViewpointModal() {
+    const modalHTML = `
+      <div id="viewpoint-modal" class="modal">
+        <div class="modal-content">
+          <span class="close">&times;</span>
+          <h2>🎥 Viewpoints</h2>
+
+          <div class="viewpoint-list-header">
+            <button id="capture-viewpoint">➕ Capture Current View</button>
+          </div>
+
+          <div id="viewpoint-list" class="viewpoint-list">
+            <!-- Viewpoints will be populated here -->
+          </div>
+
+          <div class="modal-actions">
+            <button id="close-viewpoint-manager">Close</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+    const modal = document.getElementById('viewpoint-modal');
+    modal.querySelector('.close').onclick = () => this.hideViewpointManager();
+    document.getElementById('close-viewpoint-manager').onclick = () => this.hideViewpointManager();
+    document.getElementById('capture-viewpoint').onclick = () => this.captureViewpoint();
+
+    // Close on outside click
+    modal.onclick = (e) => {
+      if (e.target === modal) {
+        this.hideViewpointManager();
+      }
+    };
+  }
+
+  /**
+   * Show the viewpoint manager
+   */
+  showViewpointManager() {
+    this.updateViewpointManager();
+    document.getElementById('viewpoint-modal').style.display = 'block';
+  }
+
+  /**
+   * Hide the viewpoint manager
+   */
+  hideViewpointManager() {
+    document.getElementById('viewpoint-modal').style.display = 'none';
+  }
+
+  /**
+   * Capture the current camera as a new viewpoint
+   */
+  captureViewpoint(name = null) {
+    const state = this.controls.saveState();
+
+    const viewpoint = {
+      id: `V${this.viewpointIdCounter++}`,
+      name: name || `View ${this.viewpoints.length + 1}`,
+      position: state.position,
+      target: state.target,
+      zoom: state.zoom,
+      createdAt: new Date()
+    };
+
+    this.viewpoints.push(viewpoint);
+    this.updateViewpointManager();
+    this.notifyChange();
+
+    const index = this.viewpoints.length;
+    const hotkey = index <= this.HOTKEY_COUNT ? ` (key ${index})` : '';
+    window.inspector3D?.ui?.showSuccess(`Viewpoint captured: ${Utils.escapeHtml(viewpoint.name)}${hotkey}`);
+
+    console.log(`🎥 Captured viewpoint ${viewpoint.id}: ${viewpoint.name}`);
+    return viewpoint;
+  }
+
+  /**
+   * Get a viewpoint by ID
+   */
+  getViewpoint(viewpointId) {
+    return this.viewpoints.find(viewpoint => viewpoint.id === viewpointId);
+  }
+
+  /**
+   * Animate the camera to a viewpoint
+   */
+  goToViewpoint(viewpointId) {
+    const viewpoint = this.getViewpoint(viewpointId);
+    if (!viewpoint) return;
+
+    this.controls.flyToPose(viewpoint, this.ANIMATION_DURATION);
+    console.log(`🎥 Going to viewpoint ${viewpoint.name}`);
+  }
+
+  /**
+   * Animate to the viewpoint bound to a hotkey (0-based index)
+   */
+  goToViewpointIndex(index) {
+    const viewpoint = this.viewpoints[index];
+    if (!viewpoint) {
+      window.inspector3D?.ui?.showMessage(`No viewpoint ${index + 1}`);
+      return;
+    }
+
+    this.goToViewpoint(viewpoint.id);
+  }
+
+  /**
+   * Rename a viewpoint
+   */
+  renameViewpoint(viewpointId) {
+    const viewpoint = this.getViewpoint(viewpointId);
+    if (!viewpoint) return;
+
+    const name = prompt('Viewpoint name:', viewpoint.name);
+    if (!name || !name.trim()) return;
+
+    viewpoint.name = name.trim();
+    this.updateViewpointManager();
+    this.notifyChange();
+  }
+
+  /**
+   * Update a viewpoint to the current camera
+   */
+  updateViewpoint(viewpointId) {
+    const viewpoint = this.getViewpoint(viewpointId);
+    if (!viewpoint) return;
+
+    const state = this.controls.saveState();
+    viewpoint.position = state.position;
+    viewpoint.target = state.target;
+    viewpoint.zoom = state.zoom;
+
+    this.notifyChange();
+    window.inspector3D?.ui?.showSuccess(`Viewpoint updated: ${Utils.escapeHtml(viewpoint.name)}`);
+  }
+
+  /**
+   * Move a viewpoint up (-1) or down (+1) in the list
+   */
+  moveViewpoint(viewpointId, direction) {
+    const index = this.viewpoints.findIndex(viewpoint => viewpoint.id === viewpointId);
+    const newIndex = index + direction;
+    if (index === -1 || newIndex < 0 || newIndex >= this.viewpoints.length) return;
+
+    const [viewpoint] = this.viewpoints.splice(index, 1);
+    this.viewpoints.splice(newIndex, 0, viewpoint);
+
+    this.updateViewpointManager();
+    this.notifyChange();
+  }
+
+  /**
+   * Delete a viewpoint
+   */
+  deleteViewpoint(viewpointId) {
+    const viewpoint = this.getViewpoint(viewpointId);
+    if (!viewpoint) return;
+
+    if (!confirm(`Delete viewpoint "${viewpoint.name}"?`)) return;
+
+    this.viewpoints = this.viewpoints.filter(v => v.id !== viewpointId);
+    this.updateViewpointManager();
+    this.notifyChange();
+
+    console.log(`🗑️ Deleted viewpoint ${viewpoint.name}`);
+  }
+
+  /**
+   * Refresh the viewpoint list
+   */
+  updateViewpointManager() {
+    const listContainer = document.getElementById('viewpoint-list');
+    if (!listContainer) return;
+
+    if (this.viewpoints.length === 0) {
+      listContainer.innerHTML = `
+        <div class="empty-state">
+          <p>No viewpoints saved</p>
+          <small>Capture the current view, or press V in the viewer</small>
+        </div>
+      `;
+      return;
+    }
+
+    listContainer.innerHTML = this.viewpoints.map((viewpoint, index) => `
+      <div class="viewpoint-item" data-viewpoint-id="${viewpoint.id}">
+        <span class="viewpoint-hotkey">${index < this.HOTKEY_COUNT ? index + 1 : ''}</span>
+        <strong class="viewpoint-name">${Utils.escapeHtml(viewpoint.name)}</strong>
+        <div class="viewpoint-actions">
+          <button class="btn-small" onclick="window.inspector3D?.viewpoints?.goToViewpoint('${viewpoint.id}')" title="Go to view">▶️</button>
+          <button class="btn-small" onclick="window.inspector3D?.viewpoints?.updateViewpoint('${viewpoint.id}')" title="Update to current view">📸</button>
+          <button class="btn-small" onclick="window.inspector3D?.viewpoints?.renameViewpoint('${viewpoint.id}')" title="Rename">✏️</button>
+          <button class="btn-small" onclick="window.inspector3D?.viewpoints?.moveViewpoint('${viewpoint.id}', -1)" title="Move up" ${index === 0 ? 'disabled' : ''}>⬆️</button>
+          <button class="btn-small" onclick="window.inspector3D?.viewpoints?.moveViewpoint('${viewpoint.id}', 1)" title="Move down" ${index === this.viewpoints.length - 1 ? 'disabled' : ''}>⬇️</button>
+          <button class="btn-small btn-danger" onclick="window.inspector3D?.viewpoints?.deleteViewpoint('${viewpoint.id}')" title="Delete">🗑️</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Let main know the viewpoints changed (autosave)
+   */
+  notifyChange() {
+    this.onChange?.();
+  }
+
+  /**
+   * Get viewpoint data for export
+   */
+  getExportData() {
+    const toXYZ = v => ({ x: v.x, y: v.y, z: v.z });
+
+    return this.viewpoints.map((viewpoint, index) => ({
+      id: viewpoint.id,
+      name: viewpoint.name,
+      hotkey: index < this.HOTKEY_COUNT ? index + 1 : null,
+      position: toXYZ(viewpoint.position),
+      target: toXYZ(viewpoint.target),
+      zoom: viewpoint.zoom,
+      createdAt: viewpoint.createdAt.toISOString()
+    }));
+  }
+
+  /**
+   * Restore viewpoints from exported data (see getExportData)
+   */
+  importData(viewpoints = []) {
+    this.viewpoints = viewpoints
+      .filter(data => data.position && data.target)
+      .map((data, index) => ({
+        // IDs are used in the manager's button handlers
+        id: /^\w+$/.test(data.id || '') ? data.id : `V${index + 1}`,
+        name: String(data.name || `View ${index + 1}`),
+        position: new THREE.Vector3(data.position.x, data.position.y, data.position.z),
+        target: new THREE.Vector3(data.target.x, data.target.y, data.target.z),
+        zoom: data.zoom ?? 1,
+        createdAt: Utils.parseDate(data.createdAt) || new Date()
+      }));
+
+    // Continue numbering after the highest imported ID
+    const maxId = Math.max(0, ...this.viewpoints.map(v => parseInt(String(v.id).replace(/\D/g, '')) || 0));
+    this.viewpointIdCounter = maxId + 1;
+
+    this.updateViewpointManager();
+    console.log(`📥 Imported ${this.viewpoints.length} viewpoints`);
+  }
+}